@@ -155,7 +155,30 @@ const fullBrowserBundle = {
 	],
 };
 
+// the mock server is node only, it isn't part of the main bundles
+const mockServerBundle = {
+	...baseConfig,
+	input: 'src/mock_server.js',
+	output: [
+		{
+			file: 'dist/mock_server.js',
+			format: 'cjs',
+			sourcemap: true,
+		},
+	],
+	external: externalPackages.concat(['http', 'url', 'ws', 'jsonwebtoken']),
+	plugins: [
+		external(),
+		babel({
+			runtimeHelpers: true,
+			exclude: 'node_modules/**',
+		}),
+		commonjs(),
+		json(),
+	],
+};
+
 export default () =>
 	process.env.ROLLUP_WATCH
 		? [normalBundle, browserBundle]
-		: [normalBundle, browserBundle, fullBrowserBundle];
+		: [normalBundle, browserBundle, fullBrowserBundle, mockServerBundle];
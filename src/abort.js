@@ -0,0 +1,54 @@
+import { AbortError } from './errors';
+
+/**
+ * isAborted - Returns true if the signal is aborted
+ *
+ * @param {AbortSignal} [signal] The signal of the request
+ *
+ * @return {boolean}
+ */
+export function isAborted(signal) {
+	return !!signal && signal.aborted;
+}
+
+/**
+ * throwIfAborted - Throws an AbortError if the signal is aborted
+ *
+ * @param {AbortSignal} [signal] The signal of the request
+ */
+export function throwIfAborted(signal) {
+	if (isAborted(signal)) {
+		throw new AbortError();
+	}
+}
+
+/**
+ * abortable - Rejects with an AbortError as soon as the signal aborts, otherwise settles like the promise
+ *
+ * @param {Promise} promise The promise or value to wait for
+ * @param {AbortSignal} [signal] The signal of the request
+ *
+ * @return {Promise}
+ */
+export function abortable(promise, signal) {
+	if (!signal) {
+		return promise;
+	}
+	if (isAborted(signal)) {
+		return Promise.reject(new AbortError());
+	}
+	return new Promise((resolve, reject) => {
+		const onAbort = () => reject(new AbortError());
+		signal.addEventListener('abort', onAbort);
+		Promise.resolve(promise).then(
+			value => {
+				signal.removeEventListener('abort', onAbort);
+				resolve(value);
+			},
+			error => {
+				signal.removeEventListener('abort', onAbort);
+				reject(error);
+			},
+		);
+	});
+}
@@ -1,7 +1,14 @@
 import Immutable from 'seamless-immutable';
+import uuidv4 from 'uuid/v4';
 import { ChannelState } from './channel_state';
 import { isValidEventType } from './events';
 import { logChatPromiseExecution } from './utils';
+import { throwIfAborted } from './abort';
+import { hasUploads } from './uploads';
+import { MessageComposer } from './message_composer';
+
+/** the page size of loadOlder, loadNewer and jumpToMessage, the same as the API default */
+const DEFAULT_MESSAGE_LIMIT = 25;
 
 /**
  * Channel - The Channel class manages it's own state.
@@ -48,6 +55,8 @@ export class Channel {
 		this.lastTypingEvent = null;
 		this.isTyping = false;
 		this.disconnected = false;
+		// the draft of the next message, see MessageComposer
+		this.composer = new MessageComposer(this);
 	}
 
 	/**
@@ -75,72 +84,223 @@ export class Channel {
 	/**
 	 * sendMessage - Send a message to this channel
 	 *
+	 * Client side the message is added to the channel state right away with status "sending"
+	 * and is retried by the outbox until the API accepts it, see MessageOutbox. When the first
+	 * attempt fails the promise rejects with an error that has `willRetry`, the status of the
+	 * message in the channel state tells when it's delivered.
+	 *
+	 * Attachments can refer to a file that is still uploading with {type, upload_id}, see
+	 * channel.upload. The message is sent once the uploads finish and fails if one of them fails.
+	 *
+	 * The draft of the channel or thread is cleared once the message is sent, see saveDraft.
+	 *
 	 * @param {object} message The Message object
+	 * @param {object} [options] Request options, {signal} cancels the request. Client side
+	 * aborting stops the delivery and marks the message as failed
 	 *
 	 * @return {object} The Server Response
 	 */
 
-	async sendMessage(message) {
-		return await this.getClient().post(this._channelURL() + '/message', {
-			message,
-		});
+	async sendMessage(message, options) {
+		const client = this.getClient();
+		if (client._isUsingServerAuth() || !client.userID) {
+			if (hasUploads(message)) {
+				message = {
+					...message,
+					attachments: await client.uploads.resolveAttachments(
+						message.attachments,
+						options && options.signal,
+					),
+				};
+			}
+			return await client.post(
+				this._channelURL() + '/message',
+				{ message },
+				options,
+			);
+		}
+		const sentAt = new Date().toISOString();
+		const clearDraft = () =>
+			logChatPromiseExecution(
+				client.drafts.clear(this.cid, message.parent_id, { savedBefore: sentAt }),
+				'clear draft',
+			);
+		try {
+			const response = await client.outbox.send(this, message, options);
+			clearDraft();
+			return response;
+		} catch (error) {
+			// the outbox keeps the message
+			if (error.willRetry) {
+				clearDraft();
+			}
+			throw error;
+		}
 	}
 
-	sendFile(uri, name, contentType, user) {
-		return this.getClient().sendFile(
-			`${this._channelURL()}/file`,
-			uri,
-			name,
-			contentType,
-			user,
-		);
+	/**
+	 * saveDraft - Saves the message the user is writing, so it can be restored after switching
+	 * channels or, with a persistent storage, after a reload. The draft is cleared once a message is
+	 * sent to the channel or thread
+	 *
+	 * @param {object|string} draft The text or the message, {text, attachments, mentioned_users, parent_id}.
+	 * Drafts with a parent_id belong to the thread
+	 *
+	 * @return {Promise<object>} The saved draft, null when it was empty
+	 */
+	saveDraft(draft) {
+		const value = typeof draft === 'string' ? { text: draft } : draft;
+		return this.getClient().drafts.save(this.cid, value);
+	}
+
+	/**
+	 * getDraft - Returns the draft of the channel or a thread. Attachments of uploads that don't
+	 * exist anymore, ie. after a reload, are left out
+	 *
+	 * @param {string} [parentID] The id of the thread parent
+	 *
+	 * @return {Promise<object>} The draft, null when there is none
+	 */
+	async getDraft(parentID) {
+		const client = this.getClient();
+		const draft = await client.drafts.get(this.cid, parentID);
+		if (!draft || !hasUploads(draft)) {
+			return draft;
+		}
+		return {
+			...draft,
+			attachments: draft.attachments.filter(
+				attachment =>
+					!attachment.upload_id || client.uploads.get(attachment.upload_id),
+			),
+		};
+	}
+
+	/**
+	 * clearDraft - Removes the draft of the channel or a thread
+	 *
+	 * @param {string} [parentID] The id of the thread parent
+	 *
+	 * @return {Promise} Resolves once the draft is removed
+	 */
+	clearDraft(parentID) {
+		return this.getClient().drafts.clear(this.cid, parentID);
+	}
+
+	/**
+	 * upload - Uploads a file or image with the upload manager of the client, see UploadManager
+	 *
+	 * const upload = channel.upload(file, {type: 'image'});
+	 * await channel.sendMessage({text, attachments: [{type: 'image', upload_id: upload.id}]});
+	 *
+	 * @param {File|Blob|Buffer|ReadStream|string} file The file, or its uri in React Native
+	 * @param {object} [options] {type, name, contentType, user, uploader, signal, onProgress}
+	 *
+	 * @return {Upload} The upload, with its progress and status
+	 */
+	upload(file, options) {
+		return this.getClient().uploads.upload(this, file, options);
 	}
 
-	sendImage(uri, name, contentType, user) {
-		return this.getClient().sendFile(
-			`${this._channelURL()}/image`,
-			uri,
+	/**
+	 * sendFile - Uploads a file and waits for it. The file is sent right away, unless the upload
+	 * manager is enabled with the `managed` option of the call or of the client uploads options.
+	 * Uploads of the manager are validated, retried and run with its concurrency limit
+	 *
+	 * @param {File|Blob|Buffer|ReadStream|string} uri The file, or its uri in React Native
+	 * @param {string} [name] The file name
+	 * @param {string} [contentType] The mime type
+	 * @param {object} [user] The user that uploads the file, only used with serverside auth
+	 * @param {object} [options] {signal, managed, onProgress}, onProgress receives the Upload of the
+	 * manager. Without the manager the options are passed to client.sendFile
+	 *
+	 * @return {Promise<object>} The server response, {file: url}
+	 */
+	sendFile(uri, name, contentType, user, options) {
+		return this._sendUpload('file', uri, name, contentType, user, options);
+	}
+
+	/**
+	 * sendImage - Uploads an image and waits for it, see sendFile. When the upload manager is enabled
+	 * and has the `images` option the image is resized and re-encoded first, `{process: false}` in the
+	 * options skips that.
+	 *
+	 * @return {Promise<object>} The server response, {file: url}. Processed images also have the
+	 * original_width, original_height, blurhash and thumb_url to put on the attachment
+	 */
+	sendImage(uri, name, contentType, user, options) {
+		return this._sendUpload('image', uri, name, contentType, user, options);
+	}
+
+	async _sendUpload(type, file, name, contentType, user, options = {}) {
+		const client = this.getClient();
+		const uploads = client.uploads;
+		const managed = options.managed != null ? options.managed : uploads.managed;
+		if (!managed) {
+			return await client.sendFile(
+				`${this._channelURL()}/${type}`,
+				file,
+				name,
+				contentType,
+				user,
+				options,
+			);
+		}
+		const upload = uploads.upload(this, file, {
+			type,
 			name,
 			contentType,
 			user,
-		);
+			signal: options.signal,
+			onProgress: options.onProgress,
+			process: options.process,
+		});
+		try {
+			return await upload.promise;
+		} finally {
+			uploads.remove(upload.id);
+		}
 	}
 
-	deleteFile(url) {
-		return this.getClient().delete(`${this._channelURL()}/file`, { url });
+	deleteFile(url, options) {
+		return this.getClient().delete(`${this._channelURL()}/file`, { url }, options);
 	}
 
-	deleteImage(url) {
-		return this.getClient().delete(`${this._channelURL()}/image`, { url });
+	deleteImage(url, options) {
+		return this.getClient().delete(`${this._channelURL()}/image`, { url }, options);
 	}
 
 	/**
 	 * sendEvent - Send an event on this channel
 	 *
 	 * @param {object} event for example {type: 'message.read'}
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 *
 	 * @return {object} The Server Response
 	 */
-	async sendEvent(event) {
+	async sendEvent(event, options) {
 		this._checkInitialized();
-		return await this.getClient().post(this._channelURL() + '/event', {
-			event,
-		});
+		return await this.getClient().post(
+			this._channelURL() + '/event',
+			{ event },
+			options,
+		);
 	}
 
 	/**
 	 * search - Query messages
 	 *
 	 * @param {object|string}  message search query or object MongoDB style filters
-	 * @param {object} options       Option object, {user_id: 'tommaso'}
+	 * @param {object} options       Option object, {user_id: 'tommaso'}. `signal` cancels the request
 	 *
 	 * @return {object} search messages response
 	 */
 	async search(query, options = {}) {
+		const { signal, ...searchOptions } = options;
 		// Return a list of channels
 		const payload = {
 			filter_conditions: { cid: this.cid },
-			...options,
+			...searchOptions,
 		};
 		if (typeof query === 'string') {
 			payload.query = query;
@@ -153,9 +313,11 @@ export class Channel {
 		// Make sure we wait for the connect promise if there is a pending one
 		await this.wsPromise;
 
-		return await this.getClient().get(this.getClient().baseURL + '/search', {
-			payload,
-		});
+		return await this.getClient().get(
+			this.getClient().baseURL + '/search',
+			{ payload },
+			{ signal },
+		);
 	}
 
 	/**
@@ -163,11 +325,12 @@ export class Channel {
 	 *
 	 * @param {object}  filterConditions object MongoDB style filters
 	 * @param {object} sort             Sort options, for instance {created_at: -1}
-	 * @param {object} options        Option object, {limit: 10, offset:10}
+	 * @param {object} options        Option object, {limit: 10, offset:10}. `signal` cancels the request
 	 *
 	 * @return {object} search members response
 	 */
 	async queryMembers(filterConditions, sort = {}, options = {}) {
+		const { signal, ...queryOptions } = options;
 		const sortFields = [];
 		for (const [k, v] of Object.entries(sort)) {
 			sortFields.push({ field: k, direction: v });
@@ -181,16 +344,20 @@ export class Channel {
 			members = this.data.members;
 		}
 		// Return a list of members
-		return await this.getClient().get(this.getClient().baseURL + '/members', {
-			payload: {
-				type,
-				id,
-				members,
-				sort: sortFields,
-				filter_conditions: filterConditions,
-				...options,
+		return await this.getClient().get(
+			this.getClient().baseURL + '/members',
+			{
+				payload: {
+					type,
+					id,
+					members,
+					sort: sortFields,
+					filter_conditions: filterConditions,
+					...queryOptions,
+				},
 			},
-		});
+			{ signal },
+		);
 	}
 
 	/**
@@ -199,10 +366,11 @@ export class Channel {
 	 * @param {string} messageID the message id
 	 * @param {object} reaction the reaction object for instance {type: 'love'}
 	 * @param {string} user_id the id of the user (used only for server side request) default null
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 *
 	 * @return {object} The Server Response
 	 */
-	async sendReaction(messageID, reaction, user_id) {
+	async sendReaction(messageID, reaction, user_id, options) {
 		if (!messageID) {
 			throw Error(`Message id is missing`);
 		}
@@ -215,9 +383,27 @@ export class Channel {
 		if (user_id != null) {
 			body.reaction = { ...reaction, user: { id: user_id } };
 		}
-		return await this.getClient().post(
-			this.getClient().baseURL + `/messages/${messageID}/reaction`,
-			body,
+		const client = this.getClient();
+		return await this._optimisticUpdate(
+			messageID,
+			'reaction.new',
+			message =>
+				this.state.addReaction(
+					{
+						...reaction,
+						message_id: messageID,
+						user: client.user,
+						user_id: client.userID,
+						created_at: new Date().toISOString(),
+					},
+					message,
+				),
+			() =>
+				client.post(
+					client.baseURL + `/messages/${messageID}/reaction`,
+					body,
+					options,
+				),
 		);
 	}
 
@@ -227,10 +413,11 @@ export class Channel {
 	 * @param {string} messageID the id of the message from which te remove the reaction
 	 * @param {string} reactionType the type of reaction that should be removed
 	 * @param {string} user_id the id of the user (used only for server side request) default null
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 *
 	 * @return {object} The Server Response
 	 */
-	deleteReaction(messageID, reactionType, user_id) {
+	deleteReaction(messageID, reactionType, user_id, options) {
 		this._checkInitialized();
 		if (!reactionType || !messageID) {
 			throw Error(
@@ -238,14 +425,27 @@ export class Channel {
 			);
 		}
 
-		const url =
-			this.getClient().baseURL + `/messages/${messageID}/reaction/${reactionType}`;
+		const client = this.getClient();
+		const url = client.baseURL + `/messages/${messageID}/reaction/${reactionType}`;
 		//provided when server side request
 		if (user_id) {
-			return this.getClient().delete(url, { user_id });
+			return client.delete(url, { user_id }, options);
 		}
 
-		return this.getClient().delete(url);
+		return this._optimisticUpdate(
+			messageID,
+			'reaction.deleted',
+			message =>
+				this.state.removeReaction(
+					{
+						type: reactionType,
+						message_id: messageID,
+						user: { id: client.userID },
+					},
+					message,
+				),
+			() => client.delete(url, {}, options),
+		);
 	}
 
 	/**
@@ -253,19 +453,26 @@ export class Channel {
 	 *
 	 * @param {object} channelData The object to update the custom properties of this channel with
 	 * @param {object} updateMessage Optional message object for channel members notification
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 * @return {type} The server response
 	 */
-	async update(channelData, updateMessage) {
+	async update(channelData, updateMessage, options) {
 		let data;
 		if (channelData) {
-			data = await this.getClient().post(this._channelURL(), {
-				message: updateMessage,
-				data: channelData,
-			});
+			data = await this.getClient().post(
+				this._channelURL(),
+				{
+					message: updateMessage,
+					data: channelData,
+				},
+				options,
+			);
 		} else {
-			data = await this.getClient().post(this._channelURL(), {
-				message: updateMessage,
-			});
+			data = await this.getClient().post(
+				this._channelURL(),
+				{ message: updateMessage },
+				options,
+			);
 		}
 		this.data = data.channel;
 		return data;
@@ -274,19 +481,27 @@ export class Channel {
 	/**
 	 * delete - Delete the channel. Messages are permanently removed.
 	 *
+	 * @param {object} [options] Request options, {signal} cancels the request
+	 *
 	 * @return {object} The server response
 	 */
-	async delete() {
-		return await this.getClient().delete(this._channelURL());
+	async delete(options) {
+		return await this.getClient().delete(this._channelURL(), {}, options);
 	}
 
 	/**
 	 * truncate - Removes all messages from the channel
 	 *
+	 * @param {object} [options] Request options, {signal} cancels the request
+	 *
 	 * @return {object} The server response
 	 */
-	async truncate() {
-		return await this.getClient().post(this._channelURL() + '/truncate');
+	async truncate(options) {
+		return await this.getClient().post(
+			this._channelURL() + '/truncate',
+			undefined,
+			options,
+		);
 	}
 
 	/**
@@ -297,10 +512,15 @@ export class Channel {
 	 * @return {type} The server response
 	 */
 	async acceptInvite(options = {}) {
-		const data = await this.getClient().post(this._channelURL(), {
-			accept_invite: true,
-			...options,
-		});
+		const { signal, ...rest } = options;
+		const data = await this.getClient().post(
+			this._channelURL(),
+			{
+				accept_invite: true,
+				...rest,
+			},
+			{ signal },
+		);
 		this.data = data.channel;
 		return data;
 	}
@@ -313,10 +533,15 @@ export class Channel {
 	 * @return {type} The server response
 	 */
 	async rejectInvite(options = {}) {
-		const data = await this.getClient().post(this._channelURL(), {
-			reject_invite: true,
-			...options,
-		});
+		const { signal, ...rest } = options;
+		const data = await this.getClient().post(
+			this._channelURL(),
+			{
+				reject_invite: true,
+				...rest,
+			},
+			{ signal },
+		);
 		this.data = data.channel;
 		return data;
 	}
@@ -326,13 +551,18 @@ export class Channel {
 	 *
 	 * @param {array} members An array of member identifiers
 	 * @param {object} message Optional message object for channel members notification
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 * @return {type} The server response
 	 */
-	async addMembers(members, message) {
-		const data = await this.getClient().post(this._channelURL(), {
-			add_members: members,
-			message,
-		});
+	async addMembers(members, message, options) {
+		const data = await this.getClient().post(
+			this._channelURL(),
+			{
+				add_members: members,
+				message,
+			},
+			options,
+		);
 		this.data = data.channel;
 		return data;
 	}
@@ -342,13 +572,18 @@ export class Channel {
 	 *
 	 * @param {array} members An array of member identifiers
 	 * @param {object} message Optional message object for channel members notification
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 * @return {type} The server response
 	 */
-	async addModerators(members, message) {
-		const data = await this.getClient().post(this._channelURL(), {
-			add_moderators: members,
-			message,
-		});
+	async addModerators(members, message, options) {
+		const data = await this.getClient().post(
+			this._channelURL(),
+			{
+				add_moderators: members,
+				message,
+			},
+			options,
+		);
 		this.data = data.channel;
 		return data;
 	}
@@ -358,13 +593,18 @@ export class Channel {
 	 *
 	 * @param {array} members An array of member identifiers
 	 * @param {object} message Optional message object for channel members notification
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 * @return {type} The server response
 	 */
-	async inviteMembers(members, message) {
-		const data = await this.getClient().post(this._channelURL(), {
-			invites: members,
-			message,
-		});
+	async inviteMembers(members, message, options) {
+		const data = await this.getClient().post(
+			this._channelURL(),
+			{
+				invites: members,
+				message,
+			},
+			options,
+		);
 		this.data = data.channel;
 		return data;
 	}
@@ -374,13 +614,18 @@ export class Channel {
 	 *
 	 * @param {array} members An array of member identifiers
 	 * @param {object} message Optional message object for channel members notification
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 * @return {type} The server response
 	 */
-	async removeMembers(members, message) {
-		const data = await this.getClient().post(this._channelURL(), {
-			remove_members: members,
-			message,
-		});
+	async removeMembers(members, message, options) {
+		const data = await this.getClient().post(
+			this._channelURL(),
+			{
+				remove_members: members,
+				message,
+			},
+			options,
+		);
 		this.data = data.channel;
 		return data;
 	}
@@ -390,13 +635,18 @@ export class Channel {
 	 *
 	 * @param {array} members An array of member identifiers
 	 * @param {object} message Optional message object for channel members notification
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 * @return {type} The server response
 	 */
-	async demoteModerators(members, message) {
-		const data = await this.getClient().post(this._channelURL(), {
-			demote_moderators: members,
-			message,
-		});
+	async demoteModerators(members, message, options) {
+		const data = await this.getClient().post(
+			this._channelURL(),
+			{
+				demote_moderators: members,
+				message,
+			},
+			options,
+		);
 		this.data = data.channel;
 		return data;
 	}
@@ -414,12 +664,14 @@ export class Channel {
 	 *
 	 */
 	async mute(opts = {}) {
+		const { signal, ...rest } = opts;
 		return await this.getClient().post(
 			this.getClient().baseURL + '/moderation/mute/channel',
 			{
 				channel_cid: this.cid,
-				...opts,
+				...rest,
 			},
+			{ signal },
 		);
 	}
 
@@ -432,12 +684,14 @@ export class Channel {
 	 * await channel.unmute({user_id: userId});
 	 */
 	async unmute(opts = {}) {
+		const { signal, ...rest } = opts;
 		return await this.getClient().post(
 			this.getClient().baseURL + '/moderation/unmute/channel',
 			{
 				channel_cid: this.cid,
-				...opts,
+				...rest,
 			},
+			{ signal },
 		);
 	}
 
@@ -450,7 +704,7 @@ export class Channel {
 		return this.getClient()._muteStatus(this.cid);
 	}
 
-	sendAction(messageID, formData) {
+	sendAction(messageID, formData, options) {
 		this._checkInitialized();
 		if (!messageID) {
 			throw Error(`Message id is missing`);
@@ -463,6 +717,7 @@ export class Channel {
 				id: this.id,
 				type: this.type,
 			},
+			options,
 		);
 	}
 
@@ -509,12 +764,13 @@ export class Channel {
 	lastMessage() {
 		// get last 5 messages, sort, return the latest
 		// get a slice of the last 5
-		let min = this.state.messages.length - 5;
+		const messages = this.state.latestMessages;
+		let min = messages.length - 5;
 		if (min < 0) {
 			min = 0;
 		}
-		const max = this.state.messages.length + 1;
-		const messageSlice = this.state.messages.slice(min, max).asMutable();
+		const max = messages.length + 1;
+		const messageSlice = messages.slice(min, max).asMutable();
 
 		// sort by pk desc
 		messageSlice.sort((a, b) => b.created_at - a.created_at);
@@ -537,10 +793,22 @@ export class Channel {
 		if (!this.getConfig().read_events) {
 			return Promise.resolve(null);
 		}
+		// the other tabs that share the connection got the same messages
+		const lastMessage = this.lastMessage();
+		const sharedConnection = this.getClient().sharedConnection;
+		if (sharedConnection && sharedConnection.isRead(this.cid, lastMessage)) {
+			return null;
+		}
 
-		return await this.getClient().post(this._channelURL() + '/read', {
-			...data,
+		const { signal, ...rest } = data;
+		const response = await this.getClient().post(this._channelURL() + '/read', rest, {
+			signal,
 		});
+		// the connection can be closed by now
+		if (this.getClient().sharedConnection) {
+			this.getClient().sharedConnection.claimRead(this.cid, lastMessage);
+		}
+		return response;
 	}
 
 	/**
@@ -561,11 +829,12 @@ export class Channel {
 	/**
 	 * watch - Loads the initial channel state and watches for changes
 	 *
-	 * @param {object} options additional options for the query endpoint
+	 * @param {object} options additional options for the query endpoint. `signal` cancels the request,
+	 * the state isn't updated when it aborts
 	 *
 	 * @return {object} The server response
 	 */
-	async watch(options) {
+	async watch(options = {}) {
 		const defaultOptions = {
 			state: true,
 			watch: true,
@@ -581,6 +850,7 @@ export class Channel {
 
 		const combined = { ...defaultOptions, ...options };
 		const state = await this.query(combined);
+		throwIfAborted(options.signal);
 		this.initialized = true;
 		this._initializeState(state);
 		this.data = state.channel;
@@ -599,12 +869,15 @@ export class Channel {
 	/**
 	 * stopwatching - Stops watching the channel
 	 *
+	 * @param {object} [options] Request options, {signal} cancels the request
+	 *
 	 * @return {object} The server response
 	 */
-	async stopWatching() {
+	async stopWatching(options) {
 		const response = await this.getClient().post(
 			this._channelURL() + '/stop-watching',
 			{},
+			options,
 		);
 
 		this._client.logger(
@@ -619,25 +892,39 @@ export class Channel {
 		return response;
 	}
 
+	/**
+	 * thread - Returns the Thread of a parent message, with its replies, reply count, participants
+	 * and unread replies. Load the replies with thread.loadReplies()
+	 *
+	 * @param {string|object} parent The parent message or its id
+	 *
+	 * @return {Thread} The thread
+	 */
+	thread(parent) {
+		return this.state.thread(typeof parent === 'string' ? parent : parent.id);
+	}
+
 	/**
 	 * getReplies - List the message replies for a parent message
 	 *
 	 * @param {type} parent_id The message parent id, ie the top of the thread
-	 * @param {type} options   Pagination params, ie {limit:10, idlte: 10}
+	 * @param {type} options   Pagination params, ie {limit:10, idlte: 10}. `signal` cancels the request
 	 *
 	 * @return {type} A response with a list of messages
 	 */
 	async getReplies(parent_id, options) {
+		const { signal, ...params } = options || {};
 		const data = await this.getClient().get(
 			this.getClient().baseURL + `/messages/${parent_id}/replies`,
-			{
-				...options,
-			},
+			params,
+			{ signal },
 		);
+		// aborted requests don't update the state
+		throwIfAborted(signal);
 
 		// add any messages to our thread state
 		if (data.messages) {
-			this.state.addMessagesSorted(data.messages);
+			this.state.addMessagesSorted(data.messages, true);
 		}
 
 		return data;
@@ -647,16 +934,16 @@ export class Channel {
 	 * getReactions - List the reactions, supports pagination
 	 *
 	 * @param {string} message_id The message id
-	 * @param {object} options    The pagination options
+	 * @param {object} options    The pagination options, `signal` cancels the request
 	 *
 	 * @return {object} Server response
 	 */
 	getReactions(message_id, options) {
+		const { signal, ...params } = options || {};
 		return this.getClient().get(
 			this.getClient().baseURL + `/messages/${message_id}/reactions`,
-			{
-				...options,
-			},
+			params,
+			{ signal },
 		);
 	}
 
@@ -664,13 +951,16 @@ export class Channel {
 	 * getMessagesById - Retrieves a list of messages by ID
 	 *
 	 * @param {string} messageIds The ids of the messages to retrieve from this channel
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 *
 	 * @return {object} Server response
 	 */
-	getMessagesById(messageIds) {
-		return this.getClient().get(this._channelURL() + '/messages', {
-			ids: messageIds.join(','),
-		});
+	getMessagesById(messageIds, options) {
+		return this.getClient().get(
+			this._channelURL() + '/messages',
+			{ ids: messageIds.join(',') },
+			options,
+		);
 	}
 
 	/**
@@ -696,7 +986,7 @@ export class Channel {
 			lastRead = this.lastRead();
 		}
 		let count = 0;
-		for (const m of this.state.messages) {
+		for (const m of this.state.latestMessages) {
 			if (this.getClient().userID === m.user.id) {
 				continue;
 			}
@@ -722,7 +1012,7 @@ export class Channel {
 	countUnreadMentions() {
 		const lastRead = this.lastRead();
 		let count = 0;
-		for (const m of this.state.messages) {
+		for (const m of this.state.latestMessages) {
 			if (this.getClient().userID === m.user.id) {
 				continue;
 			}
@@ -746,25 +1036,32 @@ export class Channel {
 	/**
 	 * create - Creates a new channel
 	 *
+	 * @param {object} [options] Request options, {signal} cancels the request
+	 *
 	 * @return {type} The Server Response
 	 */
-	create = async () => {
-		const options = {
+	create = async (options = {}) => {
+		const query = {
 			watch: false,
 			state: false,
 			presence: false,
+			signal: options.signal,
 		};
-		return await this.query(options);
+		return await this.query(query);
 	};
 
 	/**
 	 * query - Query the API, get messages, members or other channel fields
 	 *
-	 * @param {object} options The query options
+	 * @param {object} options The query options, `signal` cancels the request. Aborted queries
+	 * don't update the state
+	 * @param {string|object} [messageSet] The message set the messages are added to, defaults to the
+	 * latest one. See ChannelState.addMessagesSorted
 	 *
 	 * @return {object} Returns a query response
 	 */
-	async query(options) {
+	async query(options = {}, messageSet = 'latest') {
+		const { signal, ...queryOptions } = options;
 		// Make sure we wait for the connect promise if there is a pending one
 		await this.getClient().wsPromise;
 
@@ -773,11 +1070,17 @@ export class Channel {
 			queryURL += `/${this.id}`;
 		}
 
-		const state = await this.getClient().post(queryURL + '/query', {
-			data: this._data,
-			state: true,
-			...options,
-		});
+		// identical queries share the request, ie. when several components load the same channel
+		const state = await this.getClient().post(
+			queryURL + '/query',
+			{
+				data: this._data,
+				state: true,
+				...queryOptions,
+			},
+			{ coalesce: true, signal },
+		);
+		throwIfAborted(signal);
 
 		// update the channel id if it was missing
 		if (!this.id) {
@@ -792,11 +1095,132 @@ export class Channel {
 		this.getClient()._addChannelConfig(state);
 
 		// add any messages to our channel state
-		this._initializeState(state);
+		this._initializeState(state, messageSet);
+
+		// the first page tells us if there are older messages
+		const messageOptions = queryOptions.messages || {};
+		const isFirstPage =
+			!messageOptions.id_lt && !messageOptions.id_lte && !messageOptions.offset;
+		if (messageSet === 'latest' && queryOptions.state !== false && isFirstPage) {
+			const limit = messageOptions.limit || DEFAULT_MESSAGE_LIMIT;
+			const latest = this.state.latestMessageSet();
+			latest.hasMoreOlder = latest.hasMoreOlder && state.messages.length >= limit;
+		}
 
 		return state;
 	}
 
+	/**
+	 * loadOlder - Loads the page of messages before the current message set, see state.hasMoreOlder.
+	 * With the messageWindow client option the newest messages of the set are dropped once it's too long
+	 *
+	 * @param {object} [options] {limit, signal}, the limit defaults to 25
+	 *
+	 * @return {Promise<array>} The messages of the page
+	 */
+	async loadOlder({ limit = DEFAULT_MESSAGE_LIMIT, signal } = {}) {
+		const messageSet = this.state.currentMessageSet();
+		if (!messageSet.hasMoreOlder) {
+			return [];
+		}
+		const oldest = messageSet.messages[0];
+		const messages = oldest ? { limit, id_lt: oldest.id } : { limit };
+		const state = await this.query({ messages, signal }, messageSet);
+		if (state.messages.length < limit) {
+			messageSet.hasMoreOlder = false;
+		}
+		this.state.trimMessageSet(messageSet, 'older');
+		return state.messages;
+	}
+
+	/**
+	 * loadNewer - Loads the page of messages after the current message set, see state.hasMoreNewer.
+	 * The set becomes the latest one once it reaches the newest message
+	 *
+	 * @param {object} [options] {limit, signal}, the limit defaults to 25
+	 *
+	 * @return {Promise<array>} The messages of the page
+	 */
+	async loadNewer({ limit = DEFAULT_MESSAGE_LIMIT, signal } = {}) {
+		const messageSet = this.state.currentMessageSet();
+		if (!messageSet.hasMoreNewer) {
+			return [];
+		}
+		const newest = messageSet.messages[messageSet.messages.length - 1];
+		const messages = newest ? { limit, id_gt: newest.id } : { limit };
+		const state = await this.query({ messages, signal }, messageSet);
+		if (state.messages.length < limit) {
+			this.state.markLatestMessageSet(messageSet);
+		}
+		this.state.trimMessageSet(messageSet, 'newer');
+		return state.messages;
+	}
+
+	/**
+	 * jumpToMessage - Makes the message set with the message the current one, ie. to show a search
+	 * result or a quoted message. The messages around it are loaded when it isn't part of the state,
+	 * they're kept in a new message set next to the latest one
+	 *
+	 * @param {string} messageID The id of the message
+	 * @param {object} [options] {limit, signal}, the number of messages around the message, defaults to 25
+	 *
+	 * @return {Promise<object>} The message set
+	 */
+	async jumpToMessage(messageID, { limit = DEFAULT_MESSAGE_LIMIT, signal } = {}) {
+		const existing = this.state.findMessageSet(messageID);
+		if (existing) {
+			this.state.setCurrentMessageSet(existing);
+			return existing;
+		}
+		const olderLimit = Math.ceil(limit / 2);
+		const newerLimit = Math.max(limit - olderLimit, 1);
+		const messageSet = this.state.addMessageSet();
+		try {
+			const older = await this.query(
+				{ messages: { limit: olderLimit, id_lte: messageID }, signal },
+				messageSet,
+			);
+			if (!older.messages.some(message => message.id === messageID)) {
+				throw new Error(
+					`Message ${messageID} is not part of channel ${this.cid}`,
+				);
+			}
+			if (older.messages.length < olderLimit) {
+				messageSet.hasMoreOlder = false;
+			}
+			const newer = await this.query(
+				{ messages: { limit: newerLimit, id_gt: messageID }, signal },
+				messageSet,
+			);
+			if (newer.messages.length < newerLimit) {
+				this.state.markLatestMessageSet(messageSet);
+			}
+		} catch (error) {
+			if (!messageSet.messages.length) {
+				this.state.removeMessageSet(messageSet);
+			}
+			throw error;
+		}
+		this.state.setCurrentMessageSet(messageSet);
+		return messageSet;
+	}
+
+	/**
+	 * jumpToLatest - Makes the latest message set the current one
+	 *
+	 * @param {object} [options] {limit, signal}, the page size when the latest messages need to be loaded
+	 *
+	 * @return {Promise<object>} The message set
+	 */
+	async jumpToLatest({ limit = DEFAULT_MESSAGE_LIMIT, signal } = {}) {
+		const latest = this.state.latestMessageSet();
+		if (!latest.messages.length) {
+			await this.query({ messages: { limit }, signal }, latest);
+		}
+		this.state.setCurrentMessageSet(latest);
+		return latest;
+	}
+
 	/**
 	 * banUser - Bans a user from a channel
 	 *
@@ -819,41 +1243,51 @@ export class Channel {
 	 *
 	 * @param userId
 	 * @param clearHistory
+	 * @param [options] Request options, {signal} cancels the request
 	 * @returns {Promise<*>}
 	 */
-	async hide(userId = null, clearHistory = false) {
+	async hide(userId = null, clearHistory = false, options) {
 		this._checkInitialized();
 
-		return await this.getClient().post(`${this._channelURL()}/hide`, {
-			user_id: userId,
-			clear_history: clearHistory,
-		});
+		return await this.getClient().post(
+			`${this._channelURL()}/hide`,
+			{
+				user_id: userId,
+				clear_history: clearHistory,
+			},
+			options,
+		);
 	}
 
 	/**
 	 * removes the hidden status for a channel
 	 *
 	 * @param userId
+	 * @param [options] Request options, {signal} cancels the request
 	 * @returns {Promise<*>}
 	 */
-	async show(userId = null) {
+	async show(userId = null, options) {
 		this._checkInitialized();
-		return await this.getClient().post(`${this._channelURL()}/show`, {
-			user_id: userId,
-		});
+		return await this.getClient().post(
+			`${this._channelURL()}/show`,
+			{ user_id: userId },
+			options,
+		);
 	}
 
 	/**
 	 * banUser - Removes the bans for a user on a channel
 	 *
 	 * @param targetUserID
+	 * @param [options] Request options, {signal} cancels the request
 	 * @returns {Promise<*>}
 	 */
-	async unbanUser(targetUserID) {
+	async unbanUser(targetUserID, options = {}) {
 		this._checkInitialized();
 		return await this.getClient().unbanUser(targetUserID, {
 			type: this.type,
 			id: this.id,
+			signal: options.signal,
 		});
 	}
 
@@ -948,9 +1382,15 @@ export class Channel {
 				break;
 			case 'message.new':
 			case 'message.updated':
-			case 'message.deleted':
 				s.addMessageSorted(event.message);
 				break;
+			case 'message.deleted':
+				if (event.hard_delete) {
+					s.removeMessage(event.message);
+				} else {
+					s.addMessageSorted(event.message);
+				}
+				break;
 			case 'channel.truncated':
 				s.clearMessages();
 				break;
@@ -984,6 +1424,65 @@ export class Channel {
 		}
 	}
 
+	/**
+	 * _optimisticUpdate - Applies a change to a message in the local state without waiting for the API.
+	 * The message is tagged with `pending` until the request succeeds. When it fails the message is
+	 * restored and an optimistic_update.failed event is emitted, so the UI can show an error.
+	 *
+	 * Only used client side with the optimisticUpdates option enabled, otherwise this simply runs the request.
+	 * If the message changes again before the request finishes, the most recent change wins.
+	 *
+	 * @param {string} messageID The id of the message that changes
+	 * @param {string} action The type of the event that describes the change, ie. reaction.new
+	 * @param {function} apply Receives the current message and applies the change to the state. Changes
+	 * that putting the previous message back doesn't revert, ie. removing it, return a function that
+	 * undoes them
+	 * @param {function} request Runs the API request
+	 *
+	 * @return {Promise} The server response
+	 */
+	async _optimisticUpdate(messageID, action, apply, request) {
+		const client = this.getClient();
+		const previous = this.state.findMessage(messageID);
+		if (
+			!client.options.optimisticUpdates ||
+			client._isUsingServerAuth() ||
+			!previous
+		) {
+			return await request();
+		}
+
+		const pending = { id: uuidv4(), action };
+		const isPending = message => message.pending && message.pending.id === pending.id;
+		const undo = apply(previous);
+		this.state._updateMessage(previous, message => message.set('pending', pending));
+
+		let response;
+		try {
+			response = await request();
+		} catch (error) {
+			if (typeof undo === 'function') {
+				undo();
+			}
+			this.state._updateMessage(previous, message =>
+				isPending(message) ? previous : message,
+			);
+			client.dispatchEvent({
+				type: 'optimistic_update.failed',
+				cid: this.cid,
+				action,
+				message: this.state.findMessage(messageID),
+				error,
+			});
+			throw error;
+		}
+
+		this.state._updateMessage(previous, message =>
+			isPending(message) ? message.without('pending') : message,
+		);
+		return response;
+	}
+
 	_callChannelListeners = event => {
 		const channel = this;
 		// gather and call the listeners
@@ -1021,7 +1520,7 @@ export class Channel {
 		}
 	}
 
-	_initializeState(state) {
+	_initializeState(state, messageSet = 'latest') {
 		// add the Users
 		if (state.members) {
 			for (const m of state.members) {
@@ -1042,7 +1541,7 @@ export class Channel {
 		if (!this.state.messages) {
 			this.state.messages = Immutable([]);
 		}
-		this.state.addMessagesSorted(messages, true);
+		this.state.addMessagesSorted(messages, true, messageSet);
 		this.state.watcher_count = state.watcher_count;
 		// convert the arrays into objects for easier syncing...
 		if (state.watchers) {
@@ -1079,6 +1578,11 @@ export class Channel {
 				this.state.members = this.state.members.set(m.user.id, m);
 			}
 		}
+
+		const { stateStore } = this.getClient();
+		if (stateStore) {
+			stateStore.scheduleSave();
+		}
 	}
 
 	_disconnect() {
@@ -0,0 +1,227 @@
+import { logChatPromiseExecution } from './utils';
+
+/** the sort fields that put the channel with the newest message first */
+const RECENT_FIRST_FIELDS = ['last_message_at', 'updated_at'];
+
+/**
+ * ChannelList - A list of channels that loads its pages with queryChannels and keeps itself up to
+ * date with the events of the client:
+ *
+ * - `message.new` moves the channel to the top when the list is sorted by last_message_at or
+ *   updated_at, which is the default sort
+ * - `notification.message_new` and `notification.added_to_channel` add the channel when it matches
+ *   the filters of the list, at the top or where the sort puts it
+ * - `channel.deleted`, `notification.removed_from_channel` and `channel.hidden` remove it
+ *
+ * The client emits a channel_list.changed event every time the channels, loading, hasMore or error
+ * change. Call dispose() once the list isn't used anymore.
+ *
+ * @param {StreamChat} client The client
+ * @param {object} filters MongoDB style filter conditions, see queryChannels
+ * @param {object} [sort] Sort options, for instance {last_message_at: -1}
+ * @param {object} [options] The queryChannels options, `limit` is the page size and defaults to 10
+ */
+export class ChannelList {
+	constructor(client, filters, sort = {}, { limit = 10, ...options } = {}) {
+		this.client = client;
+		this.filters = filters;
+		this.sort = sort;
+		this.limit = limit;
+		this.options = options;
+		this.channels = [];
+		this.loading = false;
+		this.hasMore = true;
+		this.error = null;
+		/** the pending page, loadMore is a no-op while it's loading */
+		this.loadPromise = null;
+		/** incremented by reload so pages of the previous load are dropped */
+		this.generation = 0;
+		this.listener = client.on(this._handleEvent);
+	}
+
+	/**
+	 * loadMore - Loads the next page of channels, the channels of the list are skipped with `offset`
+	 *
+	 * @param {object} [options] {signal} cancels the request
+	 *
+	 * @return {Promise<array>} The channels of the list
+	 */
+	loadMore({ signal } = {}) {
+		if (this.loadPromise) {
+			return this.loadPromise;
+		}
+		if (!this.hasMore) {
+			return Promise.resolve(this.channels);
+		}
+		const generation = this.generation;
+		this._update({ loading: true, error: null });
+		const promise = this.client
+			.queryChannels(this.filters, this.sort, {
+				...this.options,
+				limit: this.limit,
+				offset: this.channels.length,
+				signal,
+			})
+			.then(
+				page => {
+					if (generation !== this.generation) {
+						return this.channels;
+					}
+					this.loadPromise = null;
+					// a channel moves to the next page when a channel is added to the top
+					const cids = this.channels.map(channel => channel.cid);
+					this._update({
+						channels: [
+							...this.channels,
+							...page.filter(channel => cids.indexOf(channel.cid) === -1),
+						],
+						loading: false,
+						hasMore: page.length >= this.limit,
+					});
+					return this.channels;
+				},
+				error => {
+					if (generation === this.generation) {
+						this.loadPromise = null;
+						this._update({ loading: false, error });
+					}
+					throw error;
+				},
+			);
+		this.loadPromise = promise;
+		return promise;
+	}
+
+	/**
+	 * reload - Drops the loaded channels and loads the first page again
+	 *
+	 * @param {object} [options] {signal} cancels the request
+	 *
+	 * @return {Promise<array>} The channels of the list
+	 */
+	reload(options) {
+		this.generation += 1;
+		this.loadPromise = null;
+		this._update({ channels: [], loading: false, hasMore: true, error: null });
+		return this.loadMore(options);
+	}
+
+	/**
+	 * dispose - Stops listening to the events of the client
+	 */
+	dispose() {
+		this.generation += 1;
+		this.listener.unsubscribe();
+	}
+
+	_handleEvent = event => {
+		switch (event.type) {
+			case 'message.new':
+				if (this._movesToTop()) {
+					this._moveToTop(event.cid);
+				}
+				break;
+			case 'notification.message_new':
+			case 'notification.added_to_channel':
+				logChatPromiseExecution(this._addChannel(event.channel), 'add channel');
+				break;
+			case 'channel.deleted':
+			case 'notification.removed_from_channel':
+			case 'channel.hidden':
+				this._remove(event.cid || (event.channel && event.channel.cid));
+				break;
+			default:
+		}
+	};
+
+	_movesToTop() {
+		const fields = Object.keys(this.sort);
+		return (
+			!fields.length ||
+			(RECENT_FIRST_FIELDS.indexOf(fields[0]) !== -1 && this.sort[fields[0]] < 0)
+		);
+	}
+
+	_indexOf(cid) {
+		return this.channels.findIndex(channel => channel.cid === cid);
+	}
+
+	_moveToTop(cid) {
+		const index = this._indexOf(cid);
+		if (index > 0) {
+			const channel = this.channels[index];
+			const others = this.channels.filter((c, i) => i !== index);
+			this._update({ channels: [channel, ...others] });
+		}
+	}
+
+	async _addChannel(data) {
+		if (this._indexOf(data.cid) !== -1) {
+			if (this._movesToTop()) {
+				this._moveToTop(data.cid);
+			}
+			return;
+		}
+		const generation = this.generation;
+		// the API checks the channel against the filters of the list, and watches it
+		const [channel] = await this.client.queryChannels(
+			{ $and: [this.filters, { cid: data.cid }] },
+			this.sort,
+			{ ...this.options, limit: 1, offset: 0 },
+		);
+		// the list was reloaded, or the channel was added by another event meanwhile
+		if (
+			!channel ||
+			generation !== this.generation ||
+			this._indexOf(channel.cid) !== -1
+		) {
+			return;
+		}
+		const index = this._movesToTop() ? 0 : this._sortedIndex(channel);
+		// a channel after the loaded ones comes with one of the next pages
+		if (index === this.channels.length && this.hasMore) {
+			return;
+		}
+		const channels = [...this.channels];
+		channels.splice(index, 0, channel);
+		this._update({ channels });
+	}
+
+	/**
+	 * _sortedIndex - Returns where the channel goes in the list, compares the channel data by the
+	 * sort fields of the list
+	 */
+	_sortedIndex(channel) {
+		const index = this.channels.findIndex(
+			other => this._compare(channel.data, other.data) < 0,
+		);
+		return index === -1 ? this.channels.length : index;
+	}
+
+	_compare(a = {}, b = {}) {
+		for (const [field, direction] of Object.entries(this.sort)) {
+			const x = a[field];
+			const y = b[field];
+			if (x !== y) {
+				// channels without the field go last
+				if (x == null) return 1;
+				if (y == null) return -1;
+				return (x < y ? -1 : 1) * direction;
+			}
+		}
+		return 0;
+	}
+
+	_remove(cid) {
+		if (this._indexOf(cid) !== -1) {
+			this._update({
+				channels: this.channels.filter(channel => channel.cid !== cid),
+			});
+		}
+	}
+
+	_update(changes) {
+		Object.assign(this, changes);
+		this.client.dispatchEvent({ type: 'channel_list.changed', channelList: this });
+	}
+}
@@ -1,21 +1,51 @@
 import Immutable from 'seamless-immutable';
+import { MessageList } from './message_list';
+import { Thread } from './thread';
 
 /**
  * ChannelState - A container class for the channel state.
  */
 
-function byDate(a, b) {
-	return a.created_at - b.created_at;
+function createMessageSet({ isLatest = false, isCurrent = false } = {}) {
+	return {
+		/** the messages indexed by id, see MessageList */
+		list: new MessageList(),
+		get messages() {
+			return this.list.messages;
+		},
+		set messages(messages) {
+			this.list.reset(messages);
+		},
+		isLatest,
+		isCurrent,
+		hasMoreOlder: true,
+		hasMoreNewer: !isLatest,
+	};
 }
 
+/** the newest messages stay in the latest set when it's trimmed, for the unread counts */
+const LATEST_MESSAGES_KEPT = 25;
+
 export class ChannelState {
 	constructor(channel) {
 		this._channel = channel;
 		this.watcher_count = 0;
 		this.typing = Immutable({});
 		this.read = Immutable({});
-		this.messages = Immutable([]);
+		/**
+		 * the loaded messages in disjoint sets of consecutive messages. New messages go to the latest
+		 * set, `messages` are the ones of the current set, see channel.jumpToMessage
+		 */
+		this.messageSets = [createMessageSet({ isLatest: true, isCurrent: true })];
+		/** the replies by parent message id, the same as the replies of activeThreads */
 		this.threads = Immutable({});
+		/** the Thread of every parent message we know replies of, see thread() */
+		this.activeThreads = {};
+		/**
+		 * the parent id of every reply by reply id. With the indexes of the message sets and the
+		 * threads a message is found by id in O(1), see findMessage
+		 */
+		this.threadIndex = new Map();
 		// a list of users to hide messages from
 		this.mutedUsers = Immutable([]);
 		this.watchers = Immutable({});
@@ -25,6 +55,156 @@ export class ChannelState {
 			channel.last_message_at != null ? new Date(channel.last_message_at) : null;
 	}
 
+	/**
+	 * messages - The messages of the current message set, the ones the user looks at
+	 */
+	get messages() {
+		return this.currentMessageSet().messages;
+	}
+
+	set messages(messages) {
+		this.currentMessageSet().messages = messages;
+	}
+
+	/**
+	 * latestMessages - The messages of the latest message set, it ends with the newest message
+	 */
+	get latestMessages() {
+		return this.latestMessageSet().messages;
+	}
+
+	/**
+	 * hasMoreOlder - false once the current message set starts with the first message of the channel
+	 */
+	get hasMoreOlder() {
+		return this.currentMessageSet().hasMoreOlder;
+	}
+
+	/**
+	 * hasMoreNewer - false when the current message set is the latest one
+	 */
+	get hasMoreNewer() {
+		return this.currentMessageSet().hasMoreNewer;
+	}
+
+	currentMessageSet() {
+		return this.messageSets.find(set => set.isCurrent);
+	}
+
+	latestMessageSet() {
+		return this.messageSets.find(set => set.isLatest);
+	}
+
+	/**
+	 * findMessageSet - Returns the message set that contains the message
+	 *
+	 * @param {string} messageID The id of the message
+	 *
+	 * @return {object} The message set or undefined
+	 */
+	findMessageSet(messageID) {
+		return this.messageSets.find(set => set.list.has(messageID));
+	}
+
+	/**
+	 * addMessageSet - Adds an empty message set, see channel.jumpToMessage
+	 *
+	 * @return {object} The message set
+	 */
+	addMessageSet() {
+		const messageSet = createMessageSet();
+		this.messageSets = [...this.messageSets, messageSet];
+		return messageSet;
+	}
+
+	/**
+	 * removeMessageSet - Removes a message set that isn't the latest one
+	 *
+	 * @param {object} messageSet The message set
+	 */
+	removeMessageSet(messageSet) {
+		if (messageSet.isLatest) {
+			return;
+		}
+		this.messageSets = this.messageSets.filter(set => set !== messageSet);
+		if (messageSet.isCurrent) {
+			this.setCurrentMessageSet(this.latestMessageSet());
+		}
+	}
+
+	/**
+	 * setCurrentMessageSet - Makes the message set the current one, its messages become state.messages
+	 *
+	 * @param {object} messageSet The message set
+	 */
+	setCurrentMessageSet(messageSet) {
+		for (const set of this.messageSets) {
+			set.isCurrent = set === messageSet;
+		}
+	}
+
+	/**
+	 * markLatestMessageSet - Merges the latest set into a set that reached the newest message of the channel
+	 *
+	 * @param {object} messageSet The message set
+	 */
+	markLatestMessageSet(messageSet) {
+		const latest = this.latestMessageSet();
+		if (latest !== messageSet) {
+			this._mergeMessageSet(messageSet, latest);
+		}
+	}
+
+	/**
+	 * trimMessageSet - Drops the messages of the set that are furthest away from the page that was
+	 * loaded, so the set doesn't have more than the messageWindow client option
+	 *
+	 * @param {object} messageSet The message set
+	 * @param {string} direction The direction of the page that was loaded, older or newer
+	 */
+	trimMessageSet(messageSet, direction) {
+		const max = this._channel.getClient().options.messageWindow;
+		if (!max || messageSet.messages.length <= max) {
+			return;
+		}
+		if (direction === 'newer') {
+			messageSet.messages = messageSet.messages.slice(-max);
+			messageSet.hasMoreOlder = true;
+			return;
+		}
+		const dropped = messageSet.messages.slice(max);
+		messageSet.messages = messageSet.messages.slice(0, max);
+		messageSet.hasMoreNewer = true;
+		if (messageSet.isLatest) {
+			// new messages keep going to the latest set
+			const latest = createMessageSet({ isLatest: true });
+			latest.messages = dropped.slice(-LATEST_MESSAGES_KEPT);
+			messageSet.isLatest = false;
+			this.messageSets = [...this.messageSets, latest];
+		}
+	}
+
+	/**
+	 * thread - Returns the Thread of a parent message, it's created the first time
+	 *
+	 * @param {string} parentID The id of the parent message
+	 *
+	 * @return {Thread} The thread
+	 */
+	thread(parentID) {
+		if (!this.activeThreads[parentID]) {
+			const thread = new Thread(this._channel, parentID);
+			for (const set of this.messageSets) {
+				if (set.list.has(parentID)) {
+					thread._setParent(set.list.get(parentID));
+					break;
+				}
+			}
+			this.activeThreads[parentID] = thread;
+		}
+		return this.activeThreads[parentID];
+	}
+
 	/**
 	 * addMessageSorted - Add a message to the state
 	 *
@@ -54,89 +234,192 @@ export class ChannelState {
 	}
 
 	/**
-	 * addMessagesSorted - Add the list of messages to state and resorts the messages
+	 * addMessagesSorted - Add the list of messages to state, every message is inserted where it belongs
+	 *
+	 * Messages that are part of a message set are updated, the others are added to the latest set.
+	 * Pages of consecutive messages are added to the messageSet instead, the sets they overlap with
+	 * are merged into it.
+	 *
+	 * Replies are added to their Thread. The replies of the threads are kept when the channel is
+	 * initialized again, ie. after a reconnect, only the replies added without initializing are live
+	 * replies that count as new and unread.
 	 *
 	 * @param {array}   newMessages    A list of messages
-	 * @param {boolean} initializing   Weather channel is being initialized.
+	 * @param {boolean} initializing   Weather channel is being initialized, or it's a page of messages.
+	 * @param {string|object} [messageSet] The set of a page: latest, current or one of the messageSets
 	 *
+	 * @return {object} The message set of the page
 	 */
-	addMessagesSorted(newMessages, initializing = false) {
+	addMessagesSorted(newMessages, initializing = false, messageSet) {
 		// parse all the new message dates and add __html for react
 		const parsedMessages = [];
 		for (const message of newMessages) {
-			if (initializing && this.threads[message.id]) {
-				// If we are initializing the state of channel (e.g., in case of connection recovery),
-				// then in that case we remove thread related to this message from threads object.
-				// This way we can ensure that we don't have any stale data in thread object
-				// and consumer can refetch the replies.
-				this.threads = Immutable.without(this.threads, message.id);
-			}
 			const parsedMsg = this.messageToImmutable(message);
 			parsedMessages.push(parsedMsg);
+			// the parent has the reply count
+			if (this.activeThreads[parsedMsg.id]) {
+				this.activeThreads[parsedMsg.id]._setParent(parsedMsg);
+			}
 			if (parsedMsg.created_at > this.last_message_at) {
 				this.last_message_at = parsedMsg.created_at;
 			}
 		}
 
 		// update or append the messages...
+		const target = messageSet
+			? this._pageMessageSet(messageSet, parsedMessages)
+			: null;
+		const live = !initializing && !messageSet;
 		const updatedThreads = [];
+		const changedThreads = [];
 		for (const message of parsedMessages) {
 			const isThreadReply = message.parent_id && !message.show_in_channel;
 			// add to the main message list
 			if (!isThreadReply) {
-				this.messages = this._addToMessageList(this.messages, message);
+				for (const set of this._messageSetsFor(message, target)) {
+					set.list.upsert(message);
+				}
 			}
 			// add to the thread if applicable..
-			const parentID = message.parent_id;
-			if (parentID) {
-				const thread = this.threads[parentID] || Immutable([]);
-				const threadMessages = this._addToMessageList(thread, message);
-				this.threads = this.threads.set(parentID, threadMessages);
-				updatedThreads.push(parentID);
+			if (message.parent_id) {
+				this.threadIndex.set(message.id, message.parent_id);
+				const thread = this.thread(message.parent_id);
+				if (
+					thread._addReply(message, live) &&
+					changedThreads.indexOf(thread) === -1
+				) {
+					changedThreads.push(thread);
+				}
+				if (updatedThreads.indexOf(thread) === -1) {
+					updatedThreads.push(thread);
+				}
+			}
+		}
+
+		for (const thread of updatedThreads) {
+			this._syncThread(thread);
+		}
+		if (target) {
+			this._mergeOverlappingMessageSets(target);
+		}
+		for (const thread of changedThreads) {
+			thread._changed();
+		}
+		return target;
+	}
+
+	/**
+	 * _messageSetsFor - The sets a message goes to: the set of the page, otherwise every set that
+	 * has the message already, or the latest set for new messages
+	 */
+	_messageSetsFor(message, target) {
+		if (target) {
+			return [target];
+		}
+		const sets = this.messageSets.filter(set => set.list.has(message.id));
+		return sets.length ? sets : [this.latestMessageSet()];
+	}
+
+	_mergeOverlappingMessageSets(target) {
+		for (const set of this.messageSets.slice()) {
+			const overlaps =
+				set !== target &&
+				set.list.length > 0 &&
+				target.messages.some(message => set.list.has(message.id));
+			if (overlaps) {
+				this._mergeMessageSet(target, set);
 			}
 		}
+	}
+
+	/**
+	 * _syncThread - Updates state.threads with the replies of the thread
+	 */
+	_syncThread(thread) {
+		this.threads = this.threads.set(thread.parentID, thread.replies);
+	}
+
+	_pageMessageSet(messageSet, messages) {
+		if (typeof messageSet === 'object') {
+			return messageSet;
+		}
+		if (messageSet === 'current') {
+			return this.currentMessageSet();
+		}
+		const latest = this.latestMessageSet();
+		const last = latest.list.last();
+		const page = messages.filter(
+			message => !message.parent_id || message.show_in_channel,
+		);
+		// a page that is newer than the latest set without overlapping it, ie. after being offline
+		// for a long time, means we missed the messages in between
+		const gap =
+			!!last &&
+			page.length > 0 &&
+			page.every(
+				message =>
+					message.created_at > last.created_at && !latest.list.has(message.id),
+			);
+		if (!gap) {
+			return latest;
+		}
+		const newLatest = createMessageSet({
+			isLatest: true,
+			isCurrent: latest.isCurrent,
+		});
+		Object.assign(latest, { isLatest: false, isCurrent: false, hasMoreNewer: true });
+		this.messageSets = [...this.messageSets, newLatest];
+		return newLatest;
+	}
 
-		// Resort the main messages and the threads that changed...
-		const messages = [...this.messages];
-		messages.sort(byDate);
-		this.messages = Immutable(messages);
-		for (const parentID of updatedThreads) {
-			const threadMessages = this.threads[parentID]
-				? [...this.threads[parentID]]
-				: [];
-			threadMessages.sort(byDate);
-			this.threads = this.threads.set(parentID, threadMessages);
+	/**
+	 * _mergeMessageSet - Merges the messages and the flags of a set into the target and removes it
+	 */
+	_mergeMessageSet(target, set) {
+		if (
+			set.list.length &&
+			(!target.list.length ||
+				set.list.first().created_at < target.list.first().created_at)
+		) {
+			target.hasMoreOlder = set.hasMoreOlder;
 		}
+		if (
+			set.list.length &&
+			(!target.list.length ||
+				set.list.last().created_at > target.list.last().created_at)
+		) {
+			target.hasMoreNewer = set.hasMoreNewer;
+		}
+		for (const message of set.messages) {
+			if (!target.list.has(message.id)) {
+				target.list.upsert(message);
+			}
+		}
+		target.isLatest = target.isLatest || set.isLatest;
+		target.isCurrent = target.isCurrent || set.isCurrent;
+		if (target.isLatest) {
+			target.hasMoreNewer = false;
+		}
+		this.messageSets = this.messageSets.filter(s => s !== set);
 	}
 
 	addReaction(reaction, message) {
-		const { messages } = this;
 		if (!message) return;
 		const { parent_id, show_in_channel } = message;
 
-		if (parent_id && this.threads[parent_id]) {
-			const thread = this.threads[parent_id];
-
-			for (let i = 0; i < thread.length; i++) {
-				let message = thread[i];
-				message = this._addReactionToMessage(message, reaction);
-				if (!message) {
-					continue;
-				}
-				this.threads = this.threads.set(parent_id, thread.set(i, message));
-				break;
-			}
+		const thread = parent_id && this.activeThreads[parent_id];
+		if (thread) {
+			thread.list.update(reaction.message_id, message =>
+				this._addReactionToMessage(message, reaction),
+			);
+			this._syncThread(thread);
 		}
 
 		if ((!show_in_channel && !parent_id) || show_in_channel) {
-			for (let i = 0; i < messages.length; i++) {
-				let message = messages[i];
-				message = this._addReactionToMessage(message, reaction);
-				if (!message) {
-					continue;
-				}
-				this.messages = messages.set(i, message);
-				break;
+			for (const set of this.messageSets) {
+				set.list.update(reaction.message_id, message =>
+					this._addReactionToMessage(message, reaction),
+				);
 			}
 		}
 	}
@@ -148,6 +431,8 @@ export class ChannelState {
 			return false;
 		}
 
+		// the echo of an optimistic update or a replayed event shouldn't be counted twice
+		const alreadyCounted = this._isReactionCounted(message, reaction);
 		message = this._removeReactionFromMessage(message, reaction);
 		if (this._channel.getClient().userID === reaction.user.id) {
 			message = message.update('own_reactions', (old = []) =>
@@ -158,15 +443,46 @@ export class ChannelState {
 			old.concat([reaction]),
 		);
 
-		message = message.updateIn(['reaction_counts', reaction.type], old =>
-			old ? old + 1 : 1,
-		);
+		if (!alreadyCounted) {
+			message = message.updateIn(['reaction_counts', reaction.type], old =>
+				old ? old + 1 : 1,
+			);
+		}
 
 		return message;
 	}
 
+	/**
+	 * _isReactionCounted - Checks if the reaction is already part of the message's reaction counts.
+	 * own_reactions is complete for the current user, latest_reactions only has the most recent ones.
+	 *
+	 * @param {object} message The message
+	 * @param {object} reaction The reaction, needs to have the type and user specified
+	 *
+	 * @return {boolean}
+	 */
+	_isReactionCounted(message, reaction) {
+		const isOwn = this._channel.getClient().userID === reaction.user.id;
+		const reactions =
+			(isOwn ? message.own_reactions : message.latest_reactions) || [];
+		return reactions.some(
+			item => item.type === reaction.type && item.user.id === reaction.user.id,
+		);
+	}
+
+	_decrementReactionCount(message, reaction) {
+		const isOwn = this._channel.getClient().userID === reaction.user.id;
+		// we can't know for sure for other users, their reaction might not be in latest_reactions
+		if (isOwn && !this._isReactionCounted(message, reaction)) {
+			return message;
+		}
+		return message.updateIn(['reaction_counts', reaction.type], old =>
+			old ? old - 1 : 0,
+		);
+	}
+
 	_removeReactionFromMessage(message, reaction) {
-		const filterReaction = old =>
+		const filterReaction = (old = []) =>
 			old.filter(
 				item => item.type !== reaction.type || item.user.id !== reaction.user.id,
 			);
@@ -176,105 +492,223 @@ export class ChannelState {
 	}
 
 	removeReaction(reaction, message) {
-		const { messages } = this;
 		if (!message) return;
 		const { parent_id, show_in_channel } = message;
+		const remove = message =>
+			this._removeReactionFromMessage(
+				this._decrementReactionCount(message, reaction),
+				reaction,
+			);
 
-		if (parent_id && this.threads[parent_id]) {
-			const thread = this.threads[parent_id];
-			for (let i = 0; i < thread.length; i++) {
-				let message = thread[i];
-				const idMatch = message.id && message.id === reaction.message_id;
-
-				if (!idMatch) {
-					continue;
-				}
-				message = this._removeReactionFromMessage(message, reaction);
-				message = message.updateIn(['reaction_counts', reaction.type], old =>
-					old ? old - 1 : 0,
-				);
-
-				this.threads = this.threads.set(parent_id, thread.set(i, message));
-				break;
-			}
+		const thread = parent_id && this.activeThreads[parent_id];
+		if (thread) {
+			thread.list.update(reaction.message_id, remove);
+			this._syncThread(thread);
 		}
 		if ((!show_in_channel && !parent_id) || show_in_channel) {
-			for (let i = 0; i < messages.length; i++) {
-				let message = messages[i];
-				const idMatch = message.id && message.id === reaction.message_id;
-
-				if (!idMatch) {
-					continue;
-				}
-				message = this._removeReactionFromMessage(message, reaction);
-				message = message.updateIn(['reaction_counts', reaction.type], old =>
-					old ? old - 1 : 0,
-				);
+			for (const set of this.messageSets) {
+				set.list.update(reaction.message_id, remove);
+			}
+		}
+	}
 
-				this.messages = messages.set(i, message);
-				break;
+	/**
+	 * findMessage - Finds a message by id in the main message list or in the threads
+	 *
+	 * @param {string} messageID The id of the message
+	 * @param {string} [parentID] The id of the thread's parent message, replies are found without it too
+	 *
+	 * @return {object} The immutable message or undefined if the message isn't part of the state
+	 */
+	findMessage(messageID, parentID) {
+		const thread = this.activeThreads[parentID || this.threadIndex.get(messageID)];
+		const reply = thread && thread.list.get(messageID);
+		if (reply) {
+			return reply;
+		}
+		for (const set of this.messageSets) {
+			const message = set.list.get(messageID);
+			if (message) {
+				return message;
 			}
 		}
 	}
 
 	/**
-	 * _addToMessageList - Adds a message to a list of messages, tries to update first, appends if message isnt found
+	 * replaceMessage - Replaces every copy of the message, in the message sets and in its thread.
+	 * Messages that aren't part of the state aren't added
 	 *
-	 * @param {array} messages A list of messages
-	 * @param {object} newMessage The new message
+	 * @param {object} message The new version of the message, needs to have an id
 	 *
+	 * @return {boolean} Returns if the message was found
 	 */
-	_addToMessageList(messages, newMessage) {
-		let updated = false;
+	replaceMessage(message) {
+		const immutable = this.messageToImmutable(message);
+		return this._updateMessage(immutable, () => immutable);
+	}
 
-		for (let i = 0; i < messages.length; i++) {
-			const message = messages[i];
-			const idMatch = message.id && newMessage.id && message.id === newMessage.id;
+	/**
+	 * softDeleteMessage - Marks every copy of the message as deleted, the message stays in the state
+	 * with the deleted type, the same as the message.deleted event does
+	 *
+	 * @param {string} messageID The id of the message
+	 * @param {Date} [deletedAt] Defaults to now
+	 *
+	 * @return {boolean} Returns if the message was found
+	 */
+	softDeleteMessage(messageID, deletedAt = new Date()) {
+		return this._updateMessage({ id: messageID }, message =>
+			message.merge({ type: 'deleted', deleted_at: deletedAt }),
+		);
+	}
 
-			if (idMatch) {
-				messages = messages.set(i, newMessage);
-				updated = true;
-			}
+	/**
+	 * _updateMessage - Replaces every copy of the message (main list and thread) with the result of the update function
+	 *
+	 * @param {object} message The message, needs to have an id. The thread of replies is found by id when parent_id is missing
+	 * @param {function} update Receives the current immutable message and returns the new one
+	 *
+	 * @return {boolean} Returns if the message was found
+	 */
+	_updateMessage(message, update) {
+		let updated = false;
+		const parentID = message.parent_id || this.threadIndex.get(message.id);
+		const thread = parentID && this.activeThreads[parentID];
+		if (thread && thread.list.update(message.id, update)) {
+			this._syncThread(thread);
+			updated = true;
 		}
-
-		if (!updated) {
-			messages = messages.concat([newMessage]);
+		for (const set of this.messageSets) {
+			updated = set.list.update(message.id, update) || updated;
 		}
+		return updated;
+	}
 
-		return messages;
+	/**
+	 * _updateMessageSets - Replaces the messages of every message set with the result of the update function
+	 *
+	 * @param {function} update Receives the immutable messages of a set and returns the new ones
+	 */
+	_updateMessageSets(update) {
+		for (const set of this.messageSets) {
+			set.messages = update(set.messages);
+		}
 	}
 
 	/**
-	 * removeMessage - Description
+	 * removeMessage - Removes every copy of the message, in the message sets and in its thread. When
+	 * the message is the parent of a thread, the thread and its replies are removed as well. Used
+	 * for hard deleted messages
 	 *
 	 * @param {type} messageToRemove Object of the message to remove. Needs to have at id specified.
 	 *
 	 * @return {boolean} Returns if the message was removed
 	 */
 	removeMessage(messageToRemove) {
+		const { id } = messageToRemove;
 		let isRemoved = false;
-		if (messageToRemove.parent_id && this.threads[messageToRemove.parent_id]) {
-			const { removed, result: threadMessages } = this.removeMessageFromArray(
-				this.threads[messageToRemove.parent_id],
-				messageToRemove,
-			);
-			this.threads = this.threads[messageToRemove.parent_id].set(
-				messageToRemove.parent_id,
-				threadMessages,
-			);
-			isRemoved = removed;
-		} else {
-			const { removed, result: messages } = this.removeMessageFromArray(
-				this.messages,
-				messageToRemove,
-			);
-			this.messages = messages;
-			isRemoved = removed;
+		const parentID = messageToRemove.parent_id || this.threadIndex.get(id);
+		const thread = parentID && this.activeThreads[parentID];
+		if (thread && thread.list.remove(id)) {
+			thread.replyCount = Math.max(thread.replyCount - 1, 0);
+			this._syncThread(thread);
+			thread._changed();
+			isRemoved = true;
+		}
+		this.threadIndex.delete(id);
+		for (const set of this.messageSets) {
+			isRemoved = set.list.remove(id) || isRemoved;
+		}
+		if (this.activeThreads[id]) {
+			this._removeThread(id);
+		}
+		if (isRemoved && parentID) {
+			this._addToReplyCount(parentID, -1);
 		}
-
 		return isRemoved;
 	}
 
+	/**
+	 * _addToReplyCount - Adds to the reply_count of every copy of the parent message, the parent of
+	 * the thread included
+	 *
+	 * @param {string} parentID The id of the parent message
+	 * @param {int} difference The number of replies added, negative for removed replies
+	 */
+	_addToReplyCount(parentID, difference) {
+		this._updateMessage({ id: parentID }, parent =>
+			parent.set(
+				'reply_count',
+				Math.max((parent.reply_count || 0) + difference, 0),
+			),
+		);
+		const thread = this.activeThreads[parentID];
+		const parent = this.findMessage(parentID);
+		if (thread && thread.parent && parent) {
+			thread.parent = parent;
+		}
+	}
+
+	/**
+	 * _removeMessageWithUndo - Removes the message like removeMessage does, and returns a function that
+	 * puts it back where it was, with the thread of a parent message. Used by optimistic hard deletes
+	 *
+	 * @param {object} message The immutable message
+	 *
+	 * @return {function} Restores the message
+	 */
+	_removeMessageWithUndo(message) {
+		const { id } = message;
+		const parentID = message.parent_id || this.threadIndex.get(id);
+		const thread = this.activeThreads[id];
+		const removed = [message, ...(thread ? thread.replies : [])].map(copy => ({
+			message: copy,
+			sets: this.messageSets.filter(set => set.list.has(copy.id)),
+		}));
+		if (!this.removeMessage(message)) {
+			return () => null;
+		}
+		return () => {
+			for (const copy of removed) {
+				for (const set of copy.sets) {
+					set.list.upsert(copy.message);
+				}
+			}
+			if (parentID) {
+				this._addToReplyCount(parentID, 1);
+			}
+			const parent = parentID && this.activeThreads[parentID];
+			if (parent && !parent.list.has(id)) {
+				this.threadIndex.set(id, parentID);
+				parent.list.upsert(message);
+				parent.replyCount += 1;
+				this._syncThread(parent);
+				parent._changed();
+			}
+			if (thread && !this.activeThreads[id]) {
+				this.activeThreads[id] = thread;
+				for (const reply of thread.replies) {
+					this.threadIndex.set(reply.id, id);
+				}
+				this._syncThread(thread);
+			}
+		};
+	}
+
+	/**
+	 * _removeThread - Removes the thread of a parent message and its replies
+	 */
+	_removeThread(parentID) {
+		for (const reply of this.activeThreads[parentID].replies) {
+			this.threadIndex.delete(reply.id);
+			for (const set of this.messageSets) {
+				set.list.remove(reply.id);
+			}
+		}
+		delete this.activeThreads[parentID];
+		this.threads = this.threads.without(parentID);
+	}
+
 	removeMessageFromArray = (msgArray, msg) => {
 		let removed = false;
 		const result = msgArray.flatMap(message => {
@@ -294,15 +728,9 @@ export class ChannelState {
 	 *
 	 */
 	filterErrorMessages() {
-		const filteredMessages = this.messages.flatMap(message => {
-			if (message.type !== 'error') {
-				return message;
-			} else {
-				return [];
-			}
-		});
-
-		this.messages = Immutable(filteredMessages);
+		this._updateMessageSets(messages =>
+			Immutable(messages.filter(message => message.type !== 'error')),
+		);
 	}
 
 	/**
@@ -325,6 +753,48 @@ export class ChannelState {
 	}
 
 	clearMessages() {
-		this.messages = Immutable([]);
+		this.messageSets = [createMessageSet({ isLatest: true, isCurrent: true })];
+	}
+
+	/**
+	 * snapshot - Returns the part of the state that is worth persisting. Messages which are still
+	 * being sent are left out, the outbox takes care of those.
+	 *
+	 * @param {int} maxMessages Only the most recent messages are included
+	 *
+	 * @return {object} A JSON serializable object
+	 */
+	snapshot(maxMessages = 50) {
+		return {
+			messages: this.latestMessages
+				.filter(message => message.status !== 'sending')
+				.slice(-maxMessages),
+			members: this.members,
+			membership: this.membership,
+			read: this.read,
+			watcher_count: this.watcher_count,
+			last_message_at: this.last_message_at,
+		};
+	}
+
+	/**
+	 * rehydrate - Restores the state from a snapshot created by ChannelState.snapshot
+	 *
+	 * @param {object} snapshot The parsed snapshot
+	 */
+	rehydrate(snapshot) {
+		this.addMessagesSorted(snapshot.messages || [], true);
+		this.members = Immutable(snapshot.members || {});
+		this.membership = Immutable(snapshot.membership || {});
+		for (const [userID, read] of Object.entries(snapshot.read || {})) {
+			this.read = this.read.set(userID, {
+				...read,
+				last_read: new Date(read.last_read),
+			});
+		}
+		this.watcher_count = snapshot.watcher_count || 0;
+		if (snapshot.last_message_at != null) {
+			this.last_message_at = new Date(snapshot.last_message_at);
+		}
 	}
 }
@@ -1,7 +1,6 @@
 /* eslint no-unused-vars: "off" */
 /* global process */
 
-import axios from 'axios';
 import uuidv4 from 'uuid/v4';
 import { Channel } from './channel';
 import { ClientState } from './client_state';
@@ -12,19 +11,31 @@ import { isValidEventType } from './events';
 import { JWTUserToken, DevToken, CheckSignature } from './signing';
 import http from 'http';
 import https from 'https';
-import FormData from 'form-data';
 import pkg from '../package.json';
 import { TokenManager } from './token_manager';
-import { isFunction, chatCodes } from './utils';
-
-function isReadableStream(obj) {
-	return (
-		obj !== null &&
-		typeof obj === 'object' &&
-		typeof obj._read === 'function' &&
-		typeof obj._readableState === 'object'
-	);
-}
+import { MessageOutbox } from './outbox';
+import { MemoryStorage } from './storage';
+import { StateStore } from './state_store';
+import { AbortError, apiErrorClass } from './errors';
+import { abortable, isAborted, throwIfAborted } from './abort';
+import { MiddlewareChain } from './middleware';
+import { RequestCache, tagsForURL } from './request_cache';
+import { AxiosTransport } from './transport';
+import { UploadManager } from './uploads';
+import { DraftStore } from './drafts';
+import { SharedConnection } from './shared_connection';
+import { RateLimits, parseRateLimitHeaders } from './rate_limits';
+import { DEFAULT_RETRY_POLICY, RetryBudget, isRetryableError, retryAfter } from './retry';
+import {
+	isFunction,
+	isReadableStream,
+	chatCodes,
+	logChatPromiseExecution,
+	sleep,
+} from './utils';
+
+// queryChannels and sync calls made by recoverState handle this many channels at the time
+const RECOVERY_PAGE_SIZE = 30;
 
 export class StreamChat {
 	constructor(key, secretOrOptions, options) {
@@ -70,7 +81,29 @@ export class StreamChat {
 			delete this.options.httpsAgent;
 		}
 
-		this.axiosInstance = axios.create(this.options);
+		// sends the HTTP requests, see transport.js
+		this.transport = options.transport || new AxiosTransport(this.options);
+		// the axios instance of the default transport, undefined with other transports
+		this.axiosInstance = this.transport.axiosInstance;
+
+		this.middleware = new MiddlewareChain();
+		// identical read requests share one response, see doAxiosRequest
+		this.requestCache = new RequestCache(options.requestCache);
+		// file uploads with progress, retries and a concurrency limit
+		this.uploads = new UploadManager(this, options.uploads);
+		/** the latest rate limits reported by the API, see getRateLimits */
+		this.rateLimits = new RateLimits();
+		// failed requests are retried with this policy, set retryPolicy: false to disable retries
+		this.retryPolicy =
+			options.retryPolicy === false
+				? null
+				: { ...DEFAULT_RETRY_POLICY, ...options.retryPolicy };
+		if (this.retryPolicy) {
+			this.retryBudget = new RetryBudget(
+				this.retryPolicy.budget,
+				this.retryPolicy.budgetInterval,
+			);
+		}
 
 		this.setBaseURL('https://chat-us-east-1.stream-io-api.com');
 
@@ -80,8 +113,14 @@ export class StreamChat {
 
 		// WS connection is initialized when setUser is called
 		this.wsConnection = null;
+		// set when the tabs share the connection of one of them, see SharedConnection
+		this.sharedConnection = null;
 		this.wsPromise = null;
+		// mirrors wsConnection.state, see CONNECTION_STATE_TRANSITIONS in connection.js
+		this.connectionState = 'idle';
 		this.setUserPromise = null;
+		// the last time we know the state was in sync with the server, used by recoverState
+		this.lastSyncAt = null;
 		// keeps a reference to all the channels that are in use
 		this.activeChannels = {};
 		// mapping between channel groups and configs
@@ -92,6 +131,17 @@ export class StreamChat {
 		// generated from secret.
 		this.tokenManager = new TokenManager(this.secret);
 
+		// storage adapter used to persist data across client.disconnect() or page reloads
+		this.storage = options.storage || new MemoryStorage();
+		// messages sent by this user that are not acknowledged by the API yet
+		this.outbox = new MessageOutbox(this, { storage: this.storage });
+		// unsent messages per channel and thread, see DraftStore
+		this.drafts = new DraftStore(this, { storage: this.storage, ...options.drafts });
+		// opt-in persistence of the client and channel state, see StateStore
+		this.stateStore = options.persistState
+			? new StateStore(this, { storage: this.storage })
+			: null;
+
 		/**
 		 * logger function should accept 3 parameters:
 		 * @param logLevel string
@@ -159,7 +209,17 @@ export class StreamChat {
 	_setupConnection = () => {
 		this.UUID = uuidv4();
 		this.clientID = `${this.userID}--${this.UUID}`;
-		this.wsPromise = this.connect();
+		this.drafts.start();
+		if (this.options.sharedConnection && SharedConnection.isSupported()) {
+			const options =
+				this.options.sharedConnection === true
+					? {}
+					: this.options.sharedConnection;
+			this.sharedConnection = new SharedConnection(this, options);
+			this.wsPromise = this.sharedConnection.connect();
+		} else {
+			this.wsPromise = this.connect();
+		}
 		this._startCleaning();
 		return this.wsPromise;
 	};
@@ -190,16 +250,36 @@ export class StreamChat {
 		const setTokenPromise = this._setToken(user, userTokenOrProvider);
 		this._setUser(user);
 
+		// restore the cached state while the connection is being set up, a broken snapshot
+		// shouldn't fail setUser
+		const rehydratePromise = this.stateStore
+			? this.stateStore.rehydrate().catch(error => {
+					this.logger(
+						'warn',
+						'client:setUser() - Failed to restore the state from storage',
+						{
+							tags: ['state_store', 'client'],
+							error,
+						},
+					);
+			  })
+			: Promise.resolve();
+
 		const wsPromise = this._setupConnection();
 
 		this.anonymous = false;
 
-		this.setUserPromise = Promise.all([setTokenPromise, wsPromise])
-			.then(
-				result =>
-					// We only return connection promise;
-					result[1],
-			)
+		this.setUserPromise = Promise.all([setTokenPromise, wsPromise, rehydratePromise])
+			.then(result => {
+				if (this.stateStore) {
+					logChatPromiseExecution(
+						this.stateStore.reconcile(),
+						'reconcile the cached state',
+					);
+				}
+				// We only return connection promise;
+				return result[1];
+			})
 			.catch(e => {
 				throw e;
 			});
@@ -243,19 +323,22 @@ export class StreamChat {
 			}
 	 */
 	async updateAppSettings(options) {
-		if (options.apn_config && options.apn_config.p12_cert) {
-			options.apn_config.p12_cert = Buffer.from(
-				options.apn_config.p12_cert,
+		const { signal, ...settings } = options;
+		if (settings.apn_config && settings.apn_config.p12_cert) {
+			settings.apn_config.p12_cert = Buffer.from(
+				settings.apn_config.p12_cert,
 			).toString('base64');
 		}
-		return await this.patch(this.baseURL + '/app', options);
+		return await this.patch(this.baseURL + '/app', settings, { signal });
 	}
 
 	/**
 	 * getAppSettings - retrieves application settings
+	 *
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 */
-	async getAppSettings() {
-		return await this.get(this.baseURL + '/app');
+	async getAppSettings(options) {
+		return await this.get(this.baseURL + '/app', {}, options);
 	}
 
 	/**
@@ -269,19 +352,24 @@ export class StreamChat {
 				  firebaseTemplate: '{}', //if app doesn't have firebase configured it will error
 				  firebaseDataTemplate: '{}', //if app doesn't have firebase configured it will error
 			}
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 */
-	async testPushSettings(userID, data = {}) {
-		return await this.post(this.baseURL + '/check_push', {
-			user_id: userID,
-			...(data.messageID ? { message_id: data.messageID } : {}),
-			...(data.apnTemplate ? { apn_template: data.apnTemplate } : {}),
-			...(data.firebaseTemplate
-				? { firebase_template: data.firebaseTemplate }
-				: {}),
-			...(data.firebaseDataTemplate
-				? { firebase_data_template: data.firebaseDataTemplate }
-				: {}),
-		});
+	async testPushSettings(userID, data = {}, options) {
+		return await this.post(
+			this.baseURL + '/check_push',
+			{
+				user_id: userID,
+				...(data.messageID ? { message_id: data.messageID } : {}),
+				...(data.apnTemplate ? { apn_template: data.apnTemplate } : {}),
+				...(data.firebaseTemplate
+					? { firebase_template: data.firebaseTemplate }
+					: {}),
+				...(data.firebaseDataTemplate
+					? { firebase_data_template: data.firebaseDataTemplate }
+					: {}),
+			},
+			options,
+		);
 	}
 
 	/**
@@ -291,6 +379,18 @@ export class StreamChat {
 		this.logger('info', 'client:disconnect() - Disconnecting the client', {
 			tags: ['connection', 'client'],
 		});
+		// stop retrying pending messages, they stay in storage for the next setUser
+		this.outbox.reset();
+		this.uploads.cancelAll();
+		this.drafts.reset();
+		// the cached responses belong to this user
+		this.requestCache.clear();
+
+		if (this.stateStore) {
+			logChatPromiseExecution(this.stateStore.save(), 'save state snapshot');
+			this.stateStore.reset();
+		}
+
 		// remove the user specific fields
 		delete this.user;
 		delete this._user;
@@ -302,6 +402,7 @@ export class StreamChat {
 		}
 
 		this.anonymous = false;
+		this.lastSyncAt = null;
 
 		this.connectionEstablishedCount = 0;
 
@@ -315,6 +416,11 @@ export class StreamChat {
 		// reset token manager
 		this.tokenManager.reset();
 
+		if (this.sharedConnection) {
+			this.sharedConnection.close();
+			this.sharedConnection = null;
+		}
+
 		// close the WS connection
 		if (this.wsConnection) {
 			return this.wsConnection.disconnect(timeout);
@@ -341,14 +447,15 @@ export class StreamChat {
 	 * setGuestUser - Setup a temporary guest user
 	 *
 	 * @param {object} user Data about this user. IE {name: "john"}
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 *
 	 * @return {promise} Returns a promise that resolves when the connection is setup
 	 */
-	async setGuestUser(user) {
+	async setGuestUser(user, options) {
 		let response;
 		this.anonymous = true;
 		try {
-			response = await this.post(this.baseURL + '/guest', { user });
+			response = await this.post(this.baseURL + '/guest', { user }, options);
 		} catch (e) {
 			this.anonymous = false;
 			throw e;
@@ -419,6 +526,31 @@ export class StreamChat {
 		};
 	}
 
+	/**
+	 * setAppState - Tells the connection that the app moved to the background or came back to the foreground.
+	 * Browsers are handled automatically, use this with React Native's AppState.
+	 *
+	 * @param {string} appState foreground or background
+	 */
+	setAppState(appState) {
+		if (this.wsConnection) {
+			this.wsConnection.setAppState(appState);
+		}
+	}
+
+	/**
+	 * onConnectionStateChange - Calls the callback every time the connection moves to a new state
+	 *
+	 * @param {function} callback Receives the new state and the previous state
+	 *
+	 * @return {object} An object with an unsubscribe function
+	 */
+	onConnectionStateChange(callback) {
+		return this.on('connection.state_changed', event =>
+			callback(event.state, event.previous_state),
+		);
+	}
+
 	/**
 	 * off - Remove the event handler
 	 *
@@ -469,77 +601,213 @@ export class StreamChat {
 		});
 	}
 
+	/**
+	 * doAxiosRequest - Sends a request to the API. GET requests and requests with `coalesce: true`
+	 * share the response with identical requests that are in flight or cached, see RequestCache.
+	 * Other requests invalidate the cached responses for the resources they change.
+	 *
+	 * Requests with an AbortSignal aren't shared, aborting one of them doesn't affect the others.
+	 *
+	 * @param {string} type The HTTP method
+	 * @param {string} url The url
+	 * @param {object} data The request body
+	 * @param {object} [options] The params, headers, config and AbortSignal (`signal`) of the request
+	 *
+	 * @return {Promise<object>} The response data
+	 */
 	doAxiosRequest = async (type, url, data, options = {}) => {
-		await this.tokenManager.tokenReady();
-		const requestConfig = this._enrichAxiosOptions(options);
-		try {
-			let response;
-			this._logApiRequest(type, url, data, requestConfig);
-			switch (type) {
-				case 'get':
-					response = await this.axiosInstance.get(url, requestConfig);
-					break;
-				case 'delete':
-					response = await this.axiosInstance.delete(url, requestConfig);
-					break;
-				case 'post':
-					response = await this.axiosInstance.post(url, data, requestConfig);
-					break;
-				case 'put':
-					response = await this.axiosInstance.put(url, data, requestConfig);
-					break;
-				case 'patch':
-					response = await this.axiosInstance.patch(url, data, requestConfig);
-					break;
-				default:
-					break;
+		const tags = tagsForURL(url);
+		const read = type === 'get' || !!options.coalesce;
+		if (!read || options.coalesce === false || options.signal) {
+			const response = await this._requestWithRetries(type, url, data, options);
+			if (!read) {
+				this.requestCache.invalidate(tags.concat(['channels', 'search']));
 			}
+			return response;
+		}
+		const key = this.requestCache.key(
+			type,
+			url,
+			this._enrichAxiosOptions(options),
+			data,
+		);
+		return await this.requestCache.fetch(key, tags, () =>
+			this._requestWithRetries(type, url, data, options),
+		);
+	};
+
+	_requestWithRetries = async (type, url, data, options = {}) => {
+		const signal = options.signal;
+		await abortable(this.tokenManager.tokenReady(), signal);
+		let request = { type, url, data, config: this._enrichAxiosOptions(options) };
+		try {
+			request = await this.middleware.beforeRequest(request);
+			this._logApiRequest(type, url, data, request.config);
+			let response = request.response || (await this._sendRequest(request));
+			response = await this.middleware.afterResponse(response, request);
 			this._logApiResponse(type, url, response);
+			this.rateLimits.update(type, url, response.headers);
+			// the caller doesn't want the response anymore, ie. it navigated away
+			throwIfAborted(signal);
 
 			return this.handleResponse(response);
 		} catch (e) {
+			if (e instanceof AbortError || isAborted(signal)) {
+				this.logger('info', `client:${type} - Request aborted - url: ${url}`, {
+					tags: ['api', 'client'],
+					url,
+				});
+				throw e instanceof AbortError ? e : new AbortError();
+			}
 			this._logApiError(type, url, e);
 
 			if (e.response) {
-				if (
-					e.response.data.code === chatCodes.TOKEN_EXPIRED &&
-					!this.tokenManager.isStatic()
-				) {
-					this.tokenManager.loadToken();
-					return await this.doAxiosRequest(type, url, data, options);
-				}
-				return this.handleResponse(e.response);
-			} else {
-				throw e;
+				this.rateLimits.update(type, url, e.response.headers);
 			}
+			const error = e.response ? this.errorFromResponse(e.response) : e;
+			const recovered = await this.middleware.onError(error, request);
+			if (recovered) {
+				return this.handleResponse(recovered);
+			}
+
+			if (error.code === chatCodes.TOKEN_EXPIRED && !this.tokenManager.isStatic()) {
+				this.tokenManager.loadToken();
+				return await this._requestWithRetries(type, url, data, options);
+			}
+
+			const delay = this._retryDelay(type, error, options);
+			if (delay != null) {
+				this.logger(
+					'warn',
+					`client:${type} - Retrying in ${delay}ms - url: ${url}`,
+					{
+						tags: ['api', 'api_response', 'client'],
+						url,
+						error,
+					},
+				);
+				await abortable(sleep(delay), signal);
+				return await this._requestWithRetries(type, url, data, {
+					...options,
+					retryAttempt: (options.retryAttempt || 0) + 1,
+				});
+			}
+
+			throw error;
 		}
 	};
 
-	get(url, params) {
-		return this.doAxiosRequest('get', url, null, { params });
+	/**
+	 * _sendRequest - Sends the request with the transport
+	 *
+	 * @param {object} request {type, url, data, config}
+	 *
+	 * @return {Promise<object>} The response, {status, data, headers}
+	 */
+	_sendRequest(request) {
+		return this.transport.request(request);
 	}
 
-	put(url, data) {
-		return this.doAxiosRequest('put', url, data);
+	/**
+	 * use - Adds a middleware to the HTTP requests, see MiddlewareChain. Middleware runs for every
+	 * request including retries and uploads.
+	 *
+	 * client.use({
+	 *   beforeRequest: request => {
+	 *     request.config.headers['x-trace-id'] = traceID();
+	 *   },
+	 * });
+	 *
+	 * @param {object} middleware An object with beforeRequest, afterResponse and/or onError hooks
+	 *
+	 * @return {object} An object with an unsubscribe function that removes the middleware
+	 */
+	use(middleware) {
+		return this.middleware.use(middleware);
+	}
+
+	/**
+	 * _retryDelay - Returns how long to wait before retrying a failed request, null when it shouldn't be retried
+	 *
+	 * @param {string} type The HTTP method
+	 * @param {Error} error The error of the request
+	 * @param {object} options The request options, `idempotent` overrides the methods of the retry policy
+	 *
+	 * @return {int|null} Duration in milliseconds
+	 */
+	_retryDelay(type, error, { idempotent, retryAttempt = 0 }) {
+		const policy = this.retryPolicy;
+		const retryable =
+			idempotent != null ? idempotent : policy && policy.methods.includes(type);
+		if (!retryable || !policy || retryAttempt >= policy.maxRetries) {
+			return null;
+		}
+		if (!isRetryableError(error)) {
+			return null;
+		}
+		const delay = policy.backoff({
+			attempt: retryAttempt + 1,
+			error,
+			retryAfter: retryAfter(error.response),
+		});
+		if (delay > policy.maxDelay || !this.retryBudget.take()) {
+			return null;
+		}
+		return delay;
+	}
+
+	/**
+	 * getRateLimits - Returns the latest rate limits the API reported, by endpoint, ie.
+	 * {'GET /channels': {limit, remaining, reset}}. Ids and other parameters in the path are replaced with *
+	 *
+	 * @return {object}
+	 */
+	getRateLimits() {
+		return this.rateLimits.all();
+	}
+
+	/**
+	 * getRateLimit - Returns the latest rate limit of the endpoint of a request
+	 *
+	 * @param {string} method The HTTP method, ie. get
+	 * @param {string} url The url or path of the request, ie. /channels
+	 *
+	 * @return {object|null} {limit, remaining, reset}, null if the endpoint didn't report a limit yet
+	 */
+	getRateLimit(method, url) {
+		return this.rateLimits.get(method, url);
+	}
+
+	get(url, params, options) {
+		return this.doAxiosRequest('get', url, null, { ...options, params });
 	}
 
-	post(url, data) {
-		return this.doAxiosRequest('post', url, data);
+	put(url, data, options) {
+		return this.doAxiosRequest('put', url, data, options);
 	}
 
-	patch(url, data) {
-		return this.doAxiosRequest('patch', url, data);
+	post(url, data, options) {
+		return this.doAxiosRequest('post', url, data, options);
 	}
 
-	delete(url, params) {
-		return this.doAxiosRequest('delete', url, null, { params });
+	patch(url, data, options) {
+		return this.doAxiosRequest('patch', url, data, options);
 	}
 
-	sendFile(url, uri, name, contentType, user) {
-		const data = new FormData();
+	delete(url, params, options) {
+		return this.doAxiosRequest('delete', url, null, { ...options, params });
+	}
+
+	sendFile(url, uri, name, contentType, user, options = {}) {
+		const data = this.transport.createFormData
+			? this.transport.createFormData()
+			: new FormData();
 		let fileField;
 
-		if (isReadableStream(uri) || uri instanceof File) {
+		if (
+			isReadableStream(uri) ||
+			(typeof Blob !== 'undefined' && uri instanceof Blob)
+		) {
 			fileField = uri;
 		} else {
 			fileField = {
@@ -561,22 +829,26 @@ export class StreamChat {
 				timeout: 0,
 				maxContentLength: Infinity,
 				maxBodyLength: Infinity,
+				onUploadProgress: options.onUploadProgress,
 			},
+			signal: options.signal,
 		});
 	}
 
 	errorFromResponse(response) {
-		let err;
-		err = new Error(`StreamChat error HTTP code: ${response.status}`);
-		if (response.data && response.data.code) {
-			err = new Error(
-				`StreamChat error code ${response.data.code}: ${response.data.message}`,
-			);
-			err.code = response.data.code;
-		}
-		err.response = response;
-		err.status = response.status;
-		return err;
+		const data = response.data || {};
+		const message = data.code
+			? `StreamChat error code ${data.code}: ${data.message}`
+			: `StreamChat error HTTP code: ${response.status}`;
+		const details = {
+			code: data.code || undefined,
+			status: response.status,
+			response,
+			moreInfo: data.more_info,
+			rateLimit: parseRateLimitHeaders(response.headers),
+		};
+		const ErrorClass = apiErrorClass(details);
+		return new ErrorClass(message, details);
 	}
 
 	handleResponse(response) {
@@ -588,9 +860,16 @@ export class StreamChat {
 	}
 
 	dispatchEvent = event => {
+		// cached responses can be stale now
+		this.requestCache.invalidateForEvent(event);
+
 		// client event handlers
 		this._handleClientEvent(event);
 
+		if (this.stateStore) {
+			this.stateStore.scheduleSave();
+		}
+
 		// channel event handlers
 		const cid = event.cid;
 		const channel = this.activeChannels[cid];
@@ -610,6 +889,20 @@ export class StreamChat {
 		const jsonString = messageEvent.data;
 		const event = JSON.parse(jsonString);
 		event.received_at = new Date();
+		// the events received while (re)connecting are covered by recoverState
+		if (this.wsConnection && !this.wsConnection.isConnecting) {
+			this._updateLastSyncAt(event.created_at || event.received_at);
+		}
+		if (this.sharedConnection) {
+			this.sharedConnection.forward(event);
+		}
+		this.dispatchEvent(event);
+	};
+
+	_handleConnectionEvent = event => {
+		if (this.sharedConnection) {
+			this.sharedConnection.forwardConnectionEvent(event);
+		}
 		this.dispatchEvent(event);
 	};
 
@@ -644,6 +937,14 @@ export class StreamChat {
 			client.mutedChannels = event.me.channel_mutes;
 		}
 
+		if (event.type === 'connection.state_changed') {
+			this.connectionState = event.state;
+		}
+
+		if (event.type === 'connection.changed' && event.online) {
+			this.outbox.flush();
+		}
+
 		if (event.type === 'notification.message_new') {
 			this.configs[event.channel.type] = event.channel.config;
 		}
@@ -697,25 +998,20 @@ export class StreamChat {
 		}
 	};
 
-	recoverState = async () => {
+	recoverState = async open => {
+		// tabs that share a connection get the id of the leader, see SharedConnection
+		if (this.wsConnection) {
+			this.connectionID = this.wsConnection.connectionID;
+		}
 		this.logger(
 			'info',
-			`client:recoverState() - Start of recoverState with connectionID ${this.wsConnection.connectionID}`,
+			`client:recoverState() - Start of recoverState with connectionID ${this.connectionID}`,
 			{
 				tags: ['connection'],
 			},
 		);
-		this.connectionID = this.wsConnection.connectionID;
 		const cids = Object.keys(this.activeChannels);
-		const lastMessageIDs = {};
-		for (const c of Object.values(this.activeChannels)) {
-			const lastMessage = c.lastMessage();
-			let lastMessageId;
-			if (lastMessage) {
-				lastMessageId = lastMessage.id;
-			}
-			lastMessageIDs[c.cid] = lastMessageId;
-		}
+		const lastSyncAt = this.lastSyncAt;
 		if (cids.length) {
 			this.logger(
 				'info',
@@ -723,25 +1019,135 @@ export class StreamChat {
 				{ tags: ['connection', 'client'] },
 			);
 
-			await this.queryChannels(
-				{ cid: { $in: cids } },
-				{ last_message_at: -1 },
-				{ limit: 30, recovery: true, last_message_ids: lastMessageIDs },
-			);
+			// watch the channels again on the new connection, one page at the time
+			for (let i = 0; i < cids.length; i += RECOVERY_PAGE_SIZE) {
+				const page = cids.slice(i, i + RECOVERY_PAGE_SIZE);
+				const lastMessageIDs = {};
+				for (const cid of page) {
+					const lastMessage = this.activeChannels[cid].lastMessage();
+					lastMessageIDs[cid] = lastMessage ? lastMessage.id : undefined;
+				}
+				await this.queryChannels(
+					{ cid: { $in: page } },
+					{ last_message_at: -1 },
+					{
+						limit: page.length,
+						recovery: true,
+						last_message_ids: lastMessageIDs,
+					},
+				);
+			}
 
 			this.logger('info', 'client:recoverState() - Querying channels finished', {
 				tags: ['connection', 'client'],
 			});
 
+			// queryChannels only returns the latest messages, the sync endpoint gives us the edits,
+			// deletions and reactions we missed on older messages as well
+			if (lastSyncAt) {
+				try {
+					await this._replayMissedEvents(cids, lastSyncAt);
+				} catch (error) {
+					this.logger(
+						'warn',
+						'client:recoverState() - Failed to replay the missed events',
+						{
+							tags: ['connection', 'client'],
+							error,
+						},
+					);
+				}
+			}
+
+			try {
+				await this._recoverThreads(cids);
+			} catch (error) {
+				this.logger(
+					'warn',
+					'client:recoverState() - Failed to recover the threads',
+					{
+						tags: ['connection', 'client'],
+						error,
+					},
+				);
+			}
+
 			this.dispatchEvent({
 				type: 'connection.recovered',
 			});
 		}
 
+		this._updateLastSyncAt(open && open.created_at);
+		if (this.sharedConnection) {
+			this.sharedConnection.announce();
+		}
+
 		this.wsPromise = Promise.resolve();
 		this.setUserPromise = Promise.resolve();
 	};
 
+	/**
+	 * _replayMissedEvents - Fetches the events for the given channels with the sync endpoint and
+	 * dispatches them in the order they happened
+	 *
+	 * @param {array} cids The channel cids
+	 * @param {Date|string} lastSyncAt Replay the events that happened after this time
+	 *
+	 * @return {array} The replayed events
+	 */
+	async _replayMissedEvents(cids, lastSyncAt) {
+		const events = [];
+		for (let i = 0; i < cids.length; i += RECOVERY_PAGE_SIZE) {
+			const response = await this.sync(
+				cids.slice(i, i + RECOVERY_PAGE_SIZE),
+				lastSyncAt,
+			);
+			events.push(...response.events);
+		}
+		events.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+		this.logger(
+			'info',
+			`client:_replayMissedEvents() - Replaying ${events.length} events for ${cids.length} channels`,
+			{ tags: ['connection', 'client'] },
+		);
+		for (const event of events) {
+			this.dispatchEvent(event);
+		}
+		return events;
+	}
+
+	/**
+	 * _recoverThreads - Loads the replies the threads of the given channels missed, only the threads
+	 * that loaded their replies with thread.loadReplies() do
+	 *
+	 * @param {array} cids The channel cids
+	 */
+	async _recoverThreads(cids) {
+		for (const cid of cids) {
+			const channel = this.activeChannels[cid];
+			if (!channel) {
+				continue;
+			}
+			for (const thread of Object.values(channel.state.activeThreads)) {
+				await thread._recover();
+			}
+		}
+	}
+
+	/**
+	 * _updateLastSyncAt - Moves lastSyncAt forward, this is where the next state recovery starts from.
+	 * Server timestamps are preferred over the local clock, which might be off.
+	 *
+	 * @param {Date|string} [date] Defaults to now
+	 */
+	_updateLastSyncAt(date) {
+		const syncAt = date ? new Date(date) : new Date();
+		if (!this.lastSyncAt || syncAt > this.lastSyncAt) {
+			this.lastSyncAt = syncAt;
+		}
+	}
+
 	/*
 	_updateUserReferences updates the members and watchers of the currently active channels
 	that contain this user
@@ -784,12 +1190,16 @@ export class StreamChat {
 			apiKey: this.key,
 			recoverCallback: this.recoverState,
 			messageCallback: this.handleEvent,
-			eventCallback: this.dispatchEvent,
+			eventCallback: this._handleConnectionEvent,
 			logger: this.logger,
+			reconnectPolicy: this.options.reconnectPolicy,
+			backgroundTimeout: this.options.backgroundTimeout,
 		});
 
 		const handshake = await this.wsConnection.connect();
 		this.connectionID = this.wsConnection.connectionID;
+		this._updateLastSyncAt(handshake && handshake.created_at);
+		logChatPromiseExecution(this.outbox.restore(), 'restore pending messages');
 		return handshake;
 	}
 
@@ -798,7 +1208,7 @@ export class StreamChat {
 	 *
 	 * @param {object} filterConditions MongoDB style filter conditions
 	 * @param {object} sort             Sort options, for instance {last_active: -1}
-	 * @param {object} options          Option object, {presence: true}
+	 * @param {object} options          Option object, {presence: true}. `signal` cancels the request
 	 *
 	 * @return {object} User Query Response
 	 */
@@ -806,9 +1216,7 @@ export class StreamChat {
 		if (!sort) {
 			sort = {};
 		}
-		if (!options) {
-			options = {};
-		}
+		const { signal, ...queryOptions } = options || {};
 		const sortFields = [];
 		for (const [k, v] of Object.entries(sort)) {
 			sortFields.push({ field: k, direction: v });
@@ -826,21 +1234,37 @@ export class StreamChat {
 		}
 
 		// Return a list of users
-		const data = await this.get(this.baseURL + '/users', {
-			payload: {
-				filter_conditions: filterConditions,
-				sort: sortFields,
-				...defaultOptions,
-				...options,
+		const data = await this.get(
+			this.baseURL + '/users',
+			{
+				payload: {
+					filter_conditions: filterConditions,
+					sort: sortFields,
+					...defaultOptions,
+					...queryOptions,
+				},
 			},
-		});
+			{ signal },
+		);
+		// aborted queries don't update the state
+		throwIfAborted(signal);
 
 		this.state.updateUsers(data.users);
 
 		return data;
 	}
 
+	/**
+	 * queryChannels - Query channels and watch them
+	 *
+	 * @param {object} filterConditions MongoDB style filter conditions
+	 * @param {object} [sort]           Sort options, for instance {last_message_at: -1}
+	 * @param {object} [options]        Option object, {limit: 10, watch: true}. `signal` cancels the request
+	 *
+	 * @return {array} The channels
+	 */
 	async queryChannels(filterConditions, sort = {}, options = {}) {
+		const { signal, ...queryOptions } = options;
 		const sortFields = [];
 
 		for (const [k, v] of Object.entries(sort)) {
@@ -866,12 +1290,12 @@ export class StreamChat {
 			sort: sortFields,
 			user_details: this._user,
 			...defaultOptions,
-			...options,
+			...queryOptions,
 		};
 
-		const data = await this.get(this.baseURL + '/channels', {
-			payload,
-		});
+		const data = await this.get(this.baseURL + '/channels', { payload }, { signal });
+		// aborted queries don't update the state
+		throwIfAborted(signal);
 
 		const channels = [];
 
@@ -895,15 +1319,16 @@ export class StreamChat {
 	 *
 	 * @param {object} channels MongoDB style filter conditions
 	 * @param {object|string}  message search query or object MongoDB style filters
-	 * @param {object} options       Option object, {user_id: 'tommaso'}
+	 * @param {object} options       Option object, {user_id: 'tommaso'}. `signal` cancels the request
 	 *
 	 * @return {object} search messages response
 	 */
 	async search(filterConditions, query, options = {}) {
+		const { signal, ...searchOptions } = options;
 		// Return a list of channels
 		const payload = {
 			filter_conditions: filterConditions,
-			...options,
+			...searchOptions,
 		};
 		if (typeof query === 'string') {
 			payload.query = query;
@@ -916,9 +1341,7 @@ export class StreamChat {
 		// Make sure we wait for the connect promise if there is a pending one
 		await this.setUserPromise;
 
-		return await this.get(this.baseURL + '/search', {
-			payload,
-		});
+		return await this.get(this.baseURL + '/search', { payload }, { signal });
 	}
 
 	/**
@@ -927,27 +1350,34 @@ export class StreamChat {
 	 * @param {string} id the device id
 	 * @param {string} push_provider the push provider (apn or firebase)
 	 * @param {string} [userID] the user id (defaults to current user)
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 *
 	 */
-	async addDevice(id, push_provider, userID = null) {
-		return await this.post(this.baseURL + '/devices', {
-			id,
-			push_provider,
-			...(userID != null ? { user_id: userID } : {}),
-		});
+	async addDevice(id, push_provider, userID = null, options) {
+		return await this.post(
+			this.baseURL + '/devices',
+			{
+				id,
+				push_provider,
+				...(userID != null ? { user_id: userID } : {}),
+			},
+			options,
+		);
 	}
 
 	/**
 	 * getDevices - Returns the devices associated with a current user
 	 *
 	 * @param {string} [userID] User ID. Only works on serversidex
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 *
 	 * @return {devices} Array of devices
 	 */
-	async getDevices(userID) {
+	async getDevices(userID, options) {
 		return await this.get(
 			this.baseURL + '/devices',
 			userID ? { user_id: userID } : {},
+			options,
 		);
 	}
 
@@ -956,13 +1386,18 @@ export class StreamChat {
 	 *
 	 * @param {string} id The device id
 	 * @param {string} [userID] The user id. Only specify this for serverside requests
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 *
 	 */
-	async removeDevice(id, userID = null) {
-		return await this.delete(this.baseURL + '/devices', {
-			id,
-			...(userID ? { user_id: userID } : {}),
-		});
+	async removeDevice(id, userID = null, options) {
+		return await this.delete(
+			this.baseURL + '/devices',
+			{
+				id,
+				...(userID ? { user_id: userID } : {}),
+			},
+			options,
+		);
 	}
 
 	_addChannelConfig(channelState) {
@@ -1031,11 +1466,12 @@ export class StreamChat {
 	 * updateUser - Update or Create the given user object
 	 *
 	 * @param {object} A user object, the only required field is the user id. IE {id: "myuser"} is valid
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 *
 	 * @return {object}
 	 */
-	async updateUser(userObject) {
-		return await this.upsertUsers([userObject]);
+	async updateUser(userObject, options) {
+		return await this.upsertUsers([userObject], options);
 	}
 
 	/**
@@ -1043,21 +1479,23 @@ export class StreamChat {
 	 *
 	 * @param {object} Object which should contain id and any of "set" or "unset" params;
 	 * example: {id: "user1", set:{field: value}, unset:["field2"]}
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 *
 	 * @return {object} list of updated users
 	 */
-	async partialUpdateUser(userObject) {
-		return await this.partialUpdateUsers([userObject]);
+	async partialUpdateUser(userObject, options) {
+		return await this.partialUpdateUsers([userObject], options);
 	}
 
 	/**
 	 * upsertUsers - Batch upsert the list of users
 	 *
 	 * @param {array} A list of users
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 *
 	 * @return {object}
 	 */
-	async upsertUsers(users) {
+	async upsertUsers(users, options) {
 		const userMap = {};
 		for (const userObject of users) {
 			if (!userObject.id) {
@@ -1066,20 +1504,24 @@ export class StreamChat {
 			userMap[userObject.id] = userObject;
 		}
 
-		return await this.post(this.baseURL + '/users', {
-			users: userMap,
-		});
+		// upserts are safe to retry
+		return await this.post(
+			this.baseURL + '/users',
+			{ users: userMap },
+			{ ...options, idempotent: true },
+		);
 	}
 
 	/**
 	 * upsertUser - Update or Create the given user object
 	 *
 	 * @param {object} A user object, the only required field is the user id. IE {id: "myuser"} is valid
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 *
 	 * @return {object}
 	 */
-	upsertUser(userObject) {
-		return this.upsertUsers([userObject]);
+	upsertUser(userObject, options) {
+		return this.upsertUsers([userObject], options);
 	}
 
 	/**
@@ -1088,51 +1530,59 @@ export class StreamChat {
 	 * updateUsers - Batch update the list of users
 	 *
 	 * @param {array} A list of users
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 *
 	 * @return {object}
 	 */
-	updateUsers(users) {
-		return this.upsertUsers(users);
+	updateUsers(users, options) {
+		return this.upsertUsers(users, options);
 	}
 
 	/**
 	 * updateUsers - Batch partial update of users
 	 *
 	 * @param {array} A list of partial update requests
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 *
 	 * @return {object}
 	 */
-	async partialUpdateUsers(users) {
+	async partialUpdateUsers(users, options) {
 		for (const userObject of users) {
 			if (!userObject.id) {
 				throw Error('User ID is required when updating a user');
 			}
 		}
 
-		return await this.patch(this.baseURL + '/users', {
-			users,
-		});
+		return await this.patch(
+			this.baseURL + '/users',
+			{ users },
+			{ ...options, idempotent: true },
+		);
 	}
 
 	async deleteUser(userID, params) {
-		return await this.delete(this.baseURL + `/users/${userID}`, params);
+		const { signal, ...rest } = params || {};
+		return await this.delete(this.baseURL + `/users/${userID}`, rest, { signal });
 	}
 
 	async reactivateUser(userID, options) {
-		return await this.post(this.baseURL + `/users/${userID}/reactivate`, {
-			...options,
+		const { signal, ...rest } = options || {};
+		return await this.post(this.baseURL + `/users/${userID}/reactivate`, rest, {
+			signal,
 		});
 	}
 
 	async deactivateUser(userID, options) {
-		return await this.post(this.baseURL + `/users/${userID}/deactivate`, {
-			...options,
+		const { signal, ...rest } = options || {};
+		return await this.post(this.baseURL + `/users/${userID}/deactivate`, rest, {
+			signal,
 		});
 	}
 
 	async exportUser(userID, options) {
-		return await this.get(this.baseURL + `/users/${userID}/export`, {
-			...options,
+		const { signal, ...rest } = options || {};
+		return await this.get(this.baseURL + `/users/${userID}/export`, rest, {
+			signal,
 		});
 	}
 
@@ -1143,10 +1593,15 @@ export class StreamChat {
 	 * @returns {Promise<*>}
 	 */
 	async banUser(targetUserID, options) {
-		return await this.post(this.baseURL + '/moderation/ban', {
-			target_user_id: targetUserID,
-			...options,
-		});
+		const { signal, ...rest } = options || {};
+		return await this.post(
+			this.baseURL + '/moderation/ban',
+			{
+				target_user_id: targetUserID,
+				...rest,
+			},
+			{ signal },
+		);
 	}
 
 	/** unbanUser - revoke global ban for a user
@@ -1155,10 +1610,15 @@ export class StreamChat {
 	 * @returns {Promise<*>}
 	 */
 	async unbanUser(targetUserID, options) {
-		return await this.delete(this.baseURL + '/moderation/ban', {
-			target_user_id: targetUserID,
-			...options,
-		});
+		const { signal, ...rest } = options || {};
+		return await this.delete(
+			this.baseURL + '/moderation/ban',
+			{
+				target_user_id: targetUserID,
+				...rest,
+			},
+			{ signal },
+		);
 	}
 
 	/** muteUser - mutes a user
@@ -1169,52 +1629,82 @@ export class StreamChat {
 	 * @returns {Promise<*>}
 	 */
 	async muteUser(targetUserID, userID = null, options = {}) {
-		return await this.post(this.baseURL + '/moderation/mute', {
-			target_id: targetUserID,
-			...(userID ? { user_id: userID } : {}),
-			...options,
-		});
+		const { signal, ...rest } = options;
+		return await this.post(
+			this.baseURL + '/moderation/mute',
+			{
+				target_id: targetUserID,
+				...(userID ? { user_id: userID } : {}),
+				...rest,
+			},
+			{ signal },
+		);
 	}
 
 	/** unmuteUser - unmutes a user
 	 *
 	 * @param targetID
 	 * @param [currentUserID] Only used with serverside auth
+	 * @param [options] Request options, {signal} cancels the request
 	 * @returns {Promise<*>}
 	 */
-	async unmuteUser(targetID, currentUserID = null) {
-		return await this.post(this.baseURL + '/moderation/unmute', {
-			target_id: targetID,
-			...(currentUserID ? { user_id: currentUserID } : {}),
-		});
+	async unmuteUser(targetID, currentUserID = null, options) {
+		return await this.post(
+			this.baseURL + '/moderation/unmute',
+			{
+				target_id: targetID,
+				...(currentUserID ? { user_id: currentUserID } : {}),
+			},
+			options,
+		);
 	}
 
 	async flagMessage(messageID, options = {}) {
-		return await this.post(this.baseURL + '/moderation/flag', {
-			target_message_id: messageID,
-			...options,
-		});
+		const { signal, ...rest } = options;
+		return await this.post(
+			this.baseURL + '/moderation/flag',
+			{
+				target_message_id: messageID,
+				...rest,
+			},
+			{ signal },
+		);
 	}
 
 	async flagUser(userID, options = {}) {
-		return await this.post(this.baseURL + '/moderation/flag', {
-			target_user_id: userID,
-			...options,
-		});
+		const { signal, ...rest } = options;
+		return await this.post(
+			this.baseURL + '/moderation/flag',
+			{
+				target_user_id: userID,
+				...rest,
+			},
+			{ signal },
+		);
 	}
 
 	async unflagMessage(messageID, options = {}) {
-		return await this.post(this.baseURL + '/moderation/unflag', {
-			target_message_id: messageID,
-			...options,
-		});
+		const { signal, ...rest } = options;
+		return await this.post(
+			this.baseURL + '/moderation/unflag',
+			{
+				target_message_id: messageID,
+				...rest,
+			},
+			{ signal },
+		);
 	}
 
 	async unflagUser(userID, options = {}) {
-		return await this.post(this.baseURL + '/moderation/unflag', {
-			target_user_id: userID,
-			...options,
-		});
+		const { signal, ...rest } = options;
+		return await this.post(
+			this.baseURL + '/moderation/unflag',
+			{
+				target_user_id: userID,
+				...rest,
+			},
+			{ signal },
+		);
 	}
 
 	/**
@@ -1223,53 +1713,58 @@ export class StreamChat {
 	 * @return {Promise} Description
 	 */
 	async markAllRead(data = {}) {
-		const response = await this.post(this.baseURL + '/channels/read', {
-			...data,
-		});
+		const { signal, ...rest } = data;
+		await this.post(this.baseURL + '/channels/read', rest, { signal });
 	}
 
-	createChannelType(data) {
+	createChannelType(data, options) {
 		const channelData = Object.assign({}, { commands: ['all'] }, data);
-		return this.post(this.baseURL + '/channeltypes', channelData);
+		return this.post(this.baseURL + '/channeltypes', channelData, options);
 	}
 
-	getChannelType(channelType) {
-		return this.get(this.baseURL + `/channeltypes/${channelType}`);
+	getChannelType(channelType, options) {
+		return this.get(this.baseURL + `/channeltypes/${channelType}`, {}, options);
 	}
 
-	updateChannelType(channelType, data) {
-		return this.put(this.baseURL + `/channeltypes/${channelType}`, data);
+	updateChannelType(channelType, data, options) {
+		return this.put(this.baseURL + `/channeltypes/${channelType}`, data, options);
 	}
 
-	deleteChannelType(channelType) {
-		return this.delete(this.baseURL + `/channeltypes/${channelType}`);
+	deleteChannelType(channelType, options) {
+		return this.delete(this.baseURL + `/channeltypes/${channelType}`, {}, options);
 	}
 
-	listChannelTypes() {
-		return this.get(this.baseURL + `/channeltypes`);
+	listChannelTypes(options) {
+		return this.get(this.baseURL + `/channeltypes`, {}, options);
 	}
 
 	/**
 	 * translateMessage - adds the translation to the message
 	 *
 	 * @param {string} messageId
+	 * @param {string} language The language to translate to
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 *
 	 * @return {object} Response that includes the message
 	 */
-	async translateMessage(messageId, language) {
-		return await this.post(this.baseURL + `/messages/${messageId}/translate`, {
-			language,
-		});
+	async translateMessage(messageId, language, options) {
+		return await this.post(
+			this.baseURL + `/messages/${messageId}/translate`,
+			{ language },
+			options,
+		);
 	}
 
 	/**
 	 * updateMessage - Update the given message
 	 *
 	 * @param {object} message object, id needs to be specified
+	 * @param {string|object} [userId] The user that updates the message, only used with serverside auth
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 *
 	 * @return {object} Response that includes the message
 	 */
-	async updateMessage(message, userId) {
+	async updateMessage(message, userId, options) {
 		if (!message.id) {
 			throw Error('Please specify the message id when calling updateMesssage');
 		}
@@ -1303,21 +1798,79 @@ export class StreamChat {
 				clonedMessage.user = { id: userId.id };
 			}
 		}
-		return await this.post(this.baseURL + `/messages/${message.id}`, {
-			message: clonedMessage,
-		});
+		const request = () =>
+			this.post(
+				this.baseURL + `/messages/${message.id}`,
+				{ message: clonedMessage },
+				options,
+			);
+
+		const channel = this._channelForMessage(message.id, message.cid);
+		if (!channel) {
+			return await request();
+		}
+		const changes = { ...clonedMessage };
+		delete changes.user;
+		delete changes.user_id;
+		return await channel._optimisticUpdate(
+			message.id,
+			'message.updated',
+			previous =>
+				channel.state.addMessageSorted({
+					...previous,
+					...changes,
+					updated_at: new Date(),
+				}),
+			request,
+		);
 	}
 
-	async deleteMessage(messageID, hardDelete) {
+	async deleteMessage(messageID, hardDelete, options) {
 		let params = {};
 		if (hardDelete) {
 			params = { hard: true };
 		}
-		return await this.delete(this.baseURL + `/messages/${messageID}`, params);
+		const request = () =>
+			this.delete(this.baseURL + `/messages/${messageID}`, params, options);
+
+		const channel = this._channelForMessage(messageID);
+		if (!channel) {
+			return await request();
+		}
+		return await channel._optimisticUpdate(
+			messageID,
+			'message.deleted',
+			previous =>
+				hardDelete
+					? channel.state._removeMessageWithUndo(previous)
+					: channel.state.softDeleteMessage(messageID),
+			request,
+		);
 	}
 
-	async getMessage(messageID) {
-		return await this.get(this.baseURL + `/messages/${messageID}`);
+	/**
+	 * _channelForMessage - Finds the active channel that has the message in its state, only
+	 * used for optimistic updates
+	 *
+	 * @param {string} messageID The id of the message
+	 * @param {string} [cid] The cid of the channel, if known
+	 *
+	 * @return {Channel} The channel or undefined
+	 */
+	_channelForMessage(messageID, cid) {
+		if (!this.options.optimisticUpdates) {
+			return;
+		}
+		if (cid && this.activeChannels[cid]) {
+			return this.activeChannels[cid];
+		}
+		return Object.values(this.activeChannels).find(channel =>
+			channel.state.findMessage(messageID),
+		);
+	}
+
+	async getMessage(messageID, options) {
+		return await this.get(this.baseURL + `/messages/${messageID}`, {}, options);
 	}
 
 	_userAgent() {
@@ -1334,7 +1887,7 @@ export class StreamChat {
 	_enrichAxiosOptions(options = { params: {}, headers: {}, config: {} }) {
 		const token = this._getToken();
 
-		return {
+		const config = {
 			params: {
 				user_id: this.userID,
 				...options.params,
@@ -1349,6 +1902,10 @@ export class StreamChat {
 			},
 			...options.config,
 		};
+		if (options.signal) {
+			config.signal = options.signal;
+		}
+		return config;
 	}
 
 	_getToken() {
@@ -1377,81 +1934,96 @@ export class StreamChat {
 	/** getPermission - gets the definition for a permission
 	 *
 	 * @param {string} name
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 * @returns {Promise<*>}
 	 */
-	getPermission(name) {
-		return this.get(`${this.baseURL}/custom_permission/${name}`);
+	getPermission(name, options) {
+		return this.get(`${this.baseURL}/custom_permission/${name}`, {}, options);
 	}
 
 	/** createPermission - creates a custom permission
 	 *
 	 * @param {object} permissionData the permission data
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 * @returns {Promise<*>}
 	 */
-	createPermission(permissionData) {
-		return this.post(`${this.baseURL}/custom_permission`, { ...permissionData });
+	createPermission(permissionData, options) {
+		return this.post(
+			`${this.baseURL}/custom_permission`,
+			{ ...permissionData },
+			options,
+		);
 	}
 
 	/** updatePermission - updates an existing custom permission
 	 *
 	 * @param {string} name
 	 * @param {object} permissionData the permission data
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 * @returns {Promise<*>}
 	 */
-	updatePermission(name, permissionData) {
-		return this.post(`${this.baseURL}/custom_permission/${name}`, {
-			...permissionData,
-		});
+	updatePermission(name, permissionData, options) {
+		return this.post(
+			`${this.baseURL}/custom_permission/${name}`,
+			{ ...permissionData },
+			options,
+		);
 	}
 
 	/** deletePermission - deletes a custom permission
 	 *
 	 * @param {name}
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 * @returns {Promise<*>}
 	 */
-	deletePermission(name) {
-		return this.delete(`${this.baseURL}/custom_permission/${name}`);
+	deletePermission(name, options) {
+		return this.delete(`${this.baseURL}/custom_permission/${name}`, {}, options);
 	}
 
 	/** listPermissions - returns the list of custom permissions for this application
 	 *
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 * @returns {Promise<*>}
 	 */
-	listPermissions() {
-		return this.get(`${this.baseURL}/custom_permission`);
+	listPermissions(options) {
+		return this.get(`${this.baseURL}/custom_permission`, {}, options);
 	}
 
 	/** createRole - creates a custom role
 	 *
 	 * @param {string} name the new role name
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 * @returns {Promise<*>}
 	 */
-	createRole(name) {
-		return this.post(`${this.baseURL}/custom_role`, { name });
+	createRole(name, options) {
+		return this.post(`${this.baseURL}/custom_role`, { name }, options);
 	}
 
 	/** listRoles - returns the list of custom roles for this application
 	 *
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 * @returns {Promise<*>}
 	 */
-	listRoles() {
-		return this.get(`${this.baseURL}/custom_role`);
+	listRoles(options) {
+		return this.get(`${this.baseURL}/custom_role`, {}, options);
 	}
 
 	/** deleteRole - deletes a custom role
 	 *
 	 * @param {string} name the role name
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 * @returns {Promise<*>}
 	 */
-	deleteRole(name) {
-		return this.delete(`${this.baseURL}/custom_role/${name}`);
+	deleteRole(name, options) {
+		return this.delete(`${this.baseURL}/custom_role/${name}`, {}, options);
 	}
 
 	/** sync - returns all events that happened for a list of channels since last sync
 	 * @param {array} channel_cids list of channel CIDs
 	 * @param {string} last_sync_at last time the user was online and in sync. RFC3339 ie. "2020-05-06T15:05:01.207Z"
+	 * @param {object} [options] Request options, {signal} cancels the request
 	 */
-	sync(channel_cids, last_sync_at) {
-		return this.post(`${this.baseURL}/sync`, { channel_cids, last_sync_at });
+	sync(channel_cids, last_sync_at, options) {
+		return this.post(`${this.baseURL}/sync`, { channel_cids, last_sync_at }, options);
 	}
 }
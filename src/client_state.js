@@ -34,4 +34,18 @@ export class ClientState {
 		}
 		this.userChannelReferences[user.id][channelID] = true;
 	}
+
+	/**
+	 * snapshot - Returns the users in a JSON serializable format
+	 */
+	snapshot() {
+		return { users: this.users };
+	}
+
+	/**
+	 * rehydrate - Restores the users from a snapshot created by ClientState.snapshot
+	 */
+	rehydrate(snapshot) {
+		this.updateUsers(Object.values(snapshot.users || {}));
+	}
 }
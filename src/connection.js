@@ -1,5 +1,61 @@
 import isoWS from 'isomorphic-ws';
 import { sleep, chatCodes } from './utils';
+import { StreamApiError, WSConnectionError, errorFromWSResponse } from './errors';
+
+/**
+ * defaultBackoff - Waits 250-500ms after the first failure, the range grows by 2s for every
+ * consecutive failure up to 25s. The interval is random to spread out the load from failures.
+ *
+ * @param {object} attempt
+ * - `consecutiveFailures` {int} number of failures since the last successful connection
+ *
+ * @return {int} Duration to wait in milliseconds
+ */
+export function defaultBackoff({ consecutiveFailures }) {
+	const max = Math.min(500 + consecutiveFailures * 2000, 25000);
+	const min = Math.min(Math.max(250, (consecutiveFailures - 1) * 2000), 25000);
+	return Math.floor(Math.random() * (max - min) + min);
+}
+
+/**
+ * DEFAULT_RECONNECT_POLICY - The reconnect policy, the client's reconnectPolicy option overrides any of these
+ *
+ * - `backoff` {function} receives { attempt, consecutiveFailures } and returns the ms to wait before the next attempt
+ * - `maxAttempts` {int} reconnect attempts in a row before giving up
+ * - `healthCheckInterval` {int} ms between the health check messages sent to the server
+ * - `monitorInterval` {int} ms between the checks for missed health checks
+ * - `onGiveUp` {function} called with the last error when maxAttempts is reached
+ */
+export const DEFAULT_RECONNECT_POLICY = {
+	backoff: defaultBackoff,
+	maxAttempts: Infinity,
+	healthCheckInterval: 30 * 1000,
+	monitorInterval: 1 * 1000,
+	onGiveUp: null,
+};
+
+/**
+ * CONNECTION_STATE_TRANSITIONS - The states of the connection and the states they can move to
+ *
+ * - `idle` not connected yet
+ * - `connecting` the first connection attempt
+ * - `connected` the connection is healthy
+ * - `reconnecting` the connection broke, waiting for or running a reconnect attempt and the state recovery
+ * - `offline` the browser reported that it went offline
+ * - `disconnected` closed with disconnect(), doesn't reconnect
+ * - `failed` the connection was rejected or the reconnect policy gave up
+ */
+export const CONNECTION_STATE_TRANSITIONS = {
+	idle: ['connecting', 'disconnected'],
+	connecting: ['connected', 'reconnecting', 'offline', 'failed', 'disconnected'],
+	// without reconnect attempts, ie. maxAttempts 0, a broken connection fails right away
+	connected: ['reconnecting', 'offline', 'failed', 'disconnected'],
+	reconnecting: ['connected', 'offline', 'failed', 'disconnected'],
+	offline: ['reconnecting', 'failed', 'disconnected'],
+	failed: ['connecting', 'reconnecting', 'disconnected'],
+	disconnected: ['connecting'],
+};
+
 /**
  * StableWSConnection - A WS connection that reconnects upon failure.
  * - the browser will sometimes report that you're online or offline
@@ -13,6 +69,16 @@ import { sleep, chatCodes } from './utils';
  * - the health check fails and no event is received for ~40 seconds
  * - the browser indicates the connection is now offline
  *
+ * While the page is hidden or the app is in the background the health checks are paused and no
+ * reconnect attempts are made. With backgroundTimeout the connection is closed after that many ms
+ * in the background. Coming back to the foreground reconnects and recovers the state if needed.
+ *
+ * How long to wait between attempts and when to give up is decided by the reconnect policy,
+ * a connection.failed event is emitted once it gives up.
+ *
+ * The state property follows CONNECTION_STATE_TRANSITIONS, every transition emits a
+ * connection.state_changed event.
+ *
  * There are 2 assumptions we make about the server:
  * - state can be recovered by querying the channel again
  * - if the servers fails to publish a message to the client, the WS connection is destroyed
@@ -31,6 +97,8 @@ export class StableWSConnection {
 		recoverCallback,
 		eventCallback,
 		logger,
+		reconnectPolicy,
+		backgroundTimeout,
 	}) {
 		this.wsBaseURL = wsBaseURL;
 		this.clientID = clientID;
@@ -44,6 +112,21 @@ export class StableWSConnection {
 		this.consecutiveFailures = 0;
 		/** keep track of the total number of failures */
 		this.totalFailures = 0;
+		/** reconnect attempts since the last successful connection */
+		this.reconnectAttempts = 0;
+		/** Boolean that indicates if the reconnect policy gave up */
+		this.isFailed = false;
+		/** last error of a reconnect attempt, passed on when giving up */
+		this.lastError = null;
+
+		/** foreground or background, see setAppState */
+		this.appState = 'foreground';
+		/** ms in the background before the connection is closed, null keeps it open */
+		this.backgroundTimeout = backgroundTimeout != null ? backgroundTimeout : null;
+		this.backgroundTimeoutRef = null;
+
+		/** One of the states in CONNECTION_STATE_TRANSITIONS */
+		this.state = 'idle';
 
 		/** We only make 1 attempt to reconnect at the same time.. */
 		this.isConnecting = false;
@@ -63,10 +146,11 @@ export class StableWSConnection {
 		/** Store the last event time for health checks */
 		this.lastEvent = null;
 
+		this.reconnectPolicy = { ...DEFAULT_RECONNECT_POLICY, ...reconnectPolicy };
 		/** Send a health check message every 30 seconds */
-		this.healthCheckInterval = 30 * 1000;
+		this.healthCheckInterval = this.reconnectPolicy.healthCheckInterval;
 		/** Every second we verify that we didn't miss any health checks */
-		this.monitorInterval = 1 * 1000;
+		this.monitorInterval = this.reconnectPolicy.monitorInterval;
 
 		this._listenForConnectionChanges();
 	}
@@ -85,9 +169,13 @@ export class StableWSConnection {
 		}
 		try {
 			this.isConnecting = true;
+			this.isFailed = false;
+			this._setState('connecting');
 			healthCheck = await this._connect();
 			this.isConnecting = false;
 			this.consecutiveFailures = 0;
+			this.reconnectAttempts = 0;
+			this._setState('connected');
 			this._startMonitor();
 			this._startHealthCheck();
 			this.logger(
@@ -113,17 +201,20 @@ export class StableWSConnection {
 				return this._reconnect({ refreshToken: true });
 			}
 
-			if (!error.isWSFailure) {
+			if (error.isWSFailure) {
+				// the closed connection is retried, see _reconnect
+				this._setState('reconnecting');
+			} else {
+				this._setState('failed');
 				// This is a permanent failure, throw the error...
 				// We are keeping the error consistent with http error.
-				throw new Error(
-					JSON.stringify({
-						code: error.code,
-						StatusCode: error.StatusCode,
-						message: error.message,
-						isWSFailure: error.isWSFailure,
-					}),
-				);
+				throw error instanceof StreamApiError
+					? error
+					: errorFromWSResponse({
+							code: error.code,
+							StatusCode: error.status,
+							message: error.message,
+					  });
 			}
 		}
 	}
@@ -154,6 +245,7 @@ export class StableWSConnection {
 		);
 
 		this.wsID += 1;
+		this._setState('disconnected');
 
 		// start by removing all the listeners
 		if (this.healthCheckIntervalRef) {
@@ -164,6 +256,7 @@ export class StableWSConnection {
 		}
 
 		this._removeConnectionListeners();
+		clearTimeout(this.backgroundTimeoutRef);
 
 		this.isHealthy = false;
 
@@ -261,10 +354,10 @@ export class StableWSConnection {
 			tags: ['connection'],
 		});
 		// only allow 1 connection at the time
-		if (this.isConnecting || this.isHealthy) {
+		if (this.isConnecting || this.isHealthy || this.isFailed) {
 			this.logger(
 				'info',
-				'connection:_reconnect() - Abort (1) since already connecting or healthy',
+				'connection:_reconnect() - Abort (1) since already connecting, healthy or failed',
 				{
 					tags: ['connection'],
 				},
@@ -272,6 +365,26 @@ export class StableWSConnection {
 			return;
 		}
 
+		// background tabs and suspended apps would cause a reconnect storm, setAppState reconnects later
+		if (this.appState === 'background') {
+			this.logger(
+				'info',
+				'connection:_reconnect() - Abort since the app is in the background',
+				{
+					tags: ['connection'],
+				},
+			);
+			this._setState('offline');
+			return;
+		}
+
+		if (this.reconnectAttempts >= this.reconnectPolicy.maxAttempts) {
+			this._giveUp();
+			return;
+		}
+		this.reconnectAttempts += 1;
+		this._setState('reconnecting');
+
 		// reconnect in case of on error or on close
 		// also reconnect if the health check cycle fails
 		let interval = options.interval;
@@ -283,7 +396,7 @@ export class StableWSConnection {
 
 		// Check once again if by some other call to _reconnect is active or connection is
 		// already restored, then no need to proceed.
-		if (this.isConnecting || this.isHealthy) {
+		if (this.isConnecting || this.isHealthy || this.isFailed) {
 			this.logger(
 				'info',
 				'connection:_reconnect() - Abort (2) since already connecting or healthy',
@@ -332,10 +445,18 @@ export class StableWSConnection {
 			}
 			this.isConnecting = false;
 			this.consecutiveFailures = 0;
+			this.reconnectAttempts = 0;
+			this._setState('connected');
+			// the checks are stopped when the reconnect policy gave up or the app is in the background
+			if (!this.monitorIntervalRef && this.appState === 'foreground') {
+				this._startMonitor();
+				this._startHealthCheck();
+			}
 		} catch (error) {
 			this.isConnecting = false;
 			this.isHealthy = false;
 			this.consecutiveFailures += 1;
+			this.lastError = error;
 			if (error.code === chatCodes.TOKEN_EXPIRED && !this.tokenManager.isStatic()) {
 				this.logger(
 					'info',
@@ -359,6 +480,8 @@ export class StableWSConnection {
 				);
 
 				this._reconnect();
+			} else {
+				this._setState('failed');
 			}
 		}
 		this.logger('info', 'connection:_reconnect() - == END ==', {
@@ -366,6 +489,69 @@ export class StableWSConnection {
 		});
 	}
 
+	/**
+	 * setAppState - Called when the app moves to the background or comes back to the foreground.
+	 * Browsers call it on visibilitychange, React Native apps can call it from an AppState listener.
+	 *
+	 * @param {string} appState foreground or background
+	 */
+	setAppState = appState => {
+		if (appState === this.appState) {
+			return;
+		}
+		this.appState = appState;
+		this.logger('info', `connection:setAppState() - App moved to the ${appState}`, {
+			tags: ['connection'],
+		});
+
+		if (appState === 'background') {
+			// timers are throttled in the background, the missed health checks would trigger reconnects
+			this._stopHealthCheck();
+			if (this.backgroundTimeout != null) {
+				this.backgroundTimeoutRef = setTimeout(
+					this._closeInBackground,
+					this.backgroundTimeout,
+				);
+			}
+			return;
+		}
+
+		clearTimeout(this.backgroundTimeoutRef);
+		this.backgroundTimeoutRef = null;
+		if (this.isHealthy) {
+			// verify the connection right away instead of waiting for the next health check
+			this.lastEvent = new Date();
+			this._sendHealthCheck();
+			this._stopHealthCheck();
+			this._startMonitor();
+			this._startHealthCheck();
+		} else if (this.state !== 'idle' && this.state !== 'disconnected') {
+			this._reconnect({ interval: 10 });
+		}
+	};
+
+	onVisibilityChange = () => {
+		this.setAppState(document.hidden ? 'background' : 'foreground');
+	};
+
+	/**
+	 * _closeInBackground - Closes the connection once the app spent backgroundTimeout ms in the background
+	 *
+	 */
+	_closeInBackground = () => {
+		this.backgroundTimeoutRef = null;
+		this.logger(
+			'info',
+			`connection:_closeInBackground() - Closing the connection after ${this.backgroundTimeout}ms in the background`,
+			{
+				tags: ['connection'],
+			},
+		);
+		this._destroyCurrentWSConnection();
+		this._setHealth(false);
+		this._setState('offline');
+	};
+
 	/**
 	 * onlineStatusChanged - this function is called when the browser connects or disconnects from the internet.
 	 *
@@ -383,6 +569,7 @@ export class StableWSConnection {
 				},
 			);
 			this._setHealth(false);
+			this._setState('offline');
 		} else if (event.type === 'online') {
 			// retry right now...
 			// We check this.isHealthy, not sure if it's always
@@ -396,6 +583,9 @@ export class StableWSConnection {
 				},
 			);
 			if (!this.isHealthy) {
+				// a new network is worth a new series of attempts
+				this.isFailed = false;
+				this.reconnectAttempts = 0;
 				this._reconnect({ interval: 10 });
 			}
 		}
@@ -421,7 +611,7 @@ export class StableWSConnection {
 		if (!this.isResolved) {
 			const data = JSON.parse(event.data);
 			if (data.error != null) {
-				this.rejectPromise(this._errorFromWSEvent(data.error, false));
+				this.rejectPromise(errorFromWSResponse(data.error));
 				return;
 			} else {
 				this.resolvePromise(event);
@@ -451,7 +641,10 @@ export class StableWSConnection {
 		if (event.code === chatCodes.WS_CLOSED_SUCCESS) {
 			// this is a permanent error raised by stream..
 			// usually caused by invalid auth details
-			const error = new Error(`WS connection reject with error ${event.reason}`);
+			const error = new WSConnectionError(
+				`WS connection reject with error ${event.reason}`,
+				{ code: event.code },
+			);
 			error.reason = event.reason;
 			this.rejectPromise(error);
 			this.logger(
@@ -530,6 +723,35 @@ export class StableWSConnection {
 		}
 	};
 
+	/**
+	 * _setState - Moves the connection to a new state and emits a connection.state_changed event.
+	 * Transitions that aren't part of CONNECTION_STATE_TRANSITIONS are ignored.
+	 *
+	 * @param {string} state The new state
+	 */
+	_setState(state) {
+		const previousState = this.state;
+		if (state === previousState) {
+			return;
+		}
+		if (!CONNECTION_STATE_TRANSITIONS[previousState].includes(state)) {
+			this.logger(
+				'info',
+				`connection:_setState() - Ignoring transition from ${previousState} to ${state}`,
+				{
+					tags: ['connection'],
+				},
+			);
+			return;
+		}
+		this.state = state;
+		this.eventCallback({
+			type: 'connection.state_changed',
+			state,
+			previous_state: previousState,
+		});
+	}
+
 	/**
 	 * _errorFromWSEvent - Creates an error object for the WS event
 	 *
@@ -545,13 +767,10 @@ export class StableWSConnection {
 			},
 		);
 
-		const error = new Error(
+		return new WSConnectionError(
 			`WS failed with code ${event.code} and reason - ${event.message}`,
+			{ code: event.code, status: event.StatusCode, isWSFailure },
 		);
-		error.code = event.code;
-		error.StatusCode = event.StatusCode;
-		error.isWSFailure = isWSFailure;
-		return error;
 	};
 
 	/**
@@ -567,6 +786,9 @@ export class StableWSConnection {
 			window.addEventListener('offline', this.onlineStatusChanged);
 			window.addEventListener('online', this.onlineStatusChanged);
 		}
+		if (typeof document !== 'undefined' && document.addEventListener != null) {
+			document.addEventListener('visibilitychange', this.onVisibilityChange);
+		}
 	};
 
 	_removeConnectionListeners = () => {
@@ -578,6 +800,9 @@ export class StableWSConnection {
 			window.removeEventListener('offline', this.onlineStatusChanged);
 			window.removeEventListener('online', this.onlineStatusChanged);
 		}
+		if (typeof document !== 'undefined' && document.removeEventListener != null) {
+			document.removeEventListener('visibilitychange', this.onVisibilityChange);
+		}
 	};
 
 	/**
@@ -603,16 +828,44 @@ export class StableWSConnection {
 	}
 
 	/**
-	 * _retryInterval - A retry interval which increases after consecutive failures
+	 * _retryInterval - A retry interval which increases after consecutive failures, see the reconnect policy's backoff
 	 *
 	 * @return {int} Duration to wait in milliseconds
 	 */
-	_retryInterval = () => {
-		// try to reconnect in 0-5 seconds (random to spread out the load from failures)
-		const max = Math.min(500 + this.consecutiveFailures * 2000, 25000);
-		const min = Math.min(Math.max(250, (this.consecutiveFailures - 1) * 2000), 25000);
-		return Math.floor(Math.random() * (max - min) + min);
-	};
+	_retryInterval = () =>
+		this.reconnectPolicy.backoff({
+			attempt: this.reconnectAttempts,
+			consecutiveFailures: this.consecutiveFailures,
+		});
+
+	/**
+	 * _giveUp - Stops reconnecting once the reconnect policy is exhausted.
+	 * The connection stays down until the browser comes back online or connect is called again.
+	 *
+	 */
+	_giveUp() {
+		this.logger(
+			'warn',
+			`connection:_giveUp() - Giving up after ${this.reconnectAttempts} reconnect attempts`,
+			{
+				tags: ['connection'],
+				error: this.lastError,
+			},
+		);
+		this.isFailed = true;
+		this._setState('failed');
+		this._stopHealthCheck();
+		this._destroyCurrentWSConnection();
+
+		this.eventCallback({
+			type: 'connection.failed',
+			attempts: this.reconnectAttempts,
+			error: this.lastError,
+		});
+		if (this.reconnectPolicy.onGiveUp) {
+			this.reconnectPolicy.onGiveUp(this.lastError);
+		}
+	}
 
 	/**
 	 * _setupPromise - sets up the this.connectOpen promise
@@ -628,7 +881,7 @@ export class StableWSConnection {
 			e => {
 				const data = JSON.parse(e.data);
 				if (data.error != null) {
-					throw new Error(JSON.stringify(data.error));
+					throw errorFromWSResponse(data.error);
 				}
 				return data;
 			},
@@ -646,23 +899,41 @@ export class StableWSConnection {
 		const that = this;
 		// 30 seconds is the recommended interval (messenger uses this)
 		this.healthCheckIntervalRef = setInterval(() => {
-			// send the healthcheck.., server replies with a health check event
-			const data = [
-				{
-					type: 'health.check',
-					client_id: that.clientID,
-					user_id: that.userID,
-				},
-			];
-			// try to send on the connection
-			try {
-				that.ws.send(JSON.stringify(data));
-			} catch (e) {
-				// error will already be detected elsewhere
-			}
+			that._sendHealthCheck();
 		}, that.healthCheckInterval);
 	}
 
+	/**
+	 * _sendHealthCheck - Sends a health check message, the server replies with a health check event
+	 *
+	 */
+	_sendHealthCheck() {
+		const data = [
+			{
+				type: 'health.check',
+				client_id: this.clientID,
+				user_id: this.userID,
+			},
+		];
+		// try to send on the connection
+		try {
+			this.ws.send(JSON.stringify(data));
+		} catch (e) {
+			// error will already be detected elsewhere
+		}
+	}
+
+	/**
+	 * _stopHealthCheck - Stops sending health checks and monitoring them
+	 *
+	 */
+	_stopHealthCheck() {
+		clearInterval(this.healthCheckIntervalRef);
+		clearInterval(this.monitorIntervalRef);
+		this.healthCheckIntervalRef = null;
+		this.monitorIntervalRef = null;
+	}
+
 	/**
 	 * _startMonitor - Verifies we didn't miss any events. Marks the connection as failed in case we did.
 	 *
@@ -0,0 +1,158 @@
+import { WriteQueue } from './storage';
+import { openBroadcastChannel } from './utils';
+
+/**
+ * DraftStore - Keeps the messages users didn't send yet, per channel and thread, in a storage
+ * adapter so they survive switching channels and, with a persistent storage, page reloads.
+ *
+ * With the `sync` option drafts are synchronized between the tabs of the same user with a
+ * BroadcastChannel where it's available, it's opened when the user connects. The client emits a draft.updated event every time a draft is saved or cleared, in this
+ * tab or another one. See channel.saveDraft, channel.getDraft and channel.clearDraft.
+ *
+ * @param {StreamChat} client The client
+ * @param {object} [options]
+ * - `storage` {object} the storage adapter, see storage.js
+ * - `sync` {boolean} synchronize the drafts between tabs, defaults to false
+ */
+export class DraftStore {
+	constructor(client, { storage, sync = false } = {}) {
+		this.client = client;
+		this.storage = storage;
+		/** the drafts that were read or written, by storage key. null when there is no draft */
+		this.cache = {};
+		this.writes = new WriteQueue();
+		this.sync = sync;
+		this.broadcast = null;
+	}
+
+	/**
+	 * start - Opens the BroadcastChannel of the api key and user when sync is on, called when the
+	 * user connects
+	 */
+	start() {
+		if (!this.sync || this.broadcast || typeof BroadcastChannel === 'undefined') {
+			return;
+		}
+		this.broadcast = openBroadcastChannel(
+			`stream-chat-drafts-${this.client.key}-${this.client.userID}`,
+			data => this._receive(data),
+		);
+	}
+
+	/**
+	 * get - Returns the draft of a channel or thread
+	 *
+	 * @param {string} cid The channel cid
+	 * @param {string} [parentID] The id of the thread parent, leave it out for the channel
+	 *
+	 * @return {Promise<object>} The draft, null when there is none
+	 */
+	async get(cid, parentID) {
+		const key = this._storageKey(cid, parentID);
+		if (!(key in this.cache)) {
+			const value = await this.storage.getItem(key);
+			// a draft could've been saved while we waited for the storage
+			if (!(key in this.cache)) {
+				this.cache[key] = value ? JSON.parse(value) : null;
+			}
+		}
+		return this.cache[key];
+	}
+
+	/**
+	 * save - Saves the draft of a channel or, when it has a parent_id, of a thread. Empty drafts are cleared
+	 *
+	 * @param {string} cid The channel cid
+	 * @param {object} draft The message, {text, attachments, mentioned_users, parent_id}
+	 *
+	 * @return {Promise<object>} The saved draft with its updated_at, null for empty drafts
+	 */
+	async save(cid, draft) {
+		const parentID = draft.parent_id || null;
+		const empty =
+			!(draft.text || '').trim() &&
+			!(draft.attachments && draft.attachments.length);
+		if (empty) {
+			await this._write(cid, parentID, null);
+			return null;
+		}
+		const value = { ...draft, updated_at: new Date().toISOString() };
+		if (!parentID) {
+			delete value.parent_id;
+		}
+		await this._write(cid, parentID, value);
+		return value;
+	}
+
+	/**
+	 * clear - Removes the draft of a channel or thread
+	 *
+	 * @param {string} cid The channel cid
+	 * @param {string} [parentID] The id of the thread parent
+	 * @param {object} [options]
+	 * - `savedBefore` {string} only remove the draft if it was saved before this ISO date, so a draft
+	 *   written while a message was sent stays
+	 *
+	 * @return {Promise} Resolves once the draft is removed
+	 */
+	async clear(cid, parentID, { savedBefore } = {}) {
+		if (savedBefore) {
+			const current = await this.get(cid, parentID);
+			if (!current || current.updated_at > savedBefore) {
+				return;
+			}
+		}
+		await this._write(cid, parentID || null, null);
+	}
+
+	/**
+	 * reset - Forgets the cached drafts and stops the synchronization, called on client.disconnect().
+	 * The stored drafts stay
+	 */
+	reset() {
+		this.cache = {};
+		if (this.broadcast) {
+			this.broadcast.close();
+			this.broadcast = null;
+		}
+	}
+
+	_storageKey(cid, parentID) {
+		return `stream-chat-draft-${this.client.userID}-${cid}-${parentID || ''}`;
+	}
+
+	_write(cid, parentID, draft) {
+		const key = this._storageKey(cid, parentID);
+		this.cache[key] = draft;
+		this._emit(cid, parentID, draft);
+		if (this.broadcast) {
+			this.broadcast.postMessage({
+				userID: this.client.userID,
+				cid,
+				parentID,
+				draft,
+			});
+		}
+		const value = draft ? JSON.stringify(draft) : null;
+		return this.writes.push(() =>
+			value ? this.storage.setItem(key, value) : this.storage.removeItem(key),
+		);
+	}
+
+	_receive({ userID, cid, parentID, draft }) {
+		if (!userID || userID !== this.client.userID) {
+			return;
+		}
+		this.cache[this._storageKey(cid, parentID)] = draft;
+		this._emit(cid, parentID, draft);
+	}
+
+	_emit(cid, parentID, draft) {
+		this.client.dispatchEvent({
+			type: 'draft.updated',
+			cid,
+			parent_id: parentID,
+			draft,
+		});
+	}
+}
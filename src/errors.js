@@ -0,0 +1,220 @@
+import { chatCodes } from './utils';
+
+/**
+ * StreamApiError - Base class for the errors returned by the Stream API, both over HTTP and the websocket
+ *
+ * @param {string} message The error message
+ * @param {object} [details]
+ * - `code` {int} the Stream error code, see https://getstream.io/chat/docs/api_errors_response/
+ * - `status` {int} the HTTP status code
+ * - `response` {object} the HTTP response
+ * - `moreInfo` {string} a link to the documentation of the error
+ * - `isWSFailure` {boolean} the websocket connection failed and is worth another try
+ */
+export class StreamApiError extends Error {
+	constructor(message, { code, status, response, moreInfo, isWSFailure } = {}) {
+		super(message);
+		this.name = 'StreamApiError';
+		this.code = code;
+		this.status = status;
+		this.response = response;
+		this.moreInfo = moreInfo;
+		this.isWSFailure = !!isWSFailure;
+	}
+}
+
+/**
+ * InputError - The request is invalid, ie. a missing or malformed field
+ */
+export class InputError extends StreamApiError {
+	constructor(message, details) {
+		super(message, details);
+		this.name = 'InputError';
+	}
+}
+
+/**
+ * AuthenticationError - The api key or token is missing or invalid
+ */
+export class AuthenticationError extends StreamApiError {
+	constructor(message, details) {
+		super(message, details);
+		this.name = 'AuthenticationError';
+	}
+}
+
+/**
+ * TokenExpiredError - The token expired, clients with a token provider load a new one and retry
+ */
+export class TokenExpiredError extends AuthenticationError {
+	constructor(message, details) {
+		super(message, details);
+		this.name = 'TokenExpiredError';
+	}
+}
+
+/**
+ * PermissionDeniedError - The user isn't allowed to perform the action
+ */
+export class PermissionDeniedError extends StreamApiError {
+	constructor(message, details) {
+		super(message, details);
+		this.name = 'PermissionDeniedError';
+	}
+}
+
+/**
+ * NotFoundError - The channel, message, user or other resource doesn't exist
+ */
+export class NotFoundError extends StreamApiError {
+	constructor(message, details) {
+		super(message, details);
+		this.name = 'NotFoundError';
+	}
+}
+
+/**
+ * RateLimitError - Too many requests, the API rejected this one. `rateLimit` has the limit, the
+ * remaining requests and when the limit resets, if the API sent them.
+ */
+export class RateLimitError extends StreamApiError {
+	constructor(message, details = {}) {
+		super(message, details);
+		this.name = 'RateLimitError';
+		this.rateLimit = details.rateLimit || null;
+	}
+}
+
+/**
+ * WSConnectionError - The websocket connection failed or was rejected. Failures with isWSFailure
+ * are temporary and the connection retries them, the others are permanent.
+ */
+export class WSConnectionError extends StreamApiError {
+	constructor(message, details) {
+		super(message, details);
+		this.name = 'WSConnectionError';
+	}
+}
+
+/**
+ * AbortError - The request was cancelled with its AbortSignal. It isn't an API error, the name is
+ * the same as the error fetch rejects with so `error.name === 'AbortError'` checks work for both.
+ */
+export class AbortError extends Error {
+	constructor(message = 'The request was aborted') {
+		super(message);
+		this.name = 'AbortError';
+	}
+}
+
+/**
+ * UploadValidationError - The file was rejected before the upload started. `reason` is one of
+ * uploads_disabled, permission_denied, file_too_large, mime_type_not_allowed or extension_not_allowed.
+ *
+ * @param {string} message The error message
+ * @param {object} [details]
+ * - `reason` {string} why the file was rejected
+ * - `file` {object} the {name, size, contentType} of the file
+ * - `limit` {number|array} the limit the file exceeds, ie. the maximum size or the allowed types
+ */
+export class UploadValidationError extends Error {
+	constructor(message, { reason, file, limit } = {}) {
+		super(message);
+		this.name = 'UploadValidationError';
+		this.reason = reason;
+		this.file = file;
+		this.limit = limit;
+	}
+}
+
+/**
+ * UploadNotAllowedError - Uploads are disabled for the channel type or the user doesn't have the
+ * Upload Attachment permission
+ */
+export class UploadNotAllowedError extends UploadValidationError {
+	constructor(message, details) {
+		super(message, details);
+		this.name = 'UploadNotAllowedError';
+	}
+}
+
+/**
+ * FileTooLargeError - The file is larger than the maximum size
+ */
+export class FileTooLargeError extends UploadValidationError {
+	constructor(message, details) {
+		super(message, details);
+		this.name = 'FileTooLargeError';
+	}
+}
+
+/**
+ * FileTypeNotAllowedError - The mime type or the extension of the file isn't allowed
+ */
+export class FileTypeNotAllowedError extends UploadValidationError {
+	constructor(message, details) {
+		super(message, details);
+		this.name = 'FileTypeNotAllowedError';
+	}
+}
+
+// Stream error codes take precedence over the HTTP status
+const ERRORS_BY_CODE = {
+	[chatCodes.INPUT_ERROR]: InputError,
+	[chatCodes.AUTHENTICATION_ERROR]: AuthenticationError,
+	[chatCodes.RATE_LIMITED]: RateLimitError,
+	[chatCodes.DOES_NOT_EXIST]: NotFoundError,
+	[chatCodes.NOT_ALLOWED]: PermissionDeniedError,
+	[chatCodes.TOKEN_EXPIRED]: TokenExpiredError,
+	[chatCodes.TOKEN_NOT_VALID_YET]: AuthenticationError,
+	[chatCodes.TOKEN_USED_BEFORE_ISSUED_AT]: AuthenticationError,
+	[chatCodes.TOKEN_SIGNATURE_INVALID]: AuthenticationError,
+};
+
+const ERRORS_BY_STATUS = {
+	400: InputError,
+	401: AuthenticationError,
+	403: PermissionDeniedError,
+	404: NotFoundError,
+	429: RateLimitError,
+};
+
+/**
+ * apiErrorClass - Returns the error class for a Stream error code and HTTP status
+ *
+ * @param {object} details The `code` and `status` of the error
+ * @param {function} [fallback] The class to use for unknown errors, defaults to StreamApiError
+ *
+ * @return {function} The error class
+ */
+export function apiErrorClass({ code, status }, fallback = StreamApiError) {
+	return ERRORS_BY_CODE[code] || ERRORS_BY_STATUS[status] || fallback;
+}
+
+/**
+ * errorFromWSResponse - Creates the error for an error the API sent over the websocket
+ *
+ * @param {object} error The error from the websocket message, with code, StatusCode and message
+ * @param {boolean} [isWSFailure] Whether the connection is worth another try
+ *
+ * @return {StreamApiError}
+ */
+export function errorFromWSResponse(error, isWSFailure = false) {
+	const details = {
+		code: error.code,
+		status: error.StatusCode,
+		moreInfo: error.more_info,
+		isWSFailure,
+	};
+	const ErrorClass = apiErrorClass(details, WSConnectionError);
+	// the message stays JSON encoded, code that parses it keeps working
+	return new ErrorClass(
+		JSON.stringify({
+			code: error.code,
+			StatusCode: error.StatusCode,
+			message: error.message,
+			isWSFailure,
+		}),
+		details,
+	);
+}
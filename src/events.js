@@ -36,6 +36,16 @@ export const EVENT_MAP = {
 	// local events
 	'connection.changed': true,
 	'connection.recovered': true,
+	'connection.failed': true,
+	'connection.state_changed': true,
+	'optimistic_update.failed': true,
+	'upload.progress': true,
+	'upload.completed': true,
+	'upload.failed': true,
+	'composer.changed': true,
+	'draft.updated': true,
+	'channel_list.changed': true,
+	'thread.changed': true,
 };
 
 export function isValidEventType(eventType) {
@@ -0,0 +1,403 @@
+/**
+ * An image processor decodes, resizes and encodes the images for the ImagePipeline. Browsers can
+ * use canvasImageProcessor, node can wrap a native library like sharpImageProcessor does. It implements:
+ *
+ * - `load(file)` decodes the image and resolves with an object with its `width` and `height`, after
+ *   applying the EXIF orientation. The pipeline passes this object to the other methods.
+ * - `encode(image, {width, height, type, quality})` resolves with the image resized to width x height
+ *   and encoded as type (a mime type), as a Blob or Buffer. The encoded image has no EXIF or other metadata.
+ * - `pixels(image, {width, height})` resolves with the RGBA pixels of the image resized to width x
+ *   height, as {data, width, height} like ImageData
+ * - optionally `close(image)` frees the memory of the decoded image
+ */
+
+const BLURHASH_SIZE = 32;
+
+// the formats canvas and native libraries can encode, others are converted to jpeg
+const EXTENSIONS = {
+	'image/jpeg': 'jpg',
+	'image/png': 'png',
+	'image/webp': 'webp',
+};
+
+/**
+ * fitImage - Returns the size of an image scaled down to fit in maxWidth x maxHeight, images
+ * aren't scaled up
+ *
+ * @param {int} width The width of the image
+ * @param {int} height The height of the image
+ * @param {int} maxWidth The maximum width
+ * @param {int} maxHeight The maximum height
+ *
+ * @return {object} {width, height}
+ */
+export function fitImage(width, height, maxWidth, maxHeight) {
+	const scale = Math.min(1, maxWidth / width, maxHeight / height);
+	return {
+		width: Math.max(1, Math.round(width * scale)),
+		height: Math.max(1, Math.round(height * scale)),
+	};
+}
+
+const BASE83 =
+	'0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+function encode83(value, length) {
+	let result = '';
+	for (let i = 1; i <= length; i++) {
+		result += BASE83[Math.floor(value / Math.pow(83, length - i)) % 83];
+	}
+	return result;
+}
+
+function sRGBToLinear(value) {
+	const v = value / 255;
+	return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+function linearToSRGB(value) {
+	const v = Math.max(0, Math.min(1, value));
+	return v <= 0.0031308
+		? Math.floor(v * 12.92 * 255 + 0.5)
+		: Math.floor((1.055 * Math.pow(v, 1 / 2.4) - 0.055) * 255 + 0.5);
+}
+
+function signPow(value, exponent) {
+	return Math.sign(value) * Math.pow(Math.abs(value), exponent);
+}
+
+function blurhashFactor(pixels, width, height, i, j) {
+	const normalisation = i === 0 && j === 0 ? 1 : 2;
+	const factor = [0, 0, 0];
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			const basis =
+				normalisation *
+				Math.cos((Math.PI * i * x) / width) *
+				Math.cos((Math.PI * j * y) / height);
+			const offset = 4 * (x + y * width);
+			for (let c = 0; c < 3; c++) {
+				factor[c] += basis * sRGBToLinear(pixels[offset + c]);
+			}
+		}
+	}
+	return factor.map(value => value / (width * height));
+}
+
+/**
+ * encodeBlurhash - Encodes RGBA pixels as a blurhash, a short string apps decode into a blurred
+ * placeholder, see https://blurha.sh
+ *
+ * @param {Uint8ClampedArray|Buffer} pixels The RGBA pixels, 4 bytes per pixel
+ * @param {int} width The width of the image
+ * @param {int} height The height of the image
+ * @param {int} [componentsX] Horizontal components between 1 and 9, defaults to 4
+ * @param {int} [componentsY] Vertical components between 1 and 9, defaults to 3
+ *
+ * @return {string}
+ */
+export function encodeBlurhash(pixels, width, height, componentsX = 4, componentsY = 3) {
+	const factors = [];
+	for (let j = 0; j < componentsY; j++) {
+		for (let i = 0; i < componentsX; i++) {
+			factors.push(blurhashFactor(pixels, width, height, i, j));
+		}
+	}
+	const [dc, ...ac] = factors;
+
+	let hash = encode83(componentsX - 1 + (componentsY - 1) * 9, 1);
+	let maximum = 1;
+	if (ac.length) {
+		const actualMaximum = Math.max(
+			...ac.map(factor => Math.max(...factor.map(Math.abs))),
+		);
+		const quantisedMaximum = Math.max(
+			0,
+			Math.min(82, Math.floor(actualMaximum * 166 - 0.5)),
+		);
+		maximum = (quantisedMaximum + 1) / 166;
+		hash += encode83(quantisedMaximum, 1);
+	} else {
+		hash += encode83(0, 1);
+	}
+	const [r, g, b] = dc.map(linearToSRGB);
+	hash += encode83((r << 16) + (g << 8) + b, 4);
+	const quantise = value =>
+		Math.max(0, Math.min(18, Math.floor(signPow(value / maximum, 0.5) * 9 + 9.5)));
+	for (const factor of ac) {
+		const [qr, qg, qb] = factor.map(quantise);
+		hash += encode83(qr * 19 * 19 + qg * 19 + qb, 2);
+	}
+	return hash;
+}
+
+function drawImage(image, width, height) {
+	let canvas;
+	if (typeof OffscreenCanvas !== 'undefined') {
+		canvas = new OffscreenCanvas(width, height);
+	} else {
+		canvas = document.createElement('canvas');
+		canvas.width = width;
+		canvas.height = height;
+	}
+	const context = canvas.getContext('2d');
+	context.drawImage(image.bitmap, 0, 0, width, height);
+	return { canvas, context };
+}
+
+/**
+ * canvasImageProcessor - Processes the images with createImageBitmap and canvas, for browsers.
+ * Drawing the image on a canvas drops its metadata.
+ */
+export const canvasImageProcessor = {
+	async load(file) {
+		const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+		return { bitmap, width: bitmap.width, height: bitmap.height };
+	},
+
+	encode(image, { width, height, type, quality }) {
+		const { canvas } = drawImage(image, width, height);
+		if (canvas.convertToBlob) {
+			return canvas.convertToBlob({ type, quality });
+		}
+		return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+	},
+
+	pixels(image, { width, height }) {
+		const { context } = drawImage(image, width, height);
+		return Promise.resolve(context.getImageData(0, 0, width, height));
+	},
+
+	close(image) {
+		image.bitmap.close();
+	},
+};
+
+/**
+ * sharpImageProcessor - Returns an image processor that uses sharp, for node. sharp isn't a
+ * dependency of this package, install it and pass it in:
+ *
+ * const images = {processor: sharpImageProcessor(require('sharp'))};
+ *
+ * @param {function} sharp The sharp module
+ *
+ * @return {object} The image processor
+ */
+export function sharpImageProcessor(sharp) {
+	// rotate() without an angle applies the EXIF orientation, sharp drops the metadata when encoding
+	const pipeline = (image, width, height) =>
+		sharp(image.file)
+			.rotate()
+			.resize(width, height, { fit: 'fill' });
+
+	return {
+		async load(file) {
+			const { width, height, orientation } = await sharp(file).metadata();
+			// orientations 5 to 8 rotate the image by 90 degrees
+			const rotated = orientation >= 5;
+			return {
+				file,
+				width: rotated ? height : width,
+				height: rotated ? width : height,
+			};
+		},
+
+		encode(image, { width, height, type, quality }) {
+			return pipeline(image, width, height)
+				.toFormat(type === 'image/jpeg' ? 'jpeg' : EXTENSIONS[type], {
+					quality: Math.round(quality * 100),
+				})
+				.toBuffer();
+		},
+
+		async pixels(image, { width, height }) {
+			const { data, info } = await pipeline(image, width, height)
+				.ensureAlpha()
+				.raw()
+				.toBuffer({ resolveWithObject: true });
+			return { data, width: info.width, height: info.height };
+		},
+	};
+}
+
+// uris and streams can't be decoded
+function isImageFile(file) {
+	return (
+		(typeof Blob !== 'undefined' && file instanceof Blob) ||
+		(typeof Buffer !== 'undefined' && Buffer.isBuffer(file))
+	);
+}
+
+/**
+ * ImagePipeline - Resizes and re-encodes images before they are uploaded, which also strips their
+ * EXIF metadata, and creates a thumbnail and a blurhash placeholder. The upload manager runs the
+ * pipeline for image uploads when the `images` upload option is set, see UploadManager.
+ *
+ * Uris (React Native), streams, gifs and svgs are uploaded as they are.
+ *
+ * @param {object} [options]
+ * - `processor` {object} decodes and encodes the images, defaults to canvasImageProcessor in browsers
+ * - `maxWidth` {int} the maximum width of uploaded images, defaults to 2048
+ * - `maxHeight` {int} the maximum height of uploaded images, defaults to 2048
+ * - `type` {string} the mime type to encode images as, by default png and webp images keep their
+ *   type and others are converted to jpeg
+ * - `quality` {number} the encoding quality between 0 and 1, defaults to 0.85
+ * - `stripMetadata` {boolean} re-encode images that are small enough to remove their metadata,
+ *   defaults to true. Without it these images are uploaded as they are
+ * - `thumbnail` {object|boolean} the {maxWidth, maxHeight, quality} of the thumbnail, defaults to
+ *   false which skips the thumbnail. true creates thumbnails of 320 x 320 with quality 0.6
+ * - `blurhash` {object|boolean} the {componentsX, componentsY} of the blurhash, defaults to 4 x 3.
+ *   false skips the blurhash
+ * - `skipTypes` {array} the mime types that are uploaded as they are, defaults to gif and svg
+ */
+export class ImagePipeline {
+	constructor({
+		processor,
+		maxWidth = 2048,
+		maxHeight = 2048,
+		type = null,
+		quality = 0.85,
+		stripMetadata = true,
+		thumbnail = false,
+		blurhash = true,
+		skipTypes = ['image/gif', 'image/svg+xml'],
+	} = {}) {
+		if (!processor && typeof createImageBitmap === 'undefined') {
+			throw new Error('ImagePipeline needs an image processor outside of browsers');
+		}
+		this.processor = processor || canvasImageProcessor;
+		this.maxWidth = maxWidth;
+		this.maxHeight = maxHeight;
+		this.type = type;
+		this.quality = quality;
+		this.stripMetadata = stripMetadata;
+		this.thumbnail =
+			thumbnail === true
+				? { maxWidth: 320, maxHeight: 320, quality: 0.6 }
+				: thumbnail;
+		this.blurhash = blurhash === true ? { componentsX: 4, componentsY: 3 } : blurhash;
+		this.skipTypes = skipTypes;
+	}
+
+	/**
+	 * canProcess - Returns true if the pipeline processes the file
+	 *
+	 * @param {File|Blob|Buffer|ReadStream|string} file The file
+	 * @param {string} [contentType] The mime type of the file
+	 *
+	 * @return {boolean}
+	 */
+	canProcess(file, contentType) {
+		return isImageFile(file) && !this.skipTypes.includes(contentType);
+	}
+
+	/**
+	 * process - Processes an image
+	 *
+	 * @param {File|Blob|Buffer} file The image
+	 * @param {string} [contentType] The mime type of the image
+	 *
+	 * @return {Promise<object>} null when the file isn't processed, otherwise
+	 * - `file` {Blob|Buffer} the image to upload, the original file when it didn't change
+	 * - `contentType` {string} the mime type of the image to upload
+	 * - `width` and `height` {int} the size of the image to upload
+	 * - `thumbnail` {object} the {file, contentType, width, height} of the thumbnail or null
+	 * - `blurhash` {string} the blurhash of the image or null
+	 */
+	async process(file, contentType) {
+		if (!this.canProcess(file, contentType)) {
+			return null;
+		}
+		const image = await this.processor.load(file);
+		try {
+			const size = fitImage(
+				image.width,
+				image.height,
+				this.maxWidth,
+				this.maxHeight,
+			);
+			const type = this._outputType(contentType);
+			const result = {
+				file,
+				contentType,
+				width: size.width,
+				height: size.height,
+				thumbnail: null,
+				blurhash: null,
+			};
+			const resized = size.width !== image.width || size.height !== image.height;
+			if (resized || this.stripMetadata || type !== contentType) {
+				result.file = await this.processor.encode(image, {
+					...size,
+					type,
+					quality: this.quality,
+				});
+				result.contentType = type;
+			}
+			if (this.thumbnail) {
+				const { maxWidth, maxHeight, quality = this.quality } = this.thumbnail;
+				const thumbnailSize = fitImage(
+					image.width,
+					image.height,
+					maxWidth,
+					maxHeight,
+				);
+				result.thumbnail = {
+					file: await this.processor.encode(image, {
+						...thumbnailSize,
+						type,
+						quality,
+					}),
+					contentType: type,
+					...thumbnailSize,
+				};
+			}
+			if (this.blurhash) {
+				const { componentsX = 4, componentsY = 3 } = this.blurhash;
+				const pixels = await this.processor.pixels(
+					image,
+					fitImage(image.width, image.height, BLURHASH_SIZE, BLURHASH_SIZE),
+				);
+				result.blurhash = encodeBlurhash(
+					pixels.data,
+					pixels.width,
+					pixels.height,
+					componentsX,
+					componentsY,
+				);
+			}
+			return result;
+		} finally {
+			if (this.processor.close) {
+				this.processor.close(image);
+			}
+		}
+	}
+
+	/**
+	 * renamed - Returns the file name with the extension of the mime type, ie. photo.heic becomes
+	 * photo.jpg when it's converted to jpeg
+	 *
+	 * @param {string} name The file name
+	 * @param {string} contentType The mime type
+	 *
+	 * @return {string}
+	 */
+	renamed(name, contentType) {
+		const extension = EXTENSIONS[contentType];
+		if (!name || !extension) {
+			return name;
+		}
+		const base = name.replace(/\.[^./]*$/, '');
+		return `${base}.${extension}`;
+	}
+
+	_outputType(contentType) {
+		if (this.type) {
+			return this.type;
+		}
+		return contentType === 'image/png' || contentType === 'image/webp'
+			? contentType
+			: 'image/jpeg';
+	}
+}
@@ -3,9 +3,28 @@ export * from './client_state';
 export { logChatPromiseExecution } from './utils';
 export * from './channel';
 export * from './channel_state';
+export * from './message_list';
+export * from './thread';
 export * from './connection';
 export * from './permissions';
 export * from './events';
 export * from './signing';
 export * from './base64.js';
 export * from './token_manager.js';
+export * from './outbox';
+export * from './storage';
+export * from './state_store';
+export * from './errors';
+export * from './rate_limits';
+export * from './retry';
+export * from './middleware';
+export * from './transport';
+export * from './abort';
+export * from './request_cache';
+export * from './uploads';
+export * from './upload_validation';
+export * from './message_composer';
+export * from './drafts';
+export * from './shared_connection';
+export * from './channel_list';
+export * from './images';
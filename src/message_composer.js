@@ -0,0 +1,413 @@
+import { logChatPromiseExecution } from './utils';
+
+// urls don't end with punctuation, ie. "see https://getstream.io."
+const URL_RE = /https?:\/\/[^\s<>]*[^\s<>.,;:!?'")\]]/i;
+const MENTION_RE = /(^|\s)@([\w.-]+)/g;
+const COMMAND_RE = /^\/(\w+)(?:\s+([\s\S]*))?$/;
+
+function mentionName(user) {
+	return user.name || user.id;
+}
+
+function startsWith(value, query) {
+	return !!value && value.toLowerCase().indexOf(query.toLowerCase()) === 0;
+}
+
+/**
+ * MessageComposer - Keeps the draft of a message and turns it into the payload for sendMessage:
+ *
+ * - `@mentions` are resolved against the channel members and sent as mentioned_users
+ * - `suggestions` autocompletes the mention or the slash command at the cursor, the commands
+ *   come from the channel type config
+ * - files are uploaded as soon as they are added, see channel.upload
+ * - the first link in the text gets a preview when the `enrichURL` option is set
+ * - typing.start and typing.stop events are sent while the text changes
+ *
+ * The client emits a composer.changed event on the channel every time the draft changes. Every
+ * channel has a composer for new messages as channel.composer, threads create their own with the
+ * parentID option.
+ *
+ * @param {Channel} channel The channel
+ * @param {object} [options]
+ * - `parentID` {string} the thread the messages are sent to
+ * - `typingEvents` {boolean} send typing events, defaults to true
+ * - `enrichURL` {function} loads the preview of a link, called with (url, {signal}) it resolves with
+ *   the attachment to show, ie. {title, text, image_url}. Defaults to the composer.enrichURL client option
+ */
+export class MessageComposer {
+	constructor(channel, { parentID = null, typingEvents = true, enrichURL } = {}) {
+		const defaults = channel.getClient().options.composer || {};
+		this.channel = channel;
+		this.parentID = parentID;
+		this.typingEvents = typingEvents;
+		this.enrichURL = enrichURL || defaults.enrichURL || null;
+		this._reset();
+	}
+
+	_reset() {
+		this.text = '';
+		this.cursor = 0;
+		this.attachments = [];
+		/** the users picked from the suggestions by id */
+		this.mentionedUsers = {};
+		this.linkPreview = null;
+		this.dismissedLinks = [];
+		this._abortPreview();
+	}
+
+	/**
+	 * setText - Updates the text, call it on every change of the input
+	 *
+	 * @param {string} text The text
+	 * @param {int} [cursor] The position of the cursor, defaults to the end of the text
+	 */
+	setText(text, cursor = text.length) {
+		const changed = text !== this.text;
+		this.text = text;
+		this.cursor = cursor;
+		if (changed) {
+			this._typing();
+			this._updateLinkPreview();
+		}
+		this._emit();
+	}
+
+	/**
+	 * commands - Returns the slash commands of the channel type
+	 *
+	 * @return {array} The commands, {name, description, args, set}
+	 */
+	commands() {
+		const config = this.channel.getConfig() || {};
+		return (config.commands || []).map(command =>
+			typeof command === 'string' ? { name: command } : command,
+		);
+	}
+
+	/**
+	 * members - Returns the users that can be mentioned, the members of the channel except the current user
+	 *
+	 * @return {array} The users
+	 */
+	members() {
+		const userID = this.channel.getClient().userID;
+		return Object.values(this.channel.state.members)
+			.map(member => member.user)
+			.filter(user => user && user.id !== userID);
+	}
+
+	/**
+	 * suggestions - Returns the autocomplete suggestions for the word at the cursor: the commands
+	 * for "/" at the start of the text, the members for "@"
+	 *
+	 * @return {object} {type, query, items} with type command or mention, null when there is nothing to complete
+	 */
+	get suggestions() {
+		const before = this.text.slice(0, this.cursor);
+		const command = /^\/(\w*)$/.exec(before);
+		if (command) {
+			const query = command[1];
+			return {
+				type: 'command',
+				query,
+				items: this.commands().filter(c => startsWith(c.name, query)),
+			};
+		}
+		const mention = /(^|\s)@([\w.-]*)$/.exec(before);
+		if (mention) {
+			const query = mention[2];
+			const matches = user =>
+				startsWith(user.id, query) ||
+				(user.name || '').split(/\s+/).some(word => startsWith(word, query));
+			return { type: 'mention', query, items: this.members().filter(matches) };
+		}
+		return null;
+	}
+
+	/**
+	 * select - Completes the word at the cursor with a suggestion
+	 *
+	 * @param {object} item A command or user from the suggestions
+	 */
+	select(item) {
+		const suggestions = this.suggestions;
+		if (!suggestions) {
+			return;
+		}
+		let replacement;
+		if (suggestions.type === 'command') {
+			replacement = `/${item.name} `;
+		} else {
+			this.mentionedUsers = { ...this.mentionedUsers, [item.id]: item };
+			replacement = `@${mentionName(item)} `;
+		}
+		const before = this.text.slice(0, this.cursor);
+		const start = before.length - suggestions.query.length - 1;
+		const text = before.slice(0, start) + replacement + this.text.slice(this.cursor);
+		this.setText(text, start + replacement.length);
+	}
+
+	/**
+	 * command - Returns the slash command of the text
+	 *
+	 * @return {object} {name, args, command} or null when the text doesn't start with a command of the channel type
+	 */
+	get command() {
+		const match = COMMAND_RE.exec(this.text);
+		if (!match) {
+			return null;
+		}
+		const command = this.commands().find(c => c.name === match[1]);
+		return command ? { name: command.name, args: match[2] || '', command } : null;
+	}
+
+	/**
+	 * mentionedUserIDs - Returns the ids of the users mentioned in the text, the users picked from
+	 * the suggestions and the members whose id or name follows an @
+	 *
+	 * @return {array}
+	 */
+	mentionedUserIDs() {
+		const ids = Object.values(this.mentionedUsers)
+			.filter(user => this.text.includes(`@${mentionName(user)}`))
+			.map(user => user.id);
+		const members = this.members();
+		let match;
+		MENTION_RE.lastIndex = 0;
+		while ((match = MENTION_RE.exec(this.text)) !== null) {
+			const word = match[2].toLowerCase();
+			const user = members.find(
+				m => m.id.toLowerCase() === word || (m.name || '').toLowerCase() === word,
+			);
+			if (user && !ids.includes(user.id)) {
+				ids.push(user.id);
+			}
+		}
+		return ids;
+	}
+
+	/**
+	 * addFile - Uploads a file and adds it to the attachments, see channel.upload
+	 *
+	 * @param {File|Blob|Buffer|ReadStream|string} file The file, or its uri in React Native
+	 * @param {object} [options] The upload options, the type defaults to image for image mime types
+	 *
+	 * @return {Upload} The upload
+	 *
+	 * @throws {UploadValidationError} When the file can't be uploaded
+	 */
+	addFile(file, options = {}) {
+		const contentType = options.contentType || (file && file.type) || '';
+		const type =
+			options.type || (contentType.indexOf('image/') === 0 ? 'image' : 'file');
+		const upload = this.channel.upload(file, { ...options, type });
+		this.addAttachment(
+			type === 'image'
+				? { type, upload_id: upload.id, fallback: upload.name }
+				: { type, upload_id: upload.id, title: upload.name },
+		);
+		return upload;
+	}
+
+	/**
+	 * addAttachment - Adds an attachment
+	 *
+	 * @param {object} attachment The attachment
+	 */
+	addAttachment(attachment) {
+		this.attachments = [...this.attachments, attachment];
+		this._emit();
+	}
+
+	/**
+	 * removeAttachment - Removes an attachment, its upload is cancelled
+	 *
+	 * @param {object} attachment The attachment
+	 */
+	removeAttachment(attachment) {
+		this.attachments = this.attachments.filter(a => a !== attachment);
+		if (attachment.upload_id) {
+			this.channel.getClient().uploads.remove(attachment.upload_id);
+		}
+		this._emit();
+	}
+
+	/**
+	 * dismissLinkPreview - Removes the link preview, the link doesn't get a preview again
+	 */
+	dismissLinkPreview() {
+		if (this.previewURL) {
+			this.dismissedLinks = [...this.dismissedLinks, this.previewURL];
+		}
+		this._abortPreview();
+		this.linkPreview = null;
+		this._emit();
+	}
+
+	/**
+	 * isEmpty - Returns true if there's nothing to send
+	 *
+	 * @return {boolean}
+	 */
+	get isEmpty() {
+		return !this.text.trim() && !this.attachments.length;
+	}
+
+	/**
+	 * toMessage - Returns the message for sendMessage
+	 *
+	 * @return {object} The message with the text, attachments, mentioned_users and parent_id
+	 */
+	toMessage() {
+		const message = { text: this.text.trim() };
+		const attachments = this.linkPreview
+			? [...this.attachments, this.linkPreview]
+			: this.attachments;
+		if (attachments.length) {
+			message.attachments = attachments;
+		}
+		const mentioned = this.mentionedUserIDs();
+		if (mentioned.length) {
+			message.mentioned_users = mentioned;
+		}
+		if (this.parentID) {
+			message.parent_id = this.parentID;
+		}
+		return message;
+	}
+
+	/**
+	 * send - Sends the message and clears the composer, the uploads of the message continue. The
+	 * draft comes back when the message can't be sent and isn't retried, unless a new message was
+	 * started meanwhile
+	 *
+	 * @param {object} [options] The sendMessage options
+	 *
+	 * @return {Promise<object>} The sendMessage response
+	 */
+	async send(options) {
+		if (this.isEmpty) {
+			throw new Error('The message is empty');
+		}
+		const message = this.toMessage();
+		const draft = {
+			text: this.text,
+			cursor: this.cursor,
+			attachments: this.attachments,
+			mentionedUsers: this.mentionedUsers,
+			linkPreview: this.linkPreview,
+			dismissedLinks: this.dismissedLinks,
+		};
+		this._reset();
+		this._stopTyping();
+		this._emit();
+		try {
+			return await this.channel.sendMessage(message, options);
+		} catch (error) {
+			// messages that are retried are still sent
+			if (this.isEmpty && !error.willRetry) {
+				this._restore(draft);
+			}
+			throw error;
+		}
+	}
+
+	/**
+	 * clear - Discards the draft and cancels its uploads
+	 */
+	clear() {
+		for (const attachment of this.attachments) {
+			if (attachment.upload_id) {
+				this.channel.getClient().uploads.remove(attachment.upload_id);
+			}
+		}
+		this._reset();
+		this._stopTyping();
+		this._emit();
+	}
+
+	_restore(draft) {
+		Object.assign(this, draft);
+		if (draft.linkPreview) {
+			this.previewURL = draft.linkPreview.og_scrape_url;
+		} else {
+			// the preview was still loading
+			this._updateLinkPreview();
+		}
+		this._emit();
+	}
+
+	_typing() {
+		if (!this._sendsTypingEvents()) {
+			return;
+		}
+		if (this.text) {
+			logChatPromiseExecution(this.channel.keystroke(), 'keystroke');
+		} else {
+			this._stopTyping();
+		}
+	}
+
+	_sendsTypingEvents() {
+		// typing events need the config and a channel that was queried
+		return (
+			this.typingEvents && this.channel.initialized && !!this.channel.getConfig()
+		);
+	}
+
+	_stopTyping() {
+		if (this.channel.isTyping && this._sendsTypingEvents()) {
+			logChatPromiseExecution(this.channel.stopTyping(), 'stop typing');
+		}
+	}
+
+	_updateLinkPreview() {
+		const match = URL_RE.exec(this.text);
+		const url = match && !this.dismissedLinks.includes(match[0]) ? match[0] : null;
+		if (url === this.previewURL) {
+			return;
+		}
+		this._abortPreview();
+		this.linkPreview = null;
+		if (!url || !this.enrichURL) {
+			return;
+		}
+		this.previewURL = url;
+		const controller =
+			typeof AbortController !== 'undefined' ? new AbortController() : null;
+		this._previewController = controller;
+		const preview = Promise.resolve(
+			this.enrichURL(url, { signal: controller ? controller.signal : undefined }),
+		)
+			.then(attachment => {
+				if (this.previewURL === url && attachment) {
+					this.linkPreview = { ...attachment, og_scrape_url: url };
+					this._emit();
+				}
+			})
+			.catch(error => {
+				// the text changed while the preview loaded
+				if (error.name !== 'AbortError') {
+					throw error;
+				}
+			});
+		logChatPromiseExecution(preview, 'load link preview');
+	}
+
+	_abortPreview() {
+		if (this._previewController) {
+			this._previewController.abort();
+		}
+		this._previewController = null;
+		this.previewURL = null;
+	}
+
+	_emit() {
+		this.channel.getClient().dispatchEvent({
+			type: 'composer.changed',
+			cid: this.channel.cid,
+			parent_id: this.parentID,
+			composer: this,
+		});
+	}
+}
@@ -0,0 +1,194 @@
+import Immutable from 'seamless-immutable';
+
+function byDate(a, b) {
+	return a.created_at - b.created_at;
+}
+
+/**
+ * sortedIndex - Binary search for the position of a message in a list sorted by created_at
+ *
+ * @param {array} messages The messages sorted by created_at
+ * @param {object} message The message, needs to have created_at
+ * @param {boolean} [after] Returns the position after the messages with the same created_at,
+ * that's where a new message goes. Otherwise the position of the first one
+ *
+ * @return {int} The position
+ */
+export function sortedIndex(messages, message, after = true) {
+	let low = 0;
+	let high = messages.length;
+	while (low < high) {
+		const middle = (low + high) >>> 1;
+		const diff = byDate(messages[middle], message);
+		if (diff < 0 || (after && diff === 0)) {
+			low = middle + 1;
+		} else {
+			high = middle;
+		}
+	}
+	return low;
+}
+
+/**
+ * MessageList - The messages of a message set sorted by created_at, with an index by id.
+ *
+ * Looking up a message by id is O(1) and the position of a message, or where a new one goes, is
+ * found with a binary search in O(log n). New messages usually go at the end, so adding one doesn't
+ * copy or sort the list. `messages` is an immutable copy of the list that's only made again when
+ * it's read after a change, so a burst of events costs one copy.
+ *
+ * @param {array} [messages] The immutable messages, sorted by created_at
+ */
+export class MessageList {
+	constructor(messages = []) {
+		this.reset(messages);
+	}
+
+	/**
+	 * messages - The immutable list of messages, sorted by created_at
+	 */
+	get messages() {
+		if (!this._snapshot) {
+			this._snapshot = Immutable(this._messages);
+		}
+		return this._snapshot;
+	}
+
+	get length() {
+		return this._messages.length;
+	}
+
+	/**
+	 * reset - Replaces all the messages
+	 *
+	 * @param {array} messages The immutable messages, they're sorted by created_at if they aren't
+	 */
+	reset(messages) {
+		this._messages = [...messages];
+		// an already sorted list is only checked, not sorted again
+		this._messages.sort(byDate);
+		this._byID = new Map();
+		for (const message of this._messages) {
+			if (message.id) {
+				this._byID.set(message.id, message);
+			}
+		}
+		this._snapshot = Immutable.isImmutable(messages) ? messages : null;
+		if (this._snapshot && this._snapshot.some((m, i) => m !== this._messages[i])) {
+			this._snapshot = null;
+		}
+	}
+
+	/**
+	 * get - Returns the message with the id
+	 *
+	 * @param {string} messageID The id of the message
+	 *
+	 * @return {object} The immutable message or undefined
+	 */
+	get(messageID) {
+		return this._byID.get(messageID);
+	}
+
+	has(messageID) {
+		return !!messageID && this._byID.has(messageID);
+	}
+
+	first() {
+		return this._messages[0];
+	}
+
+	last() {
+		return this._messages[this._messages.length - 1];
+	}
+
+	/**
+	 * indexOf - Returns the position of the message with the id
+	 *
+	 * @param {string} messageID The id of the message
+	 *
+	 * @return {int} The position or -1
+	 */
+	indexOf(messageID) {
+		const message = this.get(messageID);
+		if (!message) {
+			return -1;
+		}
+		// the messages with the same created_at are next to each other
+		for (
+			let i = sortedIndex(this._messages, message, false);
+			i < this._messages.length;
+			i++
+		) {
+			if (this._messages[i].id === messageID) {
+				return i;
+			}
+		}
+		return -1;
+	}
+
+	/**
+	 * upsert - Adds the message or replaces the message with the same id. The message moves if its
+	 * created_at changed, ie. when the server confirms a message sent by the user
+	 *
+	 * @param {object} message The immutable message
+	 */
+	upsert(message) {
+		const current = this.get(message.id);
+		if (current && byDate(current, message) === 0) {
+			this._messages[this.indexOf(message.id)] = message;
+		} else {
+			if (current) {
+				this._messages.splice(this.indexOf(message.id), 1);
+			}
+			const last = this.last();
+			if (!last || byDate(last, message) <= 0) {
+				this._messages.push(message);
+			} else {
+				this._messages.splice(sortedIndex(this._messages, message), 0, message);
+			}
+		}
+		if (message.id) {
+			this._byID.set(message.id, message);
+		}
+		this._snapshot = null;
+	}
+
+	/**
+	 * update - Replaces the message with the id with the result of the update function
+	 *
+	 * @param {string} messageID The id of the message
+	 * @param {function} update Receives the immutable message and returns the new one
+	 *
+	 * @return {boolean} Returns if the message was found
+	 */
+	update(messageID, update) {
+		const message = this.get(messageID);
+		if (!message) {
+			return false;
+		}
+		const updated = update(message);
+		if (updated !== message) {
+			this.upsert(updated);
+		}
+		return true;
+	}
+
+	/**
+	 * remove - Removes the message with the id
+	 *
+	 * @param {string} messageID The id of the message
+	 *
+	 * @return {boolean} Returns if the message was removed
+	 */
+	remove(messageID) {
+		const index = this.indexOf(messageID);
+		if (index === -1) {
+			return false;
+		}
+		this._messages.splice(index, 1);
+		this._byID.delete(messageID);
+		this._snapshot = null;
+		return true;
+	}
+}
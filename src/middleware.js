@@ -0,0 +1,92 @@
+/**
+ * MiddlewareChain - Runs the middleware hooks of the HTTP requests made by the client. A
+ * middleware is an object with any of these (optionally async) hooks:
+ *
+ * - `beforeRequest(request)` runs before the request is sent. It can change the request or return
+ *   a new one. Setting `request.response` skips the HTTP call and uses that response instead.
+ * - `afterResponse(response, request)` runs after a successful response, it can change or replace the response.
+ * - `onError(error, request)` runs when the request fails. Returning a response recovers from the
+ *   error, throwing replaces it, returning nothing lets it continue to the next middleware.
+ *
+ * The request is {type, url, data, config}, config holds the params, headers and other axios
+ * options. Responses are {status, data, headers}. beforeRequest hooks run in the order the
+ * middleware was added, afterResponse and onError hooks in reverse order.
+ */
+export class MiddlewareChain {
+	constructor() {
+		this.middleware = [];
+	}
+
+	/**
+	 * use - Adds a middleware at the end of the chain
+	 *
+	 * @param {object} middleware An object with beforeRequest, afterResponse and/or onError hooks
+	 *
+	 * @return {object} An object with an unsubscribe function that removes the middleware
+	 */
+	use(middleware) {
+		this.middleware.push(middleware);
+		return {
+			unsubscribe: () => {
+				this.middleware = this.middleware.filter(m => m !== middleware);
+			},
+		};
+	}
+
+	/**
+	 * beforeRequest - Runs the beforeRequest hooks
+	 *
+	 * @param {object} request The request
+	 *
+	 * @return {Promise<object>} The request to send
+	 */
+	async beforeRequest(request) {
+		for (const middleware of this.middleware) {
+			if (middleware.beforeRequest) {
+				request = (await middleware.beforeRequest(request)) || request;
+			}
+		}
+		return request;
+	}
+
+	/**
+	 * afterResponse - Runs the afterResponse hooks
+	 *
+	 * @param {object} response The response
+	 * @param {object} request The request
+	 *
+	 * @return {Promise<object>} The response
+	 */
+	async afterResponse(response, request) {
+		for (const middleware of this._reversed()) {
+			if (middleware.afterResponse) {
+				response =
+					(await middleware.afterResponse(response, request)) || response;
+			}
+		}
+		return response;
+	}
+
+	/**
+	 * onError - Runs the onError hooks until one of them recovers from the error
+	 *
+	 * @param {Error} error The error
+	 * @param {object} request The request
+	 *
+	 * @return {Promise<object|undefined>} The response a hook recovered with
+	 */
+	async onError(error, request) {
+		for (const middleware of this._reversed()) {
+			if (middleware.onError) {
+				const response = await middleware.onError(error, request);
+				if (response) {
+					return response;
+				}
+			}
+		}
+	}
+
+	_reversed() {
+		return this.middleware.slice().reverse();
+	}
+}
@@ -0,0 +1,1917 @@
+import http from 'http';
+import url from 'url';
+import WebSocket from 'ws';
+import jwt from 'jsonwebtoken';
+import uuidv4 from 'uuid/v4';
+import { chatCodes } from './utils';
+
+const JSON_HEADERS = {
+	'Content-Type': 'application/json',
+	'Access-Control-Allow-Origin': '*',
+	'Access-Control-Allow-Headers': '*',
+	'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+};
+
+const DEFAULT_CHANNEL_CONFIG = {
+	typing_events: true,
+	read_events: true,
+	connect_events: true,
+	search: true,
+	reactions: true,
+	replies: true,
+	mutes: true,
+	uploads: true,
+	url_enrichment: false,
+	message_retention: 'infinite',
+	max_message_length: 5000,
+	automod: 'disabled',
+	automod_behavior: 'flag',
+	commands: [
+		{
+			name: 'giphy',
+			description: 'Post a random gif to the channel',
+			args: '[text]',
+			set: 'fun_set',
+		},
+	],
+};
+
+// events that are stored for the sync endpoint
+const SYNCED_EVENTS = /^(message|reaction|member|channel)\./;
+
+const CHANNEL_NOT_FOUND = 'channel does not exist';
+const MESSAGE_NOT_FOUND = 'message does not exist';
+
+/**
+ * MockServerError - An API error, turned into the same JSON response the Stream API returns
+ */
+export class MockServerError extends Error {
+	constructor(StatusCode, code, message) {
+		super(message);
+		this.StatusCode = StatusCode;
+		this.code = code;
+	}
+}
+
+function notFound(message) {
+	return new MockServerError(404, 16, message);
+}
+
+function inputError(message) {
+	return new MockServerError(400, 4, message);
+}
+
+function compareValues(a, b) {
+	if (a == null || b == null) {
+		// missing values go last
+		return (a == null) - (b == null);
+	}
+	if (a < b) return -1;
+	return a > b ? 1 : 0;
+}
+
+function sameMembers(a, b) {
+	return a.length === b.length && a.every(item => b.includes(item));
+}
+
+function matchOperator(value, operator, argument) {
+	const values = Array.isArray(value) ? value : [value];
+	switch (operator) {
+		case '$eq':
+			return Array.isArray(argument)
+				? Array.isArray(value) && sameMembers(value, argument)
+				: values.some(item => item === argument);
+		case '$ne':
+			return !matchOperator(value, '$eq', argument);
+		case '$in':
+			return values.some(item => argument.includes(item));
+		case '$nin':
+			return !values.some(item => argument.includes(item));
+		case '$gt':
+			return values.some(item => item != null && item > argument);
+		case '$gte':
+			return values.some(item => item != null && item >= argument);
+		case '$lt':
+			return values.some(item => item != null && item < argument);
+		case '$lte':
+			return values.some(item => item != null && item <= argument);
+		case '$exists':
+			return (value != null) === argument;
+		case '$contains':
+			return values.includes(argument);
+		case '$autocomplete':
+			return values.some(
+				item =>
+					typeof item === 'string' &&
+					item
+						.toLowerCase()
+						.split(/\s+/)
+						.some(word => word.startsWith(argument.toLowerCase())),
+			);
+		default:
+			throw inputError(`operator ${operator} is not supported by the mock server`);
+	}
+}
+
+function isOperatorObject(condition) {
+	return (
+		condition != null &&
+		typeof condition === 'object' &&
+		!Array.isArray(condition) &&
+		Object.keys(condition).some(key => key[0] === '$')
+	);
+}
+
+/**
+ * matchesFilter - Checks a document against MongoDB style filter conditions, supports the
+ * operators of the Stream API: $and, $or, $nor, $eq, $ne, $in, $nin, $gt, $gte, $lt, $lte,
+ * $exists, $contains and $autocomplete
+ *
+ * @param {object} doc The document
+ * @param {object} filter The filter conditions
+ *
+ * @return {boolean}
+ */
+export function matchesFilter(doc, filter = {}) {
+	return Object.entries(filter).every(([key, condition]) => {
+		if (key === '$and') return condition.every(f => matchesFilter(doc, f));
+		if (key === '$or') return condition.some(f => matchesFilter(doc, f));
+		if (key === '$nor') return !condition.some(f => matchesFilter(doc, f));
+		if (isOperatorObject(condition)) {
+			return Object.entries(condition).every(([operator, argument]) =>
+				matchOperator(doc[key], operator, argument),
+			);
+		}
+		return matchOperator(doc[key], '$eq', condition);
+	});
+}
+
+function sortDocuments(docs, sort = []) {
+	return docs.sort((a, b) => {
+		for (const { field, direction } of sort) {
+			const result = compareValues(a.doc[field], b.doc[field]);
+			if (result !== 0) {
+				// missing values go last regardless of the direction
+				if (a.doc[field] == null || b.doc[field] == null) return result;
+				return direction < 0 ? -result : result;
+			}
+		}
+		return 0;
+	});
+}
+
+function paginate(items, { limit, offset = 0 }, defaultLimit) {
+	return items.slice(offset, offset + (limit || defaultLimit));
+}
+
+function membersChannelID(members) {
+	const key = Array.from(new Set(members))
+		.sort()
+		.join(',');
+	let hash = 0;
+	for (let i = 0; i < key.length; i++) {
+		hash = (hash * 31 + key.charCodeAt(i)) | 0;
+	}
+	return `!members-${(hash >>> 0).toString(16)}`;
+}
+
+function omit(object, keys) {
+	const result = { ...object };
+	for (const key of keys) {
+		delete result[key];
+	}
+	return result;
+}
+
+// fields the client sends back which are computed by the server
+const READ_ONLY_CHANNEL_FIELDS = ['members', 'created_by', 'created_by_id'];
+const READ_ONLY_MESSAGE_FIELDS = [
+	'id',
+	'user',
+	'user_id',
+	'cid',
+	'type',
+	'created_at',
+	'reactions',
+	'reply_count',
+	'latest_reactions',
+	'own_reactions',
+	'reaction_counts',
+	'reaction_scores',
+	'mentioned_users',
+];
+
+function userIDOf(user) {
+	return typeof user === 'string' ? user : user && user.id;
+}
+
+/**
+ * MockServer - An in-process implementation of the Stream Chat API for tests. It speaks the same
+ * REST and websocket protocol as the real API, so a regular StreamChat client can connect to it:
+ *
+ * const server = new MockServer({ secret: 'secret' });
+ * await server.start();
+ * const client = new StreamChat('key');
+ * client.setBaseURL(server.baseURL);
+ * await client.setUser({ id: 'jack' }, server.createToken('jack'));
+ *
+ * All the data is kept in memory. It covers channels, messages, threads, reactions, members,
+ * read state, users, moderation, devices, channel types and the sync endpoint. Events are sent
+ * to the connections watching the channel after the API response, in the order they happened.
+ *
+ * Without a secret any token is accepted and only its user_id is used. Permissions, rate limits,
+ * push notifications and webhooks aren't implemented.
+ *
+ * @param {object} [options]
+ * - `port` {int} defaults to a random free port
+ * - `apiKey` {string} only accept requests for this API key
+ * - `secret` {string} verify the token signatures with this secret
+ * - `now` {function} returns the current Date, use a fake clock for deterministic timestamps
+ * - `generateID` {function} returns ids for messages and connections, defaults to uuidv4
+ */
+export class MockServer {
+	constructor({ port = 0, apiKey, secret, now, generateID } = {}) {
+		this.port = port;
+		this.apiKey = apiKey;
+		this.secret = secret;
+		this.now = now || (() => new Date());
+		this.generateID = generateID || uuidv4;
+		this.baseURL = null;
+		this.httpServer = null;
+		this.wsServer = null;
+		/** events are sent once the response for the request that caused them is written */
+		this.queue = [];
+		this.routes = this._routes();
+		this.reset();
+	}
+
+	/**
+	 * start - Starts listening on localhost
+	 *
+	 * @return {Promise} Resolves with the base URL of the server, use it with client.setBaseURL
+	 */
+	start() {
+		this.httpServer = http.createServer(this._handleRequest);
+		this.wsServer = new WebSocket.Server({
+			server: this.httpServer,
+			path: '/connect',
+		});
+		this.wsServer.on('connection', this._handleConnection);
+		return new Promise((resolve, reject) => {
+			this.httpServer.once('error', reject);
+			this.httpServer.listen(this.port, '127.0.0.1', () => {
+				this.port = this.httpServer.address().port;
+				this.baseURL = `http://127.0.0.1:${this.port}`;
+				resolve(this.baseURL);
+			});
+		});
+	}
+
+	/**
+	 * stop - Closes all the connections and stops the server
+	 *
+	 * @return {Promise}
+	 */
+	stop() {
+		if (!this.httpServer) {
+			return Promise.resolve();
+		}
+		for (const connection of Object.values(this.connections)) {
+			connection.ws.terminate();
+		}
+		this.connections = {};
+		const { httpServer, wsServer } = this;
+		this.httpServer = null;
+		this.wsServer = null;
+		return new Promise(resolve => {
+			wsServer.close(() => httpServer.close(() => resolve()));
+		});
+	}
+
+	/**
+	 * reset - Removes all the data, connections stay open
+	 */
+	reset() {
+		this.users = {};
+		this.channels = {};
+		this.messages = {};
+		this.channelTypes = {};
+		for (const type of ['messaging', 'livestream', 'team', 'gaming', 'commerce']) {
+			this.channelTypes[type] = { name: type, ...DEFAULT_CHANNEL_CONFIG };
+		}
+		this.mutes = [];
+		this.channelMutes = [];
+		this.bans = [];
+		this.flags = [];
+		this.devices = {};
+		this.events = [];
+		this.connections = this.connections || {};
+		for (const connection of Object.values(this.connections)) {
+			connection.watching = {};
+		}
+	}
+
+	/**
+	 * createToken - Creates a token for the user, signed with the secret when there is one
+	 *
+	 * @param {string} userID The user id
+	 * @param {object} [extra] Extra JWT claims, ie. exp
+	 *
+	 * @return {string}
+	 */
+	createToken(userID, extra = {}) {
+		return jwt.sign({ user_id: userID, ...extra }, this.secret || 'mock-server', {
+			algorithm: 'HS256',
+			noTimestamp: true,
+		});
+	}
+
+	/**
+	 * upsertUser - Creates or updates a user
+	 *
+	 * @param {object} user The user, needs an id
+	 *
+	 * @return {object} The stored user
+	 */
+	upsertUser(user) {
+		const now = this._timestamp();
+		const existing = this.users[user.id];
+		this.users[user.id] = {
+			role: 'user',
+			created_at: now,
+			online: false,
+			...existing,
+			...user,
+			updated_at: now,
+		};
+		return this.users[user.id];
+	}
+
+	/**
+	 * sendEvent - Sends an event to the clients. Channel events go to the connections watching the
+	 * channel, events with a user_id to the connections of that user, other events to everyone.
+	 *
+	 * @param {object} event The event, needs a type
+	 */
+	sendEvent(event) {
+		const full = { created_at: this._timestamp(), ...event };
+		if (event.cid && this.channels[event.cid]) {
+			this._publish(this.channels[event.cid], full);
+		} else if (event.user_id) {
+			this._sendToUsers([event.user_id], full);
+		} else {
+			this._enqueue(Object.values(this.connections), full);
+		}
+		this._flush();
+	}
+
+	_routes() {
+		const channel = '/channels/:type/:id';
+		const message = '/messages/:id';
+		const channelType = '/channeltypes/:type';
+		const routes = [
+			['get', '/app', this.getApp],
+			['patch', '/app', this.updateApp],
+			['get', '/channels', this.queryChannels],
+			['post', '/channels/read', this.markAllRead],
+			['post', '/channels/:type/query', this.queryChannel],
+			['post', `${channel}/query`, this.queryChannel],
+			['post', channel, this.updateChannel],
+			['delete', channel, this.deleteChannel],
+			['post', `${channel}/truncate`, this.truncateChannel],
+			['post', `${channel}/message`, this.sendMessage],
+			['get', `${channel}/messages`, this.getMessagesById],
+			['post', `${channel}/event`, this.sendChannelEvent],
+			['post', `${channel}/read`, this.markRead],
+			['post', `${channel}/stop-watching`, this.stopWatching],
+			['post', `${channel}/hide`, this.hideChannel],
+			['post', `${channel}/show`, this.showChannel],
+			['post', `${channel}/file`, this.uploadFile],
+			['post', `${channel}/image`, this.uploadFile],
+			['delete', `${channel}/file`, this.deleteFile],
+			['delete', `${channel}/image`, this.deleteFile],
+			['get', '/members', this.queryMembers],
+			['get', message, this.getMessage],
+			['post', message, this.updateMessage],
+			['delete', message, this.deleteMessage],
+			['get', `${message}/replies`, this.getReplies],
+			['post', `${message}/reaction`, this.sendReaction],
+			['delete', `${message}/reaction/:type`, this.deleteReaction],
+			['get', `${message}/reactions`, this.getReactions],
+			['post', `${message}/action`, this.messageAction],
+			['post', `${message}/translate`, this.translateMessage],
+			['get', '/search', this.search],
+			['post', '/sync', this.sync],
+			['get', '/users', this.queryUsers],
+			['post', '/users', this.upsertUsers],
+			['patch', '/users', this.partialUpdateUsers],
+			['delete', '/users/:id', this.deleteUser],
+			['post', '/users/:id/deactivate', this.deactivateUser],
+			['post', '/users/:id/reactivate', this.reactivateUser],
+			['get', '/users/:id/export', this.exportUser],
+			['post', '/guest', this.createGuest],
+			['get', '/devices', this.getDevices],
+			['post', '/devices', this.addDevice],
+			['delete', '/devices', this.removeDevice],
+			['post', '/moderation/ban', this.ban],
+			['delete', '/moderation/ban', this.unban],
+			['post', '/moderation/mute', this.muteUser],
+			['post', '/moderation/unmute', this.unmuteUser],
+			['post', '/moderation/mute/channel', this.muteChannel],
+			['post', '/moderation/unmute/channel', this.unmuteChannel],
+			['post', '/moderation/flag', this.flag],
+			['post', '/moderation/unflag', this.unflag],
+			['get', '/channeltypes', this.listChannelTypes],
+			['post', '/channeltypes', this.createChannelType],
+			['get', channelType, this.getChannelType],
+			['put', channelType, this.updateChannelType],
+			['delete', channelType, this.deleteChannelType],
+		];
+		return routes.map(([method, path, handler]) => {
+			const names = [];
+			const pattern = path.replace(/:(\w+)/g, (match, name) => {
+				names.push(name);
+				return '([^/]+)';
+			});
+			return { method, regex: new RegExp(`^${pattern}$`), names, handler };
+		});
+	}
+
+	_handleRequest = (req, res) => {
+		if (req.method === 'OPTIONS') {
+			res.writeHead(200, JSON_HEADERS);
+			res.end();
+			return;
+		}
+		const chunks = [];
+		req.on('data', chunk => chunks.push(chunk));
+		req.on('end', () => {
+			let status = 200;
+			let body;
+			try {
+				body = this._route(req, Buffer.concat(chunks));
+			} catch (error) {
+				const apiError =
+					error instanceof MockServerError
+						? error
+						: new MockServerError(500, -1, error.message);
+				status = apiError.StatusCode;
+				body = {
+					code: apiError.code,
+					message: apiError.message,
+					StatusCode: apiError.StatusCode,
+				};
+			}
+			res.writeHead(status, JSON_HEADERS);
+			res.end(JSON.stringify({ ...body, duration: '0.00ms' }));
+			this._flush();
+		});
+	};
+
+	_route(req, rawBody) {
+		const { pathname, query } = url.parse(req.url, true);
+		const method = req.method.toLowerCase();
+		for (const route of this.routes) {
+			const match = route.method === method && pathname.match(route.regex);
+			if (!match) {
+				continue;
+			}
+			const params = {};
+			route.names.forEach((name, i) => {
+				params[name] = decodeURIComponent(match[i + 1]);
+			});
+			if (query.payload) {
+				Object.assign(query, JSON.parse(query.payload));
+			}
+			const isJSON = (req.headers['content-type'] || '').includes('json');
+			const body = isJSON && rawBody.length ? JSON.parse(rawBody.toString()) : {};
+			const auth = this._authenticate({
+				apiKey: query.api_key,
+				token: req.headers.authorization,
+				authType: req.headers['stream-auth-type'],
+				userID: query.user_id,
+			});
+			return route.handler.call(this, {
+				params,
+				query,
+				body,
+				auth,
+				connectionID: query.connection_id,
+			});
+		}
+		throw notFound(`${req.method} ${pathname} is not implemented by the mock server`);
+	}
+
+	/**
+	 * _authenticate - Validates the api key and token, returns the user id and whether it's a server side request
+	 */
+	_authenticate({ apiKey, token, authType, userID }) {
+		if (this.apiKey && apiKey !== this.apiKey) {
+			throw new MockServerError(401, 2, 'api_key not found');
+		}
+		if (authType === 'anonymous') {
+			return { userID, isServer: false, anonymous: true };
+		}
+		if (!token) {
+			throw new MockServerError(401, 5, 'Authorization header is missing');
+		}
+		let payload;
+		try {
+			payload = this.secret
+				? jwt.verify(token, this.secret, { ignoreExpiration: true })
+				: jwt.decode(token);
+		} catch (error) {
+			payload = null;
+		}
+		if (!payload) {
+			throw new MockServerError(401, 43, 'JWTAuth error: signature is not valid');
+		}
+		if (payload.exp && payload.exp * 1000 < this.now().getTime()) {
+			throw new MockServerError(
+				401,
+				chatCodes.TOKEN_EXPIRED,
+				'JWTAuth error: token has expired',
+			);
+		}
+		if (payload.server) {
+			return { userID: null, isServer: true };
+		}
+		if (userID && userID !== payload.user_id) {
+			throw new MockServerError(401, 5, 'the user_id does not match the token');
+		}
+		return { userID: payload.user_id, isServer: false };
+	}
+
+	/**
+	 * _actingUser - Returns the id of the user making the request, server side requests specify it in the payload
+	 */
+	_actingUser(auth, ...candidates) {
+		if (!auth.isServer) {
+			this._ensureUser(auth.userID);
+			return auth.userID;
+		}
+		for (const candidate of candidates) {
+			const id = userIDOf(candidate);
+			if (id) {
+				this._ensureUser(id);
+				return id;
+			}
+		}
+		throw inputError('either user or user_id is required for server side requests');
+	}
+
+	_ensureUser(userID, details = {}) {
+		if (!this.users[userID]) {
+			this.upsertUser({ ...details, id: userID });
+		}
+		return this.users[userID];
+	}
+
+	_timestamp() {
+		return this.now().toISOString();
+	}
+
+	// -- websocket
+
+	_handleConnection = (ws, req) => {
+		const { query } = url.parse(req.url, true);
+		let user;
+		try {
+			const json = JSON.parse(query.json || '{}');
+			const auth = this._authenticate({
+				apiKey: query.api_key,
+				token: query.authorization,
+				authType: query['stream-auth-type'],
+				userID: json.user_id,
+			});
+			if (auth.isServer || !auth.userID) {
+				throw inputError('websocket connections need a user token');
+			}
+			user = this._ensureUser(auth.userID);
+			// the details can't change the role
+			const details = omit(json.user_details, ['role']);
+			this.upsertUser({ ...user, ...details, id: auth.userID });
+		} catch (error) {
+			const code = error.code || -1;
+			ws.send(
+				JSON.stringify({
+					error: { code, message: error.message, StatusCode: error.StatusCode },
+				}),
+			);
+			ws.close(chatCodes.WS_CLOSED_SUCCESS, error.message);
+			return;
+		}
+
+		const connection = {
+			id: this.generateID(),
+			ws,
+			userID: user.id,
+			watching: {},
+		};
+		this.connections[connection.id] = connection;
+		this.users[user.id].online = true;
+
+		ws.on('message', () => {
+			// the client sends health checks, the server replies with one
+			this._enqueue([connection], this._healthCheck(connection));
+			this._flush();
+		});
+		ws.on('close', () => {
+			delete this.connections[connection.id];
+			if (!this._connectionsOf(user.id).length && this.users[user.id]) {
+				this.users[user.id].online = false;
+				this.users[user.id].last_active = this._timestamp();
+			}
+		});
+
+		this._enqueue([connection], {
+			...this._healthCheck(connection),
+			me: this._ownUser(user.id),
+		});
+		this._flush();
+	};
+
+	_healthCheck(connection) {
+		return {
+			type: 'health.check',
+			connection_id: connection.id,
+			cid: '*',
+			created_at: this._timestamp(),
+		};
+	}
+
+	_connectionsOf(userID) {
+		return Object.values(this.connections).filter(c => c.userID === userID);
+	}
+
+	_enqueue(connections, event) {
+		for (const connection of connections) {
+			this.queue.push({ connection, event });
+		}
+	}
+
+	_flush() {
+		const queue = this.queue;
+		this.queue = [];
+		for (const { connection, event } of queue) {
+			if (connection.ws.readyState === WebSocket.OPEN) {
+				connection.ws.send(JSON.stringify(event));
+			}
+		}
+	}
+
+	/**
+	 * _publish - Sends a channel event to the watchers and keeps it for the sync endpoint
+	 */
+	_publish(channel, event) {
+		const full = {
+			cid: channel.cid,
+			channel_id: channel.id,
+			channel_type: channel.type,
+			created_at: this._timestamp(),
+			...event,
+		};
+		if (SYNCED_EVENTS.test(full.type)) {
+			this.events.push(full);
+		}
+		const watchers = Object.values(this.connections).filter(
+			connection => connection.watching[channel.cid],
+		);
+		this._enqueue(watchers, full);
+	}
+
+	_sendToUsers(userIDs, event) {
+		for (const userID of userIDs) {
+			this._enqueue(this._connectionsOf(userID), event);
+		}
+	}
+
+	// -- responses
+
+	_userResponse(userID) {
+		return this.users[userID] ? { ...this.users[userID] } : { id: userID };
+	}
+
+	_ownUser(userID) {
+		const channels = Object.values(this.channels).filter(
+			channel => channel.members[userID] && !channel.deleted_at,
+		);
+		const unread = channels.map(channel =>
+			channel.read[userID] ? channel.read[userID].unread_messages : 0,
+		);
+		return {
+			...this._userResponse(userID),
+			total_unread_count: unread.reduce((a, b) => a + b, 0),
+			unread_count: unread.reduce((a, b) => a + b, 0),
+			unread_channels: unread.filter(count => count > 0).length,
+			mutes: this.mutes
+				.filter(mute => mute.user_id === userID)
+				.map(mute => this._muteResponse(mute)),
+			channel_mutes: this.channelMutes
+				.filter(mute => mute.user_id === userID)
+				.map(mute => this._channelMuteResponse(mute)),
+			devices: this.devices[userID] || [],
+		};
+	}
+
+	_muteResponse(mute) {
+		return {
+			user: this._userResponse(mute.user_id),
+			target: this._userResponse(mute.target_id),
+			created_at: mute.created_at,
+			updated_at: mute.created_at,
+		};
+	}
+
+	_channelMuteResponse(mute) {
+		const channel = this.channels[mute.channel_cid];
+		return {
+			user: this._userResponse(mute.user_id),
+			channel: channel ? this._channelResponse(channel) : { cid: mute.channel_cid },
+			created_at: mute.created_at,
+			expires: mute.expires,
+		};
+	}
+
+	_channelResponse(channel) {
+		return {
+			...channel.data,
+			id: channel.id,
+			type: channel.type,
+			cid: channel.cid,
+			created_by: channel.created_by
+				? this._userResponse(channel.created_by)
+				: null,
+			created_at: channel.created_at,
+			updated_at: channel.updated_at,
+			last_message_at: channel.last_message_at,
+			deleted_at: channel.deleted_at,
+			frozen: !!channel.data.frozen,
+			member_count: Object.keys(channel.members).length,
+			config: this._config(channel.type),
+		};
+	}
+
+	_config(type) {
+		return this.channelTypes[type] || { name: type, ...DEFAULT_CHANNEL_CONFIG };
+	}
+
+	_memberResponse(member) {
+		return { ...member, user: this._userResponse(member.user_id) };
+	}
+
+	_reactionResponse(reaction) {
+		return { ...reaction, user: this._userResponse(reaction.user_id) };
+	}
+
+	_messageResponse(message, userID) {
+		const { reactions, user_id, mentioned_users, ...rest } = message;
+		const counts = {};
+		const scores = {};
+		for (const reaction of reactions) {
+			counts[reaction.type] = (counts[reaction.type] || 0) + 1;
+			scores[reaction.type] = (scores[reaction.type] || 0) + (reaction.score || 1);
+		}
+		return {
+			...rest,
+			user: this._userResponse(user_id),
+			mentioned_users: mentioned_users.map(id => this._userResponse(id)),
+			latest_reactions: reactions
+				.slice(-10)
+				.reverse()
+				.map(r => this._reactionResponse(r)),
+			own_reactions: reactions
+				.filter(r => r.user_id === userID)
+				.map(r => this._reactionResponse(r)),
+			reaction_counts: counts,
+			reaction_scores: scores,
+		};
+	}
+
+	_channelState(channel, userID, options = {}) {
+		const visible = this._channelMessages(channel, userID).filter(
+			message => !message.parent_id || message.show_in_channel,
+		);
+		const messages = this._paginateMessages(visible, options.messages || {}, 25);
+		const members = Object.values(channel.members).map(m => this._memberResponse(m));
+		const watchers = Object.values(this.connections)
+			.filter(connection => connection.watching[channel.cid])
+			.map(connection => connection.userID);
+		const uniqueWatchers = Array.from(new Set(watchers));
+		return {
+			channel: this._channelResponse(channel),
+			messages: messages.map(message => this._messageResponse(message, userID)),
+			members: paginate(members, options.members || {}, 100),
+			read: Object.entries(channel.read).map(([id, read]) => ({
+				user: this._userResponse(id),
+				last_read: read.last_read,
+				unread_messages: read.unread_messages,
+			})),
+			watcher_count: uniqueWatchers.length,
+			watchers: paginate(
+				uniqueWatchers.map(id => this._userResponse(id)),
+				options.watchers || {},
+				100,
+			),
+			membership: channel.members[userID]
+				? this._memberResponse(channel.members[userID])
+				: null,
+		};
+	}
+
+	/**
+	 * _channelMessages - The messages of the channel in order, without the ones the user cleared by hiding the channel
+	 */
+	_channelMessages(channel, userID) {
+		const clearedAt = channel.cleared_at[userID];
+		return channel.messageIDs
+			.map(id => this.messages[id])
+			.filter(message => !clearedAt || message.created_at > clearedAt);
+	}
+
+	_paginateMessages(messages, options, defaultLimit) {
+		const limit = options.limit != null ? Number(options.limit) : defaultLimit;
+		const indexOf = id => messages.findIndex(message => message.id === id);
+		if (options.id_gt || options.id_gte) {
+			const start = options.id_gt
+				? indexOf(options.id_gt) + 1
+				: indexOf(options.id_gte);
+			return messages.slice(Math.max(start, 0), Math.max(start, 0) + limit);
+		}
+		let end = messages.length;
+		if (options.id_lt || options.id_lte) {
+			end = options.id_lt ? indexOf(options.id_lt) : indexOf(options.id_lte) + 1;
+			if (end < 0) end = messages.length;
+		}
+		const offset = Number(options.offset || 0);
+		end -= offset;
+		return messages.slice(Math.max(end - limit, 0), Math.max(end, 0));
+	}
+
+	// -- channels
+
+	_getChannel(params) {
+		const channel = this.channels[`${params.type}:${params.id}`];
+		if (!channel || channel.deleted_at) {
+			throw notFound(CHANNEL_NOT_FOUND);
+		}
+		return channel;
+	}
+
+	_createChannel(type, id, data, createdBy) {
+		const now = this._timestamp();
+		const channel = {
+			type,
+			id,
+			cid: `${type}:${id}`,
+			data: omit(data, READ_ONLY_CHANNEL_FIELDS),
+			created_by: createdBy,
+			created_at: now,
+			updated_at: now,
+			last_message_at: null,
+			deleted_at: null,
+			members: {},
+			messageIDs: [],
+			read: {},
+			hidden: {},
+			cleared_at: {},
+		};
+		this.channels[channel.cid] = channel;
+		for (const member of data.members || []) {
+			const userID = userIDOf(member);
+			this._addMember(channel, userID, userID === createdBy ? 'owner' : 'member');
+		}
+		return channel;
+	}
+
+	_addMember(channel, userID, role = 'member', extra = {}) {
+		const now = this._timestamp();
+		this._ensureUser(userID);
+		channel.members[userID] = {
+			user_id: userID,
+			role,
+			is_moderator: role === 'moderator',
+			created_at: now,
+			updated_at: now,
+			...extra,
+		};
+		channel.read[userID] = { last_read: now, unread_messages: 0 };
+		return channel.members[userID];
+	}
+
+	queryChannel({ params, body, auth, connectionID }) {
+		const data = body.data || {};
+		const userID = this._actingUser(auth, data.created_by, data.created_by_id);
+		let id = params.id;
+		if (!id) {
+			if (!data.members || !data.members.length) {
+				throw inputError('either id or members are required to create a channel');
+			}
+			id = membersChannelID(data.members.map(userIDOf));
+		}
+		const cid = `${params.type}:${id}`;
+		let channel = this.channels[cid];
+		if (!channel || channel.deleted_at) {
+			channel = this._createChannel(params.type, id, data, userID);
+			this._publish(channel, {
+				type: 'channel.created',
+				channel: this._channelResponse(channel),
+			});
+			for (const member of Object.keys(channel.members)) {
+				this._sendToUsers([member], {
+					type: 'notification.added_to_channel',
+					cid,
+					channel: this._channelResponse(channel),
+					created_at: this._timestamp(),
+				});
+			}
+		}
+		if (body.watch && connectionID && this.connections[connectionID]) {
+			this._watch(channel, this.connections[connectionID]);
+		}
+		return this._channelState(channel, userID, body);
+	}
+
+	_watch(channel, connection) {
+		if (connection.watching[channel.cid]) {
+			return;
+		}
+		connection.watching[channel.cid] = true;
+		this._publish(channel, {
+			type: 'user.watching.start',
+			user: this._userResponse(connection.userID),
+		});
+	}
+
+	_channelDocument(channel, userID) {
+		return {
+			...channel.data,
+			id: channel.id,
+			type: channel.type,
+			cid: channel.cid,
+			members: Object.keys(channel.members),
+			created_by_id: channel.created_by,
+			created_at: channel.created_at,
+			updated_at: channel.updated_at,
+			last_message_at: channel.last_message_at,
+			member_count: Object.keys(channel.members).length,
+			hidden: !!channel.hidden[userID],
+		};
+	}
+
+	queryChannels({ query, auth, connectionID }) {
+		const userID = auth.isServer ? query.user_id : this._actingUser(auth);
+		const filter = { ...query.filter_conditions };
+		if (!('hidden' in filter)) {
+			filter.hidden = false;
+		}
+		const sort = query.sort && query.sort.length ? query.sort : [];
+		const docs = Object.values(this.channels)
+			.filter(channel => !channel.deleted_at)
+			.map(channel => ({ channel, doc: this._channelDocument(channel, userID) }))
+			.filter(({ doc }) => matchesFilter(doc, filter));
+		const sorted = sortDocuments(
+			docs,
+			sort.concat([
+				{ field: 'last_message_at', direction: -1 },
+				{ field: 'created_at', direction: -1 },
+			]),
+		);
+		const page = paginate(sorted, query, 10);
+		const connection = this.connections[connectionID];
+		return {
+			channels: page.map(({ channel }) => {
+				if (query.watch && connection) {
+					this._watch(channel, connection);
+				}
+				return this._channelState(channel, userID, {
+					messages: { limit: query.message_limit },
+					members: { limit: query.member_limit },
+				});
+			}),
+		};
+	}
+
+	updateChannel({ params, body, auth }) {
+		const channel = this._getChannel(params);
+		const userID = this._actingUser(
+			auth,
+			body.user_id,
+			body.user,
+			body.message && body.message.user,
+		);
+		const now = this._timestamp();
+		if (body.data) {
+			channel.data = omit(body.data, READ_ONLY_CHANNEL_FIELDS);
+			channel.updated_at = now;
+			this._publish(channel, {
+				type: 'channel.updated',
+				channel: this._channelResponse(channel),
+				user: this._userResponse(userID),
+			});
+		}
+		this._updateMembers(channel, body, userID);
+		let message;
+		if (body.message) {
+			message = this._createMessage(channel, { ...body.message, user_id: userID });
+		}
+		return {
+			channel: this._channelResponse(channel),
+			members: Object.values(channel.members).map(m => this._memberResponse(m)),
+			message: message && this._messageResponse(message, userID),
+		};
+	}
+
+	_updateMembers(channel, body, userID) {
+		const memberEvent = (type, member) => {
+			this._publish(channel, {
+				type,
+				user: this._userResponse(member.user_id),
+				member: this._memberResponse(member),
+			});
+		};
+		const notify = (type, memberID, extra = {}) => {
+			this._sendToUsers([memberID], {
+				type,
+				cid: channel.cid,
+				channel: this._channelResponse(channel),
+				member:
+					channel.members[memberID] &&
+					this._memberResponse(channel.members[memberID]),
+				created_at: this._timestamp(),
+				...extra,
+			});
+		};
+		for (const id of (body.add_members || []).map(userIDOf)) {
+			memberEvent('member.added', this._addMember(channel, id));
+			notify('notification.added_to_channel', id);
+		}
+		for (const id of (body.invites || []).map(userIDOf)) {
+			memberEvent(
+				'member.added',
+				this._addMember(channel, id, 'member', { invited: true }),
+			);
+			notify('notification.invited', id);
+		}
+		for (const id of (body.remove_members || []).map(userIDOf)) {
+			const member = channel.members[id];
+			if (!member) continue;
+			delete channel.members[id];
+			delete channel.read[id];
+			memberEvent('member.removed', member);
+			notify('notification.removed_from_channel', id);
+		}
+		const setRole = (ids, role) => {
+			for (const id of ids.map(userIDOf)) {
+				if (!channel.members[id]) continue;
+				Object.assign(channel.members[id], {
+					role,
+					is_moderator: role === 'moderator',
+				});
+				memberEvent('member.updated', channel.members[id]);
+			}
+		};
+		setRole(body.add_moderators || [], 'moderator');
+		setRole(body.demote_moderators || [], 'member');
+		const member = channel.members[userID];
+		if (member && (body.accept_invite || body.reject_invite)) {
+			const now = this._timestamp();
+			if (body.accept_invite) {
+				member.invite_accepted_at = now;
+			} else {
+				member.invite_rejected_at = now;
+			}
+			memberEvent('member.updated', member);
+			notify(
+				body.accept_invite
+					? 'notification.invite_accepted'
+					: 'notification.invite_rejected',
+				userID,
+			);
+		}
+	}
+
+	deleteChannel({ params }) {
+		const channel = this._getChannel(params);
+		channel.deleted_at = this._timestamp();
+		this._publish(channel, {
+			type: 'channel.deleted',
+			channel: this._channelResponse(channel),
+		});
+		for (const connection of Object.values(this.connections)) {
+			delete connection.watching[channel.cid];
+		}
+		return { channel: this._channelResponse(channel) };
+	}
+
+	truncateChannel({ params }) {
+		const channel = this._getChannel(params);
+		for (const id of channel.messageIDs) {
+			delete this.messages[id];
+		}
+		channel.messageIDs = [];
+		channel.truncated_at = this._timestamp();
+		this._publish(channel, {
+			type: 'channel.truncated',
+			channel: this._channelResponse(channel),
+		});
+		return { channel: this._channelResponse(channel) };
+	}
+
+	sendChannelEvent({ params, body, auth }) {
+		const channel = this._getChannel(params);
+		const event = body.event || {};
+		if (!event.type) {
+			throw inputError('event.type is required');
+		}
+		const userID = this._actingUser(auth, event.user_id, event.user);
+		const full = {
+			cid: channel.cid,
+			channel_id: channel.id,
+			channel_type: channel.type,
+			created_at: this._timestamp(),
+			...event,
+			user: this._userResponse(userID),
+		};
+		this._publish(channel, full);
+		return { event: full };
+	}
+
+	markRead({ params, body, auth }) {
+		const channel = this._getChannel(params);
+		const userID = this._actingUser(auth, body.user_id, body.user);
+		const event = this._markRead(channel, userID);
+		return { event };
+	}
+
+	_markRead(channel, userID) {
+		const now = this._timestamp();
+		channel.read[userID] = { last_read: now, unread_messages: 0 };
+		const event = {
+			type: 'message.read',
+			cid: channel.cid,
+			channel_id: channel.id,
+			channel_type: channel.type,
+			user: this._userResponse(userID),
+			created_at: now,
+		};
+		this._publish(channel, event);
+		return event;
+	}
+
+	markAllRead({ body, auth }) {
+		const userID = this._actingUser(auth, body.user_id, body.user);
+		for (const channel of Object.values(this.channels)) {
+			if (channel.members[userID] && !channel.deleted_at) {
+				this._markRead(channel, userID);
+			}
+		}
+		this._sendToUsers([userID], {
+			type: 'notification.mark_read',
+			me: this._ownUser(userID),
+			total_unread_count: 0,
+			unread_channels: 0,
+			created_at: this._timestamp(),
+		});
+		return {};
+	}
+
+	stopWatching({ params, connectionID }) {
+		const channel = this._getChannel(params);
+		const connection = this.connections[connectionID];
+		if (connection && connection.watching[channel.cid]) {
+			delete connection.watching[channel.cid];
+			this._publish(channel, {
+				type: 'user.watching.stop',
+				user: this._userResponse(connection.userID),
+			});
+		}
+		return {};
+	}
+
+	hideChannel({ params, body, auth }) {
+		const channel = this._getChannel(params);
+		const userID = this._actingUser(auth, body.user_id);
+		channel.hidden[userID] = true;
+		if (body.clear_history) {
+			channel.cleared_at[userID] = this._timestamp();
+		}
+		this._sendToUsers([userID], {
+			type: 'channel.hidden',
+			cid: channel.cid,
+			channel: this._channelResponse(channel),
+			clear_history: !!body.clear_history,
+			created_at: this._timestamp(),
+		});
+		return {};
+	}
+
+	showChannel({ params, body, auth }) {
+		const channel = this._getChannel(params);
+		const userID = this._actingUser(auth, body.user_id);
+		delete channel.hidden[userID];
+		this._sendToUsers([userID], {
+			type: 'channel.visible',
+			cid: channel.cid,
+			channel: this._channelResponse(channel),
+			created_at: this._timestamp(),
+		});
+		return {};
+	}
+
+	uploadFile({ params }) {
+		const channel = this._getChannel(params);
+		return {
+			file: `${this.baseURL}/uploads/${channel.type}/${
+				channel.id
+			}/${this.generateID()}`,
+		};
+	}
+
+	deleteFile({ params }) {
+		this._getChannel(params);
+		return {};
+	}
+
+	queryMembers({ query, auth }) {
+		this._actingUser(auth, query.user_id);
+		const id =
+			query.id || (query.members && membersChannelID(query.members.map(userIDOf)));
+		const channel = this._getChannel({ type: query.type, id });
+		const docs = Object.values(channel.members).map(member => {
+			const user = this._userResponse(member.user_id);
+			let invite;
+			if (member.invited) {
+				invite = member.invite_accepted_at ? 'accepted' : 'pending';
+				invite = member.invite_rejected_at ? 'rejected' : invite;
+			}
+			return { member, doc: { ...user, ...member, id: member.user_id, invite } };
+		});
+		const matching = docs.filter(({ doc }) =>
+			matchesFilter(doc, query.filter_conditions),
+		);
+		const sorted = sortDocuments(
+			matching,
+			(query.sort || []).concat([{ field: 'created_at', direction: 1 }]),
+		);
+		return {
+			members: paginate(sorted, query, 100).map(({ member }) =>
+				this._memberResponse(member),
+			),
+		};
+	}
+
+	// -- messages
+
+	_getMessage(id) {
+		const message = this.messages[id];
+		if (!message) {
+			throw notFound(MESSAGE_NOT_FOUND);
+		}
+		return message;
+	}
+
+	_isBanned(userID, cid) {
+		const now = this._timestamp();
+		return this.bans.some(
+			ban =>
+				ban.target_user_id === userID &&
+				(!ban.cid || ban.cid === cid) &&
+				(!ban.expires || ban.expires > now),
+		);
+	}
+
+	_createMessage(channel, input) {
+		const {
+			user,
+			user_id,
+			id = this.generateID(),
+			mentioned_users = [],
+			attachments = [],
+			...custom
+		} = input;
+		if (this.messages[id]) {
+			throw inputError(`a message with ID ${id} already exists`);
+		}
+		const userID = user_id || userIDOf(user);
+		if (this._isBanned(userID, channel.cid)) {
+			throw new MockServerError(403, 17, 'you are banned from this channel');
+		}
+		const parent = custom.parent_id && this._getMessage(custom.parent_id);
+		const now = this._timestamp();
+		const message = {
+			text: '',
+			...custom,
+			id,
+			cid: channel.cid,
+			type: parent ? 'reply' : 'regular',
+			user_id: userID,
+			attachments,
+			mentioned_users: mentioned_users.map(userIDOf),
+			reply_count: 0,
+			reactions: [],
+			created_at: now,
+			updated_at: now,
+		};
+		this.messages[id] = message;
+		channel.messageIDs.push(id);
+		if (parent) {
+			parent.reply_count += 1;
+		}
+		if (!parent || message.show_in_channel) {
+			channel.last_message_at = now;
+		}
+		channel.hidden = {};
+		for (const memberID of Object.keys(channel.members)) {
+			if (memberID !== userID && !message.silent) {
+				channel.read[memberID].unread_messages += 1;
+			}
+		}
+		return message;
+	}
+
+	sendMessage({ params, body, auth }) {
+		const channel = this._getChannel(params);
+		const input = body.message || {};
+		const userID = this._actingUser(auth, input.user_id, input.user);
+		const message = this._createMessage(channel, { ...input, user_id: userID });
+		this._publishMessageNew(channel, message);
+		return { message: this._messageResponse(message, userID) };
+	}
+
+	_publishMessageNew(channel, message) {
+		const watchers = Object.values(this.connections)
+			.filter(connection => connection.watching[channel.cid])
+			.map(connection => connection.userID);
+		this._publish(channel, {
+			type: 'message.new',
+			message: this._messageResponse(message),
+			user: this._userResponse(message.user_id),
+			watcher_count: new Set(watchers).size,
+		});
+		// members that don't watch the channel get a notification instead
+		for (const memberID of Object.keys(channel.members)) {
+			if (memberID === message.user_id || watchers.includes(memberID)) {
+				continue;
+			}
+			this._sendToUsers([memberID], {
+				type: 'notification.message_new',
+				cid: channel.cid,
+				channel: this._channelResponse(channel),
+				message: this._messageResponse(message, memberID),
+				created_at: this._timestamp(),
+			});
+		}
+	}
+
+	getMessage({ params, auth }) {
+		const userID = auth.isServer ? null : this._actingUser(auth);
+		return { message: this._messageResponse(this._getMessage(params.id), userID) };
+	}
+
+	getMessagesById({ params, query, auth }) {
+		const channel = this._getChannel(params);
+		const userID = auth.isServer ? null : this._actingUser(auth);
+		const ids = (query.ids || '').split(',');
+		return {
+			messages: ids
+				.map(id => this.messages[id])
+				.filter(message => message && message.cid === channel.cid)
+				.map(message => this._messageResponse(message, userID)),
+		};
+	}
+
+	updateMessage({ params, body, auth }) {
+		const message = this._getMessage(params.id);
+		const input = body.message || {};
+		const userID = this._actingUser(auth, input.user_id, input.user);
+		if (!auth.isServer && message.user_id !== userID) {
+			throw new MockServerError(403, 17, 'you can only edit your own messages');
+		}
+		Object.assign(message, omit(input, READ_ONLY_MESSAGE_FIELDS), {
+			updated_at: this._timestamp(),
+		});
+		if (input.mentioned_users) {
+			message.mentioned_users = input.mentioned_users.map(userIDOf);
+		}
+		const channel = this.channels[message.cid];
+		this._publish(channel, {
+			type: 'message.updated',
+			message: this._messageResponse(message),
+			user: this._userResponse(userID),
+		});
+		return { message: this._messageResponse(message, userID) };
+	}
+
+	deleteMessage({ params, query, auth }) {
+		const message = this._getMessage(params.id);
+		const userID = auth.isServer ? null : this._actingUser(auth);
+		if (userID && message.user_id !== userID) {
+			throw new MockServerError(403, 17, 'you can only delete your own messages');
+		}
+		const hard = query.hard === 'true' || query.hard === true;
+		const channel = this.channels[message.cid];
+		const now = this._timestamp();
+		message.type = 'deleted';
+		message.deleted_at = now;
+		message.updated_at = now;
+		if (hard) {
+			delete this.messages[message.id];
+			channel.messageIDs = channel.messageIDs.filter(id => id !== message.id);
+		}
+		this._publish(channel, {
+			type: 'message.deleted',
+			message: this._messageResponse(message),
+			hard_delete: hard || undefined,
+		});
+		return { message: this._messageResponse(message, userID) };
+	}
+
+	getReplies({ params, query, auth }) {
+		const parent = this._getMessage(params.id);
+		const userID = auth.isServer ? null : this._actingUser(auth);
+		const channel = this.channels[parent.cid];
+		const replies = channel.messageIDs
+			.map(id => this.messages[id])
+			.filter(message => message.parent_id === parent.id);
+		return {
+			messages: this._paginateMessages(replies, query, 100).map(message =>
+				this._messageResponse(message, userID),
+			),
+		};
+	}
+
+	sendReaction({ params, body, auth }) {
+		const message = this._getMessage(params.id);
+		const input = body.reaction || {};
+		if (!input.type) {
+			throw inputError('reaction.type is required');
+		}
+		const userID = this._actingUser(auth, input.user_id, input.user);
+		const now = this._timestamp();
+		const fields = omit(input, ['user']);
+		const existing = message.reactions.find(
+			r => r.user_id === userID && r.type === input.type,
+		);
+		message.reactions = message.reactions.filter(
+			r => r.user_id !== userID || (r.type !== input.type && !body.enforce_unique),
+		);
+		const reaction = {
+			...fields,
+			message_id: message.id,
+			user_id: userID,
+			score: fields.score || 1,
+			created_at: existing ? existing.created_at : now,
+			updated_at: now,
+		};
+		message.reactions.push(reaction);
+		message.updated_at = now;
+		this._publish(this.channels[message.cid], {
+			type: existing ? 'reaction.updated' : 'reaction.new',
+			message: this._messageResponse(message),
+			reaction: this._reactionResponse(reaction),
+			user: this._userResponse(userID),
+		});
+		return {
+			message: this._messageResponse(message, userID),
+			reaction: this._reactionResponse(reaction),
+		};
+	}
+
+	deleteReaction({ params, query, auth }) {
+		const message = this._getMessage(params.id);
+		const userID = this._actingUser(auth, query.user_id);
+		const reaction = message.reactions.find(
+			r => r.user_id === userID && r.type === params.type,
+		);
+		if (!reaction) {
+			throw notFound('reaction does not exist');
+		}
+		message.reactions = message.reactions.filter(r => r !== reaction);
+		message.updated_at = this._timestamp();
+		this._publish(this.channels[message.cid], {
+			type: 'reaction.deleted',
+			message: this._messageResponse(message),
+			reaction: this._reactionResponse(reaction),
+			user: this._userResponse(userID),
+		});
+		return {
+			message: this._messageResponse(message, userID),
+			reaction: this._reactionResponse(reaction),
+		};
+	}
+
+	getReactions({ params, query }) {
+		const message = this._getMessage(params.id);
+		const reactions = message.reactions
+			.slice()
+			.reverse()
+			.map(r => this._reactionResponse(r));
+		return { reactions: paginate(reactions, query, 10) };
+	}
+
+	messageAction({ params, auth }) {
+		const userID = auth.isServer ? null : this._actingUser(auth);
+		return { message: this._messageResponse(this._getMessage(params.id), userID) };
+	}
+
+	translateMessage({ params, body, auth }) {
+		const message = this._getMessage(params.id);
+		const userID = auth.isServer ? null : this._actingUser(auth);
+		if (!body.language) {
+			throw inputError('language is required');
+		}
+		// there is no translation service, the text is used as it is
+		message.i18n = {
+			...message.i18n,
+			language: 'en',
+			[`${body.language}_text`]: message.text,
+		};
+		return { message: this._messageResponse(message, userID) };
+	}
+
+	search({ query, auth }) {
+		const userID = auth.isServer ? null : this._actingUser(auth);
+		const channels = Object.values(this.channels).filter(
+			channel =>
+				!channel.deleted_at &&
+				matchesFilter(
+					this._channelDocument(channel, userID),
+					query.filter_conditions,
+				),
+		);
+		const text = (query.query || '').toLowerCase();
+		const results = [];
+		for (const channel of channels) {
+			for (const message of this._channelMessages(channel, userID)) {
+				const matches = query.message_filter_conditions
+					? matchesFilter(message, query.message_filter_conditions)
+					: message.text.toLowerCase().includes(text);
+				if (matches && message.type !== 'deleted') {
+					results.push({
+						message: {
+							...this._messageResponse(message, userID),
+							channel: this._channelResponse(channel),
+						},
+					});
+				}
+			}
+		}
+		return { results: paginate(results, query, 20) };
+	}
+
+	sync({ body, auth }) {
+		const userID = this._actingUser(auth, body.user_id);
+		const cids = body.channel_cids || [];
+		if (!body.last_sync_at) {
+			throw inputError('last_sync_at is required');
+		}
+		const since = new Date(body.last_sync_at).toISOString();
+		return {
+			events: this.events.filter(
+				event =>
+					cids.includes(event.cid) &&
+					event.created_at > since &&
+					(!this.channels[event.cid].cleared_at[userID] ||
+						event.created_at > this.channels[event.cid].cleared_at[userID]),
+			),
+		};
+	}
+
+	// -- users
+
+	queryUsers({ query, auth }) {
+		if (!auth.isServer) {
+			this._actingUser(auth);
+		}
+		const docs = Object.values(this.users)
+			.filter(user => !user.deleted_at)
+			.map(user => ({ user, doc: user }))
+			.filter(({ doc }) => matchesFilter(doc, query.filter_conditions));
+		const sorted = sortDocuments(
+			docs,
+			(query.sort || []).concat([{ field: 'created_at', direction: 1 }]),
+		);
+		return { users: paginate(sorted, query, 30).map(({ user }) => ({ ...user })) };
+	}
+
+	upsertUsers({ body }) {
+		const users = {};
+		for (const user of Object.values(body.users || {})) {
+			if (!user.id) {
+				throw inputError('user.id is required');
+			}
+			users[user.id] = { ...this.upsertUser(user) };
+			this._publishUserUpdated(user.id);
+		}
+		return { users };
+	}
+
+	partialUpdateUsers({ body }) {
+		const users = {};
+		for (const { id, set = {}, unset = [] } of body.users || []) {
+			const user = this.users[id];
+			if (!user) {
+				throw notFound(`user ${id} does not exist`);
+			}
+			Object.assign(user, set, { updated_at: this._timestamp() });
+			for (const field of unset) {
+				delete user[field];
+			}
+			users[id] = { ...user };
+			this._publishUserUpdated(id);
+		}
+		return { users };
+	}
+
+	_publishUserUpdated(userID) {
+		this._enqueue(Object.values(this.connections), {
+			type: 'user.updated',
+			user: this._userResponse(userID),
+			created_at: this._timestamp(),
+		});
+	}
+
+	_getUser(id) {
+		if (!this.users[id]) {
+			throw notFound(`user ${id} does not exist`);
+		}
+		return this.users[id];
+	}
+
+	deleteUser({ params, query }) {
+		const user = this._getUser(params.id);
+		if (query.hard_delete === 'true') {
+			delete this.users[params.id];
+		} else {
+			user.deleted_at = this._timestamp();
+		}
+		return { user: { ...user } };
+	}
+
+	deactivateUser({ params }) {
+		const user = this._getUser(params.id);
+		user.deactivated_at = this._timestamp();
+		return { user: { ...user } };
+	}
+
+	reactivateUser({ params }) {
+		const user = this._getUser(params.id);
+		delete user.deactivated_at;
+		return { user: { ...user } };
+	}
+
+	exportUser({ params }) {
+		const user = this._getUser(params.id);
+		const messages = Object.values(this.messages).filter(m => m.user_id === user.id);
+		return {
+			user: { ...user },
+			messages: messages.map(message => this._messageResponse(message, user.id)),
+			reactions: [].concat(
+				...Object.values(this.messages).map(message =>
+					message.reactions
+						.filter(r => r.user_id === user.id)
+						.map(r => this._reactionResponse(r)),
+				),
+			),
+		};
+	}
+
+	createGuest({ body }) {
+		const input = body.user || {};
+		const id = input.id || this.generateID();
+		const user = this.upsertUser({ ...input, id, role: 'guest' });
+		return { user: { ...user }, access_token: this.createToken(id) };
+	}
+
+	getDevices({ query, auth }) {
+		const userID = this._actingUser(auth, query.user_id);
+		return { devices: this.devices[userID] || [] };
+	}
+
+	addDevice({ body, auth }) {
+		const userID = this._actingUser(auth, body.user_id);
+		const devices = (this.devices[userID] || []).filter(
+			device => device.id !== body.id,
+		);
+		devices.push({
+			id: body.id,
+			push_provider: body.push_provider,
+			user_id: userID,
+			created_at: this._timestamp(),
+		});
+		this.devices[userID] = devices;
+		return {};
+	}
+
+	removeDevice({ query, auth }) {
+		const userID = this._actingUser(auth, query.user_id);
+		this.devices[userID] = (this.devices[userID] || []).filter(
+			device => device.id !== query.id,
+		);
+		return {};
+	}
+
+	// -- moderation
+
+	ban({ body, auth }) {
+		const userID = this._actingUser(auth, body.user_id, body.banned_by_id) || null;
+		this._getUser(body.target_user_id);
+		const cid = body.type && body.id ? `${body.type}:${body.id}` : null;
+		const now = this.now();
+		this.bans.push({
+			target_user_id: body.target_user_id,
+			cid,
+			banned_by_id: userID,
+			reason: body.reason,
+			created_at: now.toISOString(),
+			expires: body.timeout
+				? new Date(now.getTime() + body.timeout * 60 * 1000).toISOString()
+				: null,
+		});
+		const event = {
+			type: 'user.banned',
+			user: this._userResponse(body.target_user_id),
+			reason: body.reason,
+			created_at: now.toISOString(),
+		};
+		if (cid && this.channels[cid]) {
+			this._publish(this.channels[cid], event);
+		} else {
+			this._sendToUsers([body.target_user_id], event);
+		}
+		return {};
+	}
+
+	unban({ query }) {
+		const cid = query.type && query.id ? `${query.type}:${query.id}` : null;
+		this.bans = this.bans.filter(
+			ban => ban.target_user_id !== query.target_user_id || ban.cid !== cid,
+		);
+		this._sendToUsers([query.target_user_id], {
+			type: 'user.unbanned',
+			user: this._userResponse(query.target_user_id),
+			cid: cid || undefined,
+			created_at: this._timestamp(),
+		});
+		return {};
+	}
+
+	muteUser({ body, auth }) {
+		const userID = this._actingUser(auth, body.user_id);
+		const targets = Array.isArray(body.target_id) ? body.target_id : [body.target_id];
+		let mute;
+		for (const target of targets) {
+			this._getUser(target);
+			this.mutes = this.mutes.filter(
+				m => m.user_id !== userID || m.target_id !== target,
+			);
+			mute = { user_id: userID, target_id: target, created_at: this._timestamp() };
+			this.mutes.push(mute);
+		}
+		const me = this._ownUser(userID);
+		this._sendToUsers([userID], {
+			type: 'notification.mutes_updated',
+			me,
+			created_at: this._timestamp(),
+		});
+		return { mute: this._muteResponse(mute), own_user: me };
+	}
+
+	unmuteUser({ body, auth }) {
+		const userID = this._actingUser(auth, body.user_id);
+		this.mutes = this.mutes.filter(
+			m => m.user_id !== userID || m.target_id !== body.target_id,
+		);
+		this._sendToUsers([userID], {
+			type: 'notification.mutes_updated',
+			me: this._ownUser(userID),
+			created_at: this._timestamp(),
+		});
+		return {};
+	}
+
+	muteChannel({ body, auth }) {
+		const userID = this._actingUser(auth, body.user_id);
+		const [type, id] = (body.channel_cid || '').split(':');
+		this._getChannel({ type, id });
+		this.channelMutes = this.channelMutes.filter(
+			m => m.user_id !== userID || m.channel_cid !== body.channel_cid,
+		);
+		const now = this.now();
+		const mute = {
+			user_id: userID,
+			channel_cid: body.channel_cid,
+			created_at: now.toISOString(),
+			expires: body.expiration
+				? new Date(now.getTime() + Number(body.expiration)).toISOString()
+				: undefined,
+		};
+		this.channelMutes.push(mute);
+		const me = this._ownUser(userID);
+		this._sendToUsers([userID], {
+			type: 'notification.channel_mutes_updated',
+			me,
+			created_at: now.toISOString(),
+		});
+		return { channel_mute: this._channelMuteResponse(mute), own_user: me };
+	}
+
+	unmuteChannel({ body, auth }) {
+		const userID = this._actingUser(auth, body.user_id);
+		this.channelMutes = this.channelMutes.filter(
+			m => m.user_id !== userID || m.channel_cid !== body.channel_cid,
+		);
+		this._sendToUsers([userID], {
+			type: 'notification.channel_mutes_updated',
+			me: this._ownUser(userID),
+			created_at: this._timestamp(),
+		});
+		return {};
+	}
+
+	_flagMatcher(userID, { target_message_id, target_user_id }) {
+		return flag =>
+			flag.user_id === userID &&
+			flag.target_message_id === target_message_id &&
+			flag.target_user_id === target_user_id;
+	}
+
+	flag({ body, auth }) {
+		const userID = this._actingUser(auth, body.user_id);
+		if (body.target_message_id) {
+			this._getMessage(body.target_message_id);
+		} else {
+			this._getUser(body.target_user_id);
+		}
+		if (this.flags.some(this._flagMatcher(userID, body))) {
+			throw inputError('the target is already flagged by this user');
+		}
+		const flag = {
+			user_id: userID,
+			target_message_id: body.target_message_id,
+			target_user_id: body.target_user_id,
+			created_at: this._timestamp(),
+		};
+		this.flags.push(flag);
+		return { flag: { ...flag, user: this._userResponse(userID) } };
+	}
+
+	unflag({ body, auth }) {
+		const userID = this._actingUser(auth, body.user_id);
+		const flag = this.flags.find(this._flagMatcher(userID, body));
+		if (!flag) {
+			throw notFound('flag does not exist');
+		}
+		this.flags = this.flags.filter(f => f !== flag);
+		return { flag: { ...flag, user: this._userResponse(userID) } };
+	}
+
+	// -- app and channel types
+
+	getApp() {
+		const channelConfigs = {};
+		for (const [type, config] of Object.entries(this.channelTypes)) {
+			channelConfigs[type] = config;
+		}
+		return { app: { name: 'mock-server', channel_configs: channelConfigs } };
+	}
+
+	updateApp() {
+		return {};
+	}
+
+	listChannelTypes() {
+		return { channel_types: { ...this.channelTypes } };
+	}
+
+	getChannelType({ params }) {
+		if (!this.channelTypes[params.type]) {
+			throw notFound(`channel type ${params.type} does not exist`);
+		}
+		return { ...this.channelTypes[params.type] };
+	}
+
+	createChannelType({ body }) {
+		if (!body.name) {
+			throw inputError('name is required');
+		}
+		if (this.channelTypes[body.name]) {
+			throw inputError(`channel type ${body.name} already exists`);
+		}
+		this.channelTypes[body.name] = { ...DEFAULT_CHANNEL_CONFIG, ...body };
+		return { ...this.channelTypes[body.name] };
+	}
+
+	updateChannelType({ params, body }) {
+		const config = this.getChannelType({ params });
+		this.channelTypes[params.type] = { ...config, ...body, name: params.type };
+		return { ...this.channelTypes[params.type] };
+	}
+
+	deleteChannelType({ params }) {
+		this.getChannelType({ params });
+		delete this.channelTypes[params.type];
+		return {};
+	}
+}
@@ -0,0 +1,398 @@
+import uuidv4 from 'uuid/v4';
+import { logChatPromiseExecution } from './utils';
+import { AbortError, InputError } from './errors';
+import { throwIfAborted } from './abort';
+import { hasUploads } from './uploads';
+import { WriteQueue } from './storage';
+import { defaultRetryBackoff, isRetryableError, retryAfter } from './retry';
+
+/** the longest wait between two attempts, in ms */
+const MAX_RETRY_DELAY = 30000;
+
+/**
+ * MessageOutbox - Keeps track of the messages that were not acknowledged by the API yet.
+ *
+ * - messages get a client side generated id and show up in the channel state with status "sending"
+ * - network failures, rate limits and 5xx responses are retried with an exponential backoff, the
+ *   promise of send rejects after the first failed attempt while the retries continue
+ * - all pending messages are retried right away when the connection comes back online
+ * - retries that find the message id taken fetch the message, the response of an earlier attempt
+ *   was lost but the message was delivered
+ * - pending messages are written to the storage adapter, so they survive client.disconnect()
+ *
+ * Once the API accepts the message its status changes to "received", messages that
+ * can't be delivered end up with status "failed".
+ *
+ * Messages with attachments that are still uploading wait for the uploads, see UploadManager. The
+ * uploads have their own retries, a failed upload fails the message.
+ */
+export class MessageOutbox {
+	constructor(client, { storage, maxAttempts = 10 } = {}) {
+		this.client = client;
+		this.storage = storage;
+		this.maxAttempts = maxAttempts;
+		/** pending outbox entries, keyed by message id */
+		this.pending = {};
+		/** resolve and reject functions of the promises returned by send */
+		this.deferreds = {};
+		this.retryTimeouts = {};
+		this.writes = new WriteQueue();
+		this.userID = null;
+	}
+
+	/**
+	 * send - Adds the message to the outbox and tries to deliver it
+	 *
+	 * @param {Channel} channel The channel to send the message to
+	 * @param {object} message The message object, an id is generated when missing
+	 * @param {object} [options] {signal}, aborting the signal stops the delivery and marks the message as failed
+	 *
+	 * @return {Promise} Resolves with the server response once the message is delivered, rejects when
+	 * the message failed. When the first attempt fails with an error that is retried, it rejects with
+	 * that error right away, the error has `willRetry` and the message is delivered in the background
+	 */
+	async send(channel, message, options = {}) {
+		const signal = options.signal;
+		throwIfAborted(signal);
+		this.userID = this.client.userID;
+		const id = message.id || `${this.client.userID}-${uuidv4()}`;
+		const entry = {
+			id,
+			cid: channel.cid,
+			message: { ...message, id },
+			attempts: 0,
+			created_at: new Date().toISOString(),
+			signal,
+		};
+		this.pending[id] = entry;
+		this._updateLocalMessage(entry, 'sending');
+
+		const promise = new Promise((resolve, reject) => {
+			this.deferreds[id] = { resolve, reject };
+		});
+		if (signal) {
+			entry.onAbort = () => this._abort(entry);
+			signal.addEventListener('abort', entry.onAbort);
+		}
+
+		await this._persist();
+		logChatPromiseExecution(this._attempt(entry), 'send pending message');
+
+		return await promise;
+	}
+
+	/**
+	 * restore - Loads the pending messages from storage and tries to deliver them again
+	 *
+	 * @return {Promise}
+	 */
+	async restore() {
+		this.userID = this.client.userID;
+		const entries = await this._load(this.userID);
+		for (const entry of entries) {
+			if (this.pending[entry.id]) {
+				continue;
+			}
+			// every session gets a fresh retry budget
+			this.pending[entry.id] = { ...entry, attempts: 0, restored: true };
+			this._updateLocalMessage(entry, 'sending');
+		}
+		this.client.logger(
+			'info',
+			`outbox:restore() - Restored ${entries.length} pending messages`,
+			{
+				tags: ['outbox', 'client'],
+			},
+		);
+		this.flush();
+	}
+
+	/**
+	 * flush - Retries all the pending messages right away, used when the connection comes back online
+	 */
+	flush() {
+		for (const entry of Object.values(this.pending)) {
+			if (!entry.inFlight) {
+				logChatPromiseExecution(this._attempt(entry), 'retry pending message');
+			}
+		}
+	}
+
+	/**
+	 * reset - Stops retrying, called on client.disconnect(). The pending messages remain in storage
+	 * and will be sent once the same user connects again.
+	 */
+	reset() {
+		for (const timeout of Object.values(this.retryTimeouts)) {
+			clearTimeout(timeout);
+		}
+		for (const [id, deferred] of Object.entries(this.deferreds)) {
+			deferred.reject(
+				new Error(
+					`Message ${id} is still pending, client.disconnect() was called before it could be delivered`,
+				),
+			);
+		}
+		this.pending = {};
+		this.deferreds = {};
+		this.retryTimeouts = {};
+		this.userID = null;
+	}
+
+	async _attempt(entry) {
+		clearTimeout(this.retryTimeouts[entry.id]);
+		delete this.retryTimeouts[entry.id];
+
+		entry.inFlight = true;
+		entry.attempts += 1;
+		const userID = this.userID;
+		const [type, ...id] = entry.cid.split(':');
+		if (hasUploads(entry.message) && !(await this._resolveUploads(entry))) {
+			return;
+		}
+		let response;
+		try {
+			response = await this.client.post(
+				`${this.client.baseURL}/channels/${type}/${id.join(':')}/message`,
+				{ message: entry.message },
+				{ signal: entry.signal },
+			);
+		} catch (error) {
+			const delivered = await this._findDelivered(entry, error);
+			entry.inFlight = false;
+			if (this.pending[entry.id] !== entry) {
+				// the outbox was reset while the request was running
+				return;
+			}
+			if (delivered) {
+				await this._complete(entry, null, delivered);
+				return;
+			}
+			if (error instanceof AbortError) {
+				await this._complete(entry, error);
+				return;
+			}
+			if (isRetryableError(error) && entry.attempts < this.maxAttempts) {
+				this._scheduleRetry(entry, error);
+				// retries can take minutes, the caller doesn't wait for them
+				const deferred = this.deferreds[entry.id];
+				if (deferred) {
+					delete this.deferreds[entry.id];
+					error.willRetry = true;
+					deferred.reject(error);
+				}
+				return;
+			}
+			await this._complete(entry, error);
+			return;
+		}
+
+		entry.inFlight = false;
+		if (this.pending[entry.id] !== entry) {
+			// delivered after client.disconnect(), make sure we don't send it twice
+			await this._forget(userID, entry.id);
+			return;
+		}
+		await this._complete(entry, null, response);
+	}
+
+	/**
+	 * _findDelivered - When an earlier attempt reached the API but its response was lost, the retry
+	 * fails with an input error because the message id is taken. The message is fetched to tell that
+	 * apart from a message the API rejected
+	 *
+	 * @return {Promise<object>} The getMessage response when the message was delivered, null otherwise
+	 */
+	async _findDelivered(entry, error) {
+		const sentBefore = entry.attempts > 1 || entry.restored;
+		if (!sentBefore || !(error instanceof InputError)) {
+			return null;
+		}
+		try {
+			const response = await this.client.getMessage(entry.id, {
+				signal: entry.signal,
+			});
+			const user = response.message.user || {};
+			return user.id === this.userID ? response : null;
+		} catch (e) {
+			return null;
+		}
+	}
+
+	/**
+	 * _abort - Stops the delivery of a message that is waiting for a retry, messages that are in
+	 * flight fail once their request is aborted
+	 */
+	_abort(entry) {
+		if (this.pending[entry.id] !== entry || entry.inFlight) {
+			return;
+		}
+		clearTimeout(this.retryTimeouts[entry.id]);
+		delete this.retryTimeouts[entry.id];
+		logChatPromiseExecution(
+			this._complete(entry, new AbortError()),
+			'abort pending message',
+		);
+	}
+
+	/**
+	 * _resolveUploads - Waits for the uploads of the message and replaces them with the file urls
+	 *
+	 * @return {Promise<boolean>} false when an upload failed and the message with it
+	 */
+	async _resolveUploads(entry) {
+		try {
+			const attachments = await this.client.uploads.resolveAttachments(
+				entry.message.attachments,
+				entry.signal,
+			);
+			entry.message = { ...entry.message, attachments };
+		} catch (error) {
+			entry.inFlight = false;
+			if (this.pending[entry.id] === entry) {
+				await this._complete(entry, error);
+			}
+			return false;
+		}
+		if (this.pending[entry.id] !== entry) {
+			// the outbox was reset while the files were uploading
+			entry.inFlight = false;
+			return false;
+		}
+		await this._persist();
+		return true;
+	}
+
+	async _complete(entry, error, response) {
+		if (entry.signal) {
+			entry.signal.removeEventListener('abort', entry.onAbort);
+		}
+		delete this.pending[entry.id];
+		const deferred = this.deferreds[entry.id];
+		delete this.deferreds[entry.id];
+		await this._persist();
+
+		if (error) {
+			this.client.logger(
+				'warn',
+				`outbox:_complete() - Failed to deliver message ${entry.id} after ${entry.attempts} attempts`,
+				{
+					tags: ['outbox', 'client'],
+					error,
+				},
+			);
+			this._updateLocalMessage(entry, 'failed', { errorStatusCode: error.status });
+			if (deferred) {
+				deferred.reject(error);
+			}
+			return;
+		}
+
+		this._getChannel(entry).state.addMessageSorted({
+			...response.message,
+			status: 'received',
+		});
+		if (deferred) {
+			deferred.resolve(response);
+		}
+	}
+
+	/**
+	 * _scheduleRetry - Retries the message with the backoff of the client retries, see
+	 * defaultRetryBackoff, capped at 30 seconds
+	 */
+	_scheduleRetry(entry, error) {
+		const interval = Math.min(
+			defaultRetryBackoff({
+				attempt: entry.attempts,
+				error,
+				retryAfter: retryAfter(error.response),
+			}),
+			MAX_RETRY_DELAY,
+		);
+		this.client.logger(
+			'info',
+			`outbox:_scheduleRetry() - Retrying message ${entry.id} in ${interval}ms`,
+			{
+				tags: ['outbox', 'client'],
+			},
+		);
+		this.retryTimeouts[entry.id] = setTimeout(() => {
+			logChatPromiseExecution(this._attempt(entry), 'retry pending message');
+		}, interval);
+	}
+
+	_getChannel(entry) {
+		const [type, ...id] = entry.cid.split(':');
+		return this.client.channel(type, id.join(':'));
+	}
+
+	_updateLocalMessage(entry, status, extraData = {}) {
+		const { message } = entry;
+		this._getChannel(entry).state.addMessageSorted({
+			type: 'regular',
+			...message,
+			user: this.client.user,
+			mentioned_users: (message.mentioned_users || []).map(user =>
+				typeof user === 'string' ? { id: user } : user,
+			),
+			created_at: entry.created_at,
+			updated_at: entry.created_at,
+			status,
+			...extraData,
+		});
+	}
+
+	_storageKey(userID) {
+		return `stream-chat-outbox-${userID}`;
+	}
+
+	async _load(userID) {
+		const value = await this.storage.getItem(this._storageKey(userID));
+		return value ? JSON.parse(value) : [];
+	}
+
+	_persist() {
+		const userID = this.userID;
+		const entries = Object.values(this.pending).map(
+			({ id, cid, message, attempts, created_at }) => ({
+				id,
+				cid,
+				message,
+				attempts,
+				created_at,
+			}),
+		);
+		return this._write(userID, () => entries);
+	}
+
+	_forget(userID, id) {
+		return this._write(userID, async () => {
+			const entries = await this._load(userID);
+			return entries.filter(entry => entry.id !== id);
+		});
+	}
+
+	_write(userID, getEntries) {
+		return this.writes
+			.push(async () => {
+				const entries = await getEntries();
+				const key = this._storageKey(userID);
+				if (entries.length) {
+					await this.storage.setItem(key, JSON.stringify(entries));
+				} else {
+					await this.storage.removeItem(key);
+				}
+			})
+			.catch(error => {
+				this.client.logger(
+					'error',
+					'outbox:_write() - Failed to persist outbox',
+					{
+						tags: ['outbox', 'client'],
+						error,
+					},
+				);
+			});
+	}
+}
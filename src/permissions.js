@@ -79,3 +79,29 @@ export const BuiltinPermissions = {
 	DeleteAnyReaction: 'Delete Any Reaction',
 	DeleteOwnReaction: 'Delete Own Reaction',
 };
+
+/**
+ * hasPermission - Evaluates the permission policies of a channel type, the policy with the highest
+ * priority that matches the permission and one of the roles decides
+ *
+ * @param {array} policies The permissions of the channel type, see Permission
+ * @param {string} permission The permission, see BuiltinPermissions
+ * @param {array} roles The roles of the user, see BuiltinRoles
+ *
+ * @return {boolean|undefined} undefined when no policy matches
+ */
+export function hasPermission(policies, permission, roles) {
+	// policies name the resource with or without spaces, ie. UploadAttachment
+	const names = [permission, permission.replace(/ /g, '')];
+	const matches = (list, values) =>
+		list.includes('*') || values.some(value => list.includes(value));
+	const policy = (policies || [])
+		.slice()
+		.sort((a, b) => b.priority - a.priority)
+		.find(
+			p =>
+				matches(p.resources || AnyResource, names) &&
+				matches(p.roles || AnyRole, roles),
+		);
+	return policy ? policy.action === Allow : undefined;
+}
@@ -0,0 +1,130 @@
+// path segments used by the API, anything else is an id, channel type or other parameter
+const STATIC_SEGMENTS = [
+	'action',
+	'app',
+	'ban',
+	'channel',
+	'channels',
+	'channeltypes',
+	'check_push',
+	'check_sqs',
+	'deactivate',
+	'devices',
+	'event',
+	'export',
+	'export_channels',
+	'file',
+	'flag',
+	'guest',
+	'hide',
+	'image',
+	'members',
+	'message',
+	'messages',
+	'moderation',
+	'mute',
+	'query',
+	'reaction',
+	'reactions',
+	'reactivate',
+	'read',
+	'replies',
+	'search',
+	'show',
+	'stop-watching',
+	'sync',
+	'translate',
+	'truncate',
+	'unflag',
+	'unmute',
+	'users',
+];
+
+/**
+ * endpointKey - Returns the key used for the rate limits of a request, ie. GET /channels. Ids and
+ * other parameters in the path are replaced with * since the API limits endpoints, not resources.
+ *
+ * @param {string} method The HTTP method
+ * @param {string} url The full url or path of the request
+ *
+ * @return {string}
+ */
+export function endpointKey(method, url) {
+	const path = url.replace(/^[a-z]+:\/\/[^/]+/i, '').split('?')[0];
+	const segments = path
+		.split('/')
+		.filter(segment => segment !== '')
+		.map(segment => (STATIC_SEGMENTS.includes(segment) ? segment : '*'));
+	return `${method.toUpperCase()} /${segments.join('/')}`;
+}
+
+/**
+ * parseRateLimitHeaders - Reads the X-RateLimit-* headers of an API response
+ *
+ * @param {object} headers The response headers, with lowercase names
+ *
+ * @return {object|null} {limit, remaining, reset} or null when the response has no rate limit headers
+ */
+export function parseRateLimitHeaders(headers) {
+	if (!headers || headers['x-ratelimit-limit'] == null) {
+		return null;
+	}
+	const reset = parseInt(headers['x-ratelimit-reset'], 10);
+	return {
+		limit: parseInt(headers['x-ratelimit-limit'], 10),
+		remaining: parseInt(headers['x-ratelimit-remaining'], 10),
+		// the API sends a unix timestamp in seconds
+		reset: isNaN(reset) ? null : new Date(reset * 1000),
+	};
+}
+
+/**
+ * RateLimits - Keeps the latest rate limits the API reported for every endpoint
+ */
+export class RateLimits {
+	constructor() {
+		this.limits = {};
+	}
+
+	/**
+	 * update - Stores the rate limits from the headers of a response
+	 *
+	 * @param {string} method The HTTP method
+	 * @param {string} url The url of the request
+	 * @param {object} headers The response headers
+	 *
+	 * @return {object|null} The parsed rate limit
+	 */
+	update(method, url, headers) {
+		const limit = parseRateLimitHeaders(headers);
+		if (limit) {
+			this.limits[endpointKey(method, url)] = limit;
+		}
+		return limit;
+	}
+
+	/**
+	 * get - Returns the rate limit of an endpoint, null if no response had rate limit headers yet
+	 *
+	 * @param {string} method The HTTP method
+	 * @param {string} url The url of the request
+	 *
+	 * @return {object|null} {limit, remaining, reset}
+	 */
+	get(method, url) {
+		return this.limits[endpointKey(method, url)] || null;
+	}
+
+	/**
+	 * all - Returns the rate limits of all the endpoints, by endpoint key
+	 *
+	 * @return {object}
+	 */
+	all() {
+		return { ...this.limits };
+	}
+
+	reset() {
+		this.limits = {};
+	}
+}
@@ -0,0 +1,220 @@
+// events that don't change the data returned by the API
+const IGNORED_EVENTS = [
+	'health.check',
+	'typing.start',
+	'typing.stop',
+	'connection.changed',
+	'connection.recovered',
+	'connection.state_changed',
+	'connection.failed',
+	'upload.progress',
+	'upload.completed',
+	'upload.failed',
+	'composer.changed',
+	'draft.updated',
+	'channel_list.changed',
+	'thread.changed',
+];
+
+/**
+ * tagsForURL - Returns the tags of the resources a request reads or changes, cached responses are
+ * invalidated by tag:
+ *
+ * - `channel:<cid>` for /channels/:type/:id/...
+ * - `message:<id>` for /messages/:id/...
+ * - `channels`, `users`, `members` and `search` for the list endpoints
+ *
+ * @param {string} url The url of the request
+ *
+ * @return {array}
+ */
+export function tagsForURL(url) {
+	const path = url.replace(/^[a-z]+:\/\/[^/]+/i, '').split('?')[0];
+	const [collection, first, second] = path.split('/').filter(segment => segment !== '');
+	if (collection === 'channels' && first && second && first !== 'read') {
+		return [`channel:${first}:${second}`];
+	}
+	if (collection === 'messages' && first) {
+		return [`message:${first}`];
+	}
+	return ['channels', 'users', 'members', 'search'].includes(collection)
+		? [collection]
+		: [];
+}
+
+/**
+ * tagsForEvent - Returns the tags of the cached responses a websocket event makes stale
+ *
+ * @param {object} event The event
+ *
+ * @return {array}
+ */
+export function tagsForEvent(event) {
+	if (IGNORED_EVENTS.includes(event.type)) {
+		return [];
+	}
+	const tags = [];
+	const cid = event.cid || (event.channel && event.channel.cid);
+	if (cid && cid !== '*') {
+		tags.push(`channel:${cid}`, 'channels', 'members', 'search');
+	}
+	if (event.message) {
+		tags.push(`message:${event.message.id}`);
+		if (event.message.parent_id) {
+			tags.push(`message:${event.message.parent_id}`);
+		}
+	}
+	if (event.type.indexOf('user.') === 0 || event.type.indexOf('member.') === 0) {
+		tags.push('users', 'members');
+	}
+	if (event.type.indexOf('notification.') === 0) {
+		tags.push('channels');
+	}
+	return tags;
+}
+
+/**
+ * RequestCache - Coalesces identical requests that are in flight into one and optionally keeps
+ * the responses for a short time
+ *
+ * Responses that are shared with another caller or kept in the cache are copied for every caller, so
+ * callers can't change each other's data. A response that isn't shared is returned as is.
+ *
+ * @param {object} [options]
+ * - `coalesce` {boolean} share identical requests that are in flight, defaults to true
+ * - `ttl` {int} ms to keep responses, defaults to 0 which disables the cache
+ * - `now` {function} returns the current time in ms
+ */
+export class RequestCache {
+	constructor({ coalesce = true, ttl = 0, now } = {}) {
+		this.coalesce = coalesce;
+		this.ttl = ttl;
+		this.now = now || Date.now;
+		this.inFlight = {};
+		this.entries = {};
+	}
+
+	/**
+	 * key - Returns the cache key of a request, identical requests have the same key
+	 *
+	 * @param {string} type The HTTP method
+	 * @param {string} url The url
+	 * @param {object} config The enriched request config, its query params and headers are part of the key
+	 * @param {object} data The request body
+	 *
+	 * @return {string}
+	 */
+	key(type, url, { params, headers } = {}, data) {
+		return [
+			type,
+			url,
+			JSON.stringify(params || {}),
+			JSON.stringify(headers || {}),
+			JSON.stringify(data || {}),
+		].join(' ');
+	}
+
+	/**
+	 * fetch - Returns the cached response, the response of the identical request that is in flight
+	 * or sends the request
+	 *
+	 * @param {string} key The cache key
+	 * @param {array} tags The tags of the request, see tagsForURL
+	 * @param {function} send Sends the request, returns a promise with the response
+	 *
+	 * @return {Promise<object>} The response, a copy when it's shared with another caller or cached
+	 */
+	async fetch(key, tags, send) {
+		const cached = this.entries[key];
+		if (cached && cached.expires > this.now()) {
+			return copy(cached.response);
+		}
+		delete this.entries[key];
+
+		let request = this.coalesce ? this.inFlight[key] : null;
+		if (!request) {
+			request = { tags, callers: 0, stored: false, promise: send() };
+			this.inFlight[key] = request;
+			request.promise.then(
+				response => this._settle(key, request, response),
+				() => this._settle(key, request),
+			);
+		}
+		request.callers += 1;
+		const response = await request.promise;
+		return request.callers > 1 || request.stored ? copy(response) : response;
+	}
+
+	_settle(key, request, response) {
+		// invalidated requests aren't stored, they can contain stale data
+		if (this.inFlight[key] !== request) {
+			return;
+		}
+		delete this.inFlight[key];
+		if (response && this.ttl > 0) {
+			request.stored = true;
+			this.entries[key] = {
+				tags: request.tags,
+				response,
+				expires: this.now() + this.ttl,
+			};
+		}
+	}
+
+	/**
+	 * invalidate - Removes the cached and in flight responses with any of the tags, requests made
+	 * afterwards are sent again
+	 *
+	 * @param {array} tags The tags, see tagsForURL
+	 */
+	invalidate(tags) {
+		if (!tags.length) {
+			return;
+		}
+		const matches = entry => entry.tags.some(tag => tags.includes(tag));
+		for (const store of [this.entries, this.inFlight]) {
+			for (const [key, entry] of Object.entries(store)) {
+				if (matches(entry)) {
+					delete store[key];
+				}
+			}
+		}
+	}
+
+	/**
+	 * invalidateForEvent - Removes the responses a websocket event makes stale
+	 *
+	 * @param {object} event The event
+	 */
+	invalidateForEvent(event) {
+		this.invalidate(tagsForEvent(event));
+	}
+
+	/**
+	 * clear - Removes all the cached and in flight responses
+	 */
+	clear() {
+		this.inFlight = {};
+		this.entries = {};
+	}
+}
+
+/**
+ * copy - Deep copies the plain objects, arrays and dates of a response
+ */
+function copy(value) {
+	if (Array.isArray(value)) {
+		return value.map(copy);
+	}
+	if (value instanceof Date) {
+		return new Date(value.getTime());
+	}
+	if (value && typeof value === 'object') {
+		const result = {};
+		for (const [key, item] of Object.entries(value)) {
+			result[key] = copy(item);
+		}
+		return result;
+	}
+	return value;
+}
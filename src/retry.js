@@ -0,0 +1,103 @@
+import { parseRateLimitHeaders } from './rate_limits';
+
+/**
+ * defaultRetryBackoff - Waits until the rate limit resets for rate limited requests, otherwise
+ * 250ms after the first failure and twice as long after every following one, with jitter.
+ *
+ * @param {object} retry
+ * - `attempt` {int} the number of the retry, starting at 1
+ * - `retryAfter` {int} ms until the rate limit resets, only set for rate limited requests
+ *
+ * @return {int} Duration to wait in milliseconds
+ */
+export function defaultRetryBackoff({ attempt, retryAfter }) {
+	if (retryAfter != null) {
+		return retryAfter;
+	}
+	const max = 250 * Math.pow(2, attempt);
+	return Math.floor(max / 2 + (Math.random() * max) / 2);
+}
+
+/**
+ * DEFAULT_RETRY_POLICY - Retries idempotent requests that failed with a rate limit, a server side
+ * error or a network error up to 3 times.
+ *
+ * - `maxRetries` {int} retries for a single request
+ * - `methods` {array} HTTP methods that are retried, other requests are retried when they pass `idempotent: true`
+ * - `backoff` {function} returns the ms to wait before a retry, see defaultRetryBackoff
+ * - `maxDelay` {int} requests that would have to wait longer fail right away
+ * - `budget` {int} retries for all requests together within `budgetInterval`, stops retry storms during outages
+ * - `budgetInterval` {int} ms
+ */
+export const DEFAULT_RETRY_POLICY = {
+	maxRetries: 3,
+	methods: ['get', 'put', 'delete'],
+	backoff: defaultRetryBackoff,
+	maxDelay: 60000,
+	budget: 50,
+	budgetInterval: 60000,
+};
+
+/**
+ * isRetryableError - Network errors, rate limits and server side errors are worth another try,
+ * everything else (validation, permissions, ...) will fail again.
+ *
+ * @param {Error} error The error of the request
+ *
+ * @return {boolean}
+ */
+export function isRetryableError(error) {
+	const status = error.response ? error.response.status : error.status;
+	if (status == null) {
+		// requests that were cancelled or never sent
+		return !error.__CANCEL__ && !!(error.request || error.code);
+	}
+	return status === 429 || status >= 500;
+}
+
+/**
+ * RetryBudget - Counts the retries within a sliding window
+ */
+export class RetryBudget {
+	constructor(budget, interval) {
+		this.budget = budget;
+		this.interval = interval;
+		this.retries = [];
+	}
+
+	/**
+	 * take - Uses one retry of the budget
+	 *
+	 * @return {boolean} false when the budget is used up
+	 */
+	take(now = Date.now()) {
+		this.retries = this.retries.filter(time => time > now - this.interval);
+		if (this.retries.length >= this.budget) {
+			return false;
+		}
+		this.retries.push(now);
+		return true;
+	}
+}
+
+/**
+ * retryAfter - Returns how long a rate limited request should wait before the next try, from
+ * the Retry-After header or the reset time of the rate limit
+ *
+ * @param {object} response The HTTP response
+ * @param {int} [now] The current time in ms
+ *
+ * @return {int|null} Duration in milliseconds, null if the response isn't a rate limit error
+ */
+export function retryAfter(response, now = Date.now()) {
+	if (!response || response.status !== 429) {
+		return null;
+	}
+	const headers = response.headers || {};
+	const seconds = parseInt(headers['retry-after'], 10);
+	if (!isNaN(seconds)) {
+		return seconds * 1000;
+	}
+	const limit = parseRateLimitHeaders(headers);
+	return limit && limit.reset ? Math.max(limit.reset.getTime() - now, 0) : null;
+}
@@ -0,0 +1,355 @@
+import uuidv4 from 'uuid/v4';
+import { logChatPromiseExecution, openBroadcastChannel } from './utils';
+
+/** the connection events of the leader that the other tabs mirror, see connection.js */
+const FORWARDED_CONNECTION_EVENTS = [
+	'connection.changed',
+	'connection.state_changed',
+	'connection.failed',
+];
+
+/**
+ * SharedConnection - Lets the tabs of the same user share one WebSocket connection.
+ *
+ * The tabs elect a leader over a BroadcastChannel, the tab with the lowest id among the candidates
+ * wins. The leader opens the connection and forwards every event to the other tabs, the followers
+ * dispatch them as if they came from their own connection. Followers make their API calls
+ * themselves with the connection id of the leader, so watching channels and presence work as usual.
+ *
+ * The leader sends a heartbeat every heartbeatInterval. When it goes away, either because the tab
+ * was closed or client.disconnect() was called, or its heartbeats stop for leaderTimeout, the
+ * followers elect a new leader. Every time the connection id changes the followers recover their
+ * state, the same way a reconnect does.
+ *
+ * @param {StreamChat} client The client
+ * @param {object} [options]
+ * - `channelName` {string} the BroadcastChannel name, defaults to one per api key and user
+ * - `electionTimeout` {int} how long the candidates wait for other candidates, defaults to 250ms
+ * - `heartbeatInterval` {int} defaults to 1000ms
+ * - `leaderTimeout` {int} how long followers wait for a heartbeat before electing a new leader,
+ *   defaults to 3000ms
+ */
+export class SharedConnection {
+	constructor(
+		client,
+		{
+			channelName,
+			electionTimeout = 250,
+			heartbeatInterval = 1000,
+			leaderTimeout = 3000,
+		} = {},
+	) {
+		this.client = client;
+		this.channelName =
+			channelName || `stream-chat-connection-${client.key}-${client.userID}`;
+		this.electionTimeout = electionTimeout;
+		this.heartbeatInterval = heartbeatInterval;
+		this.leaderTimeout = leaderTimeout;
+		this.tabID = uuidv4();
+		/** leader, follower or candidate. null when the connection is closed */
+		this.role = null;
+		this.leaderID = null;
+		/** the connection id of the leader */
+		this.connectionID = null;
+		/** the last message marked as read by any tab, by cid */
+		this.reads = {};
+		this.broadcast = null;
+		this.electionTimeoutRef = null;
+		this.heartbeatIntervalRef = null;
+		this.leaderTimeoutRef = null;
+	}
+
+	/**
+	 * isSupported - Returns true if tabs can share a connection in this environment
+	 *
+	 * @return {boolean}
+	 */
+	static isSupported() {
+		return typeof BroadcastChannel !== 'undefined';
+	}
+
+	/**
+	 * connect - Joins the tabs of the user, this tab becomes a follower if there's a leader already
+	 *
+	 * @return {Promise<object>} Resolves with the health check of the connection once it's open,
+	 * ie. when this tab opened it or when the leader told us about it
+	 */
+	connect() {
+		this.broadcast = openBroadcastChannel(this.channelName, data =>
+			this._receive(data),
+		);
+		if (typeof window !== 'undefined' && window.addEventListener) {
+			window.addEventListener('pagehide', this.close);
+		}
+
+		const promise = new Promise((resolve, reject) => {
+			this._resolveConnect = resolve;
+			this._rejectConnect = reject;
+		});
+		this._elect();
+		return promise;
+	}
+
+	/**
+	 * close - Leaves the tabs, if this tab is the leader the others elect a new one. The
+	 * connection of the leader is closed by client.disconnect()
+	 */
+	close = () => {
+		if (!this.broadcast) {
+			return;
+		}
+		if (typeof window !== 'undefined' && window.removeEventListener) {
+			window.removeEventListener('pagehide', this.close);
+		}
+		if (this.role === 'leader') {
+			this._post({ type: 'resign' });
+		}
+		this._clearTimers();
+		this.broadcast.close();
+		this.broadcast = null;
+		this.role = null;
+	};
+
+	/**
+	 * isLeader - Returns true if this tab owns the connection
+	 *
+	 * @return {boolean}
+	 */
+	isLeader() {
+		return this.role === 'leader';
+	}
+
+	/**
+	 * forward - Sends an event received by the leader to the other tabs
+	 *
+	 * @param {object} event The event
+	 */
+	forward(event) {
+		if (this.isLeader()) {
+			this._post({ type: 'event', event });
+		}
+	}
+
+	/**
+	 * forwardConnectionEvent - Sends a connection event of the leader to the other tabs
+	 *
+	 * @param {object} event The event, ie. connection.changed
+	 */
+	forwardConnectionEvent(event) {
+		if (FORWARDED_CONNECTION_EVENTS.indexOf(event.type) !== -1) {
+			this.forward(event);
+		}
+	}
+
+	/**
+	 * announce - Tells the other tabs about the connection of the leader, called after the connection
+	 * was opened or recovered
+	 */
+	announce() {
+		if (this.isLeader()) {
+			this.connectionID = this.client.connectionID;
+			this._post({
+				type: 'leader',
+				connectionID: this.connectionID,
+				state: this.client.connectionState,
+				handshake: this.handshake,
+			});
+		}
+	}
+
+	/**
+	 * isRead - Every tab receives the same messages, a tab doesn't need to mark the channel as read
+	 * when another tab already did it for the same last message
+	 *
+	 * @param {string} cid The channel cid
+	 * @param {object} [lastMessage] The last message of the channel
+	 *
+	 * @return {boolean} true if another tab marked the channel as read
+	 */
+	isRead(cid, lastMessage) {
+		return !!lastMessage && this.reads[cid] === lastMessage.id;
+	}
+
+	/**
+	 * claimRead - Tells the other tabs that the channel is marked as read up to the last message.
+	 * Called once the markRead request succeeded, so the other tabs still mark it when it fails
+	 *
+	 * @param {string} cid The channel cid
+	 * @param {object} [lastMessage] The last message when the request was sent
+	 */
+	claimRead(cid, lastMessage) {
+		if (!lastMessage) {
+			return;
+		}
+		this.reads[cid] = lastMessage.id;
+		this._post({ type: 'read', cid, messageID: lastMessage.id });
+	}
+
+	_elect() {
+		this._clearTimers();
+		this.role = 'candidate';
+		this.leaderID = null;
+		this.candidates = [this.tabID];
+		this._post({ type: 'claim' });
+		this.electionTimeoutRef = setTimeout(() => {
+			this.electionTimeoutRef = null;
+			if (this.leaderID) {
+				return;
+			}
+			if (this.candidates.sort()[0] === this.tabID) {
+				logChatPromiseExecution(this._lead(), 'lead the shared connection');
+			} else {
+				// the winner announces itself, elect again if it doesn't
+				this._waitForLeader();
+			}
+		}, this.electionTimeout);
+	}
+
+	async _lead() {
+		this.logger('info', 'sharedConnection:_lead() - This tab owns the connection');
+		const wasConnected = !!this.connectionID;
+		this.role = 'leader';
+		this.leaderID = this.tabID;
+		this._heartbeat();
+		this.heartbeatIntervalRef = setInterval(this._heartbeat, this.heartbeatInterval);
+
+		let handshake;
+		try {
+			handshake = await this.client.connect();
+		} catch (error) {
+			if (this.role === 'leader') {
+				this._post({ type: 'resign' });
+				this._clearTimers();
+				this.role = null;
+			}
+			this._rejectConnect(error);
+			throw error;
+		}
+		if (!this.isLeader()) {
+			// another tab took over while we connected
+			this.client.connectionID = this.connectionID;
+			return;
+		}
+		this.handshake = handshake;
+		this.announce();
+		this._resolveConnect(handshake);
+		// the channels were watched on the connection of the previous leader
+		if (wasConnected) {
+			await this.client.recoverState();
+		}
+	}
+
+	_heartbeat = () => {
+		this._post({ type: 'heartbeat', state: this.client.connectionState });
+	};
+
+	_follow(leaderID, { connectionID, state, handshake }) {
+		if (this.role === 'leader') {
+			// two leaders after a race, the one with the lowest id stays
+			if (leaderID > this.tabID) {
+				return;
+			}
+			this.logger(
+				'info',
+				'sharedConnection:_follow() - Another tab owns the connection',
+			);
+			this._clearTimers();
+			this.role = 'follower';
+			if (this.client.wsConnection) {
+				logChatPromiseExecution(
+					this.client.wsConnection.disconnect(),
+					'close the duplicate connection',
+				);
+				this.client.wsConnection = null;
+			}
+		}
+		this._clearElection();
+		this.role = 'follower';
+		this.leaderID = leaderID;
+		this._waitForLeader();
+		if (state && state !== this.client.connectionState) {
+			this.client.dispatchEvent({
+				type: 'connection.state_changed',
+				state,
+				previous_state: this.client.connectionState,
+			});
+		}
+		if (!connectionID || connectionID === this.connectionID) {
+			return;
+		}
+		const wasConnected = !!this.connectionID;
+		this.connectionID = connectionID;
+		this.client.connectionID = connectionID;
+		if (wasConnected) {
+			logChatPromiseExecution(this.client.recoverState(), 'recover state');
+			return;
+		}
+		// the handshake has the own user with the mutes, the same as a new connection
+		if (handshake) {
+			this._dispatch(handshake);
+		}
+		this._resolveConnect(handshake);
+	}
+
+	_waitForLeader() {
+		clearTimeout(this.leaderTimeoutRef);
+		this.leaderTimeoutRef = setTimeout(() => {
+			this.logger('info', 'sharedConnection - The leader stopped responding');
+			this._elect();
+		}, this.leaderTimeout);
+	}
+
+	_receive(message) {
+		const { type, tabID } = message;
+		if (!this.broadcast || tabID === this.tabID) {
+			return;
+		}
+		if (type === 'claim' && this.role === 'candidate') {
+			// answer candidates that didn't see our claim, they joined after it
+			if (this.candidates.indexOf(tabID) === -1) {
+				this.candidates.push(tabID);
+				this._post({ type: 'claim' });
+			}
+		} else if (type === 'claim' && this.isLeader()) {
+			this.announce();
+		} else if (type === 'leader' || type === 'heartbeat') {
+			this._follow(tabID, message);
+		} else if (type === 'resign' && tabID === this.leaderID) {
+			this._elect();
+		} else if (type === 'event' && this.role === 'follower') {
+			this._dispatch(message.event);
+		} else if (type === 'read') {
+			this.reads[message.cid] = message.messageID;
+		}
+	}
+
+	_dispatch(event) {
+		if (FORWARDED_CONNECTION_EVENTS.indexOf(event.type) === -1) {
+			this.client._updateLastSyncAt(event.created_at || event.received_at);
+		}
+		this.client.dispatchEvent(event);
+	}
+
+	_post(message) {
+		if (this.broadcast) {
+			this.broadcast.postMessage({ ...message, tabID: this.tabID });
+		}
+	}
+
+	_clearElection() {
+		clearTimeout(this.electionTimeoutRef);
+		this.electionTimeoutRef = null;
+	}
+
+	_clearTimers() {
+		this._clearElection();
+		clearInterval(this.heartbeatIntervalRef);
+		clearTimeout(this.leaderTimeoutRef);
+		this.heartbeatIntervalRef = null;
+		this.leaderTimeoutRef = null;
+	}
+
+	logger(level, message) {
+		this.client.logger(level, message, { tags: ['connection', 'client'] });
+	}
+}
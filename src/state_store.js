@@ -0,0 +1,158 @@
+import { WriteQueue } from './storage';
+import { logChatPromiseExecution } from './utils';
+
+/**
+ * StateStore - Persists the client and channel state through a storage adapter, so UIs can
+ * render right away from cache instead of waiting for the first queryChannels.
+ *
+ * - a snapshot is written shortly after events are received or channels get initialized
+ * - setUser rehydrates the snapshot before it resolves
+ * - once connected, the events missed since the snapshot are fetched with client.sync and replayed
+ *
+ * Snapshots contain the channel data, the most recent messages, members, read state and users.
+ */
+export class StateStore {
+	constructor(client, { storage, maxMessages = 50, saveDelay = 1000 } = {}) {
+		this.client = client;
+		this.storage = storage;
+		this.maxMessages = maxMessages;
+		this.saveDelay = saveDelay;
+		/** last_sync_at of the rehydrated snapshot, kept until the missed events are replayed */
+		this.lastSyncAt = null;
+		/** channels restored from the snapshot, these are reconciled with the server */
+		this.rehydratedCids = {};
+		this.saveTimeout = null;
+		this.writes = new WriteQueue();
+	}
+
+	/**
+	 * scheduleSave - Saves a snapshot after a short delay, multiple calls in a row result in a single write
+	 */
+	scheduleSave() {
+		if (!this.client.userID || this.saveTimeout) {
+			return;
+		}
+		this.saveTimeout = setTimeout(() => {
+			this.saveTimeout = null;
+			logChatPromiseExecution(this.save(), 'save state snapshot');
+		}, this.saveDelay);
+	}
+
+	/**
+	 * save - Writes a snapshot of the current state to storage
+	 *
+	 * @return {Promise} Resolves once the snapshot is written
+	 */
+	save() {
+		const client = this.client;
+		if (!client.userID) {
+			return Promise.resolve();
+		}
+		const channels = {};
+		for (const channel of Object.values(client.activeChannels)) {
+			if (!channel.initialized && !this.rehydratedCids[channel.cid]) {
+				continue;
+			}
+			channels[channel.cid] = {
+				type: channel.type,
+				id: channel.id,
+				data: channel.data,
+				state: channel.state.snapshot(this.maxMessages),
+			};
+		}
+		// serialize right away, the state keeps changing while we wait for the storage
+		const value = JSON.stringify({
+			version: 1,
+			last_sync_at: this.lastSyncAt || client.lastSyncAt,
+			...client.state.snapshot(),
+			channels,
+		});
+		const key = this._storageKey(client.userID);
+
+		return this.writes.push(() => this.storage.setItem(key, value));
+	}
+
+	/**
+	 * rehydrate - Restores the client and channel state from the snapshot of the current user
+	 *
+	 * @return {Promise}
+	 */
+	async rehydrate() {
+		const client = this.client;
+		const userID = client.userID;
+		const value = await this.storage.getItem(this._storageKey(userID));
+		// setUser might have been called for another user in the meantime
+		if (!value || client.userID !== userID) {
+			return;
+		}
+		const snapshot = JSON.parse(value);
+		if (snapshot.version !== 1) {
+			return;
+		}
+
+		this.lastSyncAt = snapshot.last_sync_at;
+		client.state.rehydrate(snapshot);
+		for (const { type, id, data, state } of Object.values(snapshot.channels)) {
+			const channel = client.channel(type, id);
+			// fresher data from the API wins
+			if (channel.initialized) {
+				continue;
+			}
+			channel.data = data;
+			channel.state.rehydrate(state);
+			for (const member of Object.values(state.members || {})) {
+				client.state.updateUserReference(member.user, channel.cid);
+			}
+			this.rehydratedCids[channel.cid] = true;
+		}
+
+		client.logger(
+			'info',
+			`state_store:rehydrate() - Restored ${
+				Object.keys(this.rehydratedCids).length
+			} channels from storage`,
+			{
+				tags: ['state_store', 'client'],
+			},
+		);
+	}
+
+	/**
+	 * reconcile - Fetches the events missed since the snapshot was taken and replays them
+	 *
+	 * @return {Promise}
+	 */
+	async reconcile() {
+		const cids = Object.keys(this.rehydratedCids);
+		if (!cids.length || !this.lastSyncAt) {
+			return;
+		}
+		await this.client._replayMissedEvents(cids, this.lastSyncAt);
+		// from now on the client keeps track of the sync time
+		this.lastSyncAt = null;
+	}
+
+	/**
+	 * clear - Removes the snapshot of the current user, use it when the user logs out
+	 *
+	 * @return {Promise}
+	 */
+	clear() {
+		const key = this._storageKey(this.client.userID);
+		return this.writes.push(() => this.storage.removeItem(key));
+	}
+
+	/**
+	 * reset - Forgets everything about the current user, called on client.disconnect()
+	 */
+	reset() {
+		clearTimeout(this.saveTimeout);
+		this.saveTimeout = null;
+		this.lastSyncAt = null;
+		this.rehydratedCids = {};
+	}
+
+	_storageKey(userID) {
+		return `stream-chat-state-${userID}`;
+	}
+}
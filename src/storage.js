@@ -0,0 +1,145 @@
+/**
+ * MemoryStorage - A storage adapter that keeps all the values in memory.
+ *
+ * Storage adapters are simple key/value stores with string values. They implement getItem,
+ * setItem and removeItem and are allowed to return promises, so window.localStorage and
+ * React Native's AsyncStorage can be passed to the client as they are.
+ *
+ * The in-memory adapter is the default, it survives client.disconnect() but not a page reload.
+ */
+export class MemoryStorage {
+	constructor() {
+		this.items = {};
+	}
+
+	getItem(key) {
+		return Promise.resolve(key in this.items ? this.items[key] : null);
+	}
+
+	setItem(key, value) {
+		this.items[key] = value;
+		return Promise.resolve();
+	}
+
+	removeItem(key) {
+		delete this.items[key];
+		return Promise.resolve();
+	}
+}
+
+/**
+ * KeyValueStorage - Wraps a synchronous or asynchronous key/value store such as window.localStorage,
+ * window.sessionStorage or React Native's AsyncStorage. Every call returns a promise, exceptions
+ * thrown by the store (ie. quota errors) turn into rejected promises.
+ *
+ * @param {object} storage An object with getItem, setItem and removeItem functions
+ * @param {string} [prefix] Prefix for all the keys, useful when the store is shared with other code
+ */
+export class KeyValueStorage {
+	constructor(storage, prefix = '') {
+		this.storage = storage;
+		this.prefix = prefix;
+	}
+
+	getItem(key) {
+		return Promise.resolve()
+			.then(() => this.storage.getItem(this.prefix + key))
+			.then(value => (value == null ? null : value));
+	}
+
+	setItem(key, value) {
+		return Promise.resolve().then(() =>
+			this.storage.setItem(this.prefix + key, value),
+		);
+	}
+
+	removeItem(key) {
+		return Promise.resolve().then(() => this.storage.removeItem(this.prefix + key));
+	}
+}
+
+/**
+ * IndexedDBStorage - Stores the values in an IndexedDB object store. Unlike localStorage it
+ * doesn't block the main thread and has a much larger quota, which matters for message history.
+ *
+ * @param {object} [options]
+ * - `dbName` {string} name of the database, defaults to stream-chat
+ * - `storeName` {string} name of the object store, defaults to keyvalue
+ * - `indexedDB` {object} IndexedDB factory, defaults to window.indexedDB
+ */
+export class IndexedDBStorage {
+	constructor({ dbName = 'stream-chat', storeName = 'keyvalue', indexedDB } = {}) {
+		this.dbName = dbName;
+		this.storeName = storeName;
+		this.indexedDB =
+			indexedDB || (typeof window !== 'undefined' ? window.indexedDB : undefined);
+		this.dbPromise = null;
+	}
+
+	getItem(key) {
+		return this._request('readonly', store => store.get(key)).then(value =>
+			value === undefined ? null : value,
+		);
+	}
+
+	setItem(key, value) {
+		return this._request('readwrite', store => store.put(value, key)).then(() => {});
+	}
+
+	removeItem(key) {
+		return this._request('readwrite', store => store.delete(key)).then(() => {});
+	}
+
+	_open() {
+		if (this.dbPromise) {
+			return this.dbPromise;
+		}
+		if (!this.indexedDB) {
+			return Promise.reject(
+				new Error('IndexedDB is not available in this environment'),
+			);
+		}
+		this.dbPromise = new Promise((resolve, reject) => {
+			const request = this.indexedDB.open(this.dbName, 1);
+			request.onupgradeneeded = () => {
+				request.result.createObjectStore(this.storeName);
+			};
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error);
+		});
+		return this.dbPromise;
+	}
+
+	async _request(mode, callback) {
+		const db = await this._open();
+		return await new Promise((resolve, reject) => {
+			const transaction = db.transaction(this.storeName, mode);
+			const request = callback(transaction.objectStore(this.storeName));
+			transaction.oncomplete = () => resolve(request.result);
+			transaction.onerror = () => reject(transaction.error);
+			transaction.onabort = () => reject(transaction.error);
+		});
+	}
+}
+
+/**
+ * WriteQueue - Runs the storage writes of a store one after the other, so an older write can't
+ * overwrite a newer one. A failed write doesn't block the writes after it.
+ */
+export class WriteQueue {
+	constructor() {
+		this.promise = Promise.resolve();
+	}
+
+	/**
+	 * push - Runs the write once the writes before it are done
+	 *
+	 * @param {function} write Writes to the storage, can return a promise
+	 *
+	 * @return {Promise} Resolves or rejects with the write
+	 */
+	push(write) {
+		this.promise = this.promise.catch(() => {}).then(write);
+		return this.promise;
+	}
+}
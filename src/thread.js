@@ -0,0 +1,232 @@
+import { MessageList } from './message_list';
+
+const DEFAULT_REPLY_LIMIT = 25;
+/** the page size used to load the replies missed while the connection was down */
+const RECOVERY_REPLY_LIMIT = 100;
+
+/**
+ * Thread - The state of a thread: its parent message, the replies sorted by created_at and indexed
+ * by id, the reply count, the participants and the unread replies.
+ *
+ * The channel state creates one for every parent message it knows replies of, see
+ * channel.thread(). Replies received with message.new are added live, so are edits, deletions and
+ * reactions. The replies stay when the channel is watched again after a reconnect, the threads
+ * that loaded their replies also load the replies they missed.
+ *
+ * The client emits a thread.changed event when the thread loads replies, gets a new one or is marked
+ * as read.
+ *
+ * @param {Channel} channel The channel of the thread
+ * @param {string} parentID The id of the parent message
+ */
+export class Thread {
+	constructor(channel, parentID) {
+		this.channel = channel;
+		this.parentID = parentID;
+		/** the replies indexed by id, see MessageList */
+		this.list = new MessageList();
+		/** the parent message, null until it's part of the channel state or loadReplies fetched it */
+		this.parent = null;
+		/** true once loadReplies loaded the latest replies */
+		this.initialized = false;
+		this.hasMoreOlder = true;
+		this.replyCount = 0;
+		/** the replies of other users received since markRead */
+		this.unreadCount = 0;
+		this.lastRead = null;
+		this.loadPromise = null;
+	}
+
+	/**
+	 * replies - The immutable list of replies, sorted by created_at
+	 */
+	get replies() {
+		return this.list.messages;
+	}
+
+	/**
+	 * participants - The users that replied, plus the author of the parent message, in the order
+	 * they joined the thread
+	 */
+	get participants() {
+		const users = [];
+		const ids = {};
+		const add = user => {
+			if (user && user.id && !ids[user.id]) {
+				ids[user.id] = true;
+				users.push(user);
+			}
+		};
+		if (this.parent) {
+			add(this.parent.user);
+			for (const user of this.parent.thread_participants || []) {
+				add(user);
+			}
+		}
+		for (const reply of this.list.messages) {
+			add(reply.user);
+		}
+		return users;
+	}
+
+	/**
+	 * loadReplies - Loads the latest replies, and the parent message when the channel state doesn't
+	 * have it. Only the first call makes requests, use loadOlder for the next pages
+	 *
+	 * @param {object} [options] {limit, signal}, the limit defaults to 25
+	 *
+	 * @return {Promise<array>} The replies
+	 */
+	loadReplies({ limit = DEFAULT_REPLY_LIMIT, signal } = {}) {
+		if (this.initialized) {
+			return Promise.resolve(this.replies);
+		}
+		if (!this.loadPromise) {
+			this.loadPromise = this._loadReplies(limit, signal).then(
+				replies => {
+					this.loadPromise = null;
+					return replies;
+				},
+				error => {
+					this.loadPromise = null;
+					throw error;
+				},
+			);
+		}
+		return this.loadPromise;
+	}
+
+	async _loadReplies(limit, signal) {
+		if (!this.parent) {
+			const { message } = await this.channel
+				.getClient()
+				.getMessage(this.parentID, { signal });
+			this._setParent(this.channel.state.messageToImmutable(message));
+		}
+		const { messages } = await this.channel.getReplies(this.parentID, {
+			limit,
+			signal,
+		});
+		this.initialized = true;
+		this.hasMoreOlder = messages.length >= limit;
+		this.replyCount = Math.max(this.replyCount, this.list.length);
+		if (!this.lastRead) {
+			this.lastRead = this._newestReplyDate();
+		}
+		this._changed();
+		return this.replies;
+	}
+
+	/**
+	 * loadOlder - Loads the page of replies before the oldest one of the thread
+	 *
+	 * @param {object} [options] {limit, signal}, the limit defaults to 25
+	 *
+	 * @return {Promise<array>} The replies of the page, an empty array when there are no older replies
+	 */
+	async loadOlder({ limit = DEFAULT_REPLY_LIMIT, signal } = {}) {
+		const oldest = this.list.first();
+		if (!this.hasMoreOlder || !oldest) {
+			return [];
+		}
+		const { messages } = await this.channel.getReplies(this.parentID, {
+			limit,
+			id_lt: oldest.id,
+			signal,
+		});
+		if (messages.length < limit) {
+			this.hasMoreOlder = false;
+		}
+		this._changed();
+		return messages;
+	}
+
+	/**
+	 * countUnread - Returns the number of replies of other users received since the thread was
+	 * marked as read. The thread read state is kept by the client, it isn't sent to the API
+	 *
+	 * @return {int} The unread replies
+	 */
+	countUnread() {
+		return this.unreadCount;
+	}
+
+	/**
+	 * markRead - Marks the replies of the thread as read
+	 */
+	markRead() {
+		this.lastRead = this._newestReplyDate() || new Date();
+		if (this.unreadCount) {
+			this.unreadCount = 0;
+			this._changed();
+		}
+	}
+
+	/**
+	 * _addReply - Called by the channel state for every reply it adds to the thread
+	 *
+	 * @param {object} reply The immutable reply
+	 * @param {boolean} live true for the replies sent in this session, they're counted and can be
+	 * unread
+	 *
+	 * @return {boolean} Returns if it was a new live reply, the thread emits thread.changed for those
+	 * once the channel state is updated
+	 */
+	_addReply(reply, live) {
+		const isNew = !this.list.has(reply.id);
+		this.list.upsert(reply);
+		if (!live || !isNew) {
+			return false;
+		}
+		this.replyCount += 1;
+		const user = reply.user || {};
+		if (user.id === this.channel.getClient().userID) {
+			// replying reads the thread
+			this.lastRead = reply.created_at;
+			this.unreadCount = 0;
+		} else {
+			this.unreadCount += 1;
+		}
+		return true;
+	}
+
+	_setParent(parent) {
+		this.parent = parent;
+		if (parent.reply_count != null) {
+			this.replyCount = parent.reply_count;
+		}
+	}
+
+	/**
+	 * _recover - Loads the replies that were sent while the connection was down
+	 */
+	async _recover() {
+		if (!this.initialized) {
+			return;
+		}
+		let more = true;
+		while (more) {
+			const newest = this.list.last();
+			const { messages } = await this.channel.getReplies(this.parentID, {
+				limit: RECOVERY_REPLY_LIMIT,
+				...(newest ? { id_gt: newest.id } : {}),
+			});
+			more = !!newest && messages.length >= RECOVERY_REPLY_LIMIT;
+		}
+		this._changed();
+	}
+
+	_newestReplyDate() {
+		const newest = this.list.last();
+		return newest ? newest.created_at : null;
+	}
+
+	_changed() {
+		this.channel.getClient().dispatchEvent({
+			type: 'thread.changed',
+			cid: this.channel.cid,
+			parent_id: this.parentID,
+			thread: this,
+		});
+	}
+}
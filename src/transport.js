@@ -0,0 +1,217 @@
+import axios from 'axios';
+import NodeFormData from 'form-data';
+import { AbortError } from './errors';
+import { isAborted, throwIfAborted } from './abort';
+
+/**
+ * A transport sends the HTTP requests of the client. It implements:
+ *
+ * - `request({type, url, data, config})` sends the request and resolves with {status, data, headers}.
+ *   Non 2xx responses reject with an error that has the response as `error.response`, network
+ *   errors reject with an error that has `error.request`.
+ * - `createFormData()` returns an empty FormData for uploads
+ *
+ * config holds the query `params`, the `headers` and the axios style `timeout` and `withCredentials` options.
+ * Requests that pass an AbortSignal as `config.signal` reject with an AbortError when it aborts.
+ */
+
+/**
+ * AxiosTransport - Sends the requests with axios, the default transport
+ *
+ * @param {object} [options] The axios options, ie. timeout, httpAgent and httpsAgent
+ */
+export class AxiosTransport {
+	constructor(options = {}) {
+		this.axiosInstance = axios.create(options);
+	}
+
+	async request({ type, url, data, config = {} }) {
+		const { signal, ...axiosConfig } = config;
+		if (!signal) {
+			return await this._request(type, url, data, axiosConfig);
+		}
+		// axios doesn't support AbortSignal, it cancels requests with a cancel token
+		throwIfAborted(signal);
+		const source = axios.CancelToken.source();
+		const onAbort = () => source.cancel('The request was aborted');
+		signal.addEventListener('abort', onAbort);
+		try {
+			return await this._request(type, url, data, {
+				...axiosConfig,
+				cancelToken: source.token,
+			});
+		} catch (e) {
+			throw axios.isCancel(e) ? new AbortError() : e;
+		} finally {
+			signal.removeEventListener('abort', onAbort);
+		}
+	}
+
+	_request(type, url, data, config) {
+		switch (type) {
+			case 'get':
+				return this.axiosInstance.get(url, config);
+			case 'delete':
+				return this.axiosInstance.delete(url, config);
+			case 'post':
+				return this.axiosInstance.post(url, data, config);
+			case 'put':
+				return this.axiosInstance.put(url, data, config);
+			case 'patch':
+				return this.axiosInstance.patch(url, data, config);
+			default:
+				throw new Error(`Invalid request type ${type}`);
+		}
+	}
+
+	createFormData() {
+		return new NodeFormData();
+	}
+}
+
+/**
+ * buildURL - Adds the query params to the url, serialized the same way as axios does it
+ *
+ * @param {string} url The url
+ * @param {object} [params] The query params
+ *
+ * @return {string}
+ */
+export function buildURL(url, params = {}) {
+	const parts = [];
+	for (const [key, value] of Object.entries(params)) {
+		if (value == null) {
+			continue;
+		}
+		const name = Array.isArray(value) ? `${key}[]` : key;
+		for (const item of Array.isArray(value) ? value : [value]) {
+			let serialized = item;
+			if (item instanceof Date) {
+				serialized = item.toISOString();
+			} else if (typeof item === 'object') {
+				serialized = JSON.stringify(item);
+			}
+			parts.push(`${encodeURIComponent(name)}=${encodeURIComponent(serialized)}`);
+		}
+	}
+	if (!parts.length) {
+		return url;
+	}
+	return `${url}${url.includes('?') ? '&' : '?'}${parts.join('&')}`;
+}
+
+/**
+ * FetchTransport - Sends the requests with fetch, for runtimes without XMLHttpRequest or the node
+ * http module like edge functions and service workers
+ *
+ * @param {object} [options]
+ * - `fetch` {function} the fetch implementation, defaults to the global fetch
+ * - `FormData` {function} the FormData class for uploads, defaults to the global FormData
+ * - `timeout` {int} ms before requests are aborted, defaults to 3000. 0 disables the timeout
+ * - `withCredentials` {boolean} send cookies, defaults to false
+ */
+export class FetchTransport {
+	constructor(options = {}) {
+		this.fetch = options.fetch || ((...args) => fetch(...args));
+		this.FormData =
+			options.FormData || (typeof FormData !== 'undefined' ? FormData : null);
+		this.timeout = options.timeout != null ? options.timeout : 3000;
+		this.withCredentials = !!options.withCredentials;
+	}
+
+	async request({ type, url, data, config = {} }) {
+		const signal = config.signal;
+		throwIfAborted(signal);
+		const withCredentials =
+			config.withCredentials != null
+				? config.withCredentials
+				: this.withCredentials;
+		const request = {
+			method: type.toUpperCase(),
+			headers: { ...config.headers },
+			credentials: withCredentials ? 'include' : 'omit',
+		};
+		if (data != null) {
+			if (this._isFormData(data)) {
+				// fetch adds the content type with the multipart boundary
+				request.body = data;
+			} else {
+				request.body = typeof data === 'string' ? data : JSON.stringify(data);
+				request.headers['Content-Type'] = 'application/json;charset=utf-8';
+			}
+		}
+		const timeout = config.timeout != null ? config.timeout : this.timeout;
+		let timeoutRef;
+		const onAbort = () => controller.abort();
+		const controller =
+			(timeout || signal) && typeof AbortController !== 'undefined'
+				? new AbortController()
+				: null;
+		if (controller) {
+			request.signal = controller.signal;
+			if (timeout) {
+				timeoutRef = setTimeout(onAbort, timeout);
+			}
+			if (signal) {
+				signal.addEventListener('abort', onAbort);
+			}
+		}
+
+		let fetchResponse;
+		let body;
+		try {
+			fetchResponse = await this.fetch(buildURL(url, config.params), request);
+			body = await fetchResponse.text();
+		} catch (e) {
+			if (isAborted(signal)) {
+				throw new AbortError();
+			}
+			const error = new Error(
+				e.name === 'AbortError' ? `timeout of ${timeout}ms exceeded` : e.message,
+			);
+			error.request = request;
+			error.code = e.name === 'AbortError' ? 'ECONNABORTED' : e.code;
+			throw error;
+		} finally {
+			clearTimeout(timeoutRef);
+			if (signal) {
+				signal.removeEventListener('abort', onAbort);
+			}
+		}
+
+		const response = {
+			status: fetchResponse.status,
+			statusText: fetchResponse.statusText,
+			headers: {},
+			data: body,
+		};
+		fetchResponse.headers.forEach((value, name) => {
+			response.headers[name.toLowerCase()] = value;
+		});
+		try {
+			response.data = JSON.parse(body);
+		} catch (e) {
+			// not every response is JSON, ie. errors from proxies
+		}
+		if (response.status < 200 || response.status >= 300) {
+			const error = new Error(`Request failed with status code ${response.status}`);
+			error.request = request;
+			error.response = response;
+			throw error;
+		}
+		return response;
+	}
+
+	_isFormData(data) {
+		return !!this.FormData && data instanceof this.FormData;
+	}
+
+	createFormData() {
+		if (!this.FormData) {
+			throw new Error(
+				'FormData is not available, pass it in the FetchTransport options',
+			);
+		}
+		return new this.FormData();
+	}
+}
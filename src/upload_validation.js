@@ -0,0 +1,203 @@
+import {
+	FileTooLargeError,
+	FileTypeNotAllowedError,
+	UploadNotAllowedError,
+} from './errors';
+import { BuiltinPermissions, BuiltinRoles, hasPermission } from './permissions';
+
+// the maximum size of files on the Stream CDN
+export const DEFAULT_MAX_FILE_SIZE = 20 * 1024 * 1024;
+
+function fileExtension(name) {
+	const parts = (name || '').split('.');
+	return parts.length > 1 ? parts.pop().toLowerCase() : null;
+}
+
+function matchesMimeType(patterns, contentType) {
+	const type = contentType.toLowerCase();
+	return patterns.some(pattern => {
+		const p = pattern.toLowerCase();
+		return p.endsWith('/*') ? type.indexOf(p.slice(0, -1)) === 0 : p === type;
+	});
+}
+
+function normalizeExtensions(extensions) {
+	return extensions && extensions.map(e => e.replace(/^\./, '').toLowerCase());
+}
+
+function userRoles(channel) {
+	const client = channel.getClient();
+	const roles = [client.user.role || BuiltinRoles.User];
+	const membership = channel.state.membership || {};
+	if (membership.user) {
+		roles.push(BuiltinRoles.ChannelMember);
+	}
+	if (membership.role === 'moderator' || membership.is_moderator) {
+		roles.push(BuiltinRoles.ChannelModerator);
+	}
+	return roles;
+}
+
+/**
+ * UploadValidator - Checks files before they are uploaded, so invalid files fail right away instead
+ * of after the whole file was sent. It checks:
+ *
+ * - the `uploads` setting of the channel type config
+ * - the Upload Attachment permission, when the channel type config has the permission policies
+ *   and the client uses client side auth
+ * - the size, mime type and extension of the file against the limits
+ *
+ * Files and images have their own limits:
+ *
+ * - `maxSize` {int} the maximum size in bytes, defaults to 20MB. null disables the check
+ * - `allowedMimeTypes` {array} the allowed mime types, patterns like image/* match every image type.
+ *   Defaults to image/* for images and all types for files
+ * - `blockedMimeTypes` {array} the mime types that aren't allowed
+ * - `allowedExtensions` {array} the allowed file extensions, ie. ['pdf', 'docx']
+ * - `blockedExtensions` {array} the file extensions that aren't allowed
+ *
+ * Checks that need a size or mime type are skipped when it isn't known, ie. for streams and React Native uris.
+ *
+ * @param {object} [options]
+ * - `file` {object} the limits for files
+ * - `image` {object} the limits for images
+ */
+export class UploadValidator {
+	constructor({ file = {}, image = {} } = {}) {
+		this.limits = {
+			file: this._limits(file, null),
+			image: this._limits(image, ['image/*']),
+		};
+	}
+
+	_limits(limits, allowedMimeTypes) {
+		return {
+			maxSize:
+				limits.maxSize !== undefined ? limits.maxSize : DEFAULT_MAX_FILE_SIZE,
+			allowedMimeTypes:
+				limits.allowedMimeTypes !== undefined
+					? limits.allowedMimeTypes
+					: allowedMimeTypes,
+			blockedMimeTypes: limits.blockedMimeTypes || [],
+			allowedExtensions: normalizeExtensions(limits.allowedExtensions) || null,
+			blockedExtensions: normalizeExtensions(limits.blockedExtensions) || [],
+		};
+	}
+
+	/**
+	 * validate - Checks if the file can be uploaded
+	 *
+	 * @param {Upload} upload The upload
+	 * @param {object} [options]
+	 * - `checkSize` {boolean} check the size, defaults to true. Images are checked after they are processed
+	 *
+	 * @throws {UploadValidationError} When the file can't be uploaded
+	 */
+	validate(upload, { checkSize = true } = {}) {
+		this.checkPermission(upload.channel);
+		this.checkType(upload);
+		if (checkSize) {
+			this.checkSize(upload);
+		}
+	}
+
+	/**
+	 * checkPermission - Checks if uploads are enabled for the channel type and if the user has the
+	 * Upload Attachment permission
+	 *
+	 * @param {Channel} channel The channel
+	 *
+	 * @throws {UploadNotAllowedError}
+	 */
+	checkPermission(channel) {
+		const client = channel.getClient();
+		const config = channel.getConfig() || {};
+		if (config.uploads === false) {
+			throw new UploadNotAllowedError(
+				`Uploads are disabled for channel type ${channel.type}`,
+				{ reason: 'uploads_disabled' },
+			);
+		}
+		// serverside auth isn't limited by permissions
+		if (client.secret != null || !client.user) {
+			return;
+		}
+		const allowed = hasPermission(
+			config.permissions,
+			BuiltinPermissions.UploadAttachment,
+			userRoles(channel),
+		);
+		if (allowed === false) {
+			throw new UploadNotAllowedError(
+				`User ${client.userID} isn't allowed to upload attachments to channel ${channel.cid}`,
+				{ reason: 'permission_denied' },
+			);
+		}
+	}
+
+	/**
+	 * checkType - Checks the mime type and extension of the file
+	 *
+	 * @param {Upload} upload The upload
+	 *
+	 * @throws {FileTypeNotAllowedError}
+	 */
+	checkType(upload) {
+		const limits = this.limits[upload.type];
+		const file = this._file(upload);
+		if (upload.contentType) {
+			const allowed =
+				!limits.allowedMimeTypes ||
+				matchesMimeType(limits.allowedMimeTypes, upload.contentType);
+			if (
+				!allowed ||
+				matchesMimeType(limits.blockedMimeTypes, upload.contentType)
+			) {
+				throw new FileTypeNotAllowedError(
+					`Files of type ${upload.contentType} aren't allowed`,
+					{
+						reason: 'mime_type_not_allowed',
+						file,
+						limit: allowed
+							? limits.blockedMimeTypes
+							: limits.allowedMimeTypes,
+					},
+				);
+			}
+		}
+		const extension = fileExtension(upload.name);
+		if (!upload.name || (!extension && !limits.allowedExtensions)) {
+			return;
+		}
+		const allowed =
+			!limits.allowedExtensions || limits.allowedExtensions.includes(extension);
+		if (!allowed || limits.blockedExtensions.includes(extension)) {
+			throw new FileTypeNotAllowedError(`The file ${upload.name} isn't allowed`, {
+				reason: 'extension_not_allowed',
+				file,
+				limit: allowed ? limits.blockedExtensions : limits.allowedExtensions,
+			});
+		}
+	}
+
+	/**
+	 * checkSize - Checks the size of the file
+	 *
+	 * @param {Upload} upload The upload
+	 *
+	 * @throws {FileTooLargeError}
+	 */
+	checkSize(upload) {
+		const maxSize = this.limits[upload.type].maxSize;
+		if (maxSize != null && upload.size != null && upload.size > maxSize) {
+			throw new FileTooLargeError(
+				`The file is ${upload.size} bytes, the maximum is ${maxSize}`,
+				{ reason: 'file_too_large', file: this._file(upload), limit: maxSize },
+			);
+		}
+	}
+
+	_file(upload) {
+		return { name: upload.name, size: upload.size, contentType: upload.contentType };
+	}
+}
@@ -0,0 +1,608 @@
+import uuidv4 from 'uuid/v4';
+import { AbortError } from './errors';
+import { abortable } from './abort';
+import { ImagePipeline } from './images';
+import { defaultRetryBackoff, isRetryableError } from './retry';
+import { UploadValidator } from './upload_validation';
+import { isReadableStream, logChatPromiseExecution } from './utils';
+
+/**
+ * streamUploader - Uploads the files to the Stream CDN. The API takes the whole file in a single
+ * request, progress is reported when the transport supports it (axios in the browser).
+ */
+export const streamUploader = {
+	upload(upload, { signal, onProgress }) {
+		const channel = upload.channel;
+		return channel
+			.getClient()
+			.sendFile(
+				`${channel._channelURL()}/${upload.type}`,
+				upload.file,
+				upload.name,
+				upload.contentType,
+				upload.user,
+				{
+					signal,
+					onUploadProgress: event => onProgress(event.loaded),
+				},
+			);
+	},
+};
+
+/**
+ * hasUploads - Returns true if the message has attachments that wait for an upload
+ *
+ * @param {object} message The message
+ *
+ * @return {boolean}
+ */
+export function hasUploads(message) {
+	return (message.attachments || []).some(attachment => !!attachment.upload_id);
+}
+
+// the fields processed images add to the upload response and the attachment
+const IMAGE_FIELDS = ['original_width', 'original_height', 'blurhash', 'thumb_url'];
+
+function fileSize(file) {
+	if (file == null || typeof file === 'string' || isReadableStream(file)) {
+		return null;
+	}
+	if (typeof file.size === 'number') {
+		return file.size;
+	}
+	return typeof file.length === 'number' ? file.length : null;
+}
+
+function fileName(file) {
+	if (typeof file === 'string') {
+		return file.split('/').reverse()[0];
+	}
+	return file && file.name;
+}
+
+/**
+ * Upload - A file that is uploaded by the UploadManager, see UploadManager.upload
+ *
+ * - `status` {string} queued, uploading, paused, completed, failed or cancelled
+ * - `size` {int} the size in bytes, null when it isn't known (ie. React Native uris and streams)
+ * - `loaded` {int} the bytes that were uploaded
+ * - `offset` {int} the bytes of a chunked upload that were confirmed, resumed uploads continue from here
+ * - `attempts` {int} the retries of the upload or, for chunked uploads, of the current chunk
+ * - `response` {object} the response of the API, {file: url}. Processed images add the
+ *   `original_width`, `original_height`, `blurhash` and `thumb_url` attachment fields
+ * - `image` {object} the {width, height, blurhash} of a processed image, see ImagePipeline
+ * - `thumbnail` {object} the {file, contentType, width, height} of the thumbnail of a processed image,
+ *   apps can show it while the image uploads
+ * - `promise` {Promise} resolves with the response, rejects when the upload fails or is cancelled
+ */
+export class Upload {
+	constructor(manager, channel, file, options = {}) {
+		this.manager = manager;
+		this.id = options.id || uuidv4();
+		this.channel = channel;
+		this.cid = channel.cid;
+		this.file = file;
+		this.type = options.type === 'image' ? 'image' : 'file';
+		this.name = options.name || fileName(file);
+		this.contentType = options.contentType || (file && file.type) || undefined;
+		this.user = options.user;
+		this.uploader = options.uploader || manager.uploader;
+		this.process = options.process !== false;
+		this.processed = false;
+		this.image = null;
+		this.thumbnail = null;
+		this.size = fileSize(file);
+		this.loaded = 0;
+		this.offset = 0;
+		this.session = null;
+		// the response for the file, kept while the thumbnail uploads
+		this.fileResponse = null;
+		this.attempts = 0;
+		this.status = 'queued';
+		this.response = null;
+		this.error = null;
+		this.promise = new Promise((resolve, reject) => {
+			this._resolve = resolve;
+			this._reject = reject;
+		});
+		// the upload events report failures too, nobody has to wait for the promise
+		this.promise.catch(() => null);
+	}
+
+	/**
+	 * progress - Returns the uploaded fraction of the file, between 0 and 1
+	 *
+	 * @return {number}
+	 */
+	get progress() {
+		if (this.status === 'completed') {
+			return 1;
+		}
+		return this.size ? Math.min(this.loaded / this.size, 1) : 0;
+	}
+
+	/**
+	 * cancel - Stops the upload, the promise rejects with an AbortError
+	 */
+	cancel() {
+		this.manager._cancel(this);
+	}
+
+	/**
+	 * pause - Stops the upload until resume is called. Chunked uploads continue from the last
+	 * uploaded chunk, other uploads start over
+	 */
+	pause() {
+		this.manager._pause(this);
+	}
+
+	/**
+	 * resume - Continues a paused upload
+	 */
+	resume() {
+		this.manager._resume(this);
+	}
+
+	get done() {
+		return ['completed', 'failed', 'cancelled'].includes(this.status);
+	}
+}
+
+/**
+ * UploadManager - Uploads files with progress events, cancellation, retries and a concurrency limit.
+ *
+ * Uploads are done by an uploader, an object with either:
+ *
+ * - `upload(upload, {signal, onProgress})` uploads the whole file and resolves with {file: url}, like streamUploader
+ * - or `chunkSize` and the `start(upload, {signal})`, `uploadChunk(upload, chunk, {offset, signal, onProgress})`
+ *   and `complete(upload, {signal})` methods for chunked uploads. Failed and paused chunked uploads
+ *   resume from the last chunk that was uploaded. `complete` resolves with {file: url}
+ *
+ * The Stream API takes whole files, chunked uploads need an uploader for your own storage.
+ *
+ * The client emits upload.progress, upload.completed and upload.failed events on the channel of
+ * the upload, `event.upload` has its id, cid, status, loaded, size and error. Cancelled uploads
+ * emit upload.failed with status cancelled.
+ *
+ * Images are resized, re-encoded and get a thumbnail and blurhash before they are uploaded when the
+ * `images` option is set, see ImagePipeline.
+ *
+ * @param {StreamChat} client The client
+ * @param {object} [options]
+ * - `managed` {boolean} channel.sendFile and channel.sendImage use the manager, defaults to false.
+ *   channel.upload and the message composer always do
+ * - `concurrency` {int} uploads that run at the same time, defaults to 3
+ * - `maxRetries` {int} retries for network errors, rate limits and server side errors, defaults to 3
+ * - `backoff` {function} returns the ms to wait before a retry, see defaultRetryBackoff
+ * - `uploader` {object} the default uploader, defaults to streamUploader
+ * - `images` {object} the ImagePipeline or its options, images are uploaded as they are without it
+ * - `validation` {object} the UploadValidator or its options, files aren't checked without it. The
+ *   API is the authority on the limits, the validation only fails invalid files earlier
+ */
+export class UploadManager {
+	constructor(
+		client,
+		{
+			managed = false,
+			concurrency = 3,
+			maxRetries = 3,
+			backoff = defaultRetryBackoff,
+			uploader = streamUploader,
+			images = null,
+			validation = null,
+		} = {},
+	) {
+		this.client = client;
+		this.managed = managed;
+		this.concurrency = concurrency;
+		this.maxRetries = maxRetries;
+		this.backoff = backoff;
+		this.uploader = uploader;
+		this.images =
+			images && !(images instanceof ImagePipeline)
+				? new ImagePipeline(images)
+				: images;
+		this.validator =
+			validation && !(validation instanceof UploadValidator)
+				? new UploadValidator(validation)
+				: validation || null;
+		/** the uploads by id, they stay here until they are sent with a message or removed */
+		this.uploads = {};
+		this.queue = [];
+		this.active = 0;
+	}
+
+	/**
+	 * upload - Adds a file to the upload queue
+	 *
+	 * @param {Channel} channel The channel to upload the file to
+	 * @param {File|Blob|Buffer|ReadStream|string} file The file, or its uri in React Native
+	 * @param {object} [options]
+	 * - `type` {string} file or image, defaults to file
+	 * - `name` {string} the file name
+	 * - `contentType` {string} the mime type
+	 * - `user` {object} the user that uploads the file, only used with serverside auth
+	 * - `uploader` {object} overrides the uploader of the manager
+	 * - `process` {boolean} false uploads images as they are, without the image pipeline
+	 * - `signal` {AbortSignal} cancels the upload
+	 * - `onProgress` {function} receives the upload every time its progress or status changes
+	 *
+	 * @return {Upload} The upload, attach it to a message with {type, upload_id: upload.id}
+	 *
+	 * @throws {UploadValidationError} When the file can't be uploaded, see UploadValidator
+	 */
+	upload(channel, file, options = {}) {
+		const upload = new Upload(this, channel, file, options);
+		if (this.validator) {
+			// processed images get smaller, their size is checked afterwards
+			this.validator.validate(upload, {
+				checkSize: !this._needsProcessing(upload),
+			});
+		}
+		upload.onProgress = options.onProgress;
+		this.uploads[upload.id] = upload;
+		if (options.signal) {
+			if (options.signal.aborted) {
+				this._cancel(upload);
+				return upload;
+			}
+			const signal = options.signal;
+			const onAbort = () => this._cancel(upload);
+			signal.addEventListener('abort', onAbort, { once: true });
+			// the signal can outlive the upload, ie. the signal of a screen
+			upload._removeAbortListener = () =>
+				signal.removeEventListener('abort', onAbort);
+		}
+		this._enqueue(upload);
+		return upload;
+	}
+
+	/**
+	 * get - Returns the upload with the given id
+	 *
+	 * @param {string} id The id of the upload
+	 *
+	 * @return {Upload} The upload or undefined
+	 */
+	get(id) {
+		return this.uploads[id];
+	}
+
+	/**
+	 * remove - Forgets an upload, uploads that are still running are cancelled
+	 *
+	 * @param {string} id The id of the upload
+	 */
+	remove(id) {
+		const upload = this.uploads[id];
+		if (upload && !upload.done) {
+			this._cancel(upload);
+		}
+		if (upload) {
+			this._removeAbortListener(upload);
+		}
+		delete this.uploads[id];
+	}
+
+	/**
+	 * cancelAll - Cancels all uploads, called on client.disconnect()
+	 */
+	cancelAll() {
+		for (const upload of Object.values(this.uploads)) {
+			this._cancel(upload);
+		}
+		this.uploads = {};
+	}
+
+	/**
+	 * resolveAttachments - Waits for the uploads of the attachments and replaces the upload_id with
+	 * the url of the file, image_url for images and asset_url for other files. Processed images
+	 * also get their size, blurhash and thumb_url
+	 *
+	 * @param {array} attachments The attachments of a message
+	 * @param {AbortSignal} [signal] Stops waiting for the uploads
+	 *
+	 * @return {Promise<array>} The attachments with the urls
+	 */
+	async resolveAttachments(attachments = [], signal) {
+		const resolved = [];
+		for (const attachment of attachments) {
+			if (!attachment.upload_id) {
+				resolved.push(attachment);
+				continue;
+			}
+			const upload = this.uploads[attachment.upload_id];
+			if (!upload) {
+				// ie. the message was restored from storage after a reload
+				throw new Error(`Upload ${attachment.upload_id} doesn't exist anymore`);
+			}
+			const response = await abortable(upload.promise, signal);
+			const withURL = {
+				...attachment,
+				[upload.type === 'image' ? 'image_url' : 'asset_url']: response.file,
+			};
+			delete withURL.upload_id;
+			for (const field of IMAGE_FIELDS) {
+				if (withURL[field] === undefined && response[field] !== undefined) {
+					withURL[field] = response[field];
+				}
+			}
+			if (upload.type === 'file') {
+				withURL.file_size = withURL.file_size || upload.size || undefined;
+				withURL.mime_type = withURL.mime_type || upload.contentType;
+			}
+			resolved.push(withURL);
+		}
+		for (const attachment of attachments) {
+			if (attachment.upload_id) {
+				delete this.uploads[attachment.upload_id];
+			}
+		}
+		return resolved;
+	}
+
+	_enqueue(upload) {
+		upload.status = 'queued';
+		this.queue.push(upload);
+		this._next();
+	}
+
+	_next() {
+		while (this.active < this.concurrency && this.queue.length) {
+			const upload = this.queue.shift();
+			this.active += 1;
+			logChatPromiseExecution(
+				this._run(upload).then(() => {
+					this.active -= 1;
+					this._next();
+				}),
+				'upload file',
+			);
+		}
+	}
+
+	async _run(upload) {
+		upload.status = 'uploading';
+		const controller =
+			typeof AbortController !== 'undefined' ? new AbortController() : null;
+		// a paused upload can be resumed before its previous request finished
+		const run = { controller };
+		upload.run = run;
+		const signal = controller ? controller.signal : undefined;
+		const current = () => upload.run === run && upload.status === 'uploading';
+		const onProgress = loaded => this._progress(upload, loaded);
+		let response;
+		try {
+			if (this._needsProcessing(upload)) {
+				await this._processImage(upload);
+				if (!current()) {
+					return;
+				}
+			}
+			if (!upload.fileResponse) {
+				upload.fileResponse = await this._transfer(upload, signal, onProgress);
+			}
+			response = {
+				...upload.fileResponse,
+				...(await this._imageFields(upload, signal)),
+			};
+		} catch (error) {
+			// errors of uploads that were paused or cancelled don't matter anymore
+			if (current()) {
+				this._failed(upload, error);
+			}
+			return;
+		}
+		if (current()) {
+			this._complete(upload, response);
+		}
+	}
+
+	_needsProcessing(upload) {
+		return (
+			!upload.processed &&
+			upload.process &&
+			upload.type === 'image' &&
+			!!this.images
+		);
+	}
+
+	async _processImage(upload) {
+		const processed = await this.images.process(upload.file, upload.contentType);
+		upload.processed = true;
+		if (processed) {
+			this._processed(upload, processed);
+		}
+		if (this.validator) {
+			this.validator.checkSize(upload);
+		}
+	}
+
+	_processed(upload, processed) {
+		if (processed.contentType !== upload.contentType) {
+			upload.name = this.images.renamed(upload.name, processed.contentType);
+		}
+		upload.file = processed.file;
+		upload.contentType = processed.contentType;
+		upload.size = fileSize(processed.file);
+		upload.image = {
+			width: processed.width,
+			height: processed.height,
+			blurhash: processed.blurhash,
+		};
+		upload.thumbnail = processed.thumbnail;
+		// the size changed and the thumbnail is available
+		this._progress(upload, 0);
+	}
+
+	async _imageFields(upload, signal) {
+		if (!upload.image) {
+			return {};
+		}
+		const fields = {
+			original_width: upload.image.width,
+			original_height: upload.image.height,
+		};
+		if (upload.image.blurhash) {
+			fields.blurhash = upload.image.blurhash;
+		}
+		if (upload.thumbnail) {
+			fields.thumb_url = await this._uploadThumbnail(upload, signal);
+		}
+		return fields;
+	}
+
+	async _uploadThumbnail(upload, signal) {
+		const thumbnail = upload.thumbnail;
+		if (!thumbnail.url) {
+			// the thumbnail isn't a separate upload, its retries are part of the image
+			const thumbnailUpload = new Upload(this, upload.channel, thumbnail.file, {
+				type: 'image',
+				name: `thumb_${upload.name || 'image'}`,
+				contentType: thumbnail.contentType,
+				user: upload.user,
+				uploader: upload.uploader,
+			});
+			const response = await this._transfer(thumbnailUpload, signal, () => null);
+			thumbnail.url = response.file;
+		}
+		return thumbnail.url;
+	}
+
+	_transfer(upload, signal, onProgress) {
+		return upload.uploader.uploadChunk
+			? this._uploadChunks(upload, signal, onProgress)
+			: upload.uploader.upload(upload, { signal, onProgress });
+	}
+
+	async _uploadChunks(upload, signal, onProgress) {
+		const uploader = upload.uploader;
+		if (upload.size == null || typeof upload.file.slice !== 'function') {
+			throw new Error('Chunked uploads need a File, Blob or Buffer');
+		}
+		if (!upload.session) {
+			upload.session = (await uploader.start(upload, { signal })) || {};
+		}
+		while (upload.offset < upload.size) {
+			const offset = upload.offset;
+			const end = Math.min(offset + uploader.chunkSize, upload.size);
+			await uploader.uploadChunk(upload, upload.file.slice(offset, end), {
+				offset,
+				signal,
+				onProgress: loaded => onProgress(offset + loaded),
+			});
+			upload.offset = end;
+			// every chunk gets its own retries
+			upload.attempts = 0;
+			onProgress(end);
+		}
+		return await uploader.complete(upload, { signal });
+	}
+
+	_failed(upload, error) {
+		// streams can't be read twice
+		const retryable = isRetryableError(error) && !isReadableStream(upload.file);
+		if (retryable && upload.attempts < this.maxRetries) {
+			upload.attempts += 1;
+			const delay = this.backoff({ attempt: upload.attempts, error });
+			this.client.logger(
+				'info',
+				`uploads:_failed() - Retrying upload ${upload.id} in ${delay}ms`,
+				{
+					tags: ['uploads', 'client'],
+					error,
+				},
+			);
+			upload.status = 'queued';
+			upload.retryTimeout = setTimeout(() => this._enqueue(upload), delay);
+			return;
+		}
+		upload.status = 'failed';
+		this._reject(upload, error);
+	}
+
+	_progress(upload, loaded) {
+		upload.loaded = loaded;
+		this._emit(upload, 'upload.progress');
+	}
+
+	_complete(upload, response) {
+		upload.status = 'completed';
+		upload.response = response;
+		if (upload.size != null) {
+			upload.loaded = upload.size;
+		}
+		upload._resolve(response);
+		this._removeAbortListener(upload);
+		this._emit(upload, 'upload.completed');
+	}
+
+	_reject(upload, error) {
+		upload.error = error;
+		upload._reject(error);
+		this._removeAbortListener(upload);
+		this.client.logger(
+			'warn',
+			`uploads:_reject() - Upload ${upload.id} ${upload.status}`,
+			{
+				tags: ['uploads', 'client'],
+				error,
+			},
+		);
+		this._emit(upload, 'upload.failed');
+	}
+
+	_emit(upload, type) {
+		if (upload.onProgress) {
+			upload.onProgress(upload);
+		}
+		// events are plain data, the listeners get the Upload with client.uploads.get(id)
+		const { id, cid, status, loaded, size, error } = upload;
+		this.client.dispatchEvent({
+			type,
+			cid,
+			upload: { id, cid, status, loaded, size, error },
+		});
+	}
+
+	_removeAbortListener(upload) {
+		if (upload._removeAbortListener) {
+			upload._removeAbortListener();
+			upload._removeAbortListener = null;
+		}
+	}
+
+	_stop(upload) {
+		clearTimeout(upload.retryTimeout);
+		this.queue = this.queue.filter(queued => queued !== upload);
+		if (upload.status === 'uploading' && upload.run.controller) {
+			upload.run.controller.abort();
+		}
+	}
+
+	_cancel(upload) {
+		if (upload.done) {
+			return;
+		}
+		this._stop(upload);
+		upload.status = 'cancelled';
+		this._reject(upload, new AbortError('The upload was cancelled'));
+	}
+
+	_pause(upload) {
+		if (upload.done || upload.status === 'paused') {
+			return;
+		}
+		this._stop(upload);
+		upload.status = 'paused';
+		if (!upload.uploader.uploadChunk) {
+			upload.loaded = 0;
+		}
+	}
+
+	_resume(upload) {
+		if (upload.status === 'paused') {
+			this._enqueue(upload);
+		}
+	}
+}
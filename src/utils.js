@@ -19,6 +19,33 @@ export function logChatPromiseExecution(promise, name) {
 
 export const sleep = m => new Promise(r => setTimeout(r, m));
 
+/**
+ * openBroadcastChannel - Opens a BroadcastChannel to the other tabs
+ *
+ * @param {string} name The name of the channel
+ * @param {function} onMessage Receives the data of every message
+ *
+ * @return {BroadcastChannel}
+ */
+export function openBroadcastChannel(name, onMessage) {
+	const channel = new BroadcastChannel(name);
+	channel.onmessage = event => onMessage(event.data);
+	// node keeps the process running while a BroadcastChannel is open
+	if (channel.unref) {
+		channel.unref();
+	}
+	return channel;
+}
+
+export function isReadableStream(obj) {
+	return (
+		obj !== null &&
+		typeof obj === 'object' &&
+		typeof obj._read === 'function' &&
+		typeof obj._readableState === 'object'
+	);
+}
+
 export function isFunction(value) {
 	return (
 		value &&
@@ -29,6 +56,14 @@ export function isFunction(value) {
 }
 
 export const chatCodes = {
+	INPUT_ERROR: 4,
+	AUTHENTICATION_ERROR: 5,
+	RATE_LIMITED: 9,
+	DOES_NOT_EXIST: 16,
+	NOT_ALLOWED: 17,
 	TOKEN_EXPIRED: 40,
+	TOKEN_NOT_VALID_YET: 41,
+	TOKEN_USED_BEFORE_ISSUED_AT: 42,
+	TOKEN_SIGNATURE_INVALID: 43,
 	WS_CLOSED_SUCCESS: 1000,
 };
@@ -0,0 +1,165 @@
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import { StreamChat } from '../src/client';
+import { AbortError } from '../src/errors';
+import { AxiosTransport, FetchTransport } from '../src/transport';
+import { sleep } from '../src/utils';
+import { networkError, ok } from './utils';
+
+const expect = chai.expect;
+chai.use(chaiAsPromised);
+
+// resolves like the API would, and rejects like axios does when the request is cancelled
+function cancellableRequest(data) {
+	return (url, config) =>
+		new Promise((resolve, reject) => {
+			config.cancelToken.promise.then(reject);
+			setTimeout(() => resolve(ok(data)), 50);
+		});
+}
+
+function channelsResponse() {
+	return {
+		channels: [
+			{
+				channel: {
+					id: 'general',
+					type: 'messaging',
+					cid: 'messaging:general',
+					config: {},
+				},
+				messages: [{ id: 'message-1', text: 'hi', user: { id: 'jack' } }],
+				members: [],
+				read: [],
+			},
+		],
+	};
+}
+
+describe('Request cancellation', function() {
+	let client;
+
+	beforeEach(() => {
+		client = new StreamChat('apiKey', 'secret', {
+			retryPolicy: { backoff: () => 10000 },
+		});
+	});
+
+	it('cancels axios requests', async () => {
+		const transport = new AxiosTransport();
+		transport.axiosInstance.get = sinon.fake(cancellableRequest({}));
+		const controller = new AbortController();
+		const promise = transport.request({
+			type: 'get',
+			url: 'https://chat.stream-io-api.com/channels',
+			config: { signal: controller.signal },
+		});
+		controller.abort();
+		await expect(promise).to.be.rejectedWith(AbortError);
+		expect(transport.axiosInstance.get.lastArg).to.not.have.property('signal');
+
+		await expect(
+			transport.request({
+				type: 'get',
+				url: '/',
+				config: { signal: controller.signal },
+			}),
+		).to.be.rejectedWith(AbortError);
+		expect(transport.axiosInstance.get.callCount).to.equal(1);
+	});
+
+	it('cancels fetch requests', async () => {
+		const fetch = sinon.fake(
+			(url, init) =>
+				new Promise((resolve, reject) => {
+					init.signal.addEventListener('abort', () => {
+						const error = new Error('This operation was aborted');
+						error.name = 'AbortError';
+						reject(error);
+					});
+				}),
+		);
+		const transport = new FetchTransport({ fetch, timeout: 0 });
+		const controller = new AbortController();
+		const promise = transport.request({
+			type: 'get',
+			url: 'https://chat.stream-io-api.com/channels',
+			config: { signal: controller.signal },
+		});
+		controller.abort();
+		await expect(promise).to.be.rejectedWith(AbortError);
+		expect(fetch.callCount).to.equal(1);
+	});
+
+	it("doesn't update the state of aborted queries", async () => {
+		client.userID = 'jack';
+		client.user = { id: 'jack' };
+		client.axiosInstance.get = sinon.fake.resolves(ok(channelsResponse()));
+		const controller = new AbortController();
+		// the user navigates away while the response is processed
+		client.use({ afterResponse: () => controller.abort() });
+
+		await expect(
+			client.queryChannels({}, {}, { limit: 10, signal: controller.signal }),
+		).to.be.rejectedWith(AbortError);
+		const channel = client.channel('messaging', 'general');
+		expect(channel.initialized).to.equal(false);
+		expect(channel.state.messages).to.have.length(0);
+		// the signal isn't sent to the API
+		const [, config] = client.axiosInstance.get.lastCall.args;
+		expect(config.params.payload).to.not.have.property('signal');
+	});
+
+	it("doesn't retry aborted requests", async () => {
+		const error = new Error('Request failed with status code 502');
+		error.response = { status: 502, headers: {}, data: {} };
+		client.axiosInstance.get = sinon.fake.rejects(error);
+		const controller = new AbortController();
+		const promise = client.getMessage('message-1', { signal: controller.signal });
+		// abort while the client waits for the retry
+		await sleep(10);
+		controller.abort();
+		await expect(promise).to.be.rejectedWith(AbortError);
+		expect(client.axiosInstance.get.callCount).to.equal(1);
+	});
+
+	it("doesn't share requests that can be aborted", async () => {
+		client.axiosInstance.get = sinon.fake(
+			cancellableRequest({ message: { id: '1' } }),
+		);
+		const controller = new AbortController();
+		const aborted = client.getMessage('1', { signal: controller.signal });
+		const other = client.getMessage('1', { signal: new AbortController().signal });
+		await sleep(10);
+		controller.abort();
+
+		await expect(aborted).to.be.rejectedWith(AbortError);
+		expect((await other).message.id).to.equal('1');
+		expect(client.axiosInstance.get.callCount).to.equal(2);
+	});
+
+	it('marks pending messages as failed', async () => {
+		const user = new StreamChat('apiKey');
+		user.userID = 'jack';
+		user._setUser({ id: 'jack' });
+		user.post = sinon.fake.rejects(networkError());
+		const channel = user.channel('messaging', 'general');
+		const controller = new AbortController();
+
+		// the retries continue after the first attempt failed
+		await expect(
+			channel.sendMessage(
+				{ id: 'message-1', text: 'hi' },
+				{ signal: controller.signal },
+			),
+		).to.be.rejectedWith('Network Error');
+		expect(channel.state.messages[0].status).to.equal('sending');
+		controller.abort();
+
+		await sleep(10);
+		expect(channel.state.messages[0].status).to.equal('failed');
+		expect(user.outbox.pending).to.eql({});
+		expect(user.post.callCount).to.equal(1);
+	});
+});
@@ -0,0 +1,109 @@
+import chai from 'chai';
+import sinon from 'sinon';
+import { sleep } from '../src/utils';
+import { createConnection, wsFailure } from './utils';
+
+const expect = chai.expect;
+
+async function createConnectedConnection(options) {
+	const conn = createConnection(
+		{ reconnectPolicy: { backoff: () => 1 }, ...options },
+		{ checks: true },
+	);
+	conn._connect = function() {
+		this.ws = { send: sinon.fake(), close: sinon.fake() };
+		this.isHealthy = true;
+		return Promise.resolve({ connection_id: 'connection' });
+	};
+	await conn.connect();
+	return conn;
+}
+
+describe('App lifecycle', function() {
+	let conn;
+
+	afterEach(() => {
+		conn.disconnect();
+	});
+
+	it('pauses the health checks in the background', async () => {
+		conn = await createConnectedConnection();
+		expect(conn.healthCheckIntervalRef).to.not.equal(null);
+
+		conn.setAppState('background');
+		expect(conn.healthCheckIntervalRef).to.equal(null);
+		expect(conn.monitorIntervalRef).to.equal(null);
+		expect(conn.state).to.equal('connected');
+
+		conn.setAppState('foreground');
+		expect(conn.healthCheckIntervalRef).to.not.equal(null);
+		expect(conn.monitorIntervalRef).to.not.equal(null);
+		// the connection is verified right away
+		expect(conn.ws.send.callCount).to.equal(1);
+		expect(JSON.parse(conn.ws.send.firstCall.args[0])[0].type).to.equal(
+			'health.check',
+		);
+	});
+
+	it("doesn't reconnect in the background", async () => {
+		conn = await createConnectedConnection();
+		conn.setAppState('background');
+		conn.isHealthy = false;
+		const connect = sinon.spy(conn, '_connect');
+
+		await conn._reconnect();
+		expect(connect.callCount).to.equal(0);
+		expect(conn.state).to.equal('offline');
+
+		conn.setAppState('foreground');
+		await sleep(30);
+		expect(connect.callCount).to.equal(1);
+		expect(conn.recoverCallback.callCount).to.equal(1);
+		expect(conn.state).to.equal('connected');
+	});
+
+	it('closes the connection after the background timeout', async () => {
+		conn = await createConnectedConnection({ backgroundTimeout: 10 });
+		const ws = conn.ws;
+		conn.setAppState('background');
+		await sleep(30);
+
+		expect(ws.close.callCount).to.equal(1);
+		expect(conn.isHealthy).to.equal(false);
+		expect(conn.state).to.equal('offline');
+
+		conn.setAppState('foreground');
+		await sleep(30);
+		expect(conn.isHealthy).to.equal(true);
+		expect(conn.recoverCallback.callCount).to.equal(1);
+		expect(conn.state).to.equal('connected');
+	});
+
+	it('keeps the connection when the app returns before the timeout', async () => {
+		conn = await createConnectedConnection({ backgroundTimeout: 50 });
+		const ws = conn.ws;
+		conn.setAppState('background');
+		await sleep(10);
+		conn.setAppState('foreground');
+		await sleep(60);
+
+		expect(ws.close.callCount).to.equal(0);
+		expect(conn.recoverCallback.callCount).to.equal(0);
+	});
+
+	it('retries with the reconnect policy on the foreground', async () => {
+		conn = await createConnectedConnection({ backgroundTimeout: 0 });
+		conn.setAppState('background');
+		await sleep(10);
+
+		const connect = conn._connect;
+		conn._connect = sinon.stub();
+		conn._connect.onFirstCall().rejects(wsFailure());
+		conn._connect.onSecondCall().callsFake(connect);
+		conn.setAppState('foreground');
+		await sleep(30);
+
+		expect(conn._connect.callCount).to.equal(2);
+		expect(conn.state).to.equal('connected');
+	});
+});
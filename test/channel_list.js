@@ -0,0 +1,202 @@
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import { StreamChat } from '../src/client';
+import { ChannelList } from '../src/channel_list';
+import { MockServer } from '../src/mock_server';
+import { sleep } from '../src/utils';
+
+const expect = chai.expect;
+chai.use(chaiAsPromised);
+
+describe('Channel list', function() {
+	const server = new MockServer({ apiKey: 'key', secret: 'secret' });
+	const clients = [];
+	let jack;
+	let tommaso;
+
+	async function connect(userID) {
+		const client = new StreamChat('key');
+		client.setBaseURL(server.baseURL);
+		await client.setUser({ id: userID }, server.createToken(userID));
+		clients.push(client);
+		return client;
+	}
+
+	async function createChannels(count) {
+		const channels = [];
+		for (let i = 0; i < count; i++) {
+			const channel = tommaso.channel('messaging', `list-${i}`, {
+				members: ['jack', 'tommaso'],
+				rank: i,
+			});
+			await channel.create();
+			await channel.sendMessage({ text: `message ${i}` });
+			channels.push(channel);
+			await sleep(2);
+		}
+		return channels;
+	}
+
+	function cids(list) {
+		return list.channels.map(channel => channel.id);
+	}
+
+	before(() => server.start());
+
+	beforeEach(async () => {
+		jack = await connect('jack');
+		tommaso = await connect('tommaso');
+	});
+
+	afterEach(async () => {
+		await Promise.all(clients.map(client => client.disconnect()));
+		clients.length = 0;
+		server.reset();
+	});
+
+	after(() => server.stop());
+
+	it('loads the channels page by page', async () => {
+		await createChannels(3);
+		const list = new ChannelList(
+			jack,
+			{ members: { $in: ['jack'] } },
+			{ last_message_at: -1 },
+			{ limit: 2 },
+		);
+		const changes = [];
+		jack.on('channel_list.changed', event =>
+			changes.push([event.channelList.loading, event.channelList.channels.length]),
+		);
+
+		const promise = list.loadMore();
+		expect(list.loading).to.equal(true);
+		expect(list.loadMore()).to.equal(promise);
+		await promise;
+		expect(cids(list)).to.eql(['list-2', 'list-1']);
+		expect(list.hasMore).to.equal(true);
+		expect(list.channels[0].initialized).to.equal(true);
+
+		await list.loadMore();
+		expect(cids(list)).to.eql(['list-2', 'list-1', 'list-0']);
+		expect(list.hasMore).to.equal(false);
+		await list.loadMore();
+		expect(changes).to.eql([
+			[true, 0],
+			[false, 2],
+			[true, 2],
+			[false, 3],
+		]);
+
+		await list.reload();
+		expect(cids(list)).to.eql(['list-2', 'list-1']);
+		list.dispose();
+	});
+
+	it('keeps the loading error', async () => {
+		const list = new ChannelList(jack, { members: { $in: ['jack'] } });
+		const error = new Error('Network Error');
+		jack.queryChannels = () => Promise.reject(error);
+		await expect(list.loadMore()).to.be.rejectedWith('Network Error');
+		expect(list.loading).to.equal(false);
+		expect(list.error).to.equal(error);
+		expect(list.hasMore).to.equal(true);
+		list.dispose();
+	});
+
+	it('moves channels with new messages to the top', async () => {
+		const channels = await createChannels(3);
+		const list = new ChannelList(jack, { members: { $in: ['jack'] } });
+		await list.loadMore();
+		const byRank = new ChannelList(
+			jack,
+			{ members: { $in: ['jack'] } },
+			{ rank: -1 },
+		);
+		await byRank.loadMore();
+
+		await channels[0].sendMessage({ text: 'new message' });
+		await sleep(50);
+		expect(cids(list)).to.eql(['list-0', 'list-2', 'list-1']);
+		// the other sort orders don't change
+		expect(cids(byRank)).to.eql(['list-2', 'list-1', 'list-0']);
+		list.dispose();
+		byRank.dispose();
+	});
+
+	it('adds the channels the user is added to', async () => {
+		await createChannels(1);
+		const list = new ChannelList(jack, { members: { $in: ['jack'] } });
+		await list.loadMore();
+
+		// jack isn't watching the new channel yet, he gets a notification
+		const added = tommaso.channel('messaging', 'added', { members: ['tommaso'] });
+		await added.create();
+		await added.addMembers(['jack']);
+		await sleep(50);
+		expect(cids(list)).to.eql(['added', 'list-0']);
+		expect(list.channels[0].initialized).to.equal(true);
+
+		const other = tommaso.channel('messaging', 'other', {
+			members: ['jack', 'tommaso'],
+		});
+		await other.create();
+		await sleep(50);
+		await other.sendMessage({ text: 'hi jack' });
+		await sleep(50);
+		expect(cids(list)).to.eql(['other', 'added', 'list-0']);
+		list.dispose();
+	});
+
+	it('only adds the channels that match the filters, where the sort puts them', async () => {
+		await createChannels(3);
+		const list = new ChannelList(
+			jack,
+			{ members: { $in: ['jack'] }, team: 'red' },
+			{ rank: 1 },
+		);
+		await list.loadMore();
+		expect(cids(list)).to.eql([]);
+		const byRank = new ChannelList(jack, { members: { $in: ['jack'] } }, { rank: 1 });
+		await byRank.loadMore();
+
+		const blue = tommaso.channel('messaging', 'blue', {
+			members: ['tommaso'],
+			team: 'blue',
+			rank: 0.5,
+		});
+		await blue.create();
+		await blue.addMembers(['jack']);
+		const red = tommaso.channel('messaging', 'red', {
+			members: ['tommaso'],
+			team: 'red',
+			rank: 1.5,
+		});
+		await red.create();
+		await red.addMembers(['jack']);
+		await sleep(50);
+		expect(cids(list)).to.eql(['red']);
+		expect(cids(byRank)).to.eql(['list-0', 'blue', 'list-1', 'red', 'list-2']);
+		list.dispose();
+		byRank.dispose();
+	});
+
+	it('removes deleted, hidden and left channels', async () => {
+		const channels = await createChannels(4);
+		const list = new ChannelList(jack, { members: { $in: ['jack'] } });
+		await list.loadMore();
+		expect(cids(list)).to.eql(['list-3', 'list-2', 'list-1', 'list-0']);
+
+		await channels[0].delete();
+		await jack.channel('messaging', 'list-1').hide();
+		await channels[2].removeMembers(['jack']);
+		await sleep(50);
+		expect(cids(list)).to.eql(['list-3']);
+
+		// disposed lists don't change anymore
+		list.dispose();
+		await channels[3].delete();
+		await sleep(50);
+		expect(cids(list)).to.eql(['list-3']);
+	});
+});
@@ -0,0 +1,165 @@
+import chai from 'chai';
+import sinon from 'sinon';
+import { StreamChat } from '../src/client';
+import { MockServer } from '../src/mock_server';
+import { sleep } from '../src/utils';
+
+const expect = chai.expect;
+
+describe('Channel state message index', function() {
+	let state;
+
+	function message(id, seconds, extra = {}) {
+		return {
+			id,
+			text: `message ${id}`,
+			user: { id: 'tommaso' },
+			created_at: new Date(Date.UTC(2020, 0, 1, 0, 0, seconds)).toISOString(),
+			...extra,
+		};
+	}
+
+	function ids(messages) {
+		return messages.map(m => m.id);
+	}
+
+	beforeEach(() => {
+		const client = new StreamChat('key');
+		client.userID = 'jack';
+		state = client.channel('messaging', 'index').state;
+		state.addMessagesSorted([
+			message('parent', 1),
+			message('other', 2),
+			message('reply-1', 3, { parent_id: 'parent' }),
+			message('reply-2', 4, { parent_id: 'parent', show_in_channel: true }),
+			message('reply-3', 5, { parent_id: 'other' }),
+		]);
+	});
+
+	it('finds the replies by id without their parent id', () => {
+		expect(state.threadIndex.get('reply-1')).to.equal('parent');
+		expect(state.findMessage('reply-1').text).to.equal('message reply-1');
+		expect(state.findMessage('reply-3').text).to.equal('message reply-3');
+		expect(state.findMessage('other').text).to.equal('message other');
+		expect(state.findMessage('missing')).to.equal(undefined);
+	});
+
+	it('replaces every copy of a message', () => {
+		expect(
+			state.replaceMessage(
+				message('reply-2', 4, { text: 'edited', parent_id: 'parent' }),
+			),
+		).to.equal(true);
+		expect(state.threads.parent[1].text).to.equal('edited');
+		expect(state.messages[2].text).to.equal('edited');
+		// unknown messages aren't added
+		expect(state.replaceMessage(message('missing', 6))).to.equal(false);
+		expect(state.findMessage('missing')).to.equal(undefined);
+	});
+
+	it('soft deletes every copy of a message', () => {
+		const deletedAt = new Date();
+		expect(state.softDeleteMessage('reply-2', deletedAt)).to.equal(true);
+		expect(state.threads.parent[1].type).to.equal('deleted');
+		expect(state.messages[2].deleted_at).to.eql(deletedAt);
+		expect(state.thread('parent').replies.length).to.equal(2);
+		expect(state.softDeleteMessage('missing')).to.equal(false);
+	});
+
+	it('removes replies from their thread', () => {
+		const thread = state.thread('parent');
+		expect(state.removeMessage({ id: 'reply-1' })).to.equal(true);
+		expect(state.threads.parent.length).to.equal(1);
+		expect(state.threads.other.length).to.equal(1);
+		expect(thread.replyCount).to.equal(1);
+		expect(state.findMessage('reply-1')).to.equal(undefined);
+
+		// replies shown in the channel are removed from the messages too
+		expect(state.removeMessage({ id: 'reply-2', parent_id: 'parent' })).to.equal(
+			true,
+		);
+		expect(ids(state.messages)).to.eql(['parent', 'other']);
+		expect(state.threads.parent.length).to.equal(0);
+		expect(state.removeMessage({ id: 'reply-2' })).to.equal(false);
+	});
+
+	it('updates the reply count of the parent message of a removed reply', () => {
+		state.replaceMessage(message('parent', 1, { reply_count: 2 }));
+		const thread = state.thread('parent');
+		expect(state.removeMessage({ id: 'reply-1' })).to.equal(true);
+		expect(state.messages[0].reply_count).to.equal(1);
+		expect(thread.parent.reply_count).to.equal(1);
+		// the count doesn't change for replies the state doesn't have
+		expect(state.removeMessage({ id: 'missing', parent_id: 'parent' })).to.equal(
+			false,
+		);
+		expect(state.messages[0].reply_count).to.equal(1);
+		expect(state.removeMessage({ id: 'reply-2' })).to.equal(true);
+		expect(state.removeMessage({ id: 'reply-3' })).to.equal(true);
+		expect(state.messages[0].reply_count).to.equal(0);
+		expect(state.messages[1].reply_count).to.equal(0);
+	});
+
+	it('removes the thread of a removed parent message', () => {
+		expect(state.removeMessage({ id: 'parent' })).to.equal(true);
+		expect(ids(state.messages)).to.eql(['other']);
+		expect(state.threads.parent).to.equal(undefined);
+		expect(state.activeThreads.parent).to.equal(undefined);
+		expect(state.threadIndex.has('reply-2')).to.equal(false);
+		expect(state.findMessage('reply-1')).to.equal(undefined);
+		expect(state.threads.other.length).to.equal(1);
+	});
+});
+
+describe('Channel state message.deleted events', function() {
+	const server = new MockServer({ apiKey: 'key', secret: 'secret' });
+	const clients = [];
+
+	async function connect(userID) {
+		const client = new StreamChat('key');
+		client.setBaseURL(server.baseURL);
+		await client.setUser({ id: userID }, server.createToken(userID));
+		clients.push(client);
+		return client;
+	}
+
+	before(() => server.start());
+
+	afterEach(async () => {
+		await Promise.all(clients.map(client => client.disconnect()));
+		clients.length = 0;
+		server.reset();
+	});
+
+	after(() => server.stop());
+
+	it('removes hard deleted messages and keeps soft deleted ones', async () => {
+		const tommaso = await connect('tommaso');
+		const jack = await connect('jack');
+		const other = tommaso.channel('messaging', 'deleted', {
+			members: ['jack', 'tommaso'],
+		});
+		await other.create();
+		const { message: soft } = await other.sendMessage({ text: 'soft' });
+		const { message: hard } = await other.sendMessage({ text: 'hard' });
+		const { message: reply } = await other.sendMessage({
+			text: 'reply',
+			parent_id: soft.id,
+		});
+		const channel = jack.channel('messaging', 'deleted');
+		await channel.watch();
+		await channel.thread(soft).loadReplies();
+		const changed = sinon.fake();
+		jack.on('thread.changed', changed);
+
+		await tommaso.deleteMessage(soft.id);
+		await tommaso.deleteMessage(hard.id, true);
+		await tommaso.deleteMessage(reply.id, true);
+		await sleep(50);
+		expect(channel.state.messages.map(m => m.id)).to.eql([soft.id]);
+		expect(channel.state.messages[0].type).to.equal('deleted');
+		expect(channel.thread(soft).replies.length).to.equal(0);
+		expect(channel.thread(soft).replyCount).to.equal(0);
+		expect(changed.callCount).to.equal(1);
+	});
+});
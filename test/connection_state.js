@@ -0,0 +1,128 @@
+import chai from 'chai';
+import sinon from 'sinon';
+import { StreamChat } from '../src/client';
+import { sleep } from '../src/utils';
+import { createConnection, wsFailure } from './utils';
+
+const expect = chai.expect;
+
+function createClientConnection(client, reconnectPolicy) {
+	const conn = createConnection({
+		eventCallback: client.dispatchEvent,
+		reconnectPolicy: { backoff: () => 1, ...reconnectPolicy },
+	});
+	client.wsConnection = conn;
+	return conn;
+}
+
+describe('Connection state', function() {
+	let client;
+	let transitions;
+
+	beforeEach(() => {
+		client = new StreamChat('apiKey');
+		transitions = [];
+		client.onConnectionStateChange((state, previous) =>
+			transitions.push(`${previous}->${state}`),
+		);
+	});
+
+	it('starts idle', () => {
+		expect(client.connectionState).to.equal('idle');
+		expect(createClientConnection(client).state).to.equal('idle');
+	});
+
+	it('goes through connecting, connected, reconnecting and disconnected', async () => {
+		const conn = createClientConnection(client);
+		conn._connect = sinon.fake.resolves({ connection_id: 'connection' });
+		await conn.connect();
+		expect(client.connectionState).to.equal('connected');
+
+		conn._connect = sinon.stub();
+		conn._connect.onFirstCall().rejects(wsFailure());
+		conn._connect.onSecondCall().resolves({ connection_id: 'connection' });
+		await conn._reconnect();
+		await sleep(10);
+		expect(client.connectionState).to.equal('connected');
+
+		await conn.disconnect();
+		expect(client.connectionState).to.equal('disconnected');
+		expect(transitions).to.eql([
+			'idle->connecting',
+			'connecting->connected',
+			'connected->reconnecting',
+			'reconnecting->connected',
+			'connected->disconnected',
+		]);
+	});
+
+	it('moves to offline and failed', async () => {
+		const conn = createClientConnection(client, { maxAttempts: 1 });
+		conn._connect = sinon.fake.resolves({ connection_id: 'connection' });
+		await conn.connect();
+
+		conn._connect = sinon.fake.rejects(wsFailure());
+		conn.onlineStatusChanged({ type: 'offline' });
+		expect(client.connectionState).to.equal('offline');
+		conn.onlineStatusChanged({ type: 'online' });
+		await sleep(30);
+
+		expect(client.connectionState).to.equal('failed');
+		expect(transitions.slice(2)).to.eql([
+			'connected->offline',
+			'offline->reconnecting',
+			'reconnecting->failed',
+		]);
+	});
+
+	it('fails right away when the policy has no reconnect attempts', async () => {
+		const conn = createClientConnection(client, { maxAttempts: 0 });
+		conn._connect = sinon.fake.resolves({ connection_id: 'connection' });
+		await conn.connect();
+
+		await conn._reconnect();
+		expect(client.connectionState).to.equal('failed');
+		expect(conn.isFailed).to.equal(true);
+		expect(conn._connect.callCount).to.equal(1);
+		expect(transitions.slice(2)).to.eql(['connected->failed']);
+	});
+
+	it('fails when the connection is rejected', async () => {
+		const conn = createClientConnection(client);
+		conn._connect = sinon.fake.rejects(new Error('invalid token'));
+		let error;
+		try {
+			await conn.connect();
+		} catch (e) {
+			error = e;
+		}
+		expect(error).to.be.an('error');
+		expect(client.connectionState).to.equal('failed');
+	});
+
+	it('reconnects when the first connection attempt fails', async () => {
+		const conn = createClientConnection(client);
+		conn._connect = sinon.fake.rejects(wsFailure());
+		await conn.connect();
+		expect(client.connectionState).to.equal('reconnecting');
+		expect(transitions).to.eql(['idle->connecting', 'connecting->reconnecting']);
+	});
+
+	it('ignores transitions that are not allowed', () => {
+		const conn = createClientConnection(client);
+		conn._setState('connected');
+		expect(conn.state).to.equal('idle');
+		expect(transitions).to.eql([]);
+	});
+
+	it('stops calling unsubscribed callbacks', () => {
+		const callback = sinon.fake();
+		const subscription = client.onConnectionStateChange(callback);
+		const conn = createClientConnection(client);
+		conn._setState('connecting');
+		subscription.unsubscribe();
+		conn._setState('connected');
+		expect(callback.callCount).to.equal(1);
+		expect(callback.firstCall.args).to.eql(['connecting', 'idle']);
+	});
+});
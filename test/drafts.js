@@ -0,0 +1,174 @@
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import { StreamChat } from '../src/client';
+import { KeyValueStorage, MemoryStorage } from '../src/storage';
+import { sleep } from '../src/utils';
+
+const expect = chai.expect;
+chai.use(chaiAsPromised);
+
+function getClient(options) {
+	const client = new StreamChat('apiKey', options);
+	client.userID = 'jack';
+	client._setUser({ id: 'jack' });
+	client.post = sinon.fake((url, { message }) => Promise.resolve({ message }));
+	return client;
+}
+
+function fakeLocalStorage() {
+	const items = {};
+	return {
+		items,
+		getItem: key => (key in items ? items[key] : null),
+		setItem: (key, value) => {
+			items[key] = value;
+		},
+		removeItem: key => {
+			delete items[key];
+		},
+	};
+}
+
+describe('Drafts', function() {
+	let client;
+	let channel;
+
+	beforeEach(() => {
+		client = getClient();
+		channel = client.channel('messaging', 'drafts');
+	});
+
+	afterEach(() => {
+		client.outbox.reset();
+	});
+
+	it('saves a draft per channel and thread', async () => {
+		const events = [];
+		client.on('draft.updated', event => events.push(event));
+
+		const draft = await channel.saveDraft('hello');
+		expect(draft.text).to.equal('hello');
+		expect(draft.updated_at).to.be.a('string');
+		await channel.saveDraft({ text: 'reply', parent_id: 'parent' });
+
+		expect((await channel.getDraft()).text).to.equal('hello');
+		expect((await channel.getDraft('parent')).text).to.equal('reply');
+		expect(await client.channel('messaging', 'other').getDraft()).to.equal(null);
+		expect(events.map(e => [e.cid, e.parent_id])).to.eql([
+			['messaging:drafts', null],
+			['messaging:drafts', 'parent'],
+		]);
+
+		await channel.clearDraft('parent');
+		expect(await channel.getDraft('parent')).to.equal(null);
+		expect(events[2].draft).to.equal(null);
+		// empty drafts are cleared
+		expect(await channel.saveDraft('  ')).to.equal(null);
+		expect(await channel.getDraft()).to.equal(null);
+	});
+
+	it('keeps the drafts in the storage', async () => {
+		const localStorage = fakeLocalStorage();
+		const storage = new KeyValueStorage(localStorage);
+		client = getClient({ storage });
+		await client.channel('messaging', 'drafts').saveDraft({
+			text: 'hey @thierry',
+			mentioned_users: ['thierry'],
+		});
+		expect(Object.keys(localStorage.items)).to.eql([
+			'stream-chat-draft-jack-messaging:drafts-',
+		]);
+
+		// after a reload
+		const reloaded = getClient({ storage });
+		const draft = await reloaded.channel('messaging', 'drafts').getDraft();
+		expect(draft.mentioned_users).to.eql(['thierry']);
+		// other users don't see it
+		reloaded.userID = 'tommaso';
+		expect(await reloaded.channel('messaging', 'drafts').getDraft()).to.equal(null);
+
+		await client.channel('messaging', 'drafts').clearDraft();
+		expect(localStorage.items).to.eql({});
+	});
+
+	it('clears the draft when the message is sent', async () => {
+		await channel.saveDraft('hello');
+		await channel.saveDraft({ text: 'reply', parent_id: 'parent' });
+		await channel.sendMessage({ text: 'hello' });
+		await sleep(0);
+		expect(await channel.getDraft()).to.equal(null);
+		expect((await channel.getDraft('parent')).text).to.equal('reply');
+
+		// a draft written while the message was sent stays
+		client.post = sinon.fake(async (url, { message }) => {
+			await sleep(2);
+			await channel.saveDraft('next message');
+			return { message };
+		});
+		await channel.sendMessage({ text: 'reply', parent_id: 'parent' });
+		await channel.sendMessage({ text: 'hello again' });
+		await sleep(0);
+		expect(await channel.getDraft('parent')).to.equal(null);
+		expect((await channel.getDraft()).text).to.equal('next message');
+	});
+
+	it('leaves out the attachments of uploads that are gone', async () => {
+		const upload = channel.upload(Buffer.from('doc'), { name: 'doc.pdf' });
+		await channel.saveDraft({
+			text: 'files',
+			attachments: [
+				{ type: 'file', upload_id: upload.id },
+				{ type: 'file', upload_id: 'gone' },
+				{ type: 'file', asset_url: 'https://cdn.example.com/a.pdf' },
+			],
+		});
+		const draft = await channel.getDraft();
+		expect(draft.attachments).to.eql([
+			{ type: 'file', upload_id: upload.id },
+			{ type: 'file', asset_url: 'https://cdn.example.com/a.pdf' },
+		]);
+		client.uploads.cancelAll();
+	});
+
+	it("doesn't synchronize the drafts by default", () => {
+		client = new StreamChat('apiKey');
+		client.userID = 'jack';
+		client.drafts.start();
+		expect(client.drafts.broadcast).to.equal(null);
+	});
+
+	it('synchronizes the drafts between tabs', async () => {
+		const storage = new MemoryStorage();
+		const tab1 = getClient({ storage, drafts: { sync: true } });
+		const tab2 = getClient({ storage, drafts: { sync: true } });
+		const other = getClient({ storage, drafts: { sync: true } });
+		other.userID = 'tommaso';
+		const otherApp = new StreamChat('otherKey', { storage, drafts: { sync: true } });
+		otherApp.userID = 'jack';
+		// the channel is opened when the user connects
+		expect(tab1.drafts.broadcast).to.equal(null);
+		for (const c of [tab1, tab2, other, otherApp]) {
+			c.drafts.start();
+		}
+		const updated = sinon.fake();
+		tab2.on('draft.updated', updated);
+		const otherUpdated = sinon.fake();
+		other.on('draft.updated', otherUpdated);
+		otherApp.on('draft.updated', otherUpdated);
+
+		await tab1.channel('messaging', 'drafts').saveDraft('from tab 1');
+		await sleep(20);
+		expect(updated.callCount).to.equal(1);
+		expect(updated.lastCall.args[0].draft.text).to.equal('from tab 1');
+		expect(
+			tab2.drafts.cache['stream-chat-draft-jack-messaging:drafts-'].text,
+		).to.equal('from tab 1');
+		expect(otherUpdated.callCount).to.equal(0);
+
+		for (const c of [tab1, tab2, other, otherApp]) {
+			c.drafts.reset();
+		}
+		expect(tab1.drafts.broadcast).to.equal(null);
+	});
+});
@@ -0,0 +1,115 @@
+import chai from 'chai';
+import sinon from 'sinon';
+import { StreamChat } from '../src/client';
+import { StableWSConnection } from '../src/connection';
+import {
+	StreamApiError,
+	InputError,
+	AuthenticationError,
+	TokenExpiredError,
+	PermissionDeniedError,
+	NotFoundError,
+	RateLimitError,
+	WSConnectionError,
+	errorFromWSResponse,
+} from '../src/errors';
+import { httpError } from './utils';
+
+const expect = chai.expect;
+
+describe('Errors', function() {
+	let client;
+
+	beforeEach(() => {
+		client = new StreamChat('apiKey');
+	});
+
+	it('maps the Stream error codes to error classes', () => {
+		const cases = [
+			[{ code: 4, message: 'bad' }, 400, InputError],
+			[{ code: 5, message: 'auth' }, 401, AuthenticationError],
+			[{ code: 40, message: 'expired' }, 401, TokenExpiredError],
+			[{ code: 17, message: 'not allowed' }, 403, PermissionDeniedError],
+			[{ code: 16, message: 'missing' }, 404, NotFoundError],
+			[{ code: 9, message: 'slow down' }, 429, RateLimitError],
+			[{ code: 99, message: 'unknown' }, 500, StreamApiError],
+		];
+		for (const [data, status, ErrorClass] of cases) {
+			const error = client.errorFromResponse({ status, data });
+			expect(error).to.be.an.instanceof(ErrorClass);
+			expect(error).to.be.an.instanceof(StreamApiError);
+			expect(error).to.be.an.instanceof(Error);
+			expect(error.name).to.equal(ErrorClass.name);
+			expect(error.code).to.equal(data.code);
+			expect(error.status).to.equal(status);
+			expect(error.message).to.equal(
+				`StreamChat error code ${data.code}: ${data.message}`,
+			);
+		}
+		expect(client.errorFromResponse({ status: 403, data: {} })).to.be.an.instanceof(
+			PermissionDeniedError,
+		);
+	});
+
+	it('falls back to the HTTP status', async () => {
+		client = new StreamChat('apiKey', 'secret', { retryPolicy: false });
+		client.axiosInstance.get = sinon.fake.rejects(httpError(429, ''));
+		let error;
+		try {
+			await client.get(`${client.baseURL}/channels`);
+		} catch (e) {
+			error = e;
+		}
+		expect(error).to.be.an.instanceof(RateLimitError);
+		expect(error.message).to.equal('StreamChat error HTTP code: 429');
+		expect(error.code).to.equal(undefined);
+		expect(error.response.status).to.equal(429);
+	});
+
+	it('creates typed errors for websocket rejections', async () => {
+		const error = errorFromWSResponse({
+			code: 40,
+			StatusCode: 401,
+			message: 'expired',
+		});
+		expect(error).to.be.an.instanceof(TokenExpiredError);
+		expect(error.status).to.equal(401);
+		expect(JSON.parse(error.message).message).to.equal('expired');
+
+		const conn = new StableWSConnection({
+			wsBaseURL: 'ws://localhost',
+			userID: 'error-user',
+			user: { id: 'error-user' },
+			tokenManager: { isStatic: () => true },
+			messageCallback: sinon.fake(),
+			recoverCallback: sinon.fake.resolves(),
+			eventCallback: sinon.fake(),
+			logger: () => {},
+		});
+		conn._connect = sinon.fake.rejects(
+			errorFromWSResponse({ code: 17, StatusCode: 403, message: 'banned' }),
+		);
+		let rejected;
+		try {
+			await conn.connect();
+		} catch (e) {
+			rejected = e;
+		}
+		expect(rejected).to.be.an.instanceof(PermissionDeniedError);
+
+		conn._connect = sinon.fake.rejects(new Error('no connection'));
+		try {
+			await conn.connect();
+		} catch (e) {
+			rejected = e;
+		}
+		expect(rejected).to.be.an.instanceof(WSConnectionError);
+		expect(rejected.isWSFailure).to.equal(false);
+
+		const failure = conn._errorFromWSEvent({ code: 1006, message: 'closed' });
+		expect(failure).to.be.an.instanceof(WSConnectionError);
+		expect(failure.isWSFailure).to.equal(true);
+		expect(failure.code).to.equal(1006);
+		conn.disconnect();
+	});
+});
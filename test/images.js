@@ -0,0 +1,226 @@
+import chai from 'chai';
+import sinon from 'sinon';
+import { StreamChat } from '../src/client';
+import {
+	ImagePipeline,
+	encodeBlurhash,
+	fitImage,
+	sharpImageProcessor,
+} from '../src/images';
+import { sleep } from '../src/utils';
+
+const expect = chai.expect;
+
+// the test images are JSON buffers with their size and color
+function image(width, height, color = [0, 0, 0]) {
+	return Buffer.from(JSON.stringify({ width, height, color }));
+}
+
+function fakeProcessor() {
+	return {
+		closed: 0,
+		load: file => Promise.resolve(JSON.parse(file.toString())),
+		encode: (decoded, { width, height, type, quality }) =>
+			Promise.resolve(
+				Buffer.from(
+					JSON.stringify({
+						width,
+						height,
+						color: decoded.color,
+						type,
+						quality,
+					}),
+				),
+			),
+		pixels: (decoded, { width, height }) => {
+			const data = [];
+			for (let i = 0; i < width * height; i++) {
+				data.push(...decoded.color, 255);
+			}
+			return Promise.resolve({ data, width, height });
+		},
+		close() {
+			this.closed += 1;
+		},
+	};
+}
+
+function decode(file) {
+	return JSON.parse(file.toString());
+}
+
+describe('Images', function() {
+	let processor;
+
+	beforeEach(() => {
+		processor = fakeProcessor();
+	});
+
+	it('scales images down to fit', () => {
+		expect(fitImage(4000, 3000, 2048, 2048)).to.eql({ width: 2048, height: 1536 });
+		expect(fitImage(1000, 3000, 2048, 2048)).to.eql({ width: 683, height: 2048 });
+		expect(fitImage(100, 50, 2048, 2048)).to.eql({ width: 100, height: 50 });
+	});
+
+	it('encodes blurhashes', () => {
+		const black = new Uint8ClampedArray(4 * 4 * 3);
+		expect(encodeBlurhash(black, 4, 3)).to.equal('L00000fQfQfQfQfQfQfQfQfQfQfQ');
+		expect(encodeBlurhash(black, 4, 3, 1, 1)).to.equal('000000');
+	});
+
+	it('resizes and re-encodes images', async () => {
+		const pipeline = new ImagePipeline({ processor, thumbnail: true });
+		const result = await pipeline.process(image(4000, 3000), 'image/heic');
+
+		expect(result.width).to.equal(2048);
+		expect(result.height).to.equal(1536);
+		expect(result.contentType).to.equal('image/jpeg');
+		expect(decode(result.file)).to.eql({
+			width: 2048,
+			height: 1536,
+			color: [0, 0, 0],
+			type: 'image/jpeg',
+			quality: 0.85,
+		});
+		expect(result.thumbnail.width).to.equal(320);
+		expect(result.thumbnail.height).to.equal(240);
+		expect(decode(result.thumbnail.file).quality).to.equal(0.6);
+		expect(result.blurhash).to.equal('L00000fQfQfQfQfQfQfQfQfQfQfQ');
+		expect(processor.closed).to.equal(1);
+		expect(pipeline.renamed('IMG_0001.HEIC', result.contentType)).to.equal(
+			'IMG_0001.jpg',
+		);
+	});
+
+	it('keeps the images it can skip', async () => {
+		const pipeline = new ImagePipeline({
+			processor,
+			stripMetadata: false,
+			blurhash: false,
+		});
+		const small = image(100, 100);
+		const result = await pipeline.process(small, 'image/png');
+		expect(result.file).to.equal(small);
+		expect(result.contentType).to.equal('image/png');
+		expect(result.blurhash).to.equal(null);
+
+		expect(await pipeline.process(image(100, 100), 'image/gif')).to.equal(null);
+		expect(await pipeline.process('file:///photo.jpg', 'image/jpeg')).to.equal(null);
+	});
+
+	it('processes images before they are uploaded', async () => {
+		const uploaded = [];
+		const uploader = {
+			upload: upload => {
+				uploaded.push(upload);
+				return Promise.resolve({
+					file: `https://cdn.example.com/${upload.name}`,
+				});
+			},
+		};
+		const client = new StreamChat('apiKey', 'secret', {
+			uploads: { uploader, managed: true, images: { processor, thumbnail: true } },
+		});
+		const channel = client.channel('messaging', 'images');
+		const progress = sinon.fake();
+
+		const response = await channel.sendImage(
+			image(3000, 4000, [255, 255, 255]),
+			'photo.heic',
+			'image/heic',
+			undefined,
+			{ onProgress: progress },
+		);
+
+		expect(uploaded.map(upload => upload.name)).to.eql([
+			'photo.jpg',
+			'thumb_photo.jpg',
+		]);
+		expect(uploaded[0].contentType).to.equal('image/jpeg');
+		expect(decode(uploaded[0].file).width).to.equal(1536);
+		expect(response).to.eql({
+			file: 'https://cdn.example.com/photo.jpg',
+			thumb_url: 'https://cdn.example.com/thumb_photo.jpg',
+			original_width: 1536,
+			original_height: 2048,
+			blurhash: 'LDTSUA~qfQ~q_3offQoffQfQfQfQ',
+		});
+		// the thumbnail is available before the image is uploaded
+		expect(progress.firstCall.args[0].thumbnail.width).to.equal(240);
+
+		await channel.sendFile(image(3000, 4000), 'photo.jpg', 'image/jpeg');
+		await channel.sendImage(image(3000, 4000), 'raw.jpg', 'image/jpeg', undefined, {
+			process: false,
+		});
+		expect(uploaded.map(upload => upload.size)).to.eql([
+			uploaded[0].size,
+			uploaded[1].size,
+			image(3000, 4000).length,
+			image(3000, 4000).length,
+		]);
+	});
+
+	it('adds the image fields to attachments', async () => {
+		const client = new StreamChat('apiKey', {
+			uploads: {
+				uploader: {
+					upload: () =>
+						Promise.resolve({ file: 'https://cdn.example.com/a.jpg' }),
+				},
+				images: { processor },
+			},
+		});
+		client.userID = 'jack';
+		client._setUser({ id: 'jack' });
+		client.post = sinon.fake((url, { message }) => Promise.resolve({ message }));
+		const channel = client.channel('messaging', 'images');
+
+		const upload = channel.upload(image(800, 600), { type: 'image', name: 'a.jpg' });
+		const response = await channel.sendMessage({
+			text: 'look',
+			attachments: [{ type: 'image', upload_id: upload.id }],
+		});
+		await sleep(0);
+		expect(response.message.attachments).to.eql([
+			{
+				type: 'image',
+				image_url: 'https://cdn.example.com/a.jpg',
+				original_width: 800,
+				original_height: 600,
+				blurhash: 'L00000fQfQfQfQfQfQfQfQfQfQfQ',
+			},
+		]);
+		client.outbox.reset();
+	});
+
+	it('processes images with sharp', async () => {
+		const calls = [];
+		const chain = {};
+		for (const method of ['rotate', 'resize', 'toFormat', 'ensureAlpha', 'raw']) {
+			chain[method] = (...args) => {
+				calls.push([method, ...args]);
+				return chain;
+			};
+		}
+		chain.metadata = () =>
+			Promise.resolve({ width: 4000, height: 3000, orientation: 6 });
+		chain.toBuffer = () => Promise.resolve(Buffer.from('jpeg'));
+		const sharp = sinon.fake.returns(chain);
+
+		const pipeline = new ImagePipeline({
+			processor: sharpImageProcessor(sharp),
+			blurhash: false,
+		});
+		const result = await pipeline.process(Buffer.from('photo'), 'image/jpeg');
+
+		// the photo was taken in portrait mode, EXIF orientation 6
+		expect(result.width).to.equal(1536);
+		expect(result.height).to.equal(2048);
+		expect(result.file.toString()).to.equal('jpeg');
+		expect(calls).to.eql([
+			['rotate'],
+			['resize', 1536, 2048, { fit: 'fill' }],
+			['toFormat', 'jpeg', { quality: 85 }],
+		]);
+	});
+});
@@ -0,0 +1,237 @@
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import { StreamChat } from '../src/client';
+import { AbortError } from '../src/errors';
+import { MessageComposer } from '../src/message_composer';
+import { sleep } from '../src/utils';
+
+const expect = chai.expect;
+chai.use(chaiAsPromised);
+
+describe('Message composer', function() {
+	let client;
+	let channel;
+	let composer;
+
+	beforeEach(() => {
+		client = new StreamChat('apiKey', {
+			uploads: {
+				uploader: {
+					upload: upload =>
+						Promise.resolve({
+							file: `https://cdn.example.com/${upload.name}`,
+						}),
+				},
+			},
+		});
+		client.userID = 'jack';
+		client._setUser({ id: 'jack' });
+		client.post = sinon.fake((url, { message }) => Promise.resolve({ message }));
+		client.configs.messaging = {
+			typing_events: true,
+			commands: [
+				{ name: 'giphy', description: 'Post a random gif', args: '[text]' },
+				{ name: 'mute', description: 'Mute a user', args: '[@username]' },
+			],
+		};
+		channel = client.channel('messaging', 'composer');
+		channel.initialized = true;
+		channel.state.members = {
+			jack: { user: { id: 'jack', name: 'Jack' } },
+			tommaso: { user: { id: 'tommaso', name: 'Tommaso Barbugli' } },
+			thierry: { user: { id: 'thierry', name: 'Thierry' } },
+		};
+		composer = channel.composer;
+	});
+
+	afterEach(() => {
+		client.outbox.reset();
+		client.uploads.cancelAll();
+	});
+
+	it('suggests members to mention', () => {
+		composer.setText('hey @t');
+		const suggestions = composer.suggestions;
+		expect(suggestions.type).to.equal('mention');
+		expect(suggestions.items.map(user => user.id)).to.eql(['tommaso', 'thierry']);
+
+		composer.setText('hey @barb');
+		expect(composer.suggestions.items.map(user => user.id)).to.eql(['tommaso']);
+		composer.select(composer.suggestions.items[0]);
+		expect(composer.text).to.equal('hey @Tommaso Barbugli ');
+		expect(composer.cursor).to.equal(composer.text.length);
+		expect(composer.suggestions).to.equal(null);
+	});
+
+	it('completes words in the middle of the text', () => {
+		composer.setText('hey @th, how are you?', 7);
+		composer.select(composer.suggestions.items[0]);
+		expect(composer.text).to.equal('hey @Thierry , how are you?');
+		expect(composer.cursor).to.equal(13);
+	});
+
+	it('resolves mentions', () => {
+		composer.setText('hey @Tommaso Barbugli and @thierry, not @jack or @nobody');
+		// the current user and unknown users aren't mentioned
+		expect(composer.mentionedUserIDs()).to.eql(['tommaso', 'thierry']);
+
+		composer.setText('hey @b');
+		composer.select(composer.suggestions.items[0]);
+		composer.setText(`${composer.text}and @Thierry`);
+		expect(composer.toMessage().mentioned_users).to.eql(['tommaso', 'thierry']);
+
+		// removing the mention from the text removes the user
+		composer.setText('hey');
+		expect(composer.toMessage().mentioned_users).to.equal(undefined);
+	});
+
+	it('autocompletes and parses commands', () => {
+		composer.setText('/');
+		expect(composer.suggestions.items.map(c => c.name)).to.eql(['giphy', 'mute']);
+		composer.setText('/gi');
+		composer.select(composer.suggestions.items[0]);
+		expect(composer.text).to.equal('/giphy ');
+
+		composer.setText('/giphy funny cats');
+		expect(composer.command.name).to.equal('giphy');
+		expect(composer.command.args).to.equal('funny cats');
+		expect(composer.command.command.description).to.equal('Post a random gif');
+		composer.setText('/unknown command');
+		expect(composer.command).to.equal(null);
+	});
+
+	it('sends the message and clears the draft', async () => {
+		const changed = sinon.fake();
+		channel.on('composer.changed', changed);
+		composer.setText('  look at this  ');
+		const upload = composer.addFile(Buffer.from('image'), {
+			name: 'photo.jpg',
+			contentType: 'image/jpeg',
+		});
+		composer.addAttachment({ type: 'giphy', image_url: 'https://giphy.com/cat.gif' });
+
+		const response = await composer.send();
+		expect(response.message.text).to.equal('look at this');
+		expect(response.message.attachments).to.eql([
+			{
+				type: 'image',
+				fallback: 'photo.jpg',
+				image_url: 'https://cdn.example.com/photo.jpg',
+			},
+			{ type: 'giphy', image_url: 'https://giphy.com/cat.gif' },
+		]);
+		expect(upload.status).to.equal('completed');
+		expect(composer.text).to.equal('');
+		expect(composer.attachments).to.eql([]);
+		expect(changed.callCount).to.equal(4);
+		await expect(composer.send()).to.be.rejectedWith('The message is empty');
+	});
+
+	it('restores the draft when the message can not be sent', async () => {
+		const error = new Error('Request failed with status code 400');
+		channel.sendMessage = sinon.fake.rejects(error);
+		composer.setText('hey @b');
+		composer.select(composer.suggestions.items[0]);
+		composer.addAttachment({ type: 'giphy', image_url: 'https://giphy.com/cat.gif' });
+		const text = composer.text;
+
+		const sending = composer.send();
+		expect(composer.text).to.equal('');
+		await expect(sending).to.be.rejectedWith(error);
+		expect(composer.text).to.equal(text);
+		expect(composer.attachments).to.have.length(1);
+		expect(composer.toMessage().mentioned_users).to.eql(['tommaso']);
+
+		// a new message isn't overwritten
+		const other = composer.send();
+		composer.setText('another message');
+		await expect(other).to.be.rejectedWith(error);
+		expect(composer.text).to.equal('another message');
+
+		// the outbox still sends the messages it retries
+		const retried = new Error('Network Error');
+		retried.willRetry = true;
+		channel.sendMessage = sinon.fake.rejects(retried);
+		composer.clear();
+		composer.setText('retried');
+		await expect(composer.send()).to.be.rejectedWith(retried);
+		expect(composer.text).to.equal('');
+	});
+
+	it('cancels the uploads of removed attachments', () => {
+		const upload = composer.addFile(Buffer.from('doc'), { name: 'doc.pdf' });
+		const other = composer.addFile(Buffer.from('doc'), { name: 'other.pdf' });
+		expect(composer.attachments[0]).to.eql({
+			type: 'file',
+			upload_id: upload.id,
+			title: 'doc.pdf',
+		});
+
+		composer.removeAttachment(composer.attachments[0]);
+		expect(upload.status).to.equal('cancelled');
+		expect(composer.attachments.length).to.equal(1);
+		composer.clear();
+		expect(other.status).to.equal('cancelled');
+	});
+
+	it('sends typing events', async () => {
+		composer.setText('h');
+		composer.setText('he');
+		await sleep(0);
+		const events = () => client.post.getCalls().map(call => call.args[1].event.type);
+		// typing.start is sent every 2 seconds
+		expect(events()).to.eql(['typing.start']);
+
+		composer.setText('');
+		await sleep(0);
+		expect(events()).to.eql(['typing.start', 'typing.stop']);
+
+		composer.setText('hey');
+		client.post = sinon.fake(url =>
+			Promise.resolve(url.endsWith('/event') ? {} : { message: {} }),
+		);
+		await composer.send();
+		expect(client.post.firstCall.args[1].event.type).to.equal('typing.stop');
+	});
+
+	it('loads link previews', async () => {
+		const enrichURL = sinon.fake((url, { signal }) =>
+			url.includes('slow')
+				? new Promise((resolve, reject) =>
+						signal.addEventListener('abort', () => reject(new AbortError())),
+				  )
+				: Promise.resolve({
+						title: 'Stream',
+						image_url: 'https://getstream.io/og.png',
+				  }),
+		);
+		const threadComposer = new MessageComposer(channel, {
+			parentID: 'parent',
+			typingEvents: false,
+			enrichURL,
+		});
+
+		threadComposer.setText('see https://slow.example.com');
+		threadComposer.setText('see https://getstream.io.');
+		expect(enrichURL.lastCall.args[0]).to.equal('https://getstream.io');
+		expect(enrichURL.firstCall.args[1].signal.aborted).to.equal(true);
+		await sleep(0);
+		expect(threadComposer.toMessage()).to.eql({
+			text: 'see https://getstream.io.',
+			attachments: [
+				{
+					title: 'Stream',
+					image_url: 'https://getstream.io/og.png',
+					og_scrape_url: 'https://getstream.io',
+				},
+			],
+			parent_id: 'parent',
+		});
+
+		threadComposer.dismissLinkPreview();
+		threadComposer.setText('see https://getstream.io. ok');
+		expect(threadComposer.linkPreview).to.equal(null);
+		expect(enrichURL.callCount).to.equal(2);
+	});
+});
@@ -0,0 +1,148 @@
+import chai from 'chai';
+import Immutable from 'seamless-immutable';
+import { StreamChat } from '../src/client';
+import { MessageList, sortedIndex } from '../src/message_list';
+
+const expect = chai.expect;
+
+function message(id, seconds, extra = {}) {
+	return Immutable({
+		id,
+		text: `message ${id}`,
+		created_at: new Date(Date.UTC(2020, 0, 1, 0, 0, seconds)),
+		...extra,
+	});
+}
+
+function ids(messages) {
+	return messages.map(m => m.id);
+}
+
+describe('Message list', function() {
+	it('keeps the messages sorted by created_at', () => {
+		const list = new MessageList([message('b', 2), message('a', 1)]);
+		expect(ids(list.messages)).to.eql(['a', 'b']);
+		list.upsert(message('d', 4));
+		list.upsert(message('c', 3));
+		// messages with the same created_at stay in the order they were added
+		list.upsert(message('c2', 3));
+		list.upsert(message('0', 0));
+		expect(ids(list.messages)).to.eql(['0', 'a', 'b', 'c', 'c2', 'd']);
+		expect(list.indexOf('c2')).to.equal(4);
+		expect(list.indexOf('missing')).to.equal(-1);
+		expect(list.get('b').text).to.equal('message b');
+		expect(list.first().id).to.equal('0');
+		expect(list.last().id).to.equal('d');
+	});
+
+	it('replaces, moves and removes messages by id', () => {
+		const list = new MessageList([message('a', 1), message('b', 2), message('c', 3)]);
+		const before = list.messages;
+		expect(list.messages).to.equal(before);
+
+		list.upsert(message('b', 2, { text: 'edited' }));
+		expect(list.messages).to.not.equal(before);
+		expect(list.messages[1].text).to.equal('edited');
+		// the server confirmed the message with another created_at
+		list.upsert(message('a', 5));
+		expect(ids(list.messages)).to.eql(['b', 'c', 'a']);
+
+		expect(list.update('c', m => m.set('text', 'updated'))).to.equal(true);
+		expect(list.get('c').text).to.equal('updated');
+		expect(list.update('missing', m => m)).to.equal(false);
+
+		expect(list.remove('b')).to.equal(true);
+		expect(list.remove('b')).to.equal(false);
+		expect(ids(list.messages)).to.eql(['c', 'a']);
+		expect(list.has('b')).to.equal(false);
+		expect(list.length).to.equal(2);
+	});
+
+	it('finds the position of a message with a binary search', () => {
+		const messages = Immutable([message('a', 1), message('c', 3)]);
+		expect(sortedIndex(messages, message('b', 2))).to.equal(1);
+		expect(sortedIndex(messages, message('x', 3))).to.equal(2);
+		expect(sortedIndex(messages, message('x', 3), false)).to.equal(1);
+	});
+
+	describe('benchmarks', function() {
+		const count = 10000;
+		let state;
+
+		function timed(fn) {
+			const start = process.hrtime();
+			fn();
+			const [seconds, nanoseconds] = process.hrtime(start);
+			return seconds * 1000 + nanoseconds / 1e6;
+		}
+
+		function raw(i, extra = {}) {
+			return {
+				id: `message-${i}`,
+				text: `message ${i}`,
+				created_at: new Date(Date.UTC(2020, 0, 1) + i * 1000).toISOString(),
+				user: { id: 'jack' },
+				...extra,
+			};
+		}
+
+		beforeEach(() => {
+			const client = new StreamChat('key');
+			client.userID = 'jack';
+			state = client.channel('messaging', 'benchmark').state;
+		});
+
+		it(`adds ${count} new messages one at a time`, () => {
+			const ms = timed(() => {
+				for (let i = 0; i < count; i++) {
+					state.addMessageSorted(raw(i));
+					// the UI renders the messages every now and then
+					if (i % 100 === 0) {
+						expect(state.messages.length).to.equal(i + 1);
+					}
+				}
+			});
+			expect(state.messages.length).to.equal(count);
+			expect(state.messages[count - 1].id).to.equal(`message-${count - 1}`);
+			expect(ms).to.be.below(5000);
+		});
+
+		it(`updates ${count} messages and reactions`, () => {
+			state.addMessagesSorted([...Array(count).keys()].map(i => raw(i)));
+			const ms = timed(() => {
+				for (let i = 0; i < count; i++) {
+					const id = `message-${(i * 7919) % count}`;
+					if (i % 2) {
+						state.addMessageSorted(
+							raw((i * 7919) % count, { text: 'edited' }),
+						);
+					} else {
+						state.addReaction(
+							{ message_id: id, type: 'love', user: { id: 'tommaso' } },
+							state.findMessage(id),
+						);
+					}
+				}
+			});
+			expect(state.messages.length).to.equal(count);
+			expect(state.messages[0].id).to.equal('message-0');
+			expect(ms).to.be.below(5000);
+		});
+
+		it(`inserts ${count} messages out of order`, () => {
+			const ms = timed(() => {
+				for (let i = 0; i < count; i++) {
+					state.addMessageSorted(raw((i * 7919) % count));
+				}
+			});
+			const messages = state.messages;
+			expect(messages.length).to.equal(count);
+			for (let i = 1; i < count; i++) {
+				expect(messages[i].created_at >= messages[i - 1].created_at).to.equal(
+					true,
+				);
+			}
+			expect(ms).to.be.below(5000);
+		});
+	});
+});
@@ -0,0 +1,172 @@
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import { StreamChat } from '../src/client';
+import { MockServer } from '../src/mock_server';
+import { sleep } from '../src/utils';
+
+const expect = chai.expect;
+chai.use(chaiAsPromised);
+
+describe('Message pagination', function() {
+	let time = Date.parse('2020-08-01T10:00:00.000Z');
+	// every timestamp is a second later, so the messages have a stable order
+	const server = new MockServer({
+		apiKey: 'key',
+		secret: 'secret',
+		now: () => new Date((time += 1000)),
+	});
+	const clients = [];
+	let jack;
+	let channel;
+	let ids;
+
+	async function connect(userID, options) {
+		const client = new StreamChat('key', options);
+		client.setBaseURL(server.baseURL);
+		await client.setUser({ id: userID }, server.createToken(userID));
+		clients.push(client);
+		return client;
+	}
+
+	function texts(messages) {
+		return messages.map(message => message.text);
+	}
+
+	function range(from, to) {
+		const result = [];
+		for (let i = from; i <= to; i++) {
+			result.push(`message ${i}`);
+		}
+		return result;
+	}
+
+	before(() => server.start());
+
+	beforeEach(async () => {
+		const tommaso = await connect('tommaso');
+		const other = tommaso.channel('messaging', 'history', {
+			members: ['jack', 'tommaso'],
+		});
+		await other.create();
+		ids = [];
+		for (let i = 0; i < 60; i++) {
+			const response = await other.sendMessage({ text: `message ${i}` });
+			ids.push(response.message.id);
+		}
+	});
+
+	async function watch(options) {
+		jack = await connect('jack', options);
+		channel = jack.channel('messaging', 'history');
+		await channel.watch({ messages: { limit: 20 } });
+	}
+
+	afterEach(async () => {
+		await Promise.all(clients.map(client => client.disconnect()));
+		clients.length = 0;
+		server.reset();
+	});
+
+	after(() => server.stop());
+
+	it('loads older messages until the start of the channel', async () => {
+		await watch();
+		expect(texts(channel.state.messages)).to.eql(range(40, 59));
+		expect(channel.state.hasMoreOlder).to.equal(true);
+		expect(channel.state.hasMoreNewer).to.equal(false);
+
+		const page = await channel.loadOlder({ limit: 30 });
+		expect(texts(page)).to.eql(range(10, 39));
+		expect(texts(channel.state.messages)).to.eql(range(10, 59));
+		expect(channel.state.hasMoreOlder).to.equal(true);
+
+		await channel.loadOlder({ limit: 30 });
+		expect(texts(channel.state.messages)).to.eql(range(0, 59));
+		expect(channel.state.hasMoreOlder).to.equal(false);
+		expect(await channel.loadOlder()).to.eql([]);
+		expect(channel.state.messageSets.length).to.equal(1);
+	});
+
+	it('jumps to a message and loads newer messages back to the latest ones', async () => {
+		await watch();
+		const messageSet = await channel.jumpToMessage(ids[10], { limit: 10 });
+		expect(texts(channel.state.messages)).to.eql(range(6, 15));
+		expect(channel.state.messageSets.length).to.equal(2);
+		expect(messageSet.isCurrent).to.equal(true);
+		expect(channel.state.hasMoreNewer).to.equal(true);
+		expect(texts(channel.state.latestMessages)).to.eql(range(40, 59));
+
+		// new messages go to the latest set
+		await jack.channel('messaging', 'history').sendMessage({ text: 'new message' });
+		await sleep(20);
+		expect(channel.state.messages.length).to.equal(10);
+		expect(channel.state.latestMessages.length).to.equal(21);
+		expect(channel.lastMessage().text).to.equal('new message');
+
+		await channel.loadNewer({ limit: 20 });
+		expect(texts(channel.state.messages)).to.eql(range(6, 35));
+		expect(channel.state.hasMoreNewer).to.equal(true);
+		// the page overlaps the latest set, they're merged
+		await channel.loadNewer({ limit: 20 });
+		expect(texts(channel.state.messages)).to.eql([...range(6, 59), 'new message']);
+		expect(channel.state.hasMoreNewer).to.equal(false);
+		expect(channel.state.messageSets.length).to.equal(1);
+		expect(channel.state.messageSets[0].isLatest).to.equal(true);
+	});
+
+	it('switches between the loaded message sets', async () => {
+		await watch();
+		await channel.jumpToMessage(ids[5], { limit: 6 });
+		expect(texts(channel.state.messages)).to.eql(range(3, 8));
+		expect(channel.state.hasMoreOlder).to.equal(true);
+
+		await channel.jumpToLatest();
+		expect(texts(channel.state.messages)).to.eql(range(40, 59));
+		await channel.jumpToMessage(ids[4]);
+		expect(texts(channel.state.messages)).to.eql(range(3, 8));
+		expect(channel.state.findMessage(ids[4]).text).to.equal('message 4');
+
+		await expect(channel.jumpToMessage('missing')).to.be.rejectedWith(
+			'is not part of channel',
+		);
+		expect(channel.state.messageSets.length).to.equal(2);
+		expect(texts(channel.state.messages)).to.eql(range(3, 8));
+	});
+
+	it('keeps the message sets within the message window', async () => {
+		await watch({ messageWindow: 30 });
+		await channel.loadOlder({ limit: 20 });
+		// the newest messages are dropped, the latest set keeps the last ones
+		expect(texts(channel.state.messages)).to.eql(range(20, 49));
+		expect(channel.state.hasMoreNewer).to.equal(true);
+		expect(texts(channel.state.latestMessages)).to.eql(range(50, 59));
+		expect(channel.state.messageSets.length).to.equal(2);
+
+		await channel.loadOlder({ limit: 20 });
+		expect(texts(channel.state.messages)).to.eql(range(0, 29));
+
+		// the page reaches the latest set, the oldest messages are dropped
+		await channel.loadNewer({ limit: 25 });
+		expect(texts(channel.state.messages)).to.eql(range(30, 59));
+		expect(channel.state.hasMoreOlder).to.equal(true);
+		expect(channel.state.messageSets.length).to.equal(1);
+		expect(channel.state.hasMoreNewer).to.equal(false);
+	});
+
+	it('keeps a gap in the messages when the state is initialized again', async () => {
+		await watch();
+		// after being offline the latest page doesn't overlap the messages we have
+		channel.state.clearMessages();
+		channel.state.addMessagesSorted(
+			[{ id: ids[0], text: 'message 0', created_at: new Date(1000) }],
+			true,
+			'latest',
+		);
+		await channel.watch({ messages: { limit: 20 } });
+		expect(channel.state.messageSets.length).to.equal(2);
+		expect(texts(channel.state.messages)).to.eql(range(40, 59));
+		const [old] = channel.state.messageSets.filter(set => !set.isLatest);
+		expect(texts(old.messages)).to.eql(['message 0']);
+		expect(old.hasMoreNewer).to.equal(true);
+	});
+});
@@ -0,0 +1,125 @@
+import chai from 'chai';
+import sinon from 'sinon';
+import { Readable } from 'stream';
+import { StreamChat } from '../src/client';
+import { NotFoundError } from '../src/errors';
+import { httpError, ok } from './utils';
+
+const expect = chai.expect;
+
+describe('Middleware', function() {
+	let client;
+
+	beforeEach(() => {
+		client = new StreamChat('apiKey', 'secret', {
+			retryPolicy: { backoff: () => 1 },
+		});
+	});
+
+	it('changes requests and responses', async () => {
+		const calls = [];
+		client.use({
+			beforeRequest: request => {
+				calls.push('first:before');
+				request.config.headers['x-trace-id'] = 'trace';
+			},
+			afterResponse: response => {
+				calls.push('first:after');
+				return { ...response, data: { ...response.data, redacted: true } };
+			},
+		});
+		client.use({
+			beforeRequest: async request => {
+				calls.push('second:before');
+				await Promise.resolve();
+				return { ...request, url: request.url.replace('/users', '/users?trace') };
+			},
+			afterResponse: () => {
+				calls.push('second:after');
+			},
+		});
+		client.axiosInstance.get = sinon.fake(() => ok({ users: [] }));
+
+		const response = await client.get(`${client.baseURL}/users`);
+		expect(calls).to.eql([
+			'first:before',
+			'second:before',
+			'second:after',
+			'first:after',
+		]);
+		expect(response).to.eql({ users: [], redacted: true });
+		const [url, config] = client.axiosInstance.get.firstCall.args;
+		expect(url).to.match(/\/users\?trace$/);
+		expect(config.headers['x-trace-id']).to.equal('trace');
+		expect(config.params.api_key).to.equal('apiKey');
+	});
+
+	it('short-circuits requests', async () => {
+		client.use({
+			beforeRequest: request => {
+				request.response = { status: 200, headers: {}, data: { cached: true } };
+			},
+		});
+		client.axiosInstance.post = sinon.fake();
+		const response = await client.post(
+			`${client.baseURL}/channels/messaging/general/message`,
+			{},
+		);
+		expect(response).to.eql({ cached: true });
+		expect(client.axiosInstance.post.callCount).to.equal(0);
+	});
+
+	it('recovers from errors', async () => {
+		const onError = sinon.fake((error, request) => {
+			if (error instanceof NotFoundError) {
+				return { status: 200, headers: {}, data: { url: request.url } };
+			}
+		});
+		client.use({ onError });
+		client.axiosInstance.get = sinon.fake.rejects(
+			httpError(404, { code: 16, message: 'missing' }),
+		);
+
+		const response = await client.get(`${client.baseURL}/messages/missing`);
+		expect(response.url).to.match(/\/messages\/missing$/);
+		expect(onError.firstCall.args[0].code).to.equal(16);
+
+		client.axiosInstance.get = sinon.fake.rejects(httpError(400, { code: 4 }));
+		let error;
+		try {
+			await client.get(`${client.baseURL}/messages/invalid`);
+		} catch (e) {
+			error = e;
+		}
+		expect(error.code).to.equal(4);
+	});
+
+	it('runs for every retry and for uploads', async () => {
+		const before = sinon.fake();
+		const onError = sinon.fake();
+		client.use({ beforeRequest: before, onError });
+		client.axiosInstance.get = sinon.stub();
+		client.axiosInstance.get.onCall(0).rejects(httpError(503));
+		client.axiosInstance.get.onCall(1).returns(ok());
+		await client.get(`${client.baseURL}/channels`);
+		expect(before.callCount).to.equal(2);
+		expect(onError.callCount).to.equal(1);
+
+		client.axiosInstance.post = sinon.fake(() => ok({ file: 'url' }));
+		await client.sendFile(
+			`${client.baseURL}/channels/messaging/general/file`,
+			new Readable({ read() {} }),
+		);
+		expect(before.callCount).to.equal(3);
+		expect(before.lastCall.args[0].config.headers).to.have.property('content-type');
+	});
+
+	it('removes middleware', async () => {
+		const before = sinon.fake();
+		const subscription = client.use({ beforeRequest: before });
+		subscription.unsubscribe();
+		client.axiosInstance.get = () => ok();
+		await client.get(`${client.baseURL}/channels`);
+		expect(before.callCount).to.equal(0);
+	});
+});
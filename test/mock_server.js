@@ -0,0 +1,177 @@
+import chai from 'chai';
+import { StreamChat } from '../src/client';
+import { MockServer, matchesFilter } from '../src/mock_server';
+import { sleep } from '../src/utils';
+import { NotFoundError, TokenExpiredError } from '../src/errors';
+
+const expect = chai.expect;
+
+describe('Mock server', function() {
+	const server = new MockServer({ apiKey: 'key', secret: 'secret' });
+	const clients = [];
+
+	async function connect(userID) {
+		const client = new StreamChat('key');
+		client.setBaseURL(server.baseURL);
+		await client.setUser({ id: userID, name: userID }, server.createToken(userID));
+		clients.push(client);
+		return client;
+	}
+
+	before(() => server.start());
+
+	afterEach(async () => {
+		await Promise.all(clients.map(client => client.disconnect()));
+		clients.length = 0;
+		server.reset();
+	});
+
+	after(() => server.stop());
+
+	it('connects and sends messages to the watchers', async () => {
+		const jack = await connect('jack');
+		const tommaso = await connect('tommaso');
+		expect(jack.wsConnection.connectionID).to.be.a('string');
+		expect(jack.user.online).to.equal(true);
+
+		const channel = jack.channel('messaging', 'general', {
+			members: ['jack', 'tommaso'],
+		});
+		await channel.watch();
+		const other = tommaso.channel('messaging', 'general');
+		await other.watch();
+		expect(other.state.members).to.have.keys('jack', 'tommaso');
+
+		const received = new Promise(resolve => other.on('message.new', resolve));
+		const response = await channel.sendMessage({ text: 'hello' });
+		expect(response.message.user.id).to.equal('jack');
+
+		const event = await received;
+		expect(event.message.text).to.equal('hello');
+		expect(other.state.messages.map(m => m.text)).to.eql(['hello']);
+		expect(other.countUnread()).to.equal(1);
+
+		await channel.sendReaction(response.message.id, { type: 'love' });
+		await sleep(50);
+		expect(other.state.messages[0].reaction_counts).to.eql({ love: 1 });
+	});
+
+	it('notifies members that are not watching', async () => {
+		const jack = await connect('jack');
+		const tommaso = await connect('tommaso');
+		const channel = jack.channel('messaging', { members: ['jack', 'tommaso'] });
+		const added = new Promise(resolve =>
+			tommaso.on('notification.added_to_channel', resolve),
+		);
+		await channel.create();
+		expect(channel.id).to.match(/^!members-/);
+		expect((await added).channel.cid).to.equal(channel.cid);
+
+		const notified = new Promise(resolve =>
+			tommaso.on('notification.message_new', resolve),
+		);
+		await channel.sendMessage({ text: 'are you there?' });
+		expect((await notified).message.text).to.equal('are you there?');
+	});
+
+	it('queries channels with filters, sorting and pagination', async () => {
+		const jack = await connect('jack');
+		for (let i = 0; i < 3; i++) {
+			await jack
+				.channel('messaging', `channel-${i}`, { members: ['jack'], rank: i })
+				.create();
+		}
+		await jack.channel('livestream', 'other', { members: ['jack'] }).create();
+
+		const channels = await jack.queryChannels(
+			{ type: 'messaging', members: { $in: ['jack'] } },
+			{ rank: -1 },
+			{ limit: 2 },
+		);
+		expect(channels.map(c => c.id)).to.eql(['channel-2', 'channel-1']);
+
+		const next = await jack.queryChannels(
+			{ type: 'messaging' },
+			{ rank: -1 },
+			{ limit: 2, offset: 2 },
+		);
+		expect(next.map(c => c.id)).to.eql(['channel-0']);
+	});
+
+	it('pages through messages and replies', async () => {
+		const jack = await connect('jack');
+		const channel = jack.channel('messaging', 'history', { members: ['jack'] });
+		await channel.watch();
+		const ids = [];
+		for (let i = 0; i < 5; i++) {
+			ids.push((await channel.sendMessage({ text: `message ${i}` })).message.id);
+		}
+		await channel.sendMessage({ text: 'reply', parent_id: ids[0] });
+
+		const page = await channel.query({ messages: { limit: 2, id_lt: ids[3] } });
+		expect(page.messages.map(m => m.text)).to.eql(['message 1', 'message 2']);
+
+		const replies = await channel.getReplies(ids[0]);
+		expect(replies.messages.map(m => m.text)).to.eql(['reply']);
+		const parent = await jack.getMessage(ids[0]);
+		expect(parent.message.reply_count).to.equal(1);
+	});
+
+	it('returns the same errors as the API', async () => {
+		const jack = await connect('jack');
+		let error;
+		try {
+			await jack.getMessage('missing');
+		} catch (e) {
+			error = e;
+		}
+		expect(error).to.be.an.instanceof(NotFoundError);
+		expect(error.code).to.equal(16);
+		expect(error.status).to.equal(404);
+
+		const expired = new StreamChat('key');
+		expired.setBaseURL(server.baseURL);
+		try {
+			await expired.setUser(
+				{ id: 'jack' },
+				server.createToken('jack', { exp: Math.floor(Date.now() / 1000) - 60 }),
+			);
+		} catch (e) {
+			error = e;
+		}
+		expect(error).to.be.an.instanceof(TokenExpiredError);
+		expect(error.message).to.contain('token has expired');
+	});
+
+	it('replays events with the sync endpoint', async () => {
+		const jack = await connect('jack');
+		const channel = jack.channel('messaging', 'sync', { members: ['jack'] });
+		await channel.create();
+		const since = new Date();
+		await sleep(5);
+		await channel.sendMessage({ text: 'missed' });
+
+		const { events } = await jack.sync([channel.cid], since.toISOString());
+		expect(events.map(e => e.type)).to.eql(['message.new']);
+		expect(events[0].message.text).to.equal('missed');
+	});
+
+	it('sends custom events with sendEvent', async () => {
+		const jack = await connect('jack');
+		const received = new Promise(resolve => jack.on('user.updated', resolve));
+		const user = server.upsertUser({ id: 'jack', name: 'Jack Nicholson' });
+		server.sendEvent({ type: 'user.updated', user_id: 'jack', user });
+		expect((await received).user.name).to.equal('Jack Nicholson');
+	});
+
+	it('matches the filter operators', () => {
+		const doc = { name: 'Jack Nicholson', age: 82, teams: ['red', 'blue'] };
+		expect(matchesFilter(doc, { name: { $autocomplete: 'nic' } })).to.equal(true);
+		expect(matchesFilter(doc, { teams: 'red', age: { $gte: 80 } })).to.equal(true);
+		expect(
+			matchesFilter(doc, { $or: [{ age: { $lt: 20 } }, { teams: 'blue' }] }),
+		).to.equal(true);
+		expect(matchesFilter(doc, { teams: { $nin: ['blue'] } })).to.equal(false);
+		expect(matchesFilter(doc, { banned: { $exists: true } })).to.equal(false);
+	});
+});
@@ -0,0 +1,178 @@
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import { deferred, getOfflineClient } from './utils';
+
+const expect = chai.expect;
+chai.use(chaiAsPromised);
+
+function getChannel(client) {
+	const channel = client.channel('messaging', 'optimistic');
+	channel.initialized = true;
+	channel._initializeState({
+		channel: { id: 'optimistic', type: 'messaging', cid: 'messaging:optimistic' },
+		messages: [
+			{
+				id: 'message-1',
+				text: 'hello',
+				user: { id: 'other-user' },
+				created_at: '2020-07-20T10:00:00.000Z',
+				updated_at: '2020-07-20T10:00:00.000Z',
+			},
+		],
+	});
+	return channel;
+}
+
+describe('Optimistic updates', function() {
+	let client;
+	let channel;
+
+	beforeEach(() => {
+		client = getOfflineClient({ optimisticUpdates: true }, 'optimistic-user');
+		channel = getChannel(client);
+	});
+
+	it('adds the reaction before the API responds', async () => {
+		const request = deferred();
+		client.post = sinon.fake.returns(request.promise);
+		const promise = channel.sendReaction('message-1', { type: 'love' });
+
+		let message = channel.state.messages[0];
+		expect(message.reaction_counts).to.eql({ love: 1 });
+		expect(message.own_reactions.map(r => r.type)).to.eql(['love']);
+		expect(message.pending.action).to.equal('reaction.new');
+
+		request.resolve({ message: {}, reaction: {} });
+		await promise;
+		message = channel.state.messages[0];
+		expect(message.pending).to.equal(undefined);
+		expect(message.reaction_counts).to.eql({ love: 1 });
+	});
+
+	it("doesn't count the reaction twice when the event comes in", async () => {
+		client.post = sinon.fake.resolves({});
+		await channel.sendReaction('message-1', { type: 'love' });
+
+		const reaction = {
+			type: 'love',
+			message_id: 'message-1',
+			user: { id: 'optimistic-user' },
+		};
+		client.dispatchEvent({
+			type: 'reaction.new',
+			cid: channel.cid,
+			reaction,
+			message: { ...channel.state.messages[0], reaction_counts: { love: 1 } },
+		});
+		expect(channel.state.messages[0].reaction_counts).to.eql({ love: 1 });
+	});
+
+	it('rolls back and emits an event when the request fails', async () => {
+		client.post = sinon.fake.rejects(new Error('StreamChat error HTTP code: 403'));
+		const failed = sinon.fake();
+		client.on('optimistic_update.failed', failed);
+
+		await expect(channel.sendReaction('message-1', { type: 'love' })).to.be.rejected;
+
+		const message = channel.state.messages[0];
+		expect(message.reaction_counts).to.equal(undefined);
+		expect(message.own_reactions).to.equal(undefined);
+		expect(message.pending).to.equal(undefined);
+		expect(failed.callCount).to.equal(1);
+		expect(failed.firstCall.args[0].action).to.equal('reaction.new');
+		expect(failed.firstCall.args[0].cid).to.equal('messaging:optimistic');
+		expect(failed.firstCall.args[0].message.id).to.equal('message-1');
+	});
+
+	it('removes the reaction and restores it on failure', async () => {
+		client.post = sinon.fake.resolves({});
+		await channel.sendReaction('message-1', { type: 'love' });
+
+		const request = deferred();
+		client.delete = sinon.fake.returns(request.promise);
+		const promise = channel.deleteReaction('message-1', 'love');
+		expect(channel.state.messages[0].reaction_counts).to.eql({ love: 0 });
+		expect(channel.state.messages[0].own_reactions).to.eql([]);
+
+		request.reject(new Error('Network Error'));
+		await expect(promise).to.be.rejected;
+		expect(channel.state.messages[0].reaction_counts).to.eql({ love: 1 });
+		expect(channel.state.messages[0].own_reactions).to.have.length(1);
+	});
+
+	it('edits the message and rolls back on failure', async () => {
+		const request = deferred();
+		client.post = sinon.fake.returns(request.promise);
+		const promise = client.updateMessage({
+			id: 'message-1',
+			text: 'edited',
+			user: { id: 'other-user' },
+		});
+		expect(channel.state.messages[0].text).to.equal('edited');
+		expect(channel.state.messages[0].user.id).to.equal('other-user');
+
+		request.reject(new Error('Network Error'));
+		await expect(promise).to.be.rejected;
+		expect(channel.state.messages).to.have.length(1);
+		expect(channel.state.messages[0].text).to.equal('hello');
+	});
+
+	it('marks the message as deleted', async () => {
+		const request = deferred();
+		client.delete = sinon.fake.returns(request.promise);
+		const promise = client.deleteMessage('message-1');
+		expect(channel.state.messages[0].type).to.equal('deleted');
+
+		request.resolve({ message: { id: 'message-1', type: 'deleted' } });
+		await promise;
+		expect(channel.state.messages[0].type).to.equal('deleted');
+		expect(channel.state.messages[0].pending).to.equal(undefined);
+	});
+
+	it('removes hard deleted messages and restores them on failure', async () => {
+		channel.state.addMessagesSorted([
+			{
+				id: 'reply-1',
+				parent_id: 'message-1',
+				text: 'reply',
+				user: { id: 'other-user' },
+				created_at: '2020-07-20T10:01:00.000Z',
+				updated_at: '2020-07-20T10:01:00.000Z',
+			},
+		]);
+		const thread = channel.state.thread('message-1');
+		const request = deferred();
+		client.delete = sinon.fake.returns(request.promise);
+		const promise = client.deleteMessage('message-1', true);
+		expect(client.delete.firstCall.args[1]).to.eql({ hard: true });
+		expect(channel.state.messages).to.have.length(0);
+		expect(channel.state.activeThreads['message-1']).to.equal(undefined);
+		expect(channel.state.findMessage('reply-1')).to.equal(undefined);
+
+		request.reject(new Error('Network Error'));
+		await expect(promise).to.be.rejected;
+		expect(channel.state.messages.map(m => m.id)).to.eql(['message-1']);
+		expect(channel.state.messages[0].pending).to.equal(undefined);
+		expect(channel.state.thread('message-1')).to.equal(thread);
+		expect(channel.state.findMessage('reply-1').text).to.equal('reply');
+
+		client.delete = sinon.fake.resolves({ message: { id: 'reply-1' } });
+		await client.deleteMessage('reply-1', true);
+		expect(thread.replies).to.have.length(0);
+		expect(channel.state.threads['message-1']).to.have.length(0);
+	});
+
+	it('is disabled by default', async () => {
+		client = getOfflineClient({}, 'optimistic-user');
+		channel = getChannel(client);
+		const request = deferred();
+		client.post = sinon.fake.returns(request.promise);
+		const promise = channel.sendReaction('message-1', { type: 'love' });
+		expect(channel.state.messages[0].reaction_counts).to.equal(undefined);
+
+		request.resolve({});
+		await promise;
+		expect(client.post.callCount).to.equal(1);
+	});
+});
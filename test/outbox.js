@@ -0,0 +1,204 @@
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import { InputError } from '../src/errors';
+import { MemoryStorage } from '../src/storage';
+import { sleep } from '../src/utils';
+import { getOfflineClient, networkError } from './utils';
+
+const expect = chai.expect;
+chai.use(chaiAsPromised);
+
+function apiError(status) {
+	const error = new Error(`StreamChat error HTTP code: ${status}`);
+	error.status = status;
+	return error;
+}
+
+function duplicateIDError(id) {
+	return new InputError(
+		`StreamChat error code 4: SendMessage failed with error: "a message with ID ${id} already exists"`,
+		{ code: 4, status: 400 },
+	);
+}
+
+describe('Message outbox', function() {
+	let client;
+	let channel;
+
+	beforeEach(() => {
+		client = getOfflineClient({}, 'outbox-user');
+		channel = client.channel('messaging', 'outbox');
+		// keep the retries fast
+		client.outbox._scheduleRetry = entry => {
+			client.outbox.retryTimeouts[entry.id] = setTimeout(
+				() => client.outbox._attempt(entry),
+				10,
+			);
+		};
+	});
+
+	afterEach(() => {
+		client.outbox.reset();
+	});
+
+	it('adds the message to the state with status sending', async () => {
+		let resolve;
+		client.post = sinon.fake.returns(new Promise(r => (resolve = r)));
+		const promise = channel.sendMessage({ text: 'hi' });
+
+		expect(channel.state.messages).to.have.length(1);
+		const message = channel.state.messages[0];
+		expect(message.status).to.equal('sending');
+		expect(message.id).to.match(/^outbox-user-/);
+		expect(message.user.id).to.equal('outbox-user');
+
+		await sleep(0);
+		resolve({ message: { id: message.id, text: 'hi', user: { id: 'outbox-user' } } });
+		const response = await promise;
+		expect(response.message.id).to.equal(message.id);
+		expect(channel.state.messages).to.have.length(1);
+		expect(channel.state.messages[0].status).to.equal('received');
+		expect(client.outbox.pending).to.eql({});
+	});
+
+	it('retries network failures in the background', async () => {
+		const post = sinon.stub();
+		post.onFirstCall().rejects(networkError());
+		post.onSecondCall().rejects(apiError(502));
+		post.onThirdCall().callsFake((url, { message }) => Promise.resolve({ message }));
+		client.post = post;
+
+		// the promise doesn't wait for the retries
+		const error = await channel
+			.sendMessage({ id: 'retry-1', text: 'hi' })
+			.catch(e => e);
+		expect(error.message).to.equal('Network Error');
+		expect(error.willRetry).to.equal(true);
+		expect(channel.state.messages[0].status).to.equal('sending');
+
+		await sleep(50);
+		expect(post.callCount).to.equal(3);
+		expect(channel.state.messages[0].id).to.equal('retry-1');
+		expect(channel.state.messages[0].status).to.equal('received');
+		expect(client.outbox.pending).to.eql({});
+	});
+
+	it('marks the message as failed for permanent errors', async () => {
+		client.post = sinon.stub().rejects(apiError(403));
+
+		const error = await channel
+			.sendMessage({ id: 'failed-1', text: 'hi' })
+			.catch(e => e);
+		expect(error.willRetry).to.equal(undefined);
+		expect(client.post.callCount).to.equal(1);
+		expect(channel.state.messages[0].status).to.equal('failed');
+		expect(channel.state.messages[0].errorStatusCode).to.equal(403);
+	});
+
+	it('completes messages whose response was lost when the retry finds their id taken', async () => {
+		const post = sinon.stub();
+		// the first request reached the API, its response didn't reach the client
+		post.onFirstCall().rejects(networkError());
+		post.onSecondCall().rejects(duplicateIDError('lost-1'));
+		client.post = post;
+		client.getMessage = sinon.fake.resolves({
+			message: { id: 'lost-1', text: 'hi', user: { id: 'outbox-user' } },
+		});
+
+		await expect(channel.sendMessage({ id: 'lost-1', text: 'hi' })).to.be.rejected;
+		await sleep(50);
+		expect(post.callCount).to.equal(2);
+		expect(client.getMessage.firstCall.args[0]).to.equal('lost-1');
+		expect(channel.state.messages).to.have.length(1);
+		expect(channel.state.messages[0].status).to.equal('received');
+		expect(client.outbox.pending).to.eql({});
+	});
+
+	it('fails messages the API rejects on the first attempt without fetching them', async () => {
+		client.post = sinon.stub().rejects(duplicateIDError('taken-1'));
+		client.getMessage = sinon.fake.resolves({
+			message: { id: 'taken-1', text: 'hi', user: { id: 'other-user' } },
+		});
+
+		await expect(channel.sendMessage({ id: 'taken-1', text: 'hi' })).to.be.rejected;
+		expect(client.getMessage.callCount).to.equal(0);
+		expect(channel.state.messages[0].status).to.equal('failed');
+	});
+
+	it('gives up after maxAttempts', async () => {
+		client.outbox.maxAttempts = 3;
+		client.post = sinon.stub().rejects(networkError());
+
+		await expect(channel.sendMessage({ id: 'failed-2', text: 'hi' })).to.be.rejected;
+		await sleep(50);
+		expect(client.post.callCount).to.equal(3);
+		expect(channel.state.messages[0].status).to.equal('failed');
+	});
+
+	it('retries right away when the connection comes back online', async () => {
+		client.outbox._scheduleRetry = () => {};
+		client.post = sinon.stub().rejects(networkError());
+		await expect(
+			channel.sendMessage({ id: 'online-1', text: 'hi' }),
+		).to.be.rejectedWith('Network Error');
+		expect(client.post.callCount).to.equal(1);
+
+		client.post = sinon.fake((url, { message }) => Promise.resolve({ message }));
+		client.dispatchEvent({ type: 'connection.changed', online: true });
+		await sleep(10);
+		expect(channel.state.messages[0].status).to.equal('received');
+	});
+
+	it('logs the errors of a delivery instead of leaving them unhandled', async () => {
+		const warn = sinon.stub(console, 'warn');
+		const addMessageSorted = channel.state.addMessageSorted.bind(channel.state);
+		sinon.stub(channel.state, 'addMessageSorted').callsFake(message => {
+			if (message.status === 'received') {
+				throw new Error('render failed');
+			}
+			return addMessageSorted(message);
+		});
+		client.post = sinon.fake((url, { message }) => Promise.resolve({ message }));
+		try {
+			channel.sendMessage({ id: 'throws-1', text: 'hi' }).catch(() => null);
+			await sleep(10);
+			expect(warn.callCount).to.equal(1);
+			expect(warn.firstCall.args[0]).to.contain('send pending message');
+		} finally {
+			warn.restore();
+		}
+	});
+
+	it('keeps pending messages in storage across disconnect', async () => {
+		const storage = new MemoryStorage();
+		client = getOfflineClient({ storage }, 'outbox-user');
+		client.outbox._scheduleRetry = () => {};
+		client.post = sinon.stub().rejects(networkError());
+
+		await expect(
+			client
+				.channel('messaging', 'outbox')
+				.sendMessage({ id: 'stored-1', text: 'hi' }),
+		).to.be.rejected;
+		await client.disconnect();
+
+		const stored = JSON.parse(
+			await storage.getItem('stream-chat-outbox-outbox-user'),
+		);
+		expect(stored).to.have.length(1);
+		expect(stored[0].message.text).to.equal('hi');
+
+		client.userID = 'outbox-user';
+		client._setUser({ id: 'outbox-user' });
+		client.post = sinon.fake((url, { message }) => Promise.resolve({ message }));
+		await client.outbox.restore();
+		await sleep(10);
+
+		expect(client.post.callCount).to.equal(1);
+		const state = client.channel('messaging', 'outbox').state;
+		expect(state.messages[0].id).to.equal('stored-1');
+		expect(state.messages[0].status).to.equal('received');
+		expect(await storage.getItem('stream-chat-outbox-outbox-user')).to.equal(null);
+	});
+});
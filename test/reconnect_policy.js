@@ -0,0 +1,76 @@
+import chai from 'chai';
+import sinon from 'sinon';
+import { defaultBackoff } from '../src/connection';
+import { sleep } from '../src/utils';
+import { createConnection, wsFailure } from './utils';
+
+const expect = chai.expect;
+
+describe('Reconnect policy', function() {
+	it('defaults to the jittered backoff', () => {
+		const conn = createConnection();
+		expect(conn.healthCheckInterval).to.equal(30000);
+		expect(conn.monitorInterval).to.equal(1000);
+		expect(conn.reconnectPolicy.maxAttempts).to.equal(Infinity);
+		for (let i = 0; i < 20; i++) {
+			const interval = defaultBackoff({ consecutiveFailures: 3 });
+			expect(interval).to.be.within(4000, 6500);
+		}
+		expect(defaultBackoff({ consecutiveFailures: 100 })).to.equal(25000);
+	});
+
+	it('uses the backoff and intervals of the policy', async () => {
+		const backoff = sinon.fake.returns(1);
+		const conn = createConnection({
+			reconnectPolicy: { backoff, healthCheckInterval: 5000 },
+		});
+		expect(conn.healthCheckInterval).to.equal(5000);
+		expect(conn.monitorInterval).to.equal(1000);
+
+		conn._connect = sinon.stub();
+		conn._connect.onFirstCall().rejects(wsFailure());
+		conn._connect.onSecondCall().resolves({ connection_id: 'connection' });
+		await conn._reconnect();
+		await sleep(10);
+
+		expect(conn._connect.callCount).to.equal(2);
+		expect(backoff.firstCall.args[0]).to.eql({ attempt: 1, consecutiveFailures: 0 });
+		expect(backoff.secondCall.args[0]).to.eql({ attempt: 2, consecutiveFailures: 1 });
+		expect(conn.reconnectAttempts).to.equal(0);
+		expect(conn.recoverCallback.callCount).to.equal(1);
+	});
+
+	it('gives up after maxAttempts and emits connection.failed', async () => {
+		const onGiveUp = sinon.fake();
+		const conn = createConnection({
+			reconnectPolicy: { backoff: () => 1, maxAttempts: 3, onGiveUp },
+		});
+		const error = wsFailure();
+		conn._connect = sinon.fake.rejects(error);
+
+		await conn._reconnect();
+		await sleep(20);
+
+		expect(conn._connect.callCount).to.equal(3);
+		expect(conn.isFailed).to.equal(true);
+		expect(onGiveUp.callCount).to.equal(1);
+		expect(onGiveUp.firstCall.args[0]).to.equal(error);
+		const failed = conn.eventCallback
+			.getCalls()
+			.map(call => call.args[0])
+			.filter(event => event.type === 'connection.failed');
+		expect(failed).to.have.length(1);
+		expect(failed[0].attempts).to.equal(3);
+
+		// no more attempts until the browser comes back online
+		await conn._reconnect();
+		expect(conn._connect.callCount).to.equal(3);
+
+		conn._connect = sinon.fake.resolves({ connection_id: 'connection' });
+		conn.onlineStatusChanged({ type: 'online' });
+		await sleep(20);
+		expect(conn._connect.callCount).to.equal(1);
+		expect(conn.isFailed).to.equal(false);
+		expect(conn._startMonitor.callCount).to.equal(1);
+	});
+});
@@ -0,0 +1,104 @@
+import chai from 'chai';
+import sinon from 'sinon';
+import { getOfflineClient } from './utils';
+
+const expect = chai.expect;
+
+function getRecoveringClient() {
+	const client = getOfflineClient({}, 'recovery-user');
+	client.wsConnection = { connectionID: 'new-connection', isConnecting: false };
+	return client;
+}
+
+function messageEvent(cid, id, created_at) {
+	return {
+		type: 'message.updated',
+		cid,
+		created_at,
+		message: { id, text: `edited ${id}`, user: { id: 'other' }, created_at },
+	};
+}
+
+describe('State recovery', function() {
+	it('watches all the active channels again, one page at the time', async () => {
+		const client = getRecoveringClient();
+		for (let i = 0; i < 65; i++) {
+			client.channel('messaging', `recovery-${i}`);
+		}
+		client.queryChannels = sinon.fake.resolves([]);
+		client.sync = sinon.fake.resolves({ events: [] });
+
+		await client.recoverState();
+
+		expect(client.queryChannels.callCount).to.equal(3);
+		const pages = client.queryChannels.getCalls().map(call => call.args[0].cid.$in);
+		expect(pages.map(page => page.length)).to.eql([30, 30, 5]);
+		expect([].concat(...pages)).to.eql(Object.keys(client.activeChannels));
+		expect(client.queryChannels.firstCall.args[2].recovery).to.equal(true);
+		// nothing to replay without a sync time
+		expect(client.sync.callCount).to.equal(0);
+		expect(client.connectionID).to.equal('new-connection');
+	});
+
+	it('replays the events missed since lastSyncAt in order', async () => {
+		const client = getRecoveringClient();
+		for (let i = 0; i < 35; i++) {
+			client.channel('messaging', `replay-${i}`);
+		}
+		client.lastSyncAt = new Date('2020-07-20T10:00:00.000Z');
+		client.queryChannels = sinon.fake.resolves([]);
+		client.sync = sinon.stub();
+		client.sync.onFirstCall().resolves({
+			events: [messageEvent('messaging:replay-1', 'b', '2020-07-20T10:02:00.000Z')],
+		});
+		client.sync.onSecondCall().resolves({
+			events: [
+				messageEvent('messaging:replay-31', 'a', '2020-07-20T10:01:00.000Z'),
+			],
+		});
+		const dispatched = [];
+		client.on('message.updated', event => dispatched.push(event.message.id));
+		const recovered = sinon.fake();
+		client.on('connection.recovered', recovered);
+
+		await client.recoverState({ created_at: '2020-07-20T10:05:00.000Z' });
+
+		expect(client.sync.callCount).to.equal(2);
+		expect(client.sync.firstCall.args[0]).to.have.length(30);
+		expect(client.sync.firstCall.args[1]).to.eql(
+			new Date('2020-07-20T10:00:00.000Z'),
+		);
+		expect(dispatched).to.eql(['a', 'b']);
+		expect(
+			client.activeChannels['messaging:replay-1'].state.messages[0].text,
+		).to.equal('edited b');
+		expect(recovered.callCount).to.equal(1);
+		expect(client.lastSyncAt).to.eql(new Date('2020-07-20T10:05:00.000Z'));
+	});
+
+	it('still recovers when the sync endpoint fails', async () => {
+		const client = getRecoveringClient();
+		client.channel('messaging', 'sync-fails');
+		client.lastSyncAt = new Date('2020-07-20T10:00:00.000Z');
+		client.queryChannels = sinon.fake.resolves([]);
+		client.sync = sinon.fake.rejects(new Error('last_sync_at is too old'));
+		const recovered = sinon.fake();
+		client.on('connection.recovered', recovered);
+
+		await client.recoverState();
+		expect(recovered.callCount).to.equal(1);
+	});
+
+	it('tracks lastSyncAt from the received events', () => {
+		const client = getRecoveringClient();
+		const event = { type: 'health.check', created_at: '2020-07-20T10:00:00.000Z' };
+		client.handleEvent({ data: JSON.stringify(event) });
+		expect(client.lastSyncAt).to.eql(new Date('2020-07-20T10:00:00.000Z'));
+
+		// events received while reconnecting are covered by recoverState
+		client.wsConnection.isConnecting = true;
+		event.created_at = '2020-07-20T11:00:00.000Z';
+		client.handleEvent({ data: JSON.stringify(event) });
+		expect(client.lastSyncAt).to.eql(new Date('2020-07-20T10:00:00.000Z'));
+	});
+});
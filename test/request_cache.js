@@ -0,0 +1,215 @@
+import chai from 'chai';
+import sinon from 'sinon';
+import { StreamChat } from '../src/client';
+import { RequestCache, tagsForURL, tagsForEvent } from '../src/request_cache';
+import { sleep } from '../src/utils';
+import { deferred, ok } from './utils';
+
+const expect = chai.expect;
+
+describe('Request cache', function() {
+	let client;
+	let now;
+
+	beforeEach(() => {
+		now = 1000;
+		client = new StreamChat('apiKey', 'secret', {
+			retryPolicy: false,
+			requestCache: { ttl: 5000, now: () => now },
+		});
+	});
+
+	it('coalesces identical requests that are in flight', async () => {
+		const response = deferred();
+		client.axiosInstance.get = sinon.fake(url =>
+			url.includes('/users')
+				? Promise.resolve(ok({ users: [] }))
+				: response.promise,
+		);
+
+		const first = client.getMessage('message-1');
+		const second = client.getMessage('message-1');
+		const other = client.queryUsers({ id: 'jack' });
+		await Promise.resolve();
+		response.resolve(ok({ message: { id: 'message-1', text: 'hi' } }));
+		const [a, b] = await Promise.all([first, second]);
+		await other;
+
+		expect(client.axiosInstance.get.callCount).to.equal(2);
+		expect(a).to.eql(b);
+		// every caller gets its own copy
+		a.message.text = 'changed';
+		expect(b.message.text).to.equal('hi');
+	});
+
+	it("doesn't share requests of other users or with other headers", async () => {
+		const response = deferred();
+		client.axiosInstance.get = sinon.fake(() => response.promise);
+		client.userID = 'jack';
+		const requests = [client.getMessage('message-1')];
+		client.userID = 'tommaso';
+		requests.push(client.getMessage('message-1'));
+		requests.push(
+			client.get(
+				client.baseURL + '/messages/message-1',
+				{},
+				{ headers: { a: 'b' } },
+			),
+		);
+		await sleep(0);
+		expect(client.axiosInstance.get.callCount).to.equal(3);
+		response.resolve(ok({ message: { id: 'message-1' } }));
+		await Promise.all(requests);
+	});
+
+	it('only copies the responses it shares', async () => {
+		const cache = new RequestCache();
+		const created = new Date(0);
+		const response = { message: { id: '1', created_at: created, text: undefined } };
+		const send = () => Promise.resolve(response);
+		expect(await cache.fetch('key', [], send)).to.equal(response);
+
+		const [a, b] = await Promise.all([
+			cache.fetch('key', [], send),
+			cache.fetch('key', [], send),
+		]);
+		expect(a).to.not.equal(response);
+		expect(a).to.not.equal(b);
+		expect(a.message.created_at).to.not.equal(created);
+		expect(a.message.created_at.getTime()).to.equal(0);
+		expect(Object.keys(b.message)).to.eql(['id', 'created_at', 'text']);
+	});
+
+	it('coalesces channel queries', async () => {
+		const response = deferred();
+		client.axiosInstance.post = sinon.fake(() => response.promise);
+		client.userID = 'jack';
+		client.user = { id: 'jack' };
+		const channel = client.channel('messaging', 'general');
+		const queries = [
+			channel.query({ messages: { limit: 10 } }),
+			channel.query({ messages: { limit: 10 } }),
+		];
+		await Promise.resolve();
+		response.resolve(
+			ok({
+				channel: {
+					id: 'general',
+					type: 'messaging',
+					cid: 'messaging:general',
+					config: {},
+				},
+				messages: [],
+				members: [],
+				read: [],
+			}),
+		);
+		await Promise.all(queries);
+		expect(client.axiosInstance.post.callCount).to.equal(1);
+	});
+
+	it('keeps responses until the ttl expires', async () => {
+		client.axiosInstance.get = sinon.fake.resolves(ok({ users: [] }));
+		await client.queryUsers({ id: 'jack' });
+		now += 4000;
+		await client.queryUsers({ id: 'jack' });
+		expect(client.axiosInstance.get.callCount).to.equal(1);
+		now += 2000;
+		await client.queryUsers({ id: 'jack' });
+		expect(client.axiosInstance.get.callCount).to.equal(2);
+	});
+
+	it('drops the cached and in flight responses on disconnect', async () => {
+		const response = deferred();
+		client.axiosInstance.get = sinon.fake(url =>
+			url.includes('/users')
+				? Promise.resolve(ok({ users: [] }))
+				: response.promise,
+		);
+		await client.queryUsers({ id: 'jack' });
+		const pending = client.getMessage('message-1');
+		await Promise.resolve();
+
+		await client.disconnect();
+		await client.queryUsers({ id: 'jack' });
+		const next = client.getMessage('message-1');
+		await sleep(0);
+		expect(client.axiosInstance.get.callCount).to.equal(4);
+		response.resolve(ok({ message: { id: 'message-1' } }));
+		await Promise.all([pending, next]);
+	});
+
+	it('invalidates responses on websocket events and changes', async () => {
+		client.axiosInstance.get = sinon.fake.resolves(
+			ok({ message: { id: 'message-1' } }),
+		);
+		client.axiosInstance.post = sinon.fake.resolves(
+			ok({ message: { id: 'message-1' } }),
+		);
+		await client.getMessage('message-1');
+		client.dispatchEvent({ type: 'typing.start', cid: 'messaging:general' });
+		await client.getMessage('message-1');
+		expect(client.axiosInstance.get.callCount).to.equal(1);
+
+		client.dispatchEvent({
+			type: 'message.updated',
+			cid: 'messaging:general',
+			message: { id: 'message-1' },
+		});
+		await client.getMessage('message-1');
+		expect(client.axiosInstance.get.callCount).to.equal(2);
+
+		await client.updateMessage({ id: 'message-1', text: 'edited' });
+		await client.getMessage('message-1');
+		expect(client.axiosInstance.get.callCount).to.equal(3);
+	});
+
+	it("doesn't keep failed or invalidated requests", async () => {
+		const cache = new RequestCache({ ttl: 5000 });
+		const send = sinon.fake.rejects(new Error('failed'));
+		let errors = 0;
+		await Promise.all([
+			cache.fetch('key', [], send).catch(() => errors++),
+			cache.fetch('key', [], send).catch(() => errors++),
+		]);
+		expect(errors).to.equal(2);
+		expect(send.callCount).to.equal(1);
+		expect(cache.entries).to.eql({});
+
+		const response = deferred();
+		const stale = cache.fetch('message', ['message:1'], () => response.promise);
+		cache.invalidate(['message:1']);
+		const fresh = cache.fetch('message', ['message:1'], () =>
+			Promise.resolve('fresh'),
+		);
+		response.resolve('stale');
+		expect(await stale).to.equal('stale');
+		expect(await fresh).to.equal('fresh');
+		expect(cache.entries.message.response).to.equal('fresh');
+	});
+
+	it('tags requests and events', () => {
+		expect(tagsForURL('https://api/channels/messaging/general/query')).to.eql([
+			'channel:messaging:general',
+		]);
+		expect(tagsForURL('https://api/messages/1/reactions?limit=10')).to.eql([
+			'message:1',
+		]);
+		expect(tagsForURL('https://api/users')).to.eql(['users']);
+		expect(
+			tagsForEvent({
+				type: 'reaction.new',
+				cid: 'messaging:general',
+				message: { id: '2', parent_id: '1' },
+			}),
+		).to.eql([
+			'channel:messaging:general',
+			'channels',
+			'members',
+			'search',
+			'message:2',
+			'message:1',
+		]);
+		expect(tagsForEvent({ type: 'health.check', cid: '*' })).to.eql([]);
+	});
+});
@@ -0,0 +1,152 @@
+import chai from 'chai';
+import sinon from 'sinon';
+import { StreamChat } from '../src/client';
+import { RateLimitError } from '../src/errors';
+import { endpointKey } from '../src/rate_limits';
+import { RetryBudget, defaultRetryBackoff, retryAfter } from '../src/retry';
+import { httpError, networkError, ok } from './utils';
+
+const expect = chai.expect;
+
+function rateLimitHeaders(remaining, reset = 1600000000) {
+	return {
+		'x-ratelimit-limit': '60',
+		'x-ratelimit-remaining': `${remaining}`,
+		'x-ratelimit-reset': `${reset}`,
+	};
+}
+
+describe('Rate limits and retries', function() {
+	let client;
+	let backoff;
+
+	beforeEach(() => {
+		backoff = sinon.fake.returns(1);
+		client = new StreamChat('apiKey', 'secret', { retryPolicy: { backoff } });
+	});
+
+	it('tracks the rate limits per endpoint', async () => {
+		client.axiosInstance.get = () => ok({ channels: [] }, rateLimitHeaders(59));
+		client.axiosInstance.post = () => ok({}, rateLimitHeaders(10));
+		await client.get(`${client.baseURL}/channels`);
+		await client.post(`${client.baseURL}/channels/messaging/general/message`, {});
+
+		const limit = client.getRateLimit('get', '/channels');
+		expect(limit.limit).to.equal(60);
+		expect(limit.remaining).to.equal(59);
+		expect(limit.reset.getTime()).to.equal(1600000000 * 1000);
+		expect(
+			client.getRateLimit('post', '/channels/team/other/message').remaining,
+		).to.equal(10);
+		expect(Object.keys(client.getRateLimits())).to.eql([
+			'GET /channels',
+			'POST /channels/*/*/message',
+		]);
+		expect(client.getRateLimit('get', '/users')).to.equal(null);
+		expect(endpointKey('delete', '/messages/abc/reaction/love?user_id=1')).to.equal(
+			'DELETE /messages/*/reaction/*',
+		);
+	});
+
+	it('retries idempotent requests on server and network errors', async () => {
+		client.axiosInstance.get = sinon.stub();
+		client.axiosInstance.get.onCall(0).rejects(httpError(503));
+		client.axiosInstance.get.onCall(1).rejects(networkError());
+		client.axiosInstance.get.onCall(2).returns(ok({ users: [] }));
+
+		const response = await client.queryUsers({ id: 'jack' });
+		expect(response.users).to.eql([]);
+		expect(client.axiosInstance.get.callCount).to.equal(3);
+		expect(backoff.getCalls().map(call => call.args[0].attempt)).to.eql([1, 2]);
+	});
+
+	it('waits for the rate limit to reset', async () => {
+		const headers = rateLimitHeaders(0, Math.floor(Date.now() / 1000) + 30);
+		client.axiosInstance.get = sinon.stub();
+		client.axiosInstance.get.onCall(0).rejects(httpError(429, {}, headers));
+		client.axiosInstance.get.onCall(1).returns(ok({ channels: [] }));
+
+		await client.get(`${client.baseURL}/channels`);
+		const { retryAfter: wait, error } = backoff.firstCall.args[0];
+		expect(wait).to.be.within(28000, 30000);
+		expect(error.response.status).to.equal(429);
+		expect(defaultRetryBackoff({ attempt: 1, retryAfter: wait })).to.equal(wait);
+		expect(retryAfter({ status: 429, headers: { 'retry-after': '2' } })).to.equal(
+			2000,
+		);
+	});
+
+	it("doesn't retry other methods unless they are idempotent", async () => {
+		client.axiosInstance.post = sinon.fake.rejects(httpError(500));
+		let error;
+		try {
+			await client.post(`${client.baseURL}/channels/messaging/general/message`, {});
+		} catch (e) {
+			error = e;
+		}
+		expect(error.status).to.equal(500);
+		expect(client.axiosInstance.post.callCount).to.equal(1);
+
+		client.axiosInstance.post = sinon.stub();
+		client.axiosInstance.post.onCall(0).rejects(httpError(500));
+		client.axiosInstance.post.onCall(1).returns(ok({ users: {} }));
+		await client.upsertUsers([{ id: 'jack' }]);
+		expect(client.axiosInstance.post.callCount).to.equal(2);
+	});
+
+	it("doesn't retry client errors", async () => {
+		client.axiosInstance.get = sinon.fake.rejects(
+			httpError(404, { code: 16, message: 'not found' }),
+		);
+		let error;
+		try {
+			await client.get(`${client.baseURL}/channels`);
+		} catch (e) {
+			error = e;
+		}
+		expect(error.code).to.equal(16);
+		expect(client.axiosInstance.get.callCount).to.equal(1);
+	});
+
+	it('gives up after maxRetries and when the budget is used up', async () => {
+		client = new StreamChat('apiKey', 'secret', {
+			retryPolicy: { backoff: () => 1, maxRetries: 2, budget: 3 },
+		});
+		client.axiosInstance.get = sinon.fake.rejects(
+			httpError(429, {}, rateLimitHeaders(0)),
+		);
+		let error;
+		try {
+			await client.get(`${client.baseURL}/channels`);
+		} catch (e) {
+			error = e;
+		}
+		expect(client.axiosInstance.get.callCount).to.equal(3);
+		expect(error).to.be.an.instanceof(RateLimitError);
+		expect(error.rateLimit.remaining).to.equal(0);
+
+		// one retry left in the budget
+		try {
+			await client.get(`${client.baseURL}/channels`);
+		} catch (e) {
+			error = e;
+		}
+		expect(client.axiosInstance.get.callCount).to.equal(5);
+
+		const budget = new RetryBudget(1, 1000);
+		expect(budget.take(0)).to.equal(true);
+		expect(budget.take(500)).to.equal(false);
+		expect(budget.take(1001)).to.equal(true);
+	});
+
+	it('can be disabled', async () => {
+		client = new StreamChat('apiKey', 'secret', { retryPolicy: false });
+		client.axiosInstance.get = sinon.fake.rejects(httpError(503));
+		try {
+			await client.get(`${client.baseURL}/channels`);
+		} catch (e) {
+			// expected
+		}
+		expect(client.axiosInstance.get.callCount).to.equal(1);
+	});
+});
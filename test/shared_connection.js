@@ -0,0 +1,151 @@
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import { StreamChat } from '../src/client';
+import { MockServer } from '../src/mock_server';
+import { sleep } from '../src/utils';
+
+const expect = chai.expect;
+chai.use(chaiAsPromised);
+
+const sharedConnection = {
+	electionTimeout: 20,
+	heartbeatInterval: 20,
+	leaderTimeout: 100,
+};
+
+describe('Shared connection', function() {
+	const server = new MockServer({ apiKey: 'key', secret: 'secret' });
+	const clients = [];
+
+	// every client is a browser tab
+	async function openTab(userID, options = { sharedConnection }) {
+		const client = new StreamChat('key', options);
+		client.setBaseURL(server.baseURL);
+		clients.push(client);
+		await client.setUser({ id: userID }, server.createToken(userID));
+		return client;
+	}
+
+	function sockets(userID) {
+		return server._connectionsOf(userID).length;
+	}
+
+	before(() => server.start());
+
+	afterEach(async () => {
+		await Promise.all(clients.map(client => client.disconnect()));
+		clients.length = 0;
+		server.reset();
+	});
+
+	after(() => server.stop());
+
+	it('opens one connection for all the tabs', async () => {
+		const tab1 = await openTab('jack');
+		const tab2 = await openTab('jack');
+		const tab3 = await openTab('jack');
+		expect(sockets('jack')).to.equal(1);
+		expect(tab1.sharedConnection.isLeader()).to.equal(true);
+		expect(tab2.sharedConnection.role).to.equal('follower');
+		expect(tab2.connectionID).to.equal(tab1.connectionID);
+		expect(tab3.connectionID).to.equal(tab1.connectionID);
+		expect(tab2.connectionState).to.equal('connected');
+		expect(tab2.user.online).to.equal(true);
+	});
+
+	it('forwards the events of the leader to the other tabs', async () => {
+		const tab1 = await openTab('jack');
+		const tab2 = await openTab('jack');
+		const tommaso = await openTab('tommaso', {});
+
+		// the follower watches the channel with the connection of the leader
+		const channel = tab2.channel('messaging', 'shared', {
+			members: ['jack', 'tommaso'],
+		});
+		await channel.watch();
+		const received = sinon.fake();
+		channel.on('message.new', received);
+		const leaderReceived = sinon.fake();
+		tab1.on('message.new', leaderReceived);
+
+		await tommaso.channel('messaging', 'shared').sendMessage({ text: 'hello' });
+		await sleep(50);
+		expect(received.callCount).to.equal(1);
+		expect(leaderReceived.callCount).to.equal(1);
+		expect(channel.state.messages.map(m => m.text)).to.eql(['hello']);
+		expect(channel.countUnread()).to.equal(1);
+
+		// API calls from the follower work as usual
+		const response = await channel.sendMessage({ text: 'hi from tab 2' });
+		expect(response.message.user.id).to.equal('jack');
+	});
+
+	it('marks the channel as read from one tab only', async () => {
+		const tab1 = await openTab('jack');
+		const tab2 = await openTab('jack');
+		const channels = [tab1, tab2].map(tab =>
+			tab.channel('messaging', 'read', { members: ['jack'] }),
+		);
+		for (const channel of channels) {
+			await channel.watch();
+		}
+		await channels[0].sendMessage({ text: 'hello' });
+		await sleep(50);
+		const posts = [tab1, tab2].map(tab => sinon.spy(tab, 'post'));
+
+		await channels[1].markRead();
+		await sleep(20);
+		expect(await channels[0].markRead()).to.equal(null);
+		expect(posts[0].callCount + posts[1].callCount).to.equal(1);
+	});
+
+	it("doesn't claim the read when the request fails", async () => {
+		const tab1 = await openTab('jack');
+		const tab2 = await openTab('jack');
+		const channels = [tab1, tab2].map(tab =>
+			tab.channel('messaging', 'read-failed', { members: ['jack'] }),
+		);
+		for (const channel of channels) {
+			await channel.watch();
+		}
+		await channels[0].sendMessage({ text: 'hello' });
+		await sleep(50);
+		const post = tab2.post;
+		tab2.post = sinon.fake.rejects(new Error('Network Error'));
+
+		await expect(channels[1].markRead()).to.be.rejectedWith('Network Error');
+		tab2.post = post;
+		await sleep(20);
+		const posts = sinon.spy(tab1, 'post');
+		expect(await channels[0].markRead()).to.not.equal(null);
+		expect(posts.callCount).to.equal(1);
+	});
+
+	it('elects a new leader when the leader goes away', async () => {
+		const tab1 = await openTab('jack');
+		const tab2 = await openTab('jack');
+		const tab3 = await openTab('jack');
+		const channel = tab3.channel('messaging', 'failover', { members: ['jack'] });
+		await channel.watch();
+		const oldConnectionID = tab1.connectionID;
+
+		await tab1.disconnect();
+		await sleep(200);
+		expect(sockets('jack')).to.equal(1);
+		const leader = tab2.sharedConnection.isLeader() ? tab2 : tab3;
+		const follower = leader === tab2 ? tab3 : tab2;
+		expect(follower.sharedConnection.role).to.equal('follower');
+		expect(leader.connectionID).to.not.equal(oldConnectionID);
+		expect(follower.connectionID).to.equal(leader.connectionID);
+
+		// the channel was watched again on the new connection
+		const received = new Promise(resolve => channel.on('message.new', resolve));
+		server.sendEvent({
+			type: 'message.new',
+			cid: channel.cid,
+			message: { id: 'after-failover', text: 'still here', user: { id: 'jack' } },
+		});
+		expect((await received).message.text).to.equal('still here');
+	});
+});
@@ -0,0 +1,177 @@
+import chai from 'chai';
+import sinon from 'sinon';
+import { StreamChat } from '../src/client';
+import { MemoryStorage, KeyValueStorage, WriteQueue } from '../src/storage';
+import { sleep } from '../src/utils';
+import { getOfflineClient } from './utils';
+
+const expect = chai.expect;
+
+function getStateClient(storage) {
+	return getOfflineClient({ storage, persistState: true }, 'state-user');
+}
+
+function channelResponse(id) {
+	return {
+		channel: { id, type: 'messaging', cid: `messaging:${id}`, name: `channel ${id}` },
+		messages: [
+			{
+				id: `${id}-1`,
+				text: 'hello',
+				user: { id: 'other-user' },
+				created_at: '2020-07-20T10:00:00.000Z',
+				updated_at: '2020-07-20T10:00:00.000Z',
+			},
+		],
+		members: [{ user_id: 'other-user', user: { id: 'other-user', name: 'Other' } }],
+		read: [{ user: { id: 'other-user' }, last_read: '2020-07-20T10:00:00.000Z' }],
+		watcher_count: 3,
+	};
+}
+
+describe('State store', function() {
+	let storage;
+
+	beforeEach(() => {
+		storage = new MemoryStorage();
+	});
+
+	it('is disabled by default', () => {
+		const client = new StreamChat('apiKey');
+		expect(client.stateStore).to.equal(null);
+	});
+
+	it('restores channels, messages, members, read state and users', async () => {
+		const client = getStateClient(storage);
+		const channel = client.channel('messaging', 'cached');
+		channel.initialized = true;
+		channel.data = channelResponse('cached').channel;
+		channel._initializeState(channelResponse('cached'));
+		await client.stateStore.save();
+
+		const restored = getStateClient(storage);
+		await restored.stateStore.rehydrate();
+
+		const restoredChannel = restored.activeChannels['messaging:cached'];
+		expect(restoredChannel.data.name).to.equal('channel cached');
+		expect(restoredChannel.state.messages).to.have.length(1);
+		expect(restoredChannel.state.messages[0].created_at).to.be.instanceOf(Date);
+		expect(restoredChannel.state.members['other-user'].user.name).to.equal('Other');
+		expect(restoredChannel.state.read['other-user'].last_read).to.be.instanceOf(Date);
+		expect(restoredChannel.state.watcher_count).to.equal(3);
+		expect(restored.state.users['other-user'].name).to.equal('Other');
+		expect(restored.state.userChannelReferences['other-user']).to.eql({
+			'messaging:cached': true,
+		});
+	});
+
+	it('only keeps the most recent messages', async () => {
+		const client = getStateClient(storage);
+		client.stateStore.maxMessages = 2;
+		const channel = client.channel('messaging', 'long');
+		channel.initialized = true;
+		const state = channelResponse('long');
+		for (let i = 2; i <= 5; i++) {
+			state.messages.push({
+				...state.messages[0],
+				id: `long-${i}`,
+				created_at: `2020-07-20T10:0${i}:00.000Z`,
+			});
+		}
+		channel._initializeState(state);
+		await client.stateStore.save();
+
+		const snapshot = JSON.parse(
+			await storage.getItem('stream-chat-state-state-user'),
+		);
+		expect(snapshot.channels['messaging:long'].state.messages.map(m => m.id)).to.eql([
+			'long-4',
+			'long-5',
+		]);
+	});
+
+	it('replays the missed events with sync', async () => {
+		const client = getStateClient(storage);
+		const channel = client.channel('messaging', 'synced');
+		channel.initialized = true;
+		channel._initializeState(channelResponse('synced'));
+		client.stateStore.lastSyncAt = '2020-07-20T10:00:00.000Z';
+		await client.stateStore.save();
+
+		const restored = getStateClient(storage);
+		await restored.stateStore.rehydrate();
+		restored.sync = sinon.fake.resolves({
+			events: [
+				{
+					type: 'message.new',
+					cid: 'messaging:synced',
+					message: {
+						id: 'synced-2',
+						text: 'missed it',
+						user: { id: 'other-user' },
+						created_at: '2020-07-20T11:00:00.000Z',
+					},
+				},
+			],
+		});
+		await restored.stateStore.reconcile();
+
+		expect(restored.sync.firstCall.args).to.eql([
+			['messaging:synced'],
+			'2020-07-20T10:00:00.000Z',
+		]);
+		const messages = restored.activeChannels['messaging:synced'].state.messages;
+		expect(messages.map(m => m.id)).to.eql(['synced-1', 'synced-2']);
+	});
+
+	it("doesn't fail setUser when the snapshot can't be restored", async () => {
+		await storage.setItem('stream-chat-state-jack', '{not json');
+		const client = new StreamChat('apiKey', { storage, persistState: true });
+		client._setupConnection = sinon.fake.resolves({ connection_id: 'connection' });
+		client.logger = sinon.fake();
+
+		const result = await client.setUser({ id: 'jack' }, client.devToken('jack'));
+		expect(result).to.eql({ connection_id: 'connection' });
+		expect(client.logger.calledWith('warn')).to.equal(true);
+	});
+
+	it('works with synchronous stores like localStorage', async () => {
+		const items = {};
+		const localStorage = {
+			getItem: key => (key in items ? items[key] : null),
+			setItem: (key, value) => {
+				items[key] = value;
+			},
+			removeItem: key => {
+				delete items[key];
+			},
+		};
+		const wrapped = new KeyValueStorage(localStorage, 'app:');
+		await wrapped.setItem('key', 'value');
+		expect(items).to.eql({ 'app:key': 'value' });
+		expect(await wrapped.getItem('key')).to.equal('value');
+		await wrapped.removeItem('key');
+		expect(await wrapped.getItem('key')).to.equal(null);
+	});
+
+	it('runs the storage writes one after the other', async () => {
+		const writes = new WriteQueue();
+		const order = [];
+		const slow = writes.push(async () => {
+			await sleep(10);
+			order.push('slow');
+			throw new Error('quota exceeded');
+		});
+		const fast = writes.push(() => order.push('fast'));
+		let error;
+		try {
+			await slow;
+		} catch (e) {
+			error = e;
+		}
+		expect(error.message).to.equal('quota exceeded');
+		// a failed write doesn't block the ones after it
+		await fast;
+		expect(order).to.eql(['slow', 'fast']);
+	});
+});
@@ -0,0 +1,164 @@
+import chai from 'chai';
+import sinon from 'sinon';
+import { StreamChat } from '../src/client';
+import { MockServer } from '../src/mock_server';
+import { sleep } from '../src/utils';
+
+const expect = chai.expect;
+
+describe('Thread', function() {
+	let time = Date.parse('2020-08-01T10:00:00.000Z');
+	// every timestamp is a second later, so the replies have a stable order
+	const server = new MockServer({
+		apiKey: 'key',
+		secret: 'secret',
+		now: () => new Date((time += 1000)),
+	});
+	const clients = [];
+	let jack;
+	let tommaso;
+	let thierry;
+	let parent;
+	let channel;
+
+	async function connect(userID) {
+		const client = new StreamChat('key');
+		client.setBaseURL(server.baseURL);
+		await client.setUser({ id: userID }, server.createToken(userID));
+		clients.push(client);
+		return client;
+	}
+
+	function texts(messages) {
+		return messages.map(message => message.text);
+	}
+
+	function reply(client, text) {
+		return client
+			.channel('messaging', 'threads')
+			.sendMessage({ text, parent_id: parent.id });
+	}
+
+	before(() => server.start());
+
+	beforeEach(async () => {
+		tommaso = await connect('tommaso');
+		thierry = await connect('thierry');
+		jack = await connect('jack');
+		const other = tommaso.channel('messaging', 'threads', {
+			members: ['jack', 'tommaso', 'thierry'],
+		});
+		await other.create();
+		({ message: parent } = await other.sendMessage({ text: 'parent' }));
+		for (let i = 0; i < 30; i++) {
+			await reply(i % 3 ? tommaso : thierry, `reply ${i}`);
+		}
+		channel = jack.channel('messaging', 'threads');
+		await channel.watch();
+	});
+
+	afterEach(async () => {
+		await Promise.all(clients.map(client => client.disconnect()));
+		clients.length = 0;
+		server.reset();
+	});
+
+	after(() => server.stop());
+
+	it('loads the replies page by page', async () => {
+		const thread = channel.thread(parent);
+		expect(channel.thread(parent.id)).to.equal(thread);
+		expect(thread.parent.text).to.equal('parent');
+		expect(thread.replyCount).to.equal(30);
+
+		const promise = thread.loadReplies({ limit: 20 });
+		expect(thread.loadReplies()).to.equal(promise);
+		const replies = await promise;
+		expect(texts(replies)).to.eql(texts(thread.replies));
+		expect(replies.length).to.equal(20);
+		expect(replies[0].text).to.equal('reply 10');
+		expect(thread.hasMoreOlder).to.equal(true);
+		expect(channel.state.threads[parent.id]).to.equal(thread.replies);
+
+		const page = await thread.loadOlder({ limit: 20 });
+		expect(page.length).to.equal(10);
+		expect(thread.hasMoreOlder).to.equal(false);
+		expect(thread.replies.length).to.equal(30);
+		expect(thread.replies[0].text).to.equal('reply 0');
+		expect(await thread.loadOlder()).to.eql([]);
+		expect(thread.participants.map(user => user.id)).to.eql(['tommaso', 'thierry']);
+		expect(channel.state.findMessage(page[0].id, parent.id).text).to.equal('reply 0');
+	});
+
+	it('fetches the parent message it does not have', async () => {
+		channel.state.clearMessages();
+		const thread = channel.thread(parent.id);
+		expect(thread.parent).to.equal(null);
+		expect(thread.replyCount).to.equal(0);
+		await thread.loadReplies();
+		expect(thread.parent.text).to.equal('parent');
+		expect(thread.replyCount).to.equal(30);
+	});
+
+	it('adds new replies live and counts the unread ones', async () => {
+		const thread = channel.thread(parent);
+		await thread.loadReplies();
+		const changed = sinon.fake();
+		jack.on('thread.changed', changed);
+
+		await reply(tommaso, 'new reply');
+		await reply(tommaso, 'another reply');
+		await sleep(50);
+		expect(thread.replies[thread.replies.length - 1].text).to.equal('another reply');
+		expect(thread.replyCount).to.equal(32);
+		expect(thread.countUnread()).to.equal(2);
+		expect(changed.callCount).to.equal(2);
+		expect(changed.lastCall.args[0].thread).to.equal(thread);
+		// the replies aren't messages of the channel
+		expect(channel.state.messages.length).to.equal(1);
+
+		thread.markRead();
+		expect(thread.countUnread()).to.equal(0);
+		expect(thread.lastRead).to.eql(
+			thread.replies[thread.replies.length - 1].created_at,
+		);
+
+		await reply(tommaso, 'unread');
+		await sleep(50);
+		expect(thread.countUnread()).to.equal(1);
+		// replying reads the thread, the echo of the reply isn't counted twice
+		await channel.sendMessage({ text: 'my reply', parent_id: parent.id });
+		await sleep(50);
+		expect(thread.countUnread()).to.equal(0);
+		expect(thread.replyCount).to.equal(34);
+		expect(thread.participants.map(user => user.id)).to.eql([
+			'tommaso',
+			'thierry',
+			'jack',
+		]);
+	});
+
+	it('keeps the replies and loads the missed ones when the connection recovers', async () => {
+		const thread = channel.thread(parent);
+		await thread.loadReplies();
+		const notLoaded = channel.thread('not-loaded');
+		sinon.spy(channel, 'getReplies');
+
+		// jack doesn't receive events while he's offline
+		const messageCallback = jack.wsConnection.messageCallback;
+		jack.wsConnection.messageCallback = () => {};
+		await reply(tommaso, 'missed reply');
+		jack.wsConnection.messageCallback = messageCallback;
+
+		await jack.recoverState();
+		expect(channel.thread(parent)).to.equal(thread);
+		expect(thread.replies.length).to.equal(26);
+		expect(thread.replies[0].text).to.equal('reply 5');
+		expect(thread.replies[25].text).to.equal('missed reply');
+		expect(channel.state.threads[parent.id].length).to.equal(26);
+		expect(thread.replyCount).to.equal(31);
+		// threads that didn't load their replies don't make requests
+		expect(channel.getReplies.callCount).to.equal(1);
+		expect(notLoaded.replies.length).to.equal(0);
+	});
+});
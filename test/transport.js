@@ -0,0 +1,164 @@
+import chai from 'chai';
+import sinon from 'sinon';
+import { StreamChat } from '../src/client';
+import { NotFoundError } from '../src/errors';
+import { MockServer } from '../src/mock_server';
+import { FetchTransport, AxiosTransport, buildURL } from '../src/transport';
+
+const expect = chai.expect;
+
+function fetchResponse(status, body, headers = {}) {
+	return Promise.resolve({
+		status,
+		statusText: '',
+		text: () => Promise.resolve(body),
+		headers: new Map(Object.entries(headers)),
+	});
+}
+
+describe('Transport', function() {
+	it('uses axios by default', () => {
+		const client = new StreamChat('apiKey');
+		expect(client.transport).to.be.an.instanceof(AxiosTransport);
+		expect(client.axiosInstance).to.equal(client.transport.axiosInstance);
+	});
+
+	it("doesn't create the axios transport when a transport is passed", () => {
+		const transport = new FetchTransport();
+		const client = new StreamChat('apiKey', { transport });
+		expect(client.transport).to.equal(transport);
+		expect(client.axiosInstance).to.equal(undefined);
+	});
+
+	it('serializes the query params like axios', () => {
+		const url = buildURL('https://api/channels', {
+			api_key: 'key',
+			payload: { filter_conditions: { type: 'messaging' } },
+			ids: ['a', 'b'],
+			since: new Date(0),
+			connection_id: undefined,
+		});
+		expect(url).to.equal(
+			'https://api/channels?api_key=key' +
+				`&payload=${encodeURIComponent(
+					'{"filter_conditions":{"type":"messaging"}}',
+				)}` +
+				'&ids%5B%5D=a&ids%5B%5D=b' +
+				'&since=1970-01-01T00%3A00%3A00.000Z',
+		);
+		expect(buildURL('https://api/app?x=1', { y: 2 })).to.equal(
+			'https://api/app?x=1&y=2',
+		);
+	});
+
+	it('sends requests with fetch', async () => {
+		const fetch = sinon.fake(() =>
+			fetchResponse(201, '{"message":{"id":"1"}}', { 'X-RateLimit-Limit': '60' }),
+		);
+		const transport = new FetchTransport({ fetch });
+		const response = await transport.request({
+			type: 'post',
+			url: 'https://api/message',
+			data: { text: 'hi' },
+			config: { params: { api_key: 'key' }, headers: { Authorization: 'token' } },
+		});
+		expect(response.status).to.equal(201);
+		expect(response.data).to.eql({ message: { id: '1' } });
+		expect(response.headers['x-ratelimit-limit']).to.equal('60');
+
+		const [url, request] = fetch.firstCall.args;
+		expect(url).to.equal('https://api/message?api_key=key');
+		expect(request.method).to.equal('POST');
+		expect(request.body).to.equal('{"text":"hi"}');
+		expect(request.headers.Authorization).to.equal('token');
+		expect(request.credentials).to.equal('omit');
+	});
+
+	it('rejects HTTP and network errors like axios', async () => {
+		let transport = new FetchTransport({
+			fetch: () => fetchResponse(404, '{"code":16}'),
+		});
+		let error;
+		try {
+			await transport.request({ type: 'get', url: 'https://api/messages/1' });
+		} catch (e) {
+			error = e;
+		}
+		expect(error.response.status).to.equal(404);
+		expect(error.response.data).to.eql({ code: 16 });
+
+		transport = new FetchTransport({
+			fetch: () => Promise.reject(new TypeError('Failed to fetch')),
+		});
+		try {
+			await transport.request({ type: 'get', url: 'https://api/messages/1' });
+		} catch (e) {
+			error = e;
+		}
+		expect(error.message).to.equal('Failed to fetch');
+		expect(error.request).to.be.an('object');
+		expect(error.response).to.equal(undefined);
+	});
+
+	it('aborts requests after the timeout', async () => {
+		const transport = new FetchTransport({
+			timeout: 10,
+			fetch: (url, { signal }) =>
+				new Promise((resolve, reject) => {
+					signal.addEventListener('abort', () => {
+						const error = new Error('aborted');
+						error.name = 'AbortError';
+						reject(error);
+					});
+				}),
+		});
+		let error;
+		try {
+			await transport.request({ type: 'get', url: 'https://api/app' });
+		} catch (e) {
+			error = e;
+		}
+		expect(error.code).to.equal('ECONNABORTED');
+		expect(error.message).to.equal('timeout of 10ms exceeded');
+	});
+
+	describe('with the mock server', function() {
+		const server = new MockServer({ apiKey: 'key', secret: 'secret' });
+		let client;
+
+		before(() => server.start());
+
+		after(async () => {
+			await client.disconnect();
+			await server.stop();
+		});
+
+		it('works with the global fetch', async () => {
+			client = new StreamChat('key', { transport: new FetchTransport() });
+			expect(client.axiosInstance).to.equal(undefined);
+			client.setBaseURL(server.baseURL);
+			await client.setUser({ id: 'jack' }, server.createToken('jack'));
+
+			const channel = client.channel('messaging', 'fetch', { members: ['jack'] });
+			await channel.watch();
+			await channel.sendMessage({ text: 'sent with fetch' });
+			const channels = await client.queryChannels({ members: { $in: ['jack'] } });
+			expect(channels[0].state.messages.map(m => m.text)).to.eql([
+				'sent with fetch',
+			]);
+
+			const upload = await channel.sendFile(
+				new File(['hello'], 'hello.txt', { type: 'text/plain' }),
+			);
+			expect(upload.file).to.contain('/uploads/messaging/fetch/');
+
+			let error;
+			try {
+				await client.getMessage('missing');
+			} catch (e) {
+				error = e;
+			}
+			expect(error).to.be.an.instanceof(NotFoundError);
+		});
+	});
+});
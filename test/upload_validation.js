@@ -0,0 +1,168 @@
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import { StreamChat } from '../src/client';
+import {
+	FileTooLargeError,
+	FileTypeNotAllowedError,
+	UploadNotAllowedError,
+	UploadValidationError,
+} from '../src/errors';
+import { Allow, Deny, hasPermission } from '../src/permissions';
+
+const expect = chai.expect;
+chai.use(chaiAsPromised);
+
+function policy(name, action, roles, priority) {
+	return { name, action, resources: ['UploadAttachment'], roles, priority };
+}
+
+describe('Upload validation', function() {
+	let client;
+	let channel;
+	let uploader;
+
+	function createClient(uploads) {
+		uploader = { upload: sinon.fake.resolves({ file: 'https://cdn.example.com/a' }) };
+		client = new StreamChat('apiKey', {
+			uploads: { uploader, managed: true, ...uploads },
+		});
+		client.userID = 'jack';
+		client._setUser({ id: 'jack', role: 'user' });
+		channel = client.channel('messaging', 'validation');
+	}
+
+	beforeEach(() => {
+		createClient({
+			validation: {
+				file: {
+					maxSize: 10,
+					blockedExtensions: ['.exe'],
+					blockedMimeTypes: ['application/x-msdownload'],
+				},
+				image: { allowedMimeTypes: ['image/jpeg', 'image/png'] },
+			},
+		});
+	});
+
+	it('rejects files that are too large before the upload starts', async () => {
+		const promise = channel.sendFile(Buffer.alloc(11), 'big.pdf', 'application/pdf');
+		await expect(promise).to.be.rejectedWith(FileTooLargeError);
+		const error = await promise.catch(e => e);
+		expect(error).to.be.instanceOf(UploadValidationError);
+		expect(error.reason).to.equal('file_too_large');
+		expect(error.limit).to.equal(10);
+		expect(error.file).to.eql({
+			name: 'big.pdf',
+			size: 11,
+			contentType: 'application/pdf',
+		});
+		expect(uploader.upload.callCount).to.equal(0);
+		expect(client.uploads.uploads).to.eql({});
+
+		await channel.sendFile(Buffer.alloc(10), 'small.pdf', 'application/pdf');
+		expect(uploader.upload.callCount).to.equal(1);
+	});
+
+	it('checks the mime type and extension', async () => {
+		expect(() =>
+			channel.upload(Buffer.alloc(1), {
+				name: 'setup.EXE',
+				contentType: 'text/plain',
+			}),
+		)
+			.to.throw(FileTypeNotAllowedError)
+			.with.property('reason', 'extension_not_allowed');
+		expect(() =>
+			channel.upload(Buffer.alloc(1), {
+				name: 'setup',
+				contentType: 'application/x-msdownload',
+			}),
+		)
+			.to.throw(FileTypeNotAllowedError)
+			.with.property('reason', 'mime_type_not_allowed');
+
+		const error = await channel
+			.sendImage(Buffer.alloc(1), 'photo.gif', 'image/gif')
+			.catch(e => e);
+		expect(error).to.be.instanceOf(FileTypeNotAllowedError);
+		expect(error.limit).to.eql(['image/jpeg', 'image/png']);
+		// the same file type is fine as a file
+		await channel.sendFile(Buffer.alloc(1), 'photo.gif', 'image/gif');
+		expect(uploader.upload.callCount).to.equal(1);
+	});
+
+	it('checks the uploads setting of the channel type', () => {
+		client.configs.messaging = { uploads: false };
+		expect(() => channel.upload(Buffer.alloc(1), { name: 'a.txt' }))
+			.to.throw(UploadNotAllowedError)
+			.with.property('reason', 'uploads_disabled');
+	});
+
+	it('checks the Upload Attachment permission', () => {
+		client.configs.messaging = {
+			uploads: true,
+			permissions: [
+				policy('Members can upload', Allow, ['channel_member'], 600),
+				policy('Users can not upload', Deny, ['user'], 500),
+			],
+		};
+		expect(() => channel.upload(Buffer.alloc(1), { name: 'a.txt' }))
+			.to.throw(UploadNotAllowedError)
+			.with.property('reason', 'permission_denied');
+
+		channel.state.membership = { user: { id: 'jack' } };
+		expect(channel.upload(Buffer.alloc(1), { name: 'a.txt' }).status).to.equal(
+			'uploading',
+		);
+	});
+
+	it('evaluates the permission policies by priority', () => {
+		const policies = [
+			{ ...policy('Deny all', Deny, ['*'], 1), resources: ['*'] },
+			policy('Admins can upload', Allow, ['admin'], 999),
+		];
+		expect(hasPermission(policies, 'Upload Attachment', ['admin'])).to.equal(true);
+		expect(hasPermission(policies, 'Upload Attachment', ['user'])).to.equal(false);
+		expect(hasPermission([], 'Upload Attachment', ['user'])).to.equal(undefined);
+	});
+
+	it('checks the size of processed images after processing', async () => {
+		createClient({
+			validation: { image: { maxSize: 100 } },
+			images: {
+				processor: {
+					load: () => Promise.resolve({ width: 4000, height: 3000 }),
+					encode: () => Promise.resolve(Buffer.alloc(50)),
+				},
+				blurhash: false,
+			},
+		});
+		const response = await channel.sendImage(
+			Buffer.alloc(1000),
+			'photo.jpg',
+			'image/jpeg',
+		);
+		expect(response.original_width).to.equal(2048);
+		expect(uploader.upload.lastCall.args[0].size).to.equal(50);
+
+		const error = await channel
+			.sendImage(Buffer.alloc(1000), 'photo.jpg', 'image/jpeg', undefined, {
+				process: false,
+			})
+			.catch(e => e);
+		expect(error).to.be.instanceOf(FileTooLargeError);
+	});
+
+	it('is off by default', async () => {
+		createClient({});
+		channel.getConfig = () => ({ uploads: false });
+		await channel.sendFile(Buffer.alloc(25 * 1024 * 1024), 'big.zip');
+		await channel.sendImage(Buffer.alloc(10), 'notes.txt', 'text/plain');
+		expect(uploader.upload.callCount).to.equal(2);
+
+		createClient({ validation: false });
+		await channel.sendFile(Buffer.alloc(25 * 1024 * 1024), 'big.zip');
+		expect(uploader.upload.callCount).to.equal(1);
+	});
+});
@@ -0,0 +1,317 @@
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import { Readable } from 'stream';
+import { StreamChat } from '../src/client';
+import { AbortError } from '../src/errors';
+import { sleep } from '../src/utils';
+import { deferred, httpError, networkError } from './utils';
+
+const expect = chai.expect;
+chai.use(chaiAsPromised);
+
+// an uploader that finishes the uploads when the test says so
+function manualUploader() {
+	const uploader = {
+		running: {},
+		upload: (upload, { signal, onProgress }) =>
+			new Promise((resolve, reject) => {
+				uploader.running[upload.name] = { resolve, reject, onProgress };
+				signal.addEventListener('abort', () => reject(new AbortError()));
+			}),
+	};
+	return uploader;
+}
+
+// a chunked uploader that keeps the chunks in memory
+function chunkedUploader({ failAt = [] } = {}) {
+	const uploader = {
+		chunkSize: 4,
+		offsets: [],
+		chunks: [],
+		start: () => Promise.resolve({ uploadID: 'session-1' }),
+		uploadChunk: (upload, chunk, { offset }) => {
+			uploader.offsets.push(offset);
+			if (failAt.includes(uploader.offsets.length)) {
+				return Promise.reject(networkError());
+			}
+			uploader.chunks.push(chunk.toString());
+			return Promise.resolve();
+		},
+		complete: upload =>
+			Promise.resolve({
+				file: `https://cdn.example.com/${upload.session.uploadID}`,
+			}),
+	};
+	return uploader;
+}
+
+describe('Uploads', function() {
+	let client;
+	let channel;
+	let uploader;
+
+	beforeEach(() => {
+		uploader = manualUploader();
+		client = new StreamChat('apiKey', 'secret', {
+			uploads: { concurrency: 2, backoff: () => 1, uploader },
+		});
+		channel = client.channel('messaging', 'uploads');
+	});
+
+	afterEach(() => {
+		client.uploads.cancelAll();
+	});
+
+	it('runs a limited number of uploads at the same time', async () => {
+		const uploads = ['a', 'b', 'c'].map(name =>
+			channel.upload(Buffer.from(name), { name }),
+		);
+		expect(uploads.map(upload => upload.status)).to.eql([
+			'uploading',
+			'uploading',
+			'queued',
+		]);
+
+		uploader.running.a.resolve({ file: 'https://cdn.example.com/a' });
+		expect(await uploads[0].promise).to.eql({ file: 'https://cdn.example.com/a' });
+		await sleep(0);
+		expect(uploads[2].status).to.equal('uploading');
+		expect(client.uploads.active).to.equal(2);
+	});
+
+	it('reports progress', async () => {
+		const events = [];
+		channel.on('upload.progress', event =>
+			events.push(event.upload.loaded / event.upload.size),
+		);
+		channel.on('upload.completed', event => events.push(event.upload.status));
+		const upload = channel.upload(Buffer.alloc(100), { name: 'big.mp4' });
+
+		uploader.running['big.mp4'].onProgress(25);
+		uploader.running['big.mp4'].onProgress(50);
+		uploader.running['big.mp4'].resolve({ file: 'https://cdn.example.com/big.mp4' });
+		await upload.promise;
+		expect(events).to.eql([0.25, 0.5, 'completed']);
+		expect(upload.progress).to.equal(1);
+		const listener = sinon.fake();
+		channel.on('upload.failed', listener);
+		const cancelled = channel.upload(Buffer.alloc(10), { name: 'cancelled.mp4' });
+		cancelled.cancel();
+		// the events have plain data, not the upload
+		expect(listener.lastCall.args[0].upload).to.eql({
+			id: cancelled.id,
+			cid: channel.cid,
+			status: 'cancelled',
+			loaded: 0,
+			size: 10,
+			error: cancelled.error,
+		});
+	});
+
+	it('retries network errors', async () => {
+		const upload = channel.upload(Buffer.from('hi'), { name: 'retry' });
+		uploader.running.retry.reject(networkError());
+		await sleep(10);
+		expect(upload.attempts).to.equal(1);
+		expect(upload.status).to.equal('uploading');
+		uploader.running.retry.resolve({ file: 'https://cdn.example.com/retry' });
+		expect((await upload.promise).file).to.equal('https://cdn.example.com/retry');
+
+		const failed = channel.upload(Buffer.from('hi'), { name: 'invalid' });
+		const error = new Error('Request failed with status code 400');
+		error.response = { status: 400 };
+		uploader.running.invalid.reject(error);
+		await expect(failed.promise).to.be.rejectedWith(error);
+		expect(failed.status).to.equal('failed');
+	});
+
+	it('cancels uploads', async () => {
+		const failed = sinon.fake();
+		channel.on('upload.failed', failed);
+		const controller = new AbortController();
+		const running = channel.upload(Buffer.from('a'), { name: 'a' });
+		const queued = channel.upload(Buffer.from('b'), {
+			name: 'b',
+			signal: controller.signal,
+		});
+		const other = channel.upload(Buffer.from('c'), { name: 'c' });
+
+		running.cancel();
+		controller.abort();
+		await expect(running.promise).to.be.rejectedWith(AbortError);
+		await expect(queued.promise).to.be.rejectedWith(AbortError);
+		expect(running.status).to.equal('cancelled');
+		expect(failed.callCount).to.equal(2);
+		// the next upload starts right away
+		await sleep(0);
+		expect(other.status).to.equal('uploading');
+	});
+
+	it('stops listening to the signal once the upload is done', async () => {
+		const controller = new AbortController();
+		sinon.spy(controller.signal, 'addEventListener');
+		sinon.spy(controller.signal, 'removeEventListener');
+		const completed = channel.upload(Buffer.from('a'), {
+			name: 'a',
+			signal: controller.signal,
+		});
+		const failed = channel.upload(Buffer.from('b'), {
+			name: 'b',
+			signal: controller.signal,
+		});
+		const removed = channel.upload(Buffer.from('c'), {
+			name: 'c',
+			signal: controller.signal,
+		});
+		expect(controller.signal.addEventListener.firstCall.args[2]).to.eql({
+			once: true,
+		});
+
+		uploader.running.a.resolve({ file: 'https://cdn.example.com/a' });
+		await completed.promise;
+		const error = new Error('Request failed with status code 400');
+		error.response = { status: 400 };
+		uploader.running.b.reject(error);
+		await expect(failed.promise).to.be.rejectedWith(error);
+		client.uploads.remove(removed.id);
+		expect(controller.signal.removeEventListener.callCount).to.equal(3);
+
+		controller.abort();
+		expect(completed.status).to.equal('completed');
+	});
+
+	it('resumes chunked uploads from the last chunk', async () => {
+		const chunked = chunkedUploader({ failAt: [2] });
+		const upload = channel.upload(Buffer.from('0123456789'), {
+			name: 'video.mp4',
+			uploader: chunked,
+		});
+		const response = await upload.promise;
+		expect(response.file).to.equal('https://cdn.example.com/session-1');
+		// the second chunk failed once and was sent again, the first one wasn't
+		expect(chunked.offsets).to.eql([0, 4, 4, 8]);
+		expect(chunked.chunks).to.eql(['0123', '4567', '89']);
+	});
+
+	it('pauses and resumes chunked uploads', async () => {
+		const chunked = chunkedUploader();
+		const uploadChunk = chunked.uploadChunk;
+		let paused;
+		chunked.uploadChunk = (upload, chunk, options) => {
+			if (options.offset === 4 && !paused) {
+				paused = true;
+				upload.pause();
+				return Promise.reject(new AbortError());
+			}
+			return uploadChunk(upload, chunk, options);
+		};
+		const upload = channel.upload(Buffer.from('0123456789'), { uploader: chunked });
+		await sleep(0);
+		expect(upload.status).to.equal('paused');
+		expect(upload.offset).to.equal(4);
+
+		upload.resume();
+		await upload.promise;
+		// the paused chunk is sent again, the first one isn't
+		expect(chunked.offsets).to.eql([0, 4, 8]);
+		expect(chunked.chunks).to.eql(['0123', '4567', '89']);
+	});
+
+	it('sends messages once their uploads finish', async () => {
+		const user = new StreamChat('apiKey', { uploads: { uploader } });
+		user.userID = 'jack';
+		user._setUser({ id: 'jack' });
+		user.post = sinon.fake((url, { message }) => Promise.resolve({ message }));
+		const userChannel = user.channel('messaging', 'uploads');
+
+		const image = userChannel.upload(Buffer.from('image'), {
+			type: 'image',
+			name: 'photo.jpg',
+		});
+		const promise = userChannel.sendMessage({
+			text: 'look',
+			attachments: [{ type: 'image', upload_id: image.id }],
+		});
+		await sleep(0);
+		expect(userChannel.state.messages[0].status).to.equal('sending');
+		expect(user.post.callCount).to.equal(0);
+
+		uploader.running['photo.jpg'].resolve({
+			file: 'https://cdn.example.com/photo.jpg',
+		});
+		const response = await promise;
+		expect(response.message.attachments).to.eql([
+			{ type: 'image', image_url: 'https://cdn.example.com/photo.jpg' },
+		]);
+		expect(user.uploads.get(image.id)).to.equal(undefined);
+		user.outbox.reset();
+	});
+
+	it('fails messages when an upload fails', async () => {
+		const user = new StreamChat('apiKey', { uploads: { uploader } });
+		user.userID = 'jack';
+		user._setUser({ id: 'jack' });
+		user.post = sinon.fake.resolves({});
+		const userChannel = user.channel('messaging', 'uploads');
+
+		const file = userChannel.upload(Buffer.from('file'), { name: 'doc.pdf' });
+		const promise = userChannel.sendMessage({
+			attachments: [{ type: 'file', upload_id: file.id }],
+		});
+		file.cancel();
+		await expect(promise).to.be.rejectedWith(AbortError);
+		expect(userChannel.state.messages[0].status).to.equal('failed');
+		expect(user.post.callCount).to.equal(0);
+	});
+
+	it('sends files right away without the manager by default', async () => {
+		const server = new StreamChat('apiKey', 'secret', {
+			uploads: { concurrency: 1 },
+		});
+		const response = deferred();
+		server.axiosInstance.post = sinon.fake.returns(response.promise);
+		const channel = server.channel('messaging', 'uploads');
+		sinon.spy(server.uploads, 'upload');
+
+		const files = [1, 2].map(i =>
+			channel.sendFile(new Readable({ read() {} }), `${i}.txt`).catch(e => e),
+		);
+		await sleep(0);
+		// the concurrency limit of the manager doesn't apply
+		expect(server.axiosInstance.post.callCount).to.equal(2);
+		response.reject(httpError(502));
+		const errors = await Promise.all(files);
+		expect(errors[0].status).to.equal(502);
+		// failed uploads aren't retried
+		expect(server.axiosInstance.post.callCount).to.equal(2);
+		expect(server.uploads.upload.callCount).to.equal(0);
+	});
+
+	it('uploads to the Stream CDN with the manager', async () => {
+		const server = new StreamChat('apiKey', 'secret', {
+			uploads: { backoff: () => 1, managed: true },
+		});
+		server.axiosInstance.post = sinon.fake((url, data, config) => {
+			config.onUploadProgress({ loaded: 2, total: 4 });
+			return Promise.resolve({
+				status: 200,
+				headers: {},
+				data: { file: 'https://cdn.example.com/test.txt' },
+			});
+		});
+		const progress = sinon.fake();
+		const response = await server
+			.channel('messaging', 'uploads')
+			.sendFile(new Readable({ read() {} }), 'test.txt', 'text/plain', undefined, {
+				onProgress: progress,
+			});
+
+		expect(response.file).to.equal('https://cdn.example.com/test.txt');
+		expect(server.axiosInstance.post.lastCall.args[0]).to.match(
+			/\/channels\/messaging\/uploads\/file$/,
+		);
+		expect(progress.firstCall.args[0].loaded).to.equal(2);
+		expect(server.uploads.uploads).to.eql({});
+	});
+});
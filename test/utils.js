@@ -1,5 +1,7 @@
 import { StreamChat } from '../src';
+import { StableWSConnection } from '../src/connection';
 import chai from 'chai';
+import sinon from 'sinon';
 const expect = chai.expect;
 require('dotenv').config();
 const apiKey = process.env.STREAM_API_KEY;
@@ -115,3 +117,88 @@ export function createEventWaiter(clientOrChannel, eventTypes) {
 		clientOrChannel.on(handler);
 	});
 }
+
+/**
+ * wsFailure - The error of a broken websocket connection, the connection reconnects after it
+ */
+export function wsFailure() {
+	const error = new Error('WS failed with code 1006');
+	error.isWSFailure = true;
+	return error;
+}
+
+/**
+ * createConnection - A StableWSConnection that doesn't open a websocket, stub its _connect method
+ *
+ * @param {object} [options] Overrides the connection options, ie. eventCallback and reconnectPolicy
+ * @param {object} [settings] `checks` keeps the health check and the connection monitor running
+ */
+export function createConnection(options = {}, { checks = false } = {}) {
+	const conn = new StableWSConnection({
+		wsBaseURL: 'ws://localhost',
+		userID: 'connection-user',
+		user: { id: 'connection-user' },
+		tokenManager: { isStatic: () => true },
+		messageCallback: sinon.fake(),
+		recoverCallback: sinon.fake.resolves(),
+		eventCallback: sinon.fake(),
+		logger: () => {},
+		...options,
+	});
+	if (!checks) {
+		conn._startMonitor = sinon.fake();
+		conn._startHealthCheck = sinon.fake();
+	}
+	return conn;
+}
+
+/**
+ * getOfflineClient - A client with a user that doesn't connect, for tests that stub the requests
+ *
+ * @param {object} [options] The client options
+ * @param {string} [userID] The id of the user
+ */
+export function getOfflineClient(options = {}, userID = 'offline-user') {
+	const client = new StreamChat('apiKey', options);
+	client.userID = userID;
+	client._setUser({ id: userID });
+	return client;
+}
+
+/**
+ * ok - A successful response of the transport
+ */
+export function ok(data = {}, headers = {}) {
+	return { status: 200, headers, data };
+}
+
+/**
+ * httpError - The error of the transport for a non 2xx response
+ */
+export function httpError(status, data = {}, headers = {}) {
+	const error = new Error(`Request failed with status code ${status}`);
+	error.response = { status, headers, data };
+	return error;
+}
+
+/**
+ * networkError - The error of the transport for a request that didn't get a response
+ */
+export function networkError() {
+	const error = new Error('Network Error');
+	error.request = {};
+	return error;
+}
+
+/**
+ * deferred - A promise with its resolve and reject functions, to settle it from the test
+ */
+export function deferred() {
+	let resolve;
+	let reject;
+	const promise = new Promise((res, rej) => {
+		resolve = res;
+		reject = rej;
+	});
+	return { promise, resolve, reject };
+}
@@ -1,4 +1,5 @@
 // TypeScript Version: 2.8
+/// <reference path="./mock_server.d.ts" />
 
 export as namespace StreamChat;
 import * as SeamlessImmutable from 'seamless-immutable';
@@ -27,6 +28,11 @@ export interface Attachment {
   footer_icon?: string;
   actions?: Action[];
   og_scrape_url?: string;
+  /** The id of an Upload, the message is sent once the upload finishes */
+  upload_id?: string;
+  original_width?: number;
+  original_height?: number;
+  blurhash?: string;
   [propName: string]: any;
 }
 
@@ -106,6 +112,9 @@ export type NotificationChannelTruncated = 'notification.channel_truncated';
 export type NotificationMutesUpdatedEvent = 'notification.mutes_updated';
 export type ConnectionChangedEvent = 'connection.changed';
 export type ConnectionRecoveredEvent = 'connection.recovered';
+export type ConnectionFailedEvent = 'connection.failed';
+export type ConnectionStateChangedEvent = 'connection.state_changed';
+export type OptimisticUpdateFailedEvent = 'optimistic_update.failed';
 
 export interface OnlineStatusEvent {
   type: 'online' | 'offline';
@@ -113,8 +122,16 @@ export interface OnlineStatusEvent {
 }
 
 export interface ConnectionChangeEvent {
-  type: 'connection.changed' | 'connection.recovered';
+  type:
+    | 'connection.changed'
+    | 'connection.recovered'
+    | 'connection.failed'
+    | 'connection.state_changed';
   online?: boolean;
+  state?: ConnectionState;
+  previous_state?: ConnectionState;
+  attempts?: number;
+  error?: Error;
 }
 
 export interface Reaction {
@@ -168,6 +185,32 @@ export interface StreamChatOptions {
    * }
    */
   logger?: Logger;
+  /** Storage adapter used to persist pending messages, defaults to MemoryStorage */
+  storage?: StorageAdapter;
+  /** Persist the client and channel state in storage, see StateStore */
+  persistState?: boolean;
+  /** Apply reactions, edits and deletes to the local state before the API responds */
+  optimisticUpdates?: boolean;
+  /** How the websocket connection reconnects, see DEFAULT_RECONNECT_POLICY */
+  reconnectPolicy?: Partial<ReconnectPolicy>;
+  /** Close the websocket connection after this many ms in the background */
+  backgroundTimeout?: number | null;
+  /** How failed requests are retried, see DEFAULT_RETRY_POLICY. false disables retries */
+  retryPolicy?: Partial<RetryPolicy> | false;
+  /** Sends the HTTP requests, defaults to an AxiosTransport */
+  transport?: Transport;
+  /** Coalesces identical read requests and optionally caches the responses, see RequestCache */
+  requestCache?: RequestCacheOptions;
+  /** Concurrency, retries and the uploader of file uploads, see UploadManager */
+  uploads?: UploadManagerOptions;
+  /** The defaults of the message composers */
+  composer?: { enrichURL?: EnrichURL };
+  /** Draft synchronization between tabs, off by default, see DraftStore */
+  drafts?: { sync?: boolean };
+  /** Share one connection between the tabs of the user, see SharedConnection */
+  sharedConnection?: boolean | SharedConnectionOptions;
+  /** The number of messages kept per message set, see channel.loadOlder */
+  messageWindow?: number;
   [propName: string]: any;
 }
 export type EventHandler = (event: Event) => void;
@@ -188,9 +231,17 @@ export class StreamChat {
   user: OwnUserResponse;
   browser: boolean;
   wsConnection: StableWSConnection;
+  sharedConnection: SharedConnection | null;
   logger: Logger;
   mutedChannels: ChannelMute[];
   options: StreamChatOptions;
+  rateLimits: RateLimits;
+  middleware: MiddlewareChain;
+  transport: Transport;
+  requestCache: RequestCache;
+  uploads: UploadManager;
+  axiosInstance?: any;
+  retryPolicy: RetryPolicy | null;
   wsPromise: Promise<void>;
   setUserPromise: Promise<void>;
   activeChannels: {
@@ -201,7 +252,17 @@ export class StreamChat {
   };
   anonymous: boolean;
   tokenManager: TokenManager;
-  testPushSettings(userID: string, data: object): Promise<APIResponse>;
+  storage: StorageAdapter;
+  outbox: MessageOutbox;
+  drafts: DraftStore;
+  stateStore: StateStore | null;
+  lastSyncAt: Date | null;
+  connectionState: ConnectionState;
+  testPushSettings(
+    userID: string,
+    data?: object,
+    options?: RequestOptions,
+  ): Promise<APIResponse>;
 
   deleteUser(userID: string, params?: object): Promise<DeleteUserAPIResponse>;
   reactivateUser(userID: string, options?: object): Promise<ReactivateUserAPIResponse>;
@@ -217,37 +278,48 @@ export class StreamChat {
   setUser(user: User, userToken: TokenOrProvider): Promise<ConnectAPIResponse>;
 
   updateAppSettings(options: object): Promise<object>;
-  getAppSettings(): Promise<object>;
+  getAppSettings(options?: RequestOptions): Promise<object>;
   disconnect(): Promise<void>;
 
   setAnonymousUser(): Promise<void>;
-  setGuestUser(user: User): Promise<void>;
+  setGuestUser(user: User, options?: RequestOptions): Promise<void>;
 
   on(callback: EventHandler): { unsubscribe(): void };
 
   on(eventType: string, callback: EventHandler): { unsubscribe(): void };
+  setAppState(appState: AppState): void;
+  onConnectionStateChange(
+    callback: (state: ConnectionState, previousState: ConnectionState) => void,
+  ): { unsubscribe(): void };
 
   off(callback: EventHandler): void;
   off(eventType: string, callback: EventHandler): void;
 
-  get(url: string, params: object): Promise<APIResponse>;
-  put(url: string, data: object): Promise<APIResponse>;
-  post(url: string, data: object): Promise<APIResponse>;
-  delete(url: string, params: object): Promise<APIResponse>;
+  get(url: string, params?: object, options?: RequestOptions): Promise<APIResponse>;
+  put(url: string, data: object, options?: RequestOptions): Promise<APIResponse>;
+  post(url: string, data: object, options?: RequestOptions): Promise<APIResponse>;
+  patch(url: string, data: object, options?: RequestOptions): Promise<APIResponse>;
+  delete(url: string, params?: object, options?: RequestOptions): Promise<APIResponse>;
+  use(middleware: Middleware): { unsubscribe: () => void };
+  getRateLimits(): { [endpoint: string]: RateLimit };
+  getRateLimit(method: string, url: string): RateLimit | null;
   handleResponse(response: APIResponse): APIResponse;
-  errorFromResponse(response: APIResponse): Error;
+  errorFromResponse(response: APIResponse): StreamApiError;
 
   sendFile(
-    url: string | Buffer | File,
-    uri: string,
+    url: string,
+    uri: string | Buffer | Blob | File,
     name?: string,
     contentType?: string,
     user?: User,
+    options?: RequestOptions & {
+      onUploadProgress?: (event: { loaded: number; total?: number }) => void;
+    },
   ): Promise<FileUploadAPIResponse>;
 
   dispatchEvent(event: Event): void;
   handleEvent: EventHandler;
-  recoverState(): Promise<void>;
+  recoverState(open?: object): Promise<void>;
 
   connect(): Promise<void>;
   queryUsers(
@@ -266,9 +338,18 @@ export class StreamChat {
     options: object,
   ): Promise<SearchAPIResponse>;
 
-  addDevice(id: string, push_provider: string, userID: string): Promise<APIResponse>;
-  getDevices(userId: string): Promise<GetDevicesAPIResponse>;
-  removeDevice(deviceId: string, userID?: string): Promise<APIResponse>;
+  addDevice(
+    id: string,
+    push_provider: string,
+    userID?: string,
+    options?: RequestOptions,
+  ): Promise<APIResponse>;
+  getDevices(userId?: string, options?: RequestOptions): Promise<GetDevicesAPIResponse>;
+  removeDevice(
+    deviceId: string,
+    userID?: string,
+    options?: RequestOptions,
+  ): Promise<APIResponse>;
 
   channel(
     channelType: string,
@@ -277,19 +358,23 @@ export class StreamChat {
   ): Channel;
 
   /** @deprecated Please use upsertUser() function instead. */
-  updateUser(userObject: User): Promise<UpdateUsersAPIResponse>;
+  updateUser(userObject: User, options?: RequestOptions): Promise<UpdateUsersAPIResponse>;
   /** @deprecated Please use upsertUsers() function instead. */
-  updateUsers(users: User[]): Promise<UpdateUsersAPIResponse>;
+  updateUsers(users: User[], options?: RequestOptions): Promise<UpdateUsersAPIResponse>;
 
   /** Update or Create the given user object */
-  upsertUser(userObject: User): Promise<UpdateUsersAPIResponse>;
+  upsertUser(userObject: User, options?: RequestOptions): Promise<UpdateUsersAPIResponse>;
   /** Batch upsert the list of users */
-  upsertUsers(users: User[]): Promise<UpdateUsersAPIResponse>;
+  upsertUsers(users: User[], options?: RequestOptions): Promise<UpdateUsersAPIResponse>;
 
-  getMessage(messageID: string): Promise<GetMessageAPIResponse>;
-  partialUpdateUser(updateRequest: updateUserRequest): Promise<UpdateUsersAPIResponse>;
+  getMessage(messageID: string, options?: RequestOptions): Promise<GetMessageAPIResponse>;
+  partialUpdateUser(
+    updateRequest: updateUserRequest,
+    options?: RequestOptions,
+  ): Promise<UpdateUsersAPIResponse>;
   partialUpdateUsers(
     updateRequests: updateUserRequest[],
+    options?: RequestOptions,
   ): Promise<UpdateUsersAPIResponse>;
 
   banUser(targetUserID: string, options: object): Promise<BanUserAPIResponse>;
@@ -300,42 +385,74 @@ export class StreamChat {
     UserID?: string,
     options?: object,
   ): Promise<MuteAPIResponse>;
-  unmuteUser(targetUserID: string): Promise<UnmuteAPIResponse>;
+  unmuteUser(
+    targetUserID: string,
+    currentUserID?: string,
+    options?: RequestOptions,
+  ): Promise<UnmuteAPIResponse>;
 
   flagUser(userID: string, options?: object): Promise<FlagAPIResponse>;
   unflagUser(userID: string, options?: object): Promise<UnflagAPIResponse>;
   flagMessage(messageID: string, options?: object): Promise<FlagAPIResponse>;
   unflagMessage(messageID: string, options?: object): Promise<UnflagAPIResponse>;
 
-  createChannelType(data: ChannelData): Promise<CreateChannelTypeAPIResponse>;
-  getChannelType(channelType: string): Promise<GetChannelTypeAPIResponse>;
+  createChannelType(
+    data: ChannelData,
+    options?: RequestOptions,
+  ): Promise<CreateChannelTypeAPIResponse>;
+  getChannelType(
+    channelType: string,
+    options?: RequestOptions,
+  ): Promise<GetChannelTypeAPIResponse>;
   updateChannelType(
     channelType: string,
     data: ChannelData,
+    options?: RequestOptions,
   ): Promise<UpdateChannelTypeAPIResponse>;
-  deleteChannelType(channelType: string): Promise<DeleteChannelTypeAPIResponse>;
-  listChannelTypes(): Promise<ListChannelTypesAPIResponse>;
-
-  translateMessage(messageId: string, language: string): Promise<GetMessageAPIResponse>;
+  deleteChannelType(
+    channelType: string,
+    options?: RequestOptions,
+  ): Promise<DeleteChannelTypeAPIResponse>;
+  listChannelTypes(options?: RequestOptions): Promise<ListChannelTypesAPIResponse>;
+
+  translateMessage(
+    messageId: string,
+    language: string,
+    options?: RequestOptions,
+  ): Promise<GetMessageAPIResponse>;
   updateMessage(
     message: Message,
     user?: string | User,
+    options?: RequestOptions,
   ): Promise<UpdateMessageAPIResponse>;
   deleteMessage(
     messageID: string,
     hardDelete?: boolean,
+    options?: RequestOptions,
   ): Promise<DeleteMessageAPIResponse>;
   verifyWebhook(requestBody: string | Int8Array | Buffer, xSignature: string): boolean;
 
   // TODO: Add detailed types for following api responses
-  getPermission(name: string): Promise<APIResponse>;
-  createPermission(permissionData: object): Promise<APIResponse>;
-  updatePermission(name: string, permissionData: object): Promise<APIResponse>;
-  deletePermission(name: string): Promise<APIResponse>;
-  listPermissions(): Promise<APIResponse>;
-  createRole(name: string): Promise<APIResponse>;
-  listRoles(): Promise<APIResponse>;
-  deleteRole(name: string): Promise<APIResponse>;
+  getPermission(name: string, options?: RequestOptions): Promise<APIResponse>;
+  createPermission(
+    permissionData: object,
+    options?: RequestOptions,
+  ): Promise<APIResponse>;
+  updatePermission(
+    name: string,
+    permissionData: object,
+    options?: RequestOptions,
+  ): Promise<APIResponse>;
+  deletePermission(name: string, options?: RequestOptions): Promise<APIResponse>;
+  listPermissions(options?: RequestOptions): Promise<APIResponse>;
+  createRole(name: string, options?: RequestOptions): Promise<APIResponse>;
+  listRoles(options?: RequestOptions): Promise<APIResponse>;
+  deleteRole(name: string, options?: RequestOptions): Promise<APIResponse>;
+  sync(
+    channel_cids: string[],
+    last_sync_at: string,
+    options?: RequestOptions,
+  ): Promise<SyncAPIResponse>;
 }
 
 export interface updateUserRequest {
@@ -351,6 +468,8 @@ export class ClientState {
   updateUser(user: User): void;
   updateUsers(users: User[]): void;
   updateUserReference(user: User, channelID: string): void;
+  snapshot(): object;
+  rehydrate(snapshot: object): void;
 }
 
 // channel.js
@@ -370,9 +489,10 @@ export class Channel {
   isTyping: boolean;
   disconnected: boolean;
   state: ChannelState;
+  composer: MessageComposer;
 
   getClient(): StreamChat;
-  truncate(): Promise<TruncateChannelAPIResponse>;
+  truncate(options?: RequestOptions): Promise<TruncateChannelAPIResponse>;
   muteStatus(): {
     muted: boolean;
     createdAt?: string | null;
@@ -400,40 +520,55 @@ export class Channel {
     automod_behavior: ChannelConfigAutomodBehaviorTypes;
     commands: CommandResponse[];
   };
-  sendMessage(message: Message): Promise<SendMessageAPIResponse>;
+  sendMessage(
+    message: Message,
+    options?: RequestOptions,
+  ): Promise<SendMessageAPIResponse>;
+  saveDraft(draft: string | DraftInput): Promise<Draft | null>;
+  getDraft(parentID?: string): Promise<Draft | null>;
+  clearDraft(parentID?: string): Promise<void>;
   sendFile(
-    uri: string | Buffer | File,
+    uri: string | Buffer | Blob | File,
     name?: string,
     contentType?: string,
     user?: User,
+    options?: SendUploadOptions,
   ): Promise<FileUploadAPIResponse>;
   sendImage(
-    uri: string | Buffer | File,
+    uri: string | Buffer | Blob | File,
     name?: string,
     contentType?: string,
     user?: User,
+    options?: SendUploadOptions & { process?: boolean },
   ): Promise<FileUploadAPIResponse>;
-  deleteFile(url: string): Promise<DeleteFileAPIResponse>;
-  deleteImage(url: string): Promise<DeleteFileAPIResponse>;
-
-  sendEvent<T = string>(chatEvent: Event<T>): Promise<SendEventAPIResponse<T>>;
+  upload(file: UploadFile, options?: UploadOptions): Upload;
+  deleteFile(url: string, options?: RequestOptions): Promise<DeleteFileAPIResponse>;
+  deleteImage(url: string, options?: RequestOptions): Promise<DeleteFileAPIResponse>;
+
+  sendEvent<T = string>(
+    chatEvent: Event<T>,
+    options?: RequestOptions,
+  ): Promise<SendEventAPIResponse<T>>;
   sendReaction(
     messageID: string,
     reaction: Reaction,
     user_id?: string,
+    options?: RequestOptions,
   ): Promise<SendReactionAPIResponse>;
   getReactions(message_id: string, options: object): Promise<GetReactionsAPIResponse>;
   deleteReaction(
     messageID: string,
     reactionType: string,
     user_id?: string,
+    options?: RequestOptions,
   ): Promise<DeleteReactionAPIResponce>;
 
   update(
     channelData: ChannelData,
     updateMessage?: Message,
+    options?: RequestOptions,
   ): Promise<UpdateChannelAPIResponse>;
-  delete(): Promise<DeleteChannelAPIResponse>;
+  delete(options?: RequestOptions): Promise<DeleteChannelAPIResponse>;
   search(query: string | object, options: object): Promise<SearchAPIResponse>;
 
   queryMembers(
@@ -445,28 +580,72 @@ export class Channel {
   acceptInvite(options: object): Promise<AcceptInviteAPIResponse>;
   rejectInvite(options: object): Promise<RejectInviteAPIResponse>;
 
-  addMembers(members: string[], message?: Message): Promise<AddMembersAPIResponse>;
-  addModerators(members: string[]): Promise<AddModeratorsAPIResponse>;
-  inviteMembers(members: string[]): Promise<AddMembersAPIResponse>;
-  removeMembers(members: string[], message?: Message): Promise<RemoveMembersAPIResponse>;
-  demoteModerators(members: string[]): Promise<RemoteModeratorsAPIResponse>;
-
-  sendAction(messageID: string, formData: object): Promise<SendMessageAPIResponse>;
+  addMembers(
+    members: string[],
+    message?: Message,
+    options?: RequestOptions,
+  ): Promise<AddMembersAPIResponse>;
+  addModerators(
+    members: string[],
+    message?: Message,
+    options?: RequestOptions,
+  ): Promise<AddModeratorsAPIResponse>;
+  inviteMembers(
+    members: string[],
+    message?: Message,
+    options?: RequestOptions,
+  ): Promise<AddMembersAPIResponse>;
+  removeMembers(
+    members: string[],
+    message?: Message,
+    options?: RequestOptions,
+  ): Promise<RemoveMembersAPIResponse>;
+  demoteModerators(
+    members: string[],
+    message?: Message,
+    options?: RequestOptions,
+  ): Promise<RemoteModeratorsAPIResponse>;
+
+  sendAction(
+    messageID: string,
+    formData: object,
+    options?: RequestOptions,
+  ): Promise<SendMessageAPIResponse>;
 
   keystroke(): Promise<void>;
   stopTyping(): Promise<void>;
 
   lastMessage(): Message;
-  markRead(): Promise<MarkReadAPIResponse>;
+  markRead(data?: object): Promise<MarkReadAPIResponse>;
   clean(): void;
   watch(options?: object): Promise<ChannelAPIResponse>;
-  query(options: object): Promise<ChannelAPIResponse>;
-  stopWatching(): Promise<StopWatchingAPIResponse>;
+  query(
+    options: object,
+    messageSet?: 'latest' | 'current' | MessageSet,
+  ): Promise<ChannelAPIResponse>;
+  loadOlder(options?: {
+    limit?: number;
+    signal?: AbortSignal;
+  }): Promise<MessageResponse[]>;
+  loadNewer(options?: {
+    limit?: number;
+    signal?: AbortSignal;
+  }): Promise<MessageResponse[]>;
+  jumpToMessage(
+    messageID: string,
+    options?: { limit?: number; signal?: AbortSignal },
+  ): Promise<MessageSet>;
+  jumpToLatest(options?: { limit?: number; signal?: AbortSignal }): Promise<MessageSet>;
+  stopWatching(options?: RequestOptions): Promise<StopWatchingAPIResponse>;
+  thread(parent: string | MessageResponse): Thread;
   getReplies(parent_id: string, options: object): Promise<GetRepliesAPIResponse>;
   countUnread(lastRead?: Date): number;
-  create(): Promise<ChannelAPIResponse>;
+  create(options?: RequestOptions): Promise<ChannelAPIResponse>;
   banUser(targetUserID: string, options: object): Promise<BanUserAPIResponse>;
-  unbanUser(targetUserID: string): Promise<UnbanUserAPIResponse>;
+  unbanUser(
+    targetUserID: string,
+    options?: RequestOptions,
+  ): Promise<UnbanUserAPIResponse>;
 
   on(eventType: string, callback: EventHandler): void;
   on(callback: EventHandler): void;
@@ -474,9 +653,16 @@ export class Channel {
   off(eventType: string, callback: EventHandler): void;
   off(callback: EventHandler): void;
 
-  hide(userId?: string, clearHistory?: boolean): Promise<APIResponse>;
-  show(userId?: string): Promise<APIResponse>;
-  getMessagesById(messageIds: string[]): Promise<GetMultipleMessagesAPIResponse>;
+  hide(
+    userId?: string,
+    clearHistory?: boolean,
+    options?: RequestOptions,
+  ): Promise<APIResponse>;
+  show(userId?: string, options?: RequestOptions): Promise<APIResponse>;
+  getMessagesById(
+    messageIds: string[],
+    options?: RequestOptions,
+  ): Promise<GetMultipleMessagesAPIResponse>;
 
   mute(options?: object): Promise<MuteChannelAPIResponse>;
   unmute(options?: object): Promise<UnmuteAPIResponse>;
@@ -491,6 +677,15 @@ export interface ChannelMembership {
   updated_at?: string;
 }
 // channel_state.js
+export interface MessageSet {
+  list: MessageList;
+  messages: SeamlessImmutable.Immutable<MessageResponse[]>;
+  isLatest: boolean;
+  isCurrent: boolean;
+  hasMoreOlder: boolean;
+  hasMoreNewer: boolean;
+}
+
 export class ChannelState {
   constructor(channel: Channel);
   watcher_count: number;
@@ -504,9 +699,16 @@ export class ChannelState {
     }>;
   }>;
   messages: SeamlessImmutable.Immutable<MessageResponse[]>;
+  messageSets: MessageSet[];
+  readonly latestMessages: SeamlessImmutable.Immutable<MessageResponse[]>;
+  readonly hasMoreOlder: boolean;
+  readonly hasMoreNewer: boolean;
   threads: SeamlessImmutable.Immutable<{
     [message_id: string]: MessageResponse[];
   }>;
+  activeThreads: { [message_id: string]: Thread };
+  threadIndex: Map<string, string>;
+  thread(parentID: string): Thread;
   mutedUsers: SeamlessImmutable.Immutable<User[]>;
   watchers: SeamlessImmutable.Immutable<{
     [user_id: string]: SeamlessImmutable.Immutable<UserResponse>;
@@ -520,13 +722,33 @@ export class ChannelState {
   removeReaction(reaction: Reaction, message: MessageResponse): void;
   clearMessages(): void;
   addMessageSorted(newMessage: Message): void;
-  addMessagesSorted(newMessages: Message[]): void;
+  addMessagesSorted(
+    newMessages: Message[],
+    initializing?: boolean,
+    messageSet?: 'latest' | 'current' | MessageSet,
+  ): MessageSet | null;
+  currentMessageSet(): MessageSet;
+  latestMessageSet(): MessageSet;
+  findMessageSet(messageID: string): MessageSet | undefined;
+  addMessageSet(): MessageSet;
+  removeMessageSet(messageSet: MessageSet): void;
+  setCurrentMessageSet(messageSet: MessageSet): void;
+  markLatestMessageSet(messageSet: MessageSet): void;
+  trimMessageSet(messageSet: MessageSet, direction: 'older' | 'newer'): void;
   messageToImmutable(
     message: MessageResponse,
   ): SeamlessImmutable.Immutable<MessageResponse>;
-  removeMessage(messageToRemove: Message): boolean;
+  removeMessage(messageToRemove: { id: string; parent_id?: string }): boolean;
+  replaceMessage(message: MessageResponse): boolean;
+  softDeleteMessage(messageID: string, deletedAt?: Date): boolean;
+  findMessage(
+    messageID: string,
+    parentID?: string,
+  ): SeamlessImmutable.Immutable<MessageResponse> | undefined;
   filterErrorMessages(): SeamlessImmutable.Immutable<Message>;
   clean(): void;
+  snapshot(maxMessages?: number): object;
+  rehydrate(snapshot: object): void;
 }
 
 export interface ChannelData {
@@ -536,12 +758,46 @@ export interface ChannelData {
   [key: string]: any;
 }
 // connection.js
+export type ConnectionState =
+  | 'idle'
+  | 'connecting'
+  | 'connected'
+  | 'reconnecting'
+  | 'offline'
+  | 'disconnected'
+  | 'failed';
+export type AppState = 'foreground' | 'background';
+export const CONNECTION_STATE_TRANSITIONS: {
+  [state in ConnectionState]: ConnectionState[];
+};
+export interface ReconnectAttempt {
+  attempt: number;
+  consecutiveFailures: number;
+}
+export interface ReconnectPolicy {
+  backoff: (attempt: ReconnectAttempt) => number;
+  maxAttempts: number;
+  healthCheckInterval: number;
+  monitorInterval: number;
+  onGiveUp: ((error: Error | null) => void) | null;
+}
+export const DEFAULT_RECONNECT_POLICY: ReconnectPolicy;
+export function defaultBackoff(attempt: ReconnectAttempt): number;
+
 export class StableWSConnection {
   constructor(options: StableWSConnectionOptions);
 
+  state: ConnectionState;
+  appState: AppState;
+  backgroundTimeout: number | null;
+  reconnectPolicy: ReconnectPolicy;
+  reconnectAttempts: number;
+  isFailed: boolean;
+
   connect(): Promise<void>;
   disconnect(): Promise<void>;
   onlineStatusChanged(event: OnlineStatusEvent): void;
+  setAppState(appState: AppState): void;
   onopen(wsID: number): void;
   onmessage(wsID: number, event: WebSocket.MessageEvent): void;
   onclose(wsID: number, event: WebSocket.CloseEvent): void;
@@ -561,6 +817,8 @@ export interface StableWSConnectionOptions {
   tokenManager: TokenManager;
   authType: string;
   logger?: Logger;
+  reconnectPolicy?: Partial<ReconnectPolicy>;
+  backgroundTimeout?: number | null;
 }
 // permissions.js
 export class Permission {
@@ -581,6 +839,11 @@ export class Permission {
   action: string;
 }
 
+export function hasPermission(
+  policies: Permission[] | undefined,
+  permission: string,
+  roles: string[],
+): boolean | undefined;
 export const AllowAll: Permission;
 export const DenyAll: Permission;
 
@@ -647,6 +910,432 @@ export function decodeBase64(s: string): string;
 
 export function isValidEventType(eventType: string): boolean;
 
+// storage.js
+export interface StorageAdapter {
+  getItem(key: string): Promise<string | null> | string | null;
+  setItem(key: string, value: string): Promise<void> | void;
+  removeItem(key: string): Promise<void> | void;
+}
+
+export class MemoryStorage implements StorageAdapter {
+  constructor();
+  getItem(key: string): Promise<string | null>;
+  setItem(key: string, value: string): Promise<void>;
+  removeItem(key: string): Promise<void>;
+}
+
+export class KeyValueStorage implements StorageAdapter {
+  constructor(storage: StorageAdapter, prefix?: string);
+  getItem(key: string): Promise<string | null>;
+  setItem(key: string, value: string): Promise<void>;
+  removeItem(key: string): Promise<void>;
+}
+
+export class IndexedDBStorage implements StorageAdapter {
+  constructor(options?: { dbName?: string; storeName?: string; indexedDB?: object });
+  getItem(key: string): Promise<string | null>;
+  setItem(key: string, value: string): Promise<void>;
+  removeItem(key: string): Promise<void>;
+}
+
+export class WriteQueue {
+  constructor();
+  promise: Promise<any>;
+  push<T>(write: () => Promise<T> | T): Promise<T>;
+}
+
+// state_store.js
+export class StateStore {
+  constructor(
+    client: StreamChat,
+    options?: { storage?: StorageAdapter; maxMessages?: number; saveDelay?: number },
+  );
+  lastSyncAt: string | null;
+  maxMessages: number;
+  scheduleSave(): void;
+  save(): Promise<void>;
+  rehydrate(): Promise<void>;
+  reconcile(): Promise<void>;
+  clear(): Promise<void>;
+  reset(): void;
+}
+
+// outbox.js
+export interface OutboxEntry {
+  id: string;
+  cid: string;
+  message: Message;
+  attempts: number;
+  created_at: string;
+  inFlight?: boolean;
+}
+
+export class MessageOutbox {
+  constructor(
+    client: StreamChat,
+    options?: { storage?: StorageAdapter; maxAttempts?: number },
+  );
+  pending: { [message_id: string]: OutboxEntry };
+  maxAttempts: number;
+  send(channel: Channel, message: Message): Promise<SendMessageAPIResponse>;
+  restore(): Promise<void>;
+  flush(): void;
+  reset(): void;
+}
+
+// errors.js
+export interface StreamApiErrorDetails {
+  code?: number;
+  status?: number;
+  response?: any;
+  moreInfo?: string;
+  isWSFailure?: boolean;
+  rateLimit?: RateLimit | null;
+}
+
+export class StreamApiError extends Error {
+  constructor(message: string, details?: StreamApiErrorDetails);
+  code?: number;
+  status?: number;
+  response?: any;
+  moreInfo?: string;
+  isWSFailure: boolean;
+  /** Set by channel.sendMessage when the message is retried in the background */
+  willRetry?: boolean;
+}
+export class InputError extends StreamApiError {}
+export class AuthenticationError extends StreamApiError {}
+export class TokenExpiredError extends AuthenticationError {}
+export class PermissionDeniedError extends StreamApiError {}
+export class NotFoundError extends StreamApiError {}
+export class RateLimitError extends StreamApiError {
+  rateLimit: RateLimit | null;
+}
+export class WSConnectionError extends StreamApiError {
+  reason?: string;
+}
+export class AbortError extends Error {
+  constructor(message?: string);
+}
+
+export type UploadValidationReason =
+  | 'uploads_disabled'
+  | 'permission_denied'
+  | 'file_too_large'
+  | 'mime_type_not_allowed'
+  | 'extension_not_allowed';
+
+export class UploadValidationError extends Error {
+  constructor(
+    message: string,
+    details?: {
+      reason?: UploadValidationReason;
+      file?: { name?: string; size?: number | null; contentType?: string };
+      limit?: number | string[];
+    },
+  );
+  reason: UploadValidationReason;
+  file?: { name?: string; size?: number | null; contentType?: string };
+  limit?: number | string[];
+}
+export class UploadNotAllowedError extends UploadValidationError {}
+export class FileTooLargeError extends UploadValidationError {}
+export class FileTypeNotAllowedError extends UploadValidationError {}
+
+export function apiErrorClass(
+  details: { code?: number; status?: number },
+  fallback?: typeof StreamApiError,
+): typeof StreamApiError;
+export function errorFromWSResponse(
+  error: { code?: number; StatusCode?: number; message?: string; more_info?: string },
+  isWSFailure?: boolean,
+): StreamApiError;
+
+// abort.js
+export function isAborted(signal?: AbortSignal): boolean;
+export function throwIfAborted(signal?: AbortSignal): void;
+export function abortable<T>(promise: Promise<T> | T, signal?: AbortSignal): Promise<T>;
+
+// middleware.js
+export interface HTTPRequest {
+  type: 'get' | 'post' | 'put' | 'patch' | 'delete';
+  url: string;
+  data: any;
+  config: {
+    params: { [key: string]: any };
+    headers: { [key: string]: string };
+    [key: string]: any;
+  };
+  /** Skips the HTTP call and uses this response instead */
+  response?: HTTPResponse;
+}
+
+export interface HTTPResponse {
+  status: number;
+  data: any;
+  headers: { [name: string]: string };
+}
+
+export interface Middleware {
+  beforeRequest?(request: HTTPRequest): HTTPRequest | void | Promise<HTTPRequest | void>;
+  afterResponse?(
+    response: HTTPResponse,
+    request: HTTPRequest,
+  ): HTTPResponse | void | Promise<HTTPResponse | void>;
+  onError?(
+    error: Error,
+    request: HTTPRequest,
+  ): HTTPResponse | void | Promise<HTTPResponse | void>;
+}
+
+export class MiddlewareChain {
+  middleware: Middleware[];
+  use(middleware: Middleware): { unsubscribe: () => void };
+  beforeRequest(request: HTTPRequest): Promise<HTTPRequest>;
+  afterResponse(response: HTTPResponse, request: HTTPRequest): Promise<HTTPResponse>;
+  onError(error: Error, request: HTTPRequest): Promise<HTTPResponse | undefined>;
+}
+
+// transport.js
+export interface Transport {
+  request(request: HTTPRequest): Promise<HTTPResponse>;
+  createFormData?(): any;
+}
+
+export class AxiosTransport implements Transport {
+  constructor(options?: object);
+  axiosInstance: any;
+  request(request: HTTPRequest): Promise<HTTPResponse>;
+  createFormData(): any;
+}
+
+export interface FetchTransportOptions {
+  fetch?: (url: string, init: object) => Promise<any>;
+  FormData?: any;
+  timeout?: number;
+  withCredentials?: boolean;
+}
+
+export class FetchTransport implements Transport {
+  constructor(options?: FetchTransportOptions);
+  request(request: HTTPRequest): Promise<HTTPResponse>;
+  createFormData(): any;
+}
+
+export function buildURL(url: string, params?: object): string;
+
+// request_cache.js
+export interface RequestCacheOptions {
+  coalesce?: boolean;
+  ttl?: number;
+  now?: () => number;
+}
+
+export function tagsForURL(url: string): string[];
+export function tagsForEvent(event: Event): string[];
+export class RequestCache {
+  constructor(options?: RequestCacheOptions);
+  coalesce: boolean;
+  ttl: number;
+  key(
+    type: string,
+    url: string,
+    config?: { params?: object; headers?: object },
+    data?: object,
+  ): string;
+  fetch<T>(key: string, tags: string[], send: () => Promise<T>): Promise<T>;
+  invalidate(tags: string[]): void;
+  invalidateForEvent(event: Event): void;
+  clear(): void;
+}
+
+// uploads.js
+export type UploadFile = string | Buffer | Blob | File | object;
+export type UploadStatus =
+  | 'queued'
+  | 'uploading'
+  | 'paused'
+  | 'completed'
+  | 'failed'
+  | 'cancelled';
+
+/** The upload of the upload.progress, upload.completed and upload.failed events */
+export interface UploadEventPayload {
+  id: string;
+  cid: string;
+  status: UploadStatus;
+  loaded: number;
+  size: number | null;
+  error: Error | null;
+}
+
+export interface UploadOptions {
+  type?: 'file' | 'image';
+  name?: string;
+  contentType?: string;
+  user?: User;
+  uploader?: Uploader;
+  /** false uploads images without the image pipeline */
+  process?: boolean;
+  signal?: AbortSignal;
+  onProgress?: (upload: Upload) => void;
+}
+
+export interface Uploader {
+  /** Uploads the whole file */
+  upload?(
+    upload: Upload,
+    options: { signal?: AbortSignal; onProgress: (loaded: number) => void },
+  ): Promise<FileUploadAPIResponse>;
+  /** Chunked uploads split the file in chunks of this many bytes */
+  chunkSize?: number;
+  start?(upload: Upload, options: { signal?: AbortSignal }): Promise<object | void>;
+  uploadChunk?(
+    upload: Upload,
+    chunk: Blob | Buffer,
+    options: {
+      offset: number;
+      signal?: AbortSignal;
+      onProgress: (loaded: number) => void;
+    },
+  ): Promise<void>;
+  complete?(
+    upload: Upload,
+    options: { signal?: AbortSignal },
+  ): Promise<FileUploadAPIResponse>;
+}
+
+export const streamUploader: Uploader;
+export function hasUploads(message: Message): boolean;
+
+export class Upload {
+  id: string;
+  cid: string;
+  channel: Channel;
+  file: UploadFile;
+  type: 'file' | 'image';
+  name?: string;
+  contentType?: string;
+  uploader: Uploader;
+  size: number | null;
+  loaded: number;
+  offset: number;
+  /** What the start method of a chunked uploader returned */
+  session: any;
+  attempts: number;
+  process: boolean;
+  processed: boolean;
+  image: { width: number; height: number; blurhash: string | null } | null;
+  thumbnail: ImageThumbnail | null;
+  status: UploadStatus;
+  response: FileUploadAPIResponse | null;
+  error: Error | null;
+  promise: Promise<FileUploadAPIResponse>;
+  readonly progress: number;
+  readonly done: boolean;
+  cancel(): void;
+  pause(): void;
+  resume(): void;
+}
+
+export interface SendUploadOptions extends RequestOptions {
+  /** upload with the upload manager, defaults to the managed option of the manager */
+  managed?: boolean;
+  /** receives the upload of the manager */
+  onProgress?: (upload: Upload) => void;
+  /** receives the progress events of the transport, without the manager */
+  onUploadProgress?: (event: { loaded: number; total?: number }) => void;
+}
+
+export interface UploadManagerOptions {
+  managed?: boolean;
+  concurrency?: number;
+  maxRetries?: number;
+  backoff?: (retry: { attempt: number; error: Error }) => number;
+  uploader?: Uploader;
+  images?: ImagePipeline | ImagePipelineOptions | null;
+  validation?: UploadValidator | UploadValidatorOptions | false | null;
+}
+
+export class UploadManager {
+  constructor(client: StreamChat, options?: UploadManagerOptions);
+  managed: boolean;
+  concurrency: number;
+  maxRetries: number;
+  uploader: Uploader;
+  images: ImagePipeline | null;
+  validator: UploadValidator | null;
+  uploads: { [id: string]: Upload };
+  active: number;
+  upload(channel: Channel, file: UploadFile, options?: UploadOptions): Upload;
+  get(id: string): Upload | undefined;
+  remove(id: string): void;
+  cancelAll(): void;
+  resolveAttachments(
+    attachments: Attachment[],
+    signal?: AbortSignal,
+  ): Promise<Attachment[]>;
+}
+
+// rate_limits.js
+export interface RateLimit {
+  limit: number;
+  remaining: number;
+  reset: Date | null;
+}
+
+export function endpointKey(method: string, url: string): string;
+export function parseRateLimitHeaders(headers: {
+  [name: string]: string;
+}): RateLimit | null;
+export class RateLimits {
+  update(
+    method: string,
+    url: string,
+    headers: { [name: string]: string },
+  ): RateLimit | null;
+  get(method: string, url: string): RateLimit | null;
+  all(): { [endpoint: string]: RateLimit };
+  reset(): void;
+}
+
+// retry.js
+export interface RequestOptions {
+  params?: object;
+  headers?: object;
+  config?: object;
+  /** Retry the request even if the retry policy doesn't retry its method, or never retry it with false */
+  idempotent?: boolean;
+  /** Cancels the request, it rejects with an AbortError */
+  signal?: AbortSignal;
+  /** Share the request with identical ones in flight, defaults to true for GET requests */
+  coalesce?: boolean;
+}
+
+export interface RetryAttempt {
+  attempt: number;
+  error: Error;
+  retryAfter: number | null;
+}
+
+export interface RetryPolicy {
+  maxRetries: number;
+  methods: string[];
+  backoff: (retry: RetryAttempt) => number;
+  maxDelay: number;
+  budget: number;
+  budgetInterval: number;
+}
+
+export const DEFAULT_RETRY_POLICY: RetryPolicy;
+export function defaultRetryBackoff(retry: RetryAttempt): number;
+export function isRetryableError(error: Error): boolean;
+export function retryAfter(response: object, now?: number): number | null;
+export class RetryBudget {
+  constructor(budget: number, interval: number);
+  take(now?: number): boolean;
+}
+
 // utils.js
 export function logChatPromiseExecution(promise: Promise<any>, name: string): void;
 export function isFunction(value: any): boolean;
@@ -766,6 +1455,11 @@ export interface SendMessageAPIResponse extends APIResponse {
 
 export interface FileUploadAPIResponse extends APIResponse {
   file: string;
+  /** The attachment fields of images processed by the ImagePipeline */
+  thumb_url?: string;
+  original_width?: number;
+  original_height?: number;
+  blurhash?: string;
 }
 
 export interface DeleteFileAPIResponse extends APIResponse {}
@@ -998,6 +1692,8 @@ export interface ChannelConfigFields {
 
 export interface ChannelConfig extends ChannelConfigFields, ChannelConfigDBFields {
   commands: CommandVariants[];
+  /** The permission policies, uploads are checked against them when they are available */
+  permissions?: Permission[];
 }
 
 export interface ChannelConfigWithInfo
@@ -1022,3 +1718,290 @@ export type CommandVariants =
   | 'unban'
   | 'mute'
   | 'unmute';
+
+// images.js
+export interface ProcessedImage {
+  width: number;
+  height: number;
+  [propName: string]: any;
+}
+
+export interface ImageProcessor {
+  load(file: Blob | Buffer): Promise<ProcessedImage>;
+  encode(
+    image: ProcessedImage,
+    options: { width: number; height: number; type: string; quality: number },
+  ): Promise<Blob | Buffer>;
+  pixels(
+    image: ProcessedImage,
+    size: { width: number; height: number },
+  ): Promise<{ data: Uint8ClampedArray | Buffer; width: number; height: number }>;
+  close?(image: ProcessedImage): void;
+}
+
+export interface ImageThumbnail {
+  file: Blob | Buffer;
+  contentType: string;
+  width: number;
+  height: number;
+  /** The url of the uploaded thumbnail */
+  url?: string;
+}
+
+export interface ImagePipelineOptions {
+  processor?: ImageProcessor;
+  maxWidth?: number;
+  maxHeight?: number;
+  type?: string | null;
+  quality?: number;
+  stripMetadata?: boolean;
+  thumbnail?: boolean | { maxWidth: number; maxHeight: number; quality?: number };
+  blurhash?: boolean | { componentsX?: number; componentsY?: number };
+  skipTypes?: string[];
+}
+
+export interface ImagePipelineResult {
+  file: Blob | Buffer;
+  contentType: string;
+  width: number;
+  height: number;
+  thumbnail: ImageThumbnail | null;
+  blurhash: string | null;
+}
+
+export const canvasImageProcessor: ImageProcessor;
+export function sharpImageProcessor(sharp: any): ImageProcessor;
+export function fitImage(
+  width: number,
+  height: number,
+  maxWidth: number,
+  maxHeight: number,
+): { width: number; height: number };
+export function encodeBlurhash(
+  pixels: Uint8ClampedArray | Buffer | number[],
+  width: number,
+  height: number,
+  componentsX?: number,
+  componentsY?: number,
+): string;
+
+export class ImagePipeline {
+  constructor(options?: ImagePipelineOptions);
+  processor: ImageProcessor;
+  canProcess(file: UploadFile, contentType?: string): boolean;
+  process(file: Blob | Buffer, contentType?: string): Promise<ImagePipelineResult | null>;
+  renamed(name: string, contentType: string): string;
+}
+
+// upload_validation.js
+export const DEFAULT_MAX_FILE_SIZE: number;
+
+export interface UploadLimits {
+  /** The maximum size in bytes, null disables the check */
+  maxSize?: number | null;
+  /** Mime types or patterns like image/* */
+  allowedMimeTypes?: string[] | null;
+  blockedMimeTypes?: string[];
+  allowedExtensions?: string[] | null;
+  blockedExtensions?: string[];
+}
+
+export interface UploadValidatorOptions {
+  file?: UploadLimits;
+  image?: UploadLimits;
+}
+
+export class UploadValidator {
+  constructor(options?: UploadValidatorOptions);
+  limits: { file: UploadLimits; image: UploadLimits };
+  validate(upload: Upload, options?: { checkSize?: boolean }): void;
+  checkPermission(channel: Channel): void;
+  checkType(upload: Upload): void;
+  checkSize(upload: Upload): void;
+}
+
+// message_composer.js
+export type EnrichURL = (
+  url: string,
+  options: { signal?: AbortSignal },
+) => Promise<Attachment | null | undefined>;
+
+export interface ComposerCommand {
+  name: string;
+  description?: string;
+  args?: string;
+  set?: string;
+}
+
+export type ComposerSuggestions =
+  | { type: 'command'; query: string; items: ComposerCommand[] }
+  | { type: 'mention'; query: string; items: UserResponse[] };
+
+export interface MessageComposerOptions {
+  parentID?: string | null;
+  typingEvents?: boolean;
+  enrichURL?: EnrichURL;
+}
+
+export class MessageComposer {
+  constructor(channel: Channel, options?: MessageComposerOptions);
+  channel: Channel;
+  parentID: string | null;
+  typingEvents: boolean;
+  enrichURL: EnrichURL | null;
+  text: string;
+  cursor: number;
+  attachments: Attachment[];
+  mentionedUsers: { [id: string]: UserResponse };
+  linkPreview: Attachment | null;
+  dismissedLinks: string[];
+  readonly suggestions: ComposerSuggestions | null;
+  readonly command: { name: string; args: string; command: ComposerCommand } | null;
+  readonly isEmpty: boolean;
+  setText(text: string, cursor?: number): void;
+  commands(): ComposerCommand[];
+  members(): UserResponse[];
+  select(item: ComposerCommand | UserResponse): void;
+  mentionedUserIDs(): string[];
+  addFile(file: UploadFile, options?: UploadOptions): Upload;
+  addAttachment(attachment: Attachment): void;
+  removeAttachment(attachment: Attachment): void;
+  dismissLinkPreview(): void;
+  toMessage(): Message;
+  send(options?: RequestOptions): Promise<SendMessageAPIResponse>;
+  clear(): void;
+}
+
+// drafts.js
+export interface DraftInput {
+  text?: string;
+  attachments?: Attachment[];
+  mentioned_users?: string[];
+  parent_id?: string;
+  [propName: string]: any;
+}
+
+export interface Draft extends DraftInput {
+  updated_at: string;
+}
+
+export class DraftStore {
+  constructor(client: StreamChat, options?: { storage?: StorageAdapter; sync?: boolean });
+  client: StreamChat;
+  storage: StorageAdapter;
+  cache: { [key: string]: Draft | null };
+  sync: boolean;
+  broadcast: BroadcastChannel | null;
+  start(): void;
+  get(cid: string, parentID?: string): Promise<Draft | null>;
+  save(cid: string, draft: DraftInput): Promise<Draft | null>;
+  clear(
+    cid: string,
+    parentID?: string,
+    options?: { savedBefore?: string },
+  ): Promise<void>;
+  reset(): void;
+}
+
+// shared_connection.js
+export interface SharedConnectionOptions {
+  channelName?: string;
+  electionTimeout?: number;
+  heartbeatInterval?: number;
+  leaderTimeout?: number;
+}
+
+export class SharedConnection {
+  constructor(client: StreamChat, options?: SharedConnectionOptions);
+  static isSupported(): boolean;
+  client: StreamChat;
+  channelName: string;
+  tabID: string;
+  role: 'leader' | 'follower' | 'candidate' | null;
+  leaderID: string | null;
+  connectionID: string | null;
+  reads: { [cid: string]: string };
+  connect(): Promise<Event>;
+  close(): void;
+  isLeader(): boolean;
+  forward(event: Event): void;
+  forwardConnectionEvent(event: Event): void;
+  announce(): void;
+  isRead(cid: string, lastMessage?: MessageResponse): boolean;
+  claimRead(cid: string, lastMessage?: MessageResponse): void;
+}
+
+// channel_list.js
+export class ChannelList {
+  constructor(
+    client: StreamChat,
+    filters: object,
+    sort?: object,
+    options?: { limit?: number; [propName: string]: any },
+  );
+  client: StreamChat;
+  filters: object;
+  sort: object;
+  limit: number;
+  options: object;
+  channels: Channel[];
+  loading: boolean;
+  hasMore: boolean;
+  error: Error | null;
+  loadMore(options?: { signal?: AbortSignal }): Promise<Channel[]>;
+  reload(options?: { signal?: AbortSignal }): Promise<Channel[]>;
+  dispose(): void;
+}
+
+// message_list.js
+export function sortedIndex(
+  messages: ReadonlyArray<MessageResponse>,
+  message: MessageResponse,
+  after?: boolean,
+): number;
+
+export class MessageList {
+  constructor(messages?: MessageResponse[]);
+  readonly messages: SeamlessImmutable.Immutable<MessageResponse[]>;
+  readonly length: number;
+  reset(messages: MessageResponse[]): void;
+  get(messageID: string): SeamlessImmutable.Immutable<MessageResponse> | undefined;
+  has(messageID: string): boolean;
+  first(): SeamlessImmutable.Immutable<MessageResponse> | undefined;
+  last(): SeamlessImmutable.Immutable<MessageResponse> | undefined;
+  indexOf(messageID: string): number;
+  upsert(message: MessageResponse): void;
+  update(
+    messageID: string,
+    update: (
+      message: SeamlessImmutable.Immutable<MessageResponse>,
+    ) => SeamlessImmutable.Immutable<MessageResponse>,
+  ): boolean;
+  remove(messageID: string): boolean;
+}
+
+// thread.js
+export class Thread {
+  constructor(channel: Channel, parentID: string);
+  channel: Channel;
+  parentID: string;
+  list: MessageList;
+  parent: SeamlessImmutable.Immutable<MessageResponse> | null;
+  initialized: boolean;
+  hasMoreOlder: boolean;
+  replyCount: number;
+  unreadCount: number;
+  lastRead: Date | null;
+  readonly replies: SeamlessImmutable.Immutable<MessageResponse[]>;
+  readonly participants: UserResponse[];
+  loadReplies(options?: {
+    limit?: number;
+    signal?: AbortSignal;
+  }): Promise<SeamlessImmutable.Immutable<MessageResponse[]>>;
+  loadOlder(options?: {
+    limit?: number;
+    signal?: AbortSignal;
+  }): Promise<MessageResponse[]>;
+  countUnread(): number;
+  markRead(): void;
+}
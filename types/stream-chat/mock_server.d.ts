@@ -0,0 +1,34 @@
+// mock_server.js
+declare module 'stream-chat/dist/mock_server' {
+  export interface MockServerOptions {
+    port?: number;
+    apiKey?: string;
+    secret?: string;
+    now?: () => Date;
+    generateID?: () => string;
+  }
+
+  export class MockServerError extends Error {
+    constructor(StatusCode: number, code: number, message: string);
+    StatusCode: number;
+    code: number;
+  }
+
+  export function matchesFilter(doc: object, filter?: object): boolean;
+
+  export class MockServer {
+    constructor(options?: MockServerOptions);
+    port: number;
+    baseURL: string | null;
+    users: { [id: string]: { id: string; [key: string]: any } };
+    channels: { [cid: string]: any };
+    messages: { [id: string]: any };
+
+    start(): Promise<string>;
+    stop(): Promise<void>;
+    reset(): void;
+    createToken(userID: string, extra?: object): string;
+    upsertUser(user: { id: string; [key: string]: any }): object;
+    sendEvent(event: { type: string; [key: string]: any }): void;
+  }
+}